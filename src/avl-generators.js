@@ -0,0 +1,139 @@
+// ============================================================
+// AVL TREE GENERATORS
+// ============================================================
+
+import { ExecutionStep } from './execution-step.js';
+import { TreeNode, getTreeDepth } from './tree-model.js';
+import { copyWithIds } from './tree-mutations.js';
+
+/**
+ * Code line numbers for AVL insert (duplicates go right):
+ * 1:  Node insert(Node node, int key) {
+ * 2:      if (node == null) return new Node(key);
+ * 3:      if (key < node.val) node.left = insert(node.left, key);
+ * 4:      else node.right = insert(node.right, key);
+ * 5:      int balance = height(node.left) - height(node.right);
+ * 6:      if (balance > 1 && key < node.left.val) return rotateRight(node);
+ * 7:      if (balance < -1 && key >= node.right.val) return rotateLeft(node);
+ * 8:      if (balance > 1) { node.left = rotateLeft(node.left); return rotateRight(node); }
+ * 9:      if (balance < -1) { node.right = rotateRight(node.right); return rotateLeft(node); }
+ * 10:     return node;
+ * 11: }
+ */
+const AVL_INSERT_LINES = {
+    FUNCTION_ENTRY: 1,
+    NULL_CHECK: 2,
+    GO_LEFT: 3,
+    GO_RIGHT: 4,
+    BALANCE: 5,
+    LL: 6,
+    RR: 7,
+    LR: 8,
+    RL: 9,
+    FUNCTION_EXIT: 10
+};
+
+/**
+ * Rotates a subtree of the working copy and returns its new root
+ * @param {TreeNode} node - The node rotated down
+ * @param {'left'|'right'} direction - Rotation direction
+ * @returns {TreeNode} The child that moved up
+ */
+function rotateCopy(node, direction) {
+    const up = direction === 'right' ? 'left' : 'right';
+    const child = node[up];
+    node[up] = child[direction];
+    child[direction] = node;
+    return child;
+}
+
+/**
+ * Generates execution steps for inserting a key into an AVL tree
+ * The generator inserts and rotates on a copy of the tree; INSERT_NODE and
+ * ROTATE steps carry the mutations. The renderer derives balance factors and
+ * the first unbalanced ancestor from the tree as it changes.
+ */
+export class AvlInsertGenerator {
+    /**
+     * @param {number} key - The value to insert
+     * @throws {Error} If the key is not a finite number
+     */
+    constructor(key) {
+        if (typeof key !== 'number' || !Number.isFinite(key)) {
+            throw new Error(`Invalid AVL key "${key}"`);
+        }
+        this.key = key;
+    }
+
+    /**
+     * Generates all execution steps for the insert
+     * @param {Object|null} root - The root TreeNode
+     * @returns {ExecutionStep[]} Array of execution steps
+     */
+    generateSteps(root) {
+        const steps = [];
+        this._insert(copyWithIds(root), null, null, steps);
+        return steps;
+    }
+
+    /**
+     * Recursively generates steps for insert(node, key) on the working copy
+     * @param {TreeNode|null} node - Current node of the copy
+     * @param {TreeNode|null} parent - The caller's node (null at the root)
+     * @param {'left'|'right'|null} side - Which child of parent this node is
+     * @param {ExecutionStep[]} steps - Array to collect steps
+     * @returns {TreeNode} Root of the subtree after the insert
+     * @private
+     */
+    _insert(node, parent, side, steps) {
+        const key = this.key;
+        steps.push(ExecutionStep.call(node, AVL_INSERT_LINES.FUNCTION_ENTRY));
+        steps.push(ExecutionStep.checkNull(node, AVL_INSERT_LINES.NULL_CHECK));
+
+        if (node === null) {
+            const created = new TreeNode(key);
+            steps.push(ExecutionStep.insertNode(parent, side, created.id, key, AVL_INSERT_LINES.NULL_CHECK));
+            steps.push(ExecutionStep.return(null, AVL_INSERT_LINES.NULL_CHECK, true));
+            return created;
+        }
+
+        const next = key < node.value ? 'left' : 'right';
+        const line = next === 'left' ? AVL_INSERT_LINES.GO_LEFT : AVL_INSERT_LINES.GO_RIGHT;
+        steps.push(ExecutionStep.compare(node, line, key, next));
+        steps.push(next === 'left'
+            ? ExecutionStep.recurseLeft(node, line)
+            : ExecutionStep.recurseRight(node, line));
+        node[next] = this._insert(node[next], node, next, steps);
+
+        const balance = getTreeDepth(node.left) - getTreeDepth(node.right);
+        steps.push(ExecutionStep.assign(node, AVL_INSERT_LINES.BALANCE, { balance }));
+
+        if (balance > 1 && key < node.left.value) {
+            steps.push(ExecutionStep.rotate(node, AVL_INSERT_LINES.LL, 'right', parent, side, 'LL'));
+            steps.push(ExecutionStep.return(node, AVL_INSERT_LINES.LL));
+            return rotateCopy(node, 'right');
+        }
+        if (balance < -1 && key >= node.right.value) {
+            steps.push(ExecutionStep.rotate(node, AVL_INSERT_LINES.RR, 'left', parent, side, 'RR'));
+            steps.push(ExecutionStep.return(node, AVL_INSERT_LINES.RR));
+            return rotateCopy(node, 'left');
+        }
+        if (balance > 1) {
+            steps.push(ExecutionStep.rotate(node.left, AVL_INSERT_LINES.LR, 'left', node, 'left', 'LR'));
+            node.left = rotateCopy(node.left, 'left');
+            steps.push(ExecutionStep.rotate(node, AVL_INSERT_LINES.LR, 'right', parent, side, 'LR'));
+            steps.push(ExecutionStep.return(node, AVL_INSERT_LINES.LR));
+            return rotateCopy(node, 'right');
+        }
+        if (balance < -1) {
+            steps.push(ExecutionStep.rotate(node.right, AVL_INSERT_LINES.RL, 'right', node, 'right', 'RL'));
+            node.right = rotateCopy(node.right, 'right');
+            steps.push(ExecutionStep.rotate(node, AVL_INSERT_LINES.RL, 'left', parent, side, 'RL'));
+            steps.push(ExecutionStep.return(node, AVL_INSERT_LINES.RL));
+            return rotateCopy(node, 'left');
+        }
+
+        steps.push(ExecutionStep.return(node, AVL_INSERT_LINES.FUNCTION_EXIT));
+        return node;
+    }
+}
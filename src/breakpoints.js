@@ -0,0 +1,341 @@
+// ============================================================
+// BREAKPOINTS
+// ============================================================
+
+/**
+ * Kinds of breakpoint
+ */
+export const BreakpointKind = {
+    LINE: 'line',           // execution arrives at a code line
+    NODE: 'node',           // execution arrives at a tree node
+    CONDITION: 'condition'  // a condition becomes true
+};
+
+/**
+ * Names a condition may use, and the context field each one reads
+ * (spaces, underscores and case are ignored, so "stack depth" is stackDepth)
+ */
+const CONDITION_FIELDS = {
+    stackdepth: 'stackDepth',
+    depth: 'stackDepth',
+    nodevalue: 'nodeValue',
+    value: 'nodeValue',
+    nodeid: 'nodeId',
+    line: 'line',
+    codeline: 'line',
+    type: 'type',
+    steptype: 'type',
+    step: 'step',
+    output: 'outputLength',
+    outputlength: 'outputLength'
+};
+
+const COMPARISONS = {
+    '=': (a, b) => a === b,
+    '==': (a, b) => a === b,
+    '===': (a, b) => a === b,
+    '!=': (a, b) => a !== b,
+    '!==': (a, b) => a !== b,
+    '<': (a, b) => a !== null && a < b,
+    '<=': (a, b) => a !== null && a <= b,
+    '>': (a, b) => a !== null && a > b,
+    '>=': (a, b) => a !== null && a >= b
+};
+
+const COMPARISON_PATTERN = /^([A-Za-z][A-Za-z _]*?)\s*(===|!==|==|!=|<=|>=|<|>|=)\s*([^\s=<>!].*)$/;
+
+/**
+ * Reads the literal on the right of a comparison
+ */
+function parseLiteral(text, field) {
+    if (/^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+    if (text === 'null') return null;
+    const quoted = text.match(/^(['"])(.*)\1$/);
+    const word = quoted ? quoted[2] : text;
+    // Step types are upper case (CALL, RETURN, ...), however they are typed
+    if (field === 'type') return word.toUpperCase();
+    if (!quoted && !/^\w+$/.test(word)) return undefined;
+    return word;
+}
+
+/**
+ * Splits a condition on a separator, but not inside quoted literals
+ * (so "value == 'or'" stays one comparison)
+ */
+function splitOutsideQuotes(text, separator) {
+    const literals = [];
+    const masked = text.replace(/(['"]).*?\1/g, literal => `\u0000${literals.push(literal) - 1}\u0000`);
+    return masked.split(separator).map(part => part.replace(/\u0000(\d+)\u0000/g, (_, i) => literals[i]));
+}
+
+/**
+ * Parses a breakpoint condition such as "stack depth > 3" or "nodeValue == 5"
+ * Comparisons (==, !=, <, <=, >, >=; = and === mean ==) join with && / and, then || / or.
+ * Fields: stack depth, nodeValue (value), nodeId, line, type, step (1-based, as the
+ * step counter shows it) and output (values printed so far).
+ * @param {string} text - The condition
+ * @returns {Function} Predicate over a context from createBreakpointContext
+ * @throws {Error} If the condition cannot be read
+ */
+export function parseCondition(text) {
+    const fail = (message) => {
+        throw new Error(`Invalid breakpoint condition "${text}": ${message}`);
+    };
+    if (typeof text !== 'string' || text.trim() === '') fail('it is empty');
+
+    const alternatives = splitOutsideQuotes(text, /\|\||\bor\b/).map(alternative =>
+        splitOutsideQuotes(alternative, /&&|\band\b/).map(part => {
+            const match = part.trim().match(COMPARISON_PATTERN);
+            if (!match) fail(`expected a comparison like "stack depth > 3", got "${part.trim()}"`);
+            const [, name, operator, literal] = match;
+            const field = CONDITION_FIELDS[name.replace(/[\s_]/g, '').toLowerCase()];
+            if (!field) fail(`unknown name "${name.trim()}"`);
+            const value = parseLiteral(literal.trim(), field);
+            if (value === undefined) fail(`cannot compare with "${literal.trim()}"`);
+            const compare = COMPARISONS[operator];
+            return context => compare(context[field], value);
+        }));
+
+    return context => alternatives.some(all => all.every(test => test(context)));
+}
+
+/**
+ * Whether a step carries on where the step just before it was: the same line in the
+ * same call, with a kind of step the line has not run since execution arrived there
+ * (running one again, like each push of a loop, is the next iteration arriving)
+ * @param {Object} context - Context of the step
+ * @param {Object|null} previous - Context of the step before it
+ * @returns {boolean}
+ */
+function continuesLine(context, previous) {
+    return previous !== null && previous.step === context.step - 1 &&
+        previous.line === context.line && previous.stackDepth === context.stackDepth &&
+        !(previous.lineTypes || [previous.type]).includes(context.type);
+}
+
+/**
+ * Builds what breakpoint conditions can read about a step that has just run
+ * @param {Object} step - The ExecutionStep
+ * @param {number} stepIndex - Its index in the trace
+ * @param {Object} state - The state after the step (callStack and traversalOutput are read)
+ * @param {Object|null} [previous] - Context of the step before, to tell a new loop iteration on the line
+ * @returns {Object} The context
+ */
+export function createBreakpointContext(step, stepIndex, state, previous = null) {
+    const context = {
+        line: step.codeLine,
+        nodeId: step.nodeId,
+        nodeValue: step.nodeValue,
+        type: step.type,
+        step: stepIndex + 1,
+        stackDepth: state.callStack.length,
+        outputLength: state.traversalOutput.length
+    };
+    // The kinds of step run on the line since execution arrived there
+    context.lineTypes = continuesLine(context, previous) ? [...previous.lineTypes, step.type] : [step.type];
+    return context;
+}
+
+/**
+ * BreakpointManager - Holds line, node and condition breakpoints and checks steps against them
+ * A line or node breakpoint hits when execution arrives at its line or node (the step
+ * before was somewhere else, on the line in another call, or the line starts another loop
+ * iteration) and its condition, if any, holds. A condition breakpoint hits when its condition becomes true. Testable version
+ * without DOM dependencies.
+ */
+export class BreakpointManager {
+    constructor() {
+        this.breakpoints = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * Add a breakpoint
+     * @param {Object} spec
+     * @param {string} spec.kind - One of BreakpointKind
+     * @param {number} [spec.line] - Code line (LINE)
+     * @param {number} [spec.nodeId] - Tree node id (NODE)
+     * @param {string} [spec.condition] - Condition text (required for CONDITION)
+     * @returns {Object} The breakpoint
+     * @throws {Error} If the condition cannot be read or a target is missing
+     */
+    add({ kind, line = null, nodeId = null, condition = '' }) {
+        if (!Object.values(BreakpointKind).includes(kind)) throw new Error(`Unknown breakpoint kind: ${kind}`);
+        if (kind === BreakpointKind.LINE && !Number.isInteger(line)) throw new Error('A line breakpoint needs a line');
+        if (kind === BreakpointKind.NODE && nodeId === null) throw new Error('A node breakpoint needs a node');
+        if (kind === BreakpointKind.CONDITION && !condition.trim()) throw new Error('A condition breakpoint needs a condition');
+
+        const breakpoint = { id: this.nextId++, kind, line, nodeId, condition: '', test: null, enabled: true };
+        this._setCondition(breakpoint, condition);
+        this.breakpoints.push(breakpoint);
+        return breakpoint;
+    }
+
+    /**
+     * Add a breakpoint on a code line
+     * @param {number} line - 1-indexed line
+     * @param {string} [condition]
+     * @returns {Object} The breakpoint
+     */
+    addLine(line, condition = '') {
+        return this.add({ kind: BreakpointKind.LINE, line, condition });
+    }
+
+    /**
+     * Add a breakpoint on a tree node
+     * @param {number} nodeId
+     * @param {string} [condition]
+     * @returns {Object} The breakpoint
+     */
+    addNode(nodeId, condition = '') {
+        return this.add({ kind: BreakpointKind.NODE, nodeId, condition });
+    }
+
+    /**
+     * Add a breakpoint that hits when a condition becomes true
+     * @param {string} condition - e.g. "stack depth > 3"
+     * @returns {Object} The breakpoint
+     */
+    addCondition(condition) {
+        return this.add({ kind: BreakpointKind.CONDITION, condition });
+    }
+
+    /**
+     * Set or remove the breakpoint on a line (what clicking its number does)
+     * @param {number} line
+     * @returns {boolean} Whether the line now has a breakpoint
+     */
+    toggleLine(line) {
+        const existing = this.breakpoints.find(b => b.kind === BreakpointKind.LINE && b.line === line);
+        if (existing) {
+            this.remove(existing.id);
+            return false;
+        }
+        this.addLine(line);
+        return true;
+    }
+
+    /**
+     * Set or remove the breakpoint on a node (what clicking it does)
+     * @param {number} nodeId
+     * @returns {boolean} Whether the node now has a breakpoint
+     */
+    toggleNode(nodeId) {
+        const existing = this.breakpoints.find(b => b.kind === BreakpointKind.NODE && b.nodeId === nodeId);
+        if (existing) {
+            this.remove(existing.id);
+            return false;
+        }
+        this.addNode(nodeId);
+        return true;
+    }
+
+    /**
+     * Change the condition of a breakpoint ('' for none, except on condition breakpoints)
+     * @param {number} id
+     * @param {string} condition
+     * @throws {Error} If the condition cannot be read (the old one is kept)
+     */
+    setCondition(id, condition) {
+        const breakpoint = this.get(id);
+        if (!breakpoint) return;
+        if (breakpoint.kind === BreakpointKind.CONDITION && !condition.trim()) {
+            throw new Error('A condition breakpoint needs a condition');
+        }
+        this._setCondition(breakpoint, condition);
+    }
+
+    /**
+     * Turn a breakpoint on or off without removing it
+     * @param {number} id
+     * @param {boolean} enabled
+     */
+    setEnabled(id, enabled) {
+        const breakpoint = this.get(id);
+        if (breakpoint) breakpoint.enabled = enabled;
+    }
+
+    /**
+     * Remove a breakpoint
+     * @param {number} id
+     */
+    remove(id) {
+        this.breakpoints = this.breakpoints.filter(b => b.id !== id);
+    }
+
+    /**
+     * Remove breakpoints, all of them or those of one kind
+     * @param {string} [kind] - One of BreakpointKind
+     */
+    clear(kind = null) {
+        this.breakpoints = kind ? this.breakpoints.filter(b => b.kind !== kind) : [];
+    }
+
+    /**
+     * Get a breakpoint by id
+     * @param {number} id
+     * @returns {Object|undefined}
+     */
+    get(id) {
+        return this.breakpoints.find(b => b.id === id);
+    }
+
+    /**
+     * Get all breakpoints, in the order they were added
+     * @returns {Array<Object>}
+     */
+    getAll() {
+        return [...this.breakpoints];
+    }
+
+    /**
+     * Check if a line has a breakpoint
+     * @param {number} line
+     * @returns {boolean}
+     */
+    hasLine(line) {
+        return this.breakpoints.some(b => b.kind === BreakpointKind.LINE && b.line === line);
+    }
+
+    /**
+     * Check if a node has a breakpoint
+     * @param {number} nodeId
+     * @returns {boolean}
+     */
+    hasNode(nodeId) {
+        return this.breakpoints.some(b => b.kind === BreakpointKind.NODE && b.nodeId === nodeId);
+    }
+
+    /**
+     * Find the breakpoint a step hits
+     * @param {Object} context - Context of the step that just ran (createBreakpointContext)
+     * @param {Object|null} previous - Context of the step before it (null for the first step)
+     * @returns {Object|null} The first enabled breakpoint that hits, or null
+     */
+    check(context, previous) {
+        for (const breakpoint of this.breakpoints) {
+            if (!breakpoint.enabled) continue;
+            const { kind, test } = breakpoint;
+            let arrived;
+            if (kind === BreakpointKind.LINE) {
+                // Returns unwinding through one line each arrive there in a different call
+                arrived = context.line === breakpoint.line && !continuesLine(context, previous);
+            } else if (kind === BreakpointKind.NODE) {
+                arrived = context.nodeId === breakpoint.nodeId && (!previous || previous.nodeId !== breakpoint.nodeId);
+            } else {
+                arrived = !previous || !test(previous);
+            }
+            if (arrived && (!test || test(context))) return breakpoint;
+        }
+        return null;
+    }
+
+    /**
+     * @private
+     */
+    _setCondition(breakpoint, condition) {
+        const text = condition.trim();
+        breakpoint.test = text ? parseCondition(text) : null;
+        breakpoint.condition = text;
+    }
+}
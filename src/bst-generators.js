@@ -0,0 +1,270 @@
+// ============================================================
+// BINARY SEARCH TREE OPERATION GENERATORS
+// ============================================================
+
+import { ExecutionStep } from './execution-step.js';
+import { allocateNodeId } from './tree-model.js';
+
+/**
+ * Code line numbers for BST search:
+ * 1: Node search(Node root, int key) {
+ * 2:     Node node = root;
+ * 3:     while (node != null) {
+ * 4:         if (key == node.val) return node;
+ * 5:         if (key < node.val) node = node.left;
+ * 6:         else node = node.right;
+ * 7:     }
+ * 8:     return null;
+ * 9: }
+ */
+const BST_SEARCH_LINES = {
+    FUNCTION_ENTRY: 1,
+    FOUND: 4,
+    GO_LEFT: 5,
+    GO_RIGHT: 6,
+    NOT_FOUND: 8
+};
+
+/**
+ * Code line numbers for BST insert (duplicates go right):
+ * 1:  Node insert(Node root, int key) {
+ * 2:      if (root == null) return new Node(key);
+ * 3:      Node curr = root;
+ * 4:      while (true) {
+ * 5:          if (key < curr.val) {
+ * 6:              if (curr.left == null) { curr.left = new Node(key); break; }
+ * 7:              curr = curr.left;
+ * 8:          } else {
+ * 9:              if (curr.right == null) { curr.right = new Node(key); break; }
+ * 10:             curr = curr.right;
+ * 11:         }
+ * 12:     }
+ * 13:     return root;
+ * 14: }
+ */
+const BST_INSERT_LINES = {
+    FUNCTION_ENTRY: 1,
+    EMPTY_TREE: 2,
+    GO_LEFT: 5,
+    INSERT_LEFT: 6,
+    GO_RIGHT: 8,
+    INSERT_RIGHT: 9,
+    FUNCTION_EXIT: 13
+};
+
+/**
+ * Code line numbers for BST delete (two children: copy the inorder successor):
+ * 1:  Node deleteNode(Node node, int key) {
+ * 2:      if (node == null) return null;
+ * 3:      if (key < node.val) node.left = deleteNode(node.left, key);
+ * 4:      else if (key > node.val) node.right = deleteNode(node.right, key);
+ * 5:      else {
+ * 6:          if (node.left == null) return node.right;
+ * 7:          if (node.right == null) return node.left;
+ * 8:          Node succ = node.right;
+ * 9:          while (succ.left != null) succ = succ.left;
+ * 10:         node.val = succ.val;
+ * 11:         node.right = deleteNode(node.right, succ.val);
+ * 12:     }
+ * 13:     return node;
+ * 14: }
+ */
+const BST_DELETE_LINES = {
+    FUNCTION_ENTRY: 1,
+    NULL_CHECK: 2,
+    GO_LEFT: 3,
+    GO_RIGHT: 4,
+    FOUND: 5,
+    NO_LEFT: 6,
+    NO_RIGHT: 7,
+    SUCC_START: 8,
+    SUCC_STEP: 9,
+    COPY_SUCC: 10,
+    DELETE_SUCC: 11,
+    FUNCTION_EXIT: 13
+};
+
+/**
+ * Validates the key of a BST operation
+ * @param {*} key - Candidate key
+ * @returns {number} The key
+ * @throws {Error} If the key is not a finite number
+ */
+function requireKey(key) {
+    if (typeof key !== 'number' || !Number.isFinite(key)) {
+        throw new Error(`Invalid BST key "${key}"`);
+    }
+    return key;
+}
+
+/**
+ * Generates execution steps for an iterative BST search
+ */
+export class BstSearchGenerator {
+    /**
+     * @param {number} key - The value to search for
+     */
+    constructor(key) {
+        this.key = requireKey(key);
+    }
+
+    /**
+     * Generates all execution steps for the search
+     * @param {Object|null} root - The root TreeNode
+     * @returns {ExecutionStep[]} Array of execution steps
+     */
+    generateSteps(root) {
+        const steps = [ExecutionStep.call(root, BST_SEARCH_LINES.FUNCTION_ENTRY)];
+        let node = root;
+
+        while (node !== null) {
+            if (this.key === node.value) {
+                steps.push(ExecutionStep.compare(node, BST_SEARCH_LINES.FOUND, this.key, 'found'));
+                steps.push(ExecutionStep.return(root, BST_SEARCH_LINES.FOUND));
+                return steps;
+            }
+            const direction = this.key < node.value ? 'left' : 'right';
+            const line = direction === 'left' ? BST_SEARCH_LINES.GO_LEFT : BST_SEARCH_LINES.GO_RIGHT;
+            steps.push(ExecutionStep.compare(node, line, this.key, direction));
+            node = node[direction];
+        }
+
+        steps.push(ExecutionStep.return(root, BST_SEARCH_LINES.NOT_FOUND, root === null));
+        return steps;
+    }
+}
+
+/**
+ * Generates execution steps for an iterative BST insert
+ * The tree passed in is not changed; the INSERT_NODE step carries the mutation.
+ */
+export class BstInsertGenerator {
+    /**
+     * @param {number} key - The value to insert
+     */
+    constructor(key) {
+        this.key = requireKey(key);
+    }
+
+    /**
+     * Generates all execution steps for the insert
+     * @param {Object|null} root - The root TreeNode
+     * @returns {ExecutionStep[]} Array of execution steps
+     */
+    generateSteps(root) {
+        const steps = [ExecutionStep.call(root, BST_INSERT_LINES.FUNCTION_ENTRY)];
+        const newId = allocateNodeId();
+
+        if (root === null) {
+            steps.push(ExecutionStep.insertNode(null, null, newId, this.key, BST_INSERT_LINES.EMPTY_TREE));
+            steps.push(ExecutionStep.return(null, BST_INSERT_LINES.EMPTY_TREE, true));
+            return steps;
+        }
+
+        let curr = root;
+        for (;;) {
+            const side = this.key < curr.value ? 'left' : 'right';
+            const goLine = side === 'left' ? BST_INSERT_LINES.GO_LEFT : BST_INSERT_LINES.GO_RIGHT;
+            steps.push(ExecutionStep.compare(curr, goLine, this.key, side));
+
+            if (curr[side] === null) {
+                const insertLine = side === 'left' ? BST_INSERT_LINES.INSERT_LEFT : BST_INSERT_LINES.INSERT_RIGHT;
+                steps.push(ExecutionStep.insertNode(curr, side, newId, this.key, insertLine));
+                break;
+            }
+            curr = curr[side];
+        }
+
+        steps.push(ExecutionStep.return(root, BST_INSERT_LINES.FUNCTION_EXIT));
+        return steps;
+    }
+}
+
+/**
+ * Generates execution steps for a recursive BST delete
+ * Covers the leaf, one-child and two-child cases. The two-child case copies
+ * the inorder successor's value and then deletes the successor from the
+ * right subtree. The tree passed in is not changed; RETURN and SET_VALUE
+ * steps carry the mutations.
+ */
+export class BstDeleteGenerator {
+    /**
+     * @param {number} key - The value to delete
+     */
+    constructor(key) {
+        this.key = requireKey(key);
+    }
+
+    /**
+     * Generates all execution steps for the delete
+     * @param {Object|null} root - The root TreeNode
+     * @returns {ExecutionStep[]} Array of execution steps
+     */
+    generateSteps(root) {
+        const steps = [];
+        this._delete(root, this.key, null, null, steps);
+        return steps;
+    }
+
+    /**
+     * Recursively generates steps for deleteNode(node, key)
+     * @param {Object|null} node - Current node
+     * @param {number} key - Value to delete from this subtree
+     * @param {Object|null} parent - The caller's node (null at the root)
+     * @param {'left'|'right'|null} side - Which child of parent this node is
+     * @param {ExecutionStep[]} steps - Array to collect steps
+     * @private
+     */
+    _delete(node, key, parent, side, steps) {
+        steps.push(ExecutionStep.call(node, BST_DELETE_LINES.FUNCTION_ENTRY));
+        steps.push(ExecutionStep.checkNull(node, BST_DELETE_LINES.NULL_CHECK));
+
+        if (node === null) {
+            steps.push(ExecutionStep.return(null, BST_DELETE_LINES.NULL_CHECK, true));
+            return;
+        }
+
+        if (key < node.value) {
+            steps.push(ExecutionStep.compare(node, BST_DELETE_LINES.GO_LEFT, key, 'left'));
+            steps.push(ExecutionStep.recurseLeft(node, BST_DELETE_LINES.GO_LEFT));
+            this._delete(node.left, key, node, 'left', steps);
+            steps.push(ExecutionStep.return(node, BST_DELETE_LINES.FUNCTION_EXIT));
+            return;
+        }
+        if (key > node.value) {
+            steps.push(ExecutionStep.compare(node, BST_DELETE_LINES.GO_RIGHT, key, 'right'));
+            steps.push(ExecutionStep.recurseRight(node, BST_DELETE_LINES.GO_RIGHT));
+            this._delete(node.right, key, node, 'right', steps);
+            steps.push(ExecutionStep.return(node, BST_DELETE_LINES.FUNCTION_EXIT));
+            return;
+        }
+
+        steps.push(ExecutionStep.compare(node, BST_DELETE_LINES.FOUND, key, 'found'));
+
+        // Leaf or one child: the other child (possibly null) takes the node's place
+        if (node.left === null) {
+            steps.push(ExecutionStep.returnReplacement(node, BST_DELETE_LINES.NO_LEFT, node.right, parent, side));
+            return;
+        }
+        if (node.right === null) {
+            steps.push(ExecutionStep.returnReplacement(node, BST_DELETE_LINES.NO_RIGHT, node.left, parent, side));
+            return;
+        }
+
+        // Two children: find the inorder successor (leftmost node of the right subtree)
+        let succ = node.right;
+        steps.push(ExecutionStep.assign(succ, BST_DELETE_LINES.SUCC_START, { succ: succ.value }));
+        while (succ.left !== null) {
+            succ = succ.left;
+            steps.push(ExecutionStep.assign(succ, BST_DELETE_LINES.SUCC_STEP, { succ: succ.value }));
+        }
+
+        steps.push(ExecutionStep.setValue(node, succ.value, BST_DELETE_LINES.COPY_SUCC));
+
+        // From here on the node holds the successor's value
+        const copied = { id: node.id, value: succ.value };
+        steps.push(ExecutionStep.recurseRight(copied, BST_DELETE_LINES.DELETE_SUCC));
+        this._delete(node.right, succ.value, node, 'right', steps);
+        steps.push(ExecutionStep.return(copied, BST_DELETE_LINES.FUNCTION_EXIT));
+    }
+}
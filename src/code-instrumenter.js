@@ -0,0 +1,524 @@
+// ============================================================
+// CODE INSTRUMENTER (user-written traversals)
+// ============================================================
+
+import { ExecutionStep } from './execution-step.js';
+import { copyWithIds } from './tree-mutations.js';
+
+/**
+ * The code a custom traversal starts with (the recursive inorder template in JavaScript)
+ */
+export const DEFAULT_CUSTOM_SOURCE = [
+    'function inOrder(node) {',
+    '    if (node === null) return;',
+    '    inOrder(node.left);',
+    '    print(node.value);',
+    '    inOrder(node.right);',
+    '}'
+].join('\n');
+
+/**
+ * Steps (plus loop iterations) a trace may take before it is stopped
+ */
+export const DEFAULT_STEP_BUDGET = 10000;
+
+/**
+ * Names user code may use besides its function's name, its parameters and the
+ * locals it declares. Anything else (window, location, alert, this, try, new, ...)
+ * is rejected, so the code cannot reach the page or hide the step budget's error.
+ */
+const ALLOWED_NAMES = new Set([
+    'function', 'if', 'else', 'return', 'while', 'for', 'let', 'const', 'var', 'break',
+    'continue', 'switch', 'case', 'default', 'typeof', 'void', 'of', 'in', 'null', 'true',
+    'false', 'undefined', 'NaN', 'Infinity', 'print', 'Math'
+]);
+
+/**
+ * Property names of the built-in values user code can hold. They are rejected
+ * (constructor, call, repeat, ...), except for the few array helpers below, since
+ * they lead to Function or do unbounded work the step budget never sees.
+ */
+const BUILT_IN_MEMBERS = new Set([
+    Object.prototype, Function.prototype, Array.prototype, String.prototype,
+    Number.prototype, Boolean.prototype, RegExp.prototype
+].flatMap(proto => Object.getOwnPropertyNames(proto)));
+
+const ALLOWED_MEMBERS = new Set(['length', 'push', 'pop', 'shift', 'unshift', 'includes', 'indexOf']);
+
+const ASSIGN_OPS = new Set(['=', '+=', '-=', '*=', '/=', '++', '--']);
+
+const COMPARE_OPS = new Set(['===', '==', '!==', '!=']);
+
+/**
+ * Keywords after which `[` starts an array literal rather than an index
+ */
+const EXPRESSION_KEYWORDS = new Set(['return', 'of', 'in', 'typeof', 'case', 'void', 'else']);
+
+/**
+ * Punctuation after which `[` indexes the value before it (after `}` it may start an
+ * array literal instead, but cannot be told apart from indexing an object literal)
+ */
+const INDEXED_AFTER = new Set([')', ']', '}', '.', '++', '--']);
+
+/**
+ * Operators after which a line break does not end an expression
+ */
+const CONTINUING_OPS = new Set([
+    '.', '?', ':', '+', '-', '*', '/', '%', '&&', '||', '===', '!==', '==', '!=',
+    '<', '>', '<=', '>=', '=', ',', '(', '[', '!'
+]);
+
+const TOKEN_PATTERNS = [
+    ['newline', /\n/y],
+    ['space', /[ \t\r]+/y],
+    ['comment', /\/\/[^\n]*|\/\*[\s\S]*?\*\//y],
+    ['string', /'(?:[^'\\\n]|\\.)*'|"(?:[^"\\\n]|\\.)*"/y],
+    ['number', /\d+(?:\.\d+)?/y],
+    ['ident', /[A-Za-z_$][\w$]*/y],
+    ['punct', /===|!==|==|!=|<=|>=|&&|\|\||\+\+|--|\+=|-=|\*=|\/=|=>|[{}()[\];,.<>+\-*/%!?:=&|^~]/y]
+];
+
+/**
+ * Splits JavaScript source into tokens that remember their line
+ * Whitespace and comments are kept, so joining the texts gives back the source.
+ * @param {string} source - The code
+ * @returns {Array<{type: string, text: string, line: number}>} Tokens
+ * @throws {Error} On a character the instrumenter does not handle (e.g. a template string)
+ */
+export function tokenizeSource(source) {
+    const tokens = [];
+    let line = 1;
+    let index = 0;
+    while (index < source.length) {
+        let matched = null;
+        for (const [type, pattern] of TOKEN_PATTERNS) {
+            pattern.lastIndex = index;
+            const match = pattern.exec(source);
+            if (match) {
+                matched = { type, text: match[0], line };
+                break;
+            }
+        }
+        if (!matched) {
+            throw new Error(`Line ${line}: unexpected character "${source[index]}"`);
+        }
+        tokens.push(matched);
+        index += matched.text.length;
+        line += matched.text.split('\n').length - 1;
+    }
+    return tokens;
+}
+
+/**
+ * Index of the bracket that closes the one at `open` (in a list of significant tokens)
+ */
+function findClosing(sig, open) {
+    const pairs = { '(': ')', '[': ']', '{': '}' };
+    const close = pairs[sig[open].text];
+    let depth = 0;
+    for (let i = open; i < sig.length; i++) {
+        if (sig[i].text === sig[open].text) depth++;
+        else if (sig[i].text === close && --depth === 0) return i;
+    }
+    throw new Error(`Line ${sig[open].line}: "${sig[open].text}" is never closed`);
+}
+
+/**
+ * Reads the `function name(params) { ... }` the code must consist of
+ * @returns {{name: string, params: string[], bodyStart: number, bodyEnd: number}}
+ */
+function parseFunction(sig) {
+    const fail = (token, message) => {
+        throw new Error(`Line ${token ? token.line : 1}: ${message}`);
+    };
+    if (!sig[0] || sig[0].text !== 'function') fail(sig[0], 'the code must be one function, e.g. function visit(node) { ... }');
+    if (!sig[1] || sig[1].type !== 'ident') fail(sig[1], 'the function needs a name');
+    if (!sig[2] || sig[2].text !== '(') fail(sig[2], 'expected "(" after the function name');
+
+    const params = [];
+    let i = 3;
+    while (sig[i] && sig[i].text !== ')') {
+        if (sig[i].type !== 'ident') fail(sig[i], 'parameters must be plain names');
+        params.push(sig[i].text);
+        i++;
+        if (sig[i] && sig[i].text === ',') i++;
+    }
+    if (params.length === 0) fail(sig[2], 'the function needs a node parameter');
+    if (!sig[i + 1] || sig[i + 1].text !== '{') fail(sig[i], 'expected "{" to start the function body');
+
+    const bodyEnd = findClosing(sig, i + 1);
+    if (bodyEnd !== sig.length - 1) fail(sig[bodyEnd + 1], 'nothing may follow the function');
+    return { name: sig[1].text, params, bodyStart: i + 2, bodyEnd };
+}
+
+/**
+ * Names the function body declares with let, const or var
+ * @throws {Error} On a destructuring declaration
+ */
+function declaredNames(sig, bodyStart) {
+    const names = new Set();
+    for (let i = bodyStart; i < sig.length; i++) {
+        if (!['let', 'const', 'var'].includes(sig[i].text)) continue;
+        let j = i + 1;
+        while (sig[j]) {
+            if (sig[j].type !== 'ident') {
+                throw new Error(`Line ${sig[j].line}: destructuring declarations are not supported`);
+            }
+            names.add(sig[j].text);
+            const end = expressionEnd(sig, j);
+            if (!sig[end + 1] || sig[end + 1].text !== ',') break;
+            j = end + 2;
+        }
+    }
+    return names;
+}
+
+/**
+ * Rejects code that could reach outside the sandbox or break the frame model
+ * Plain names must be allowed or the code's own; property names must not belong
+ * to a built-in value, and may not be built from strings (x[...], { [...]: ... }
+ * or { 'name': ... }). This keeps out the escapes we know of, but it is a guard
+ * rather than a security boundary: only run code you would run in the page.
+ */
+function validate(sig, fn) {
+    const { name, params, bodyStart } = fn;
+    const known = new Set([...ALLOWED_NAMES, name, ...params, ...declaredNames(sig, bodyStart)]);
+    sig.forEach((token, i) => {
+        const fail = (message) => {
+            throw new Error(`Line ${token.line}: ${message}`);
+        };
+        const prev = sig[i - 1];
+        const next = sig[i + 1];
+        // A key in an object literal or pattern follows `{` or `,` and comes before `:`
+        const isKey = end => prev && (prev.text === '{' || prev.text === ',') && sig[end + 1] && sig[end + 1].text === ':';
+
+        if (token.type === 'ident') {
+            if (token.text.startsWith('__')) fail(`names starting with "__" are reserved`);
+            if (token.text === 'function' && i > 0) fail('define a single function (no nested functions)');
+            if ((prev && prev.text === '.') || isKey(i)) {
+                if (BUILT_IN_MEMBERS.has(token.text) && !ALLOWED_MEMBERS.has(token.text)) {
+                    fail(`"${token.text}" is not available in traversal code`);
+                }
+                if (token.text === 'length' && next && ASSIGN_OPS.has(next.text)) fail('"length" can only be read');
+            } else if (!known.has(token.text)) {
+                fail(`"${token.text}" is not available in traversal code`);
+            }
+            if ((token.text === 'print' || token.text === name) && i > 1 && (!next || next.text !== '(')) {
+                fail(`"${token.text}" can only be called`);
+            }
+        }
+        if (token.text === '=>') fail('define a single function (no arrow functions)');
+        if (token.text === '.' && next && next.text === '.') fail('spread (...) is not supported');
+        if (token.text === '[' && prev && (prev.type === 'string' || prev.type === 'number' ||
+            INDEXED_AFTER.has(prev.text) || (prev.type === 'ident' && !EXPRESSION_KEYWORDS.has(prev.text)))) {
+            fail('computed property access (x[...]) is not supported');
+        }
+        if (token.text === '[' && isKey(findClosing(sig, i))) {
+            fail('computed property names ({ [...]: ... }) are not supported');
+        }
+        if (token.type === 'string' && isKey(i)) fail('quoted property names are not supported');
+    });
+}
+
+/**
+ * Start of the member chain `a.b.c` that ends at sig[end]
+ */
+function chainStart(sig, end) {
+    let start = end;
+    while (start >= 2 && sig[start - 1].text === '.' && sig[start - 2].type === 'ident') start -= 2;
+    return start;
+}
+
+/**
+ * End of the member chain `a.b.c` that starts at sig[start]
+ */
+function chainEnd(sig, start) {
+    let end = start;
+    while (sig[end + 2] && sig[end + 1].text === '.' && sig[end + 2].type === 'ident') end += 2;
+    return end;
+}
+
+/**
+ * Last significant index of the expression that starts at sig[start]
+ * (it ends at a `;` or `,`, an unmatched closing bracket, or a line break that cannot continue it)
+ */
+function expressionEnd(sig, start) {
+    let depth = 0;
+    for (let i = start; i < sig.length; i++) {
+        const text = sig[i].text;
+        if (depth === 0 && (text === ';' || text === ',')) return i - 1;
+        if (text === '(' || text === '[' || text === '{') depth++;
+        if (text === ')' || text === ']' || text === '}') {
+            if (depth === 0) return i - 1;
+            depth--;
+        }
+        const next = sig[i + 1];
+        if (depth === 0 && next && next.line > sig[i].line &&
+            !CONTINUING_OPS.has(text) && !CONTINUING_OPS.has(next.text)) {
+            return i;
+        }
+    }
+    return sig.length - 1;
+}
+
+/**
+ * Whether sig[i] starts a statement (so `name = ...` there is an assignment)
+ */
+function startsStatement(sig, i) {
+    const prev = sig[i - 1];
+    return !prev || prev.line < sig[i].line || [';', '{', '}', ')'].includes(prev.text);
+}
+
+/**
+ * Rewrites the significant tokens so each traced event calls the tracer `__t` with
+ * its line number. Code goes into each token's `before`, `after` or `replace`, so its
+ * `text` stays as written for bracket matching, and every rewrite stays on its line.
+ * @returns {boolean} Whether some `return` gives back a value
+ */
+function instrument(sig, fn) {
+    const { name, bodyStart, bodyEnd } = fn;
+    const append = (token, text) => { token.after = (token.after || '') + text; };
+    const prepend = (token, text) => { token.before = text + (token.before || ''); };
+    let returnsValue = false;
+
+    for (let i = bodyStart; i < bodyEnd; i++) {
+        const token = sig[i];
+        const L = token.line;
+        const prev = sig[i - 1];
+        const next = sig[i + 1];
+        if (token.type !== 'ident') continue;
+
+        if (COMPARE_OPS.has(next.text) && sig[i + 2].text === 'null') {
+            // x.y === null -> __t.check(L)(x.y) === null (unless the chain hangs off a call)
+            const start = chainStart(sig, i);
+            if (sig[start - 1].text === '.') continue;
+            prepend(sig[start], `__t.check(${L})(`);
+            append(token, ')');
+            continue;
+        }
+        if (prev.text === '.') continue;
+
+        if (token.text === name || token.text === 'print') {
+            // name(args) -> __t.call(L, side)(args); print(args) -> __t.print(L)(args)
+            // The line is set before the arguments run, so their errors name it
+            if (token.text === name) {
+                const empty = findClosing(sig, i + 1) === i + 2;
+                const argEnd = empty ? i + 1 : expressionEnd(sig, i + 2);
+                const argText = sig.slice(i + 2, argEnd + 1).map(t => t.text);
+                const last = argText[argText.length - 1];
+                const side = argText.length >= 3 && argText[argText.length - 2] === '.' &&
+                    (last === 'left' || last === 'right') ? `'${last}'` : 'null';
+                token.replace = '__t.call';
+                append(next, `${L}, ${side})(`);
+            } else {
+                token.replace = '__t.print';
+                append(next, `${L})(`);
+            }
+        } else if (token.text === 'null' && COMPARE_OPS.has(next.text) && sig[i + 2].type === 'ident') {
+            // null === x.y -> null === __t.check(L)(x.y)
+            const end = chainEnd(sig, i + 2);
+            if (sig[end + 1].text === '(') continue;
+            prepend(sig[i + 2], `__t.check(${L})(`);
+            append(sig[end], ')');
+            i = end;
+        } else if (prev.text === '!') {
+            // !x.y -> !__t.check(L)(x.y) (not for calls like !isLeaf(x))
+            const end = chainEnd(sig, i);
+            if (sig[end + 1].text === '(' || sig[end + 1].text === '[') continue;
+            prepend(token, `__t.check(${L})(`);
+            append(sig[end], ')');
+            i = end;
+        } else if (token.text === 'return') {
+            const bare = next.text === ';' || next.text === '}' || next.line > L;
+            append(token, bare ? ` __t.at(${L})` : ` __t.at(${L}),`);
+            returnsValue = returnsValue || !bare;
+        } else if (token.text === 'while' && next.text === '(') {
+            prepend(sig[findClosing(sig, i + 1)], ')');
+            append(next, `__t.tick(${L}) && (`);
+        } else if (token.text === 'for' && next.text === '(') {
+            const close = findClosing(sig, i + 1);
+            const semicolons = [];
+            let depth = 0;
+            for (let j = i + 2; j < close; j++) {
+                if ('([{'.includes(sig[j].text)) depth++;
+                else if (')]}'.includes(sig[j].text)) depth--;
+                else if (depth === 0 && sig[j].text === ';') semicolons.push(j);
+            }
+            if (semicolons.length !== 2) {
+                throw new Error(`Line ${L}: only for (init; condition; update) loops are supported`);
+            }
+            const [first, second] = semicolons;
+            if (second === first + 1) {
+                append(sig[first], ` __t.tick(${L})`);
+            } else {
+                append(sig[first], ` __t.tick(${L}) && (`);
+                prepend(sig[second], ')');
+            }
+        } else if (next.text === '=' && (['let', 'const', 'var'].includes(prev.text) || startsStatement(sig, i) ||
+            prev.text === ';' || prev.text === '(')) {
+            // [let] x = expr -> [let] x = __t.set(L, 'x')(expr)
+            const end = expressionEnd(sig, i + 2);
+            append(next, ` __t.set(${L}, '${token.text}')(`);
+            append(sig[end], ')');
+        }
+    }
+    return returnsValue;
+}
+
+/**
+ * Whether a value is a tree node (or a copy of one)
+ */
+function isNode(value) {
+    return value !== null && typeof value === 'object' && 'left' in value && 'right' in value && 'value' in value;
+}
+
+/**
+ * How a value shows in a stack frame
+ */
+function display(value) {
+    if (value === null) return 'null';
+    if (isNode(value)) return value.value;
+    return typeof value === 'object' ? JSON.stringify(value) : value;
+}
+
+/**
+ * Generates execution steps by running a user-written recursive function
+ * The code is checked, rewritten so every call, return, null check, print, loop
+ * iteration and assignment reports its line, and run on a copy of the tree with
+ * a step budget. Steps have the same shape as the built-in generators', so the
+ * engine, stack and renderers need no special cases.
+ */
+export class InstrumentedGenerator {
+    /**
+     * @param {string} [source] - One JavaScript function whose first parameter is a node
+     * @param {Object} [options]
+     * @param {number} [options.stepBudget] - Steps (and loop iterations) before the run is stopped
+     * @throws {Error} If the code cannot be instrumented (messages start with the line)
+     */
+    constructor(source = DEFAULT_CUSTOM_SOURCE, { stepBudget = DEFAULT_STEP_BUDGET } = {}) {
+        this.source = source;
+        this.stepBudget = stepBudget;
+
+        const tokens = tokenizeSource(source);
+        const sig = tokens.filter(t => t.type !== 'space' && t.type !== 'newline' && t.type !== 'comment');
+        const fn = parseFunction(sig);
+        validate(sig, fn);
+        this.returnsValue = instrument(sig, fn);
+
+        this.functionName = fn.name;
+        this.headerLine = sig[0].line;
+        this.closingLine = sig[fn.bodyEnd].line;
+        this.instrumented = tokens.map(t => (t.before || '') + (t.replace || t.text) + (t.after || '')).join('');
+        this._compile({});
+    }
+
+    /**
+     * Compiles the instrumented code against a tracer
+     * @returns {Function} The user's function, calling the tracer as it runs
+     * @private
+     */
+    _compile(tracer) {
+        try {
+            return new Function('__t', `'use strict';\n${this.instrumented}\nreturn ${this.functionName};`)(tracer);
+        } catch (error) {
+            throw new Error(`Syntax error: ${error.message}`);
+        }
+    }
+
+    /**
+     * Runs the function on a copy of the tree and records its steps
+     * @param {Object|null} root - The root TreeNode
+     * @returns {ExecutionStep[]} Array of execution steps
+     * @throws {Error} If the code throws, or runs past the step budget
+     */
+    generateSteps(root) {
+        const steps = [];
+        const frames = [];
+        const budgetError = new Error(
+            `Step budget of ${this.stepBudget} exceeded - is there an infinite loop or unbounded recursion?`);
+        let work = 0;
+        let line = this.headerLine;
+        const record = (codeLine) => {
+            line = codeLine;
+            if (++work > this.stepBudget) throw budgetError;
+        };
+        const top = () => frames[frames.length - 1];
+
+        const enter = (...args) => {
+            const node = isNode(args[0]) ? args[0] : null;
+            record(this.headerLine);
+            steps.push(ExecutionStep.call(node, this.headerLine, this.returnsValue, this.functionName));
+            frames.push({ node, returnLine: null });
+            const value = raw(...args);
+            const frame = frames.pop();
+            record(frame.returnLine || this.closingLine);
+            steps.push(ExecutionStep.return(node, frame.returnLine || this.closingLine, node === null,
+                this.returnsValue ? value : undefined));
+            return value;
+        };
+
+        // Hooks that take their arguments after the line note it first
+        const tracer = {
+            call: (codeLine, side) => {
+                line = codeLine;
+                return (...args) => {
+                    const { node } = top();
+                    if (node && side) {
+                        record(codeLine);
+                        steps.push(side === 'left'
+                            ? ExecutionStep.recurseLeft(node, codeLine)
+                            : ExecutionStep.recurseRight(node, codeLine));
+                    }
+                    return enter(...args);
+                };
+            },
+            print: (codeLine) => {
+                line = codeLine;
+                return (...values) => {
+                    record(codeLine);
+                    const output = values.length === 1 && typeof values[0] === 'number'
+                        ? values[0]
+                        : values.map(display).join(' ');
+                    steps.push(ExecutionStep.print(top().node, codeLine, output));
+                };
+            },
+            check: (codeLine) => {
+                line = codeLine;
+                return (value) => {
+                    if (value === null || isNode(value)) {
+                        record(codeLine);
+                        steps.push(ExecutionStep.checkNull(value, codeLine));
+                    }
+                    return value;
+                };
+            },
+            at: (codeLine) => {
+                top().returnLine = codeLine;
+            },
+            tick: (codeLine) => {
+                record(codeLine);
+                return true;
+            },
+            set: (codeLine, name) => {
+                line = codeLine;
+                return (value) => {
+                    record(codeLine);
+                    steps.push(ExecutionStep.assign(top().node, codeLine, { [name]: display(value) }));
+                    return value;
+                };
+            }
+        };
+        const raw = this._compile(tracer);
+
+        try {
+            enter(copyWithIds(root));
+        } catch (error) {
+            if (error === budgetError) throw error;
+            if (error instanceof RangeError) {
+                throw new Error(`Line ${line}: recursion is too deep to trace (${error.message})`);
+            }
+            throw new Error(`Line ${line}: ${error.message}`);
+        }
+        return steps;
+    }
+}
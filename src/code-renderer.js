@@ -2,6 +2,71 @@
 // CODE RENDERER MODULE
 // ============================================================
 
+import { DEFAULT_CUSTOM_SOURCE } from './code-instrumenter.js';
+import { TRAVERSAL_PARTS, isTraversalOrder } from './traversal-generators.js';
+
+const KEYWORDS = new Set([
+    'void', 'int', 'boolean', 'if', 'else', 'while', 'for', 'return', 'null', 'new', 'true', 'false',
+    'function', 'let', 'const', 'var'
+]);
+
+/**
+ * Splits a line of Java-like code into syntax highlighting tokens
+ * Keywords, capitalized type names, method calls and bare variables get
+ * their own token; everything else (including `.field` accesses) is text.
+ *
+ * @param {string} text - The line of code
+ * @returns {Array<{type: string, text: string}>} Tokens
+ */
+export function tokenizeCodeLine(text) {
+    const tokens = [];
+    const pushText = (chunk) => {
+        const last = tokens[tokens.length - 1];
+        if (last && last.type === 'text') {
+            last.text += chunk;
+        } else {
+            tokens.push({ type: 'text', text: chunk });
+        }
+    };
+
+    const pattern = /[A-Za-z_][A-Za-z0-9_]*/g;
+    let lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        const word = match[0];
+        const start = match.index;
+        const end = start + word.length;
+        if (start > lastIndex) pushText(text.slice(lastIndex, start));
+        lastIndex = end;
+
+        const isField = text[start - 1] === '.';
+        const isCall = text[end] === '(';
+        if (KEYWORDS.has(word)) {
+            tokens.push({ type: 'keyword', text: word });
+        } else if (isCall) {
+            tokens.push({ type: 'method', text: word });
+        } else if (isField) {
+            pushText(word);
+        } else if (/^[A-Z]/.test(word)) {
+            tokens.push({ type: 'type', text: word });
+        } else {
+            tokens.push({ type: 'variable', text: word });
+        }
+    }
+    if (lastIndex < text.length) pushText(text.slice(lastIndex));
+
+    return tokens;
+}
+
+/**
+ * Builds a code template line with its highlighting tokens
+ * @param {string} text - The line of code
+ * @returns {{text: string, tokens: Array}} Template line
+ */
+export function codeLine(text) {
+    return { text, tokens: tokenizeCodeLine(text) };
+}
+
 /**
  * Code templates for each traversal type with syntax highlighting
  * Each line has tokens for syntax highlighting
@@ -147,13 +212,307 @@ export const CODE_TEMPLATES = {
         { text: '}', tokens: [
             { type: 'text', text: '}' }
         ]}
+    ],
+    levelorder: [
+        codeLine('void levelOrder(Node root) {'),
+        codeLine('    Queue<Node> queue = new LinkedList<>();'),
+        codeLine('    if (root != null) queue.add(root);'),
+        codeLine('    while (!queue.isEmpty()) {'),
+        codeLine('        Node node = queue.poll();'),
+        codeLine('        print(node.val);'),
+        codeLine('        if (node.left != null) queue.add(node.left);'),
+        codeLine('        if (node.right != null) queue.add(node.right);'),
+        codeLine('    }'),
+        codeLine('}')
+    ],
+    'iterative-inorder': [
+        codeLine('void inOrderIterative(Node root) {'),
+        codeLine('    Stack<Node> stack = new Stack<>();'),
+        codeLine('    Node curr = root;'),
+        codeLine('    while (curr != null || !stack.isEmpty()) {'),
+        codeLine('        while (curr != null) {'),
+        codeLine('            stack.push(curr);'),
+        codeLine('            curr = curr.left;'),
+        codeLine('        }'),
+        codeLine('        curr = stack.pop();'),
+        codeLine('        print(curr.val);'),
+        codeLine('        curr = curr.right;'),
+        codeLine('    }'),
+        codeLine('}')
+    ],
+    'iterative-preorder': [
+        codeLine('void preOrderIterative(Node root) {'),
+        codeLine('    if (root == null) return;'),
+        codeLine('    Stack<Node> stack = new Stack<>();'),
+        codeLine('    stack.push(root);'),
+        codeLine('    while (!stack.isEmpty()) {'),
+        codeLine('        Node node = stack.pop();'),
+        codeLine('        print(node.val);'),
+        codeLine('        if (node.right != null) stack.push(node.right);'),
+        codeLine('        if (node.left != null) stack.push(node.left);'),
+        codeLine('    }'),
+        codeLine('}')
+    ],
+    'iterative-postorder': [
+        codeLine('void postOrderIterative(Node root) {'),
+        codeLine('    Stack<Node> stack = new Stack<>();'),
+        codeLine('    Node curr = root, last = null;'),
+        codeLine('    while (curr != null || !stack.isEmpty()) {'),
+        codeLine('        if (curr != null) {'),
+        codeLine('            stack.push(curr);'),
+        codeLine('            curr = curr.left;'),
+        codeLine('        } else {'),
+        codeLine('            Node peek = stack.peek();'),
+        codeLine('            if (peek.right != null && last != peek.right) {'),
+        codeLine('                curr = peek.right;'),
+        codeLine('            } else {'),
+        codeLine('                print(peek.val);'),
+        codeLine('                last = stack.pop();'),
+        codeLine('            }'),
+        codeLine('        }'),
+        codeLine('    }'),
+        codeLine('}')
+    ],
+    'morris-inorder': [
+        codeLine('void morrisInorder(Node root) {'),
+        codeLine('    Node curr = root;'),
+        codeLine('    while (curr != null) {'),
+        codeLine('        if (curr.left == null) {'),
+        codeLine('            print(curr.val);'),
+        codeLine('            curr = curr.right;'),
+        codeLine('        } else {'),
+        codeLine('            Node pred = curr.left;'),
+        codeLine('            while (pred.right != null && pred.right != curr)'),
+        codeLine('                pred = pred.right;'),
+        codeLine('            if (pred.right == null) {'),
+        codeLine('                pred.right = curr;'),
+        codeLine('                curr = curr.left;'),
+        codeLine('            } else {'),
+        codeLine('                pred.right = null;'),
+        codeLine('                print(curr.val);'),
+        codeLine('                curr = curr.right;'),
+        codeLine('            }'),
+        codeLine('        }'),
+        codeLine('    }'),
+        codeLine('}')
+    ],
+    height: [
+        codeLine('int height(Node node) {'),
+        codeLine('    if (node == null) return 0;'),
+        codeLine('    int left = height(node.left);'),
+        codeLine('    int right = height(node.right);'),
+        codeLine('    return 1 + Math.max(left, right);'),
+        codeLine('}')
+    ],
+    'bst-search': [
+        codeLine('Node search(Node root, int key) {'),
+        codeLine('    Node node = root;'),
+        codeLine('    while (node != null) {'),
+        codeLine('        if (key == node.val) return node;'),
+        codeLine('        if (key < node.val) node = node.left;'),
+        codeLine('        else node = node.right;'),
+        codeLine('    }'),
+        codeLine('    return null;'),
+        codeLine('}')
+    ],
+    'bst-insert': [
+        codeLine('Node insert(Node root, int key) {'),
+        codeLine('    if (root == null) return new Node(key);'),
+        codeLine('    Node curr = root;'),
+        codeLine('    while (true) {'),
+        codeLine('        if (key < curr.val) {'),
+        codeLine('            if (curr.left == null) { curr.left = new Node(key); break; }'),
+        codeLine('            curr = curr.left;'),
+        codeLine('        } else {'),
+        codeLine('            if (curr.right == null) { curr.right = new Node(key); break; }'),
+        codeLine('            curr = curr.right;'),
+        codeLine('        }'),
+        codeLine('    }'),
+        codeLine('    return root;'),
+        codeLine('}')
+    ],
+    'bst-delete': [
+        codeLine('Node deleteNode(Node node, int key) {'),
+        codeLine('    if (node == null) return null;'),
+        codeLine('    if (key < node.val) node.left = deleteNode(node.left, key);'),
+        codeLine('    else if (key > node.val) node.right = deleteNode(node.right, key);'),
+        codeLine('    else {'),
+        codeLine('        if (node.left == null) return node.right;'),
+        codeLine('        if (node.right == null) return node.left;'),
+        codeLine('        Node succ = node.right;'),
+        codeLine('        while (succ.left != null) succ = succ.left;'),
+        codeLine('        node.val = succ.val;'),
+        codeLine('        node.right = deleteNode(node.right, succ.val);'),
+        codeLine('    }'),
+        codeLine('    return node;'),
+        codeLine('}')
+    ],
+    'avl-insert': [
+        codeLine('Node insert(Node node, int key) {'),
+        codeLine('    if (node == null) return new Node(key);'),
+        codeLine('    if (key < node.val) node.left = insert(node.left, key);'),
+        codeLine('    else node.right = insert(node.right, key);'),
+        codeLine('    int balance = height(node.left) - height(node.right);'),
+        codeLine('    if (balance > 1 && key < node.left.val) return rotateRight(node);'),
+        codeLine('    if (balance < -1 && key >= node.right.val) return rotateLeft(node);'),
+        codeLine('    if (balance > 1) { node.left = rotateLeft(node.left); return rotateRight(node); }'),
+        codeLine('    if (balance < -1) { node.right = rotateRight(node.right); return rotateLeft(node); }'),
+        codeLine('    return node;'),
+        codeLine('}')
+    ],
+    'rb-insert': [
+        codeLine('void insert(int key) {'),
+        codeLine('    Node node = bstInsert(root, key);'),
+        codeLine('    node.color = RED;'),
+        codeLine('    while (node != root && isRed(node.parent)) {'),
+        codeLine('        Node parent = node.parent, grand = parent.parent;'),
+        codeLine('        Node uncle = parent == grand.left ? grand.right : grand.left;'),
+        codeLine('        if (isRed(uncle)) {'),
+        codeLine('            parent.color = BLACK; uncle.color = BLACK; grand.color = RED;'),
+        codeLine('            node = grand;'),
+        codeLine('        } else {'),
+        codeLine('            if (node == innerChild(parent)) { rotateUp(node); node = parent; parent = node.parent; }'),
+        codeLine('            rotateUp(parent);'),
+        codeLine('            parent.color = BLACK; grand.color = RED;'),
+        codeLine('        }'),
+        codeLine('    }'),
+        codeLine('    root.color = BLACK;'),
+        codeLine('}')
+    ],
+    'heap-insert': [
+        codeLine('void insert(int key) {'),
+        codeLine('    a[n] = key; int i = n++;'),
+        codeLine('    while (i > 0 && a[(i - 1) / 2] > a[i]) {'),
+        codeLine('        swap(a, i, (i - 1) / 2);'),
+        codeLine('        i = (i - 1) / 2;'),
+        codeLine('    }'),
+        codeLine('}')
+    ],
+    'heap-extract-min': [
+        codeLine('int extractMin() {'),
+        codeLine('    if (n == 0) return EMPTY;'),
+        codeLine('    int min = a[0];'),
+        codeLine('    a[0] = a[--n];'),
+        codeLine('    siftDown(0);'),
+        codeLine('    return min;'),
+        codeLine('}'),
+        codeLine('void siftDown(int i) {'),
+        codeLine('    int smallest = i, l = 2 * i + 1, r = 2 * i + 2;'),
+        codeLine('    if (l < n && a[l] < a[smallest]) smallest = l;'),
+        codeLine('    if (r < n && a[r] < a[smallest]) smallest = r;'),
+        codeLine('    if (smallest == i) return;'),
+        codeLine('    swap(a, i, smallest);'),
+        codeLine('    siftDown(smallest);'),
+        codeLine('}')
+    ],
+    heapify: [
+        codeLine('void heapify() {'),
+        codeLine('    for (int i = n / 2 - 1; i >= 0; i--)'),
+        codeLine('        siftDown(i);'),
+        codeLine('}'),
+        codeLine('void siftDown(int i) {'),
+        codeLine('    int smallest = i, l = 2 * i + 1, r = 2 * i + 2;'),
+        codeLine('    if (l < n && a[l] < a[smallest]) smallest = l;'),
+        codeLine('    if (r < n && a[r] < a[smallest]) smallest = r;'),
+        codeLine('    if (smallest == i) return;'),
+        codeLine('    swap(a, i, smallest);'),
+        codeLine('    siftDown(smallest);'),
+        codeLine('}')
+    ],
+    invert: [
+        codeLine('void invert(Node node) {'),
+        codeLine('    if (node == null) return;'),
+        codeLine('    Node tmp = node.left;'),
+        codeLine('    node.left = node.right;'),
+        codeLine('    node.right = tmp;'),
+        codeLine('    invert(node.left);'),
+        codeLine('    invert(node.right);'),
+        codeLine('}')
+    ],
+    flatten: [
+        codeLine('void flatten(Node node) {'),
+        codeLine('    if (node == null) return;'),
+        codeLine('    flatten(node.left);'),
+        codeLine('    flatten(node.right);'),
+        codeLine('    Node right = node.right;'),
+        codeLine('    node.right = node.left;'),
+        codeLine('    node.left = null;'),
+        codeLine('    Node tail = node;'),
+        codeLine('    while (tail.right != null) tail = tail.right;'),
+        codeLine('    tail.right = right;'),
+        codeLine('}')
     ]
 };
 
 /**
  * Valid traversal types
  */
-export const TRAVERSAL_TYPES = ['inorder', 'preorder', 'postorder'];
+export const TRAVERSAL_TYPES = [
+    'inorder', 'preorder', 'postorder', 'levelorder',
+    'iterative-inorder', 'iterative-preorder', 'iterative-postorder',
+    'morris-inorder', 'height', 'bst-search', 'bst-insert', 'bst-delete',
+    'avl-insert', 'rb-insert', 'heap-insert', 'heap-extract-min', 'heapify',
+    'invert', 'flatten', 'composed', 'custom'
+];
+
+/**
+ * Lines of the 'composed' template that hold the reorderable statements
+ */
+export const COMPOSED_STATEMENT_LINES = [3, 4, 5];
+
+const COMPOSED_STATEMENTS = {
+    left: '    traverse(node.left);',
+    visit: '    print(node.val);',
+    right: '    traverse(node.right);'
+};
+
+/**
+ * The 'composed' template with its statements in the given order
+ * (the steps of ComposedOrderGenerator refer to these lines through getComposedLines)
+ * @param {Array<string>} order - A permutation of TRAVERSAL_PARTS
+ * @returns {Array} Code template
+ * @throws {Error} If the order is not a permutation of the three statements
+ */
+export function getComposedTemplate(order) {
+    if (!isTraversalOrder(order)) throw new Error(`Invalid traversal order: ${order}`);
+    return [
+        'void traverse(Node node) {',
+        '    if (node == null) return;',
+        ...order.map(part => COMPOSED_STATEMENTS[part]),
+        '}'
+    ].map(codeLine);
+}
+
+// The shared template shows the default order; a renderer shows its own (setComposedOrder)
+CODE_TEMPLATES.composed = getComposedTemplate(TRAVERSAL_PARTS);
+
+/**
+ * Move one statement of a composed order to another statement line
+ * (what dropping a dragged line does); the statements in between shift over
+ * @param {Array<string>} order - A permutation of TRAVERSAL_PARTS
+ * @param {number} fromLine - Line the statement is dragged from (one of COMPOSED_STATEMENT_LINES)
+ * @param {number} toLine - Line it is dropped on
+ * @returns {Array<string>} The new order (the same order if either line is not a statement line)
+ */
+export function moveStatement(order, fromLine, toLine) {
+    const from = COMPOSED_STATEMENT_LINES.indexOf(fromLine);
+    const to = COMPOSED_STATEMENT_LINES.indexOf(toLine);
+    if (from === -1 || to === -1) return [...order];
+    const moved = [...order];
+    const [part] = moved.splice(from, 1);
+    moved.splice(to, 0, part);
+    return moved;
+}
+
+/**
+ * Show user-written code as the 'custom' template (the steps of InstrumentedGenerator refer to its lines)
+ * @param {string} source - The code
+ */
+export function setCustomTemplate(source) {
+    CODE_TEMPLATES.custom = source.split('\n').map(codeLine);
+}
+
+setCustomTemplate(DEFAULT_CUSTOM_SOURCE);
 
 /**
  * Get the code template for a traversal type
@@ -201,6 +560,7 @@ export class CodeRenderer {
     constructor() {
         this.currentType = 'inorder';
         this.highlightedLine = 0;
+        this.composedTemplate = getCodeTemplate('composed');
     }
 
     /**
@@ -208,12 +568,21 @@ export class CodeRenderer {
      * @returns {Array} Code template
      */
     getTemplate() {
-        return getCodeTemplate(this.currentType);
+        return this.currentType === 'composed' ? this.composedTemplate : getCodeTemplate(this.currentType);
+    }
+
+    /**
+     * Show this renderer's 'composed' template with its statements in the given order
+     * @param {Array<string>} order - A permutation of TRAVERSAL_PARTS
+     * @throws {Error} If the order is not a permutation of the three statements
+     */
+    setComposedOrder(order) {
+        this.composedTemplate = getComposedTemplate(order);
     }
 
     /**
      * Set the traversal type
-     * @param {string} type - 'inorder', 'preorder', or 'postorder'
+     * @param {string} type - One of TRAVERSAL_TYPES
      */
     setTraversalType(type) {
         if (isValidTraversalType(type)) {
@@ -272,6 +641,15 @@ export class CodeRenderer {
         return this.highlightedLine === lineNumber;
     }
 
+    /**
+     * Check if a line can be dragged to reorder the statements ('composed' only)
+     * @param {number} lineNumber - 1-indexed line number
+     * @returns {boolean}
+     */
+    isStatementLine(lineNumber) {
+        return this.currentType === 'composed' && COMPOSED_STATEMENT_LINES.includes(lineNumber);
+    }
+
     /**
      * Get the text content of a specific line
      * @param {number} lineNumber - 1-indexed line number
@@ -0,0 +1,163 @@
+// ============================================================
+// DATA STACK RENDERER MODULE
+// ============================================================
+
+/**
+ * DataStackRenderer - Renders the explicit Stack<Node> used by the
+ * iterative traversals (distinct from the call stack of stack frames)
+ * Testable version with DOM rendering methods
+ */
+export class DataStackRenderer {
+    constructor(containerElement = null) {
+        this.container = containerElement;
+        this.stack = [];
+    }
+
+    /**
+     * Set the container element for DOM rendering
+     * @param {HTMLElement} element
+     */
+    setContainer(element) {
+        this.container = element;
+    }
+
+    /**
+     * Get the current stack (bottom first)
+     * @returns {Array<{nodeId: number, nodeValue: number}>}
+     */
+    getStack() {
+        return [...this.stack];
+    }
+
+    /**
+     * Get the stack size
+     * @returns {number}
+     */
+    getStackSize() {
+        return this.stack.length;
+    }
+
+    /**
+     * Check if stack is empty
+     * @returns {boolean}
+     */
+    isEmpty() {
+        return this.stack.length === 0;
+    }
+
+    /**
+     * Get the item on top of the stack (next to be popped)
+     * @returns {Object|null}
+     */
+    getTop() {
+        return this.stack.length > 0 ? this.stack[this.stack.length - 1] : null;
+    }
+
+    /**
+     * Set the entire stack (for state restoration)
+     * @param {Array<{nodeId: number, nodeValue: number}>} stack
+     */
+    setStack(stack) {
+        this.stack = stack.map(item => ({ nodeId: item.nodeId, nodeValue: item.nodeValue }));
+        this.render();
+    }
+
+    /**
+     * Push an item onto the stack
+     * @param {Object} item
+     */
+    push(item) {
+        this.stack.push(item);
+        this.render();
+    }
+
+    /**
+     * Pop the item on top of the stack
+     * @returns {Object|null}
+     */
+    pop() {
+        if (this.stack.length === 0) return null;
+        const item = this.stack.pop();
+        this.render();
+        return item;
+    }
+
+    /**
+     * Clear the stack
+     */
+    clear() {
+        this.stack = [];
+        this.render();
+    }
+
+    /**
+     * Create HTML for a single stack item
+     * @param {Object} item
+     * @param {number} index - Position from the bottom (0 = bottom)
+     * @returns {string}
+     */
+    createItemHTML(item, index) {
+        const classes = ['data-stack-item'];
+        if (index === this.stack.length - 1) classes.push('top');
+        return `<div class="${classes.join(' ')}" data-index="${index}">${this.escapeHtml(item.nodeValue)}</div>`;
+    }
+
+    /**
+     * Escape HTML special characters
+     * @param {string} text
+     * @returns {string}
+     */
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Render the stack to the container
+     */
+    render() {
+        if (!this.container) return;
+
+        if (this.stack.length === 0) {
+            this.container.innerHTML = '<div class="data-stack-empty">Stack is empty</div>';
+            return;
+        }
+
+        // Render top first (LIFO visual, like the call stack panel)
+        let html = '';
+        for (let i = this.stack.length - 1; i >= 0; i--) {
+            html += this.createItemHTML(this.stack[i], i);
+        }
+        this.container.innerHTML = html;
+    }
+
+    /**
+     * Get visual order of items (for testing LIFO display)
+     * Returns array from top of display to bottom
+     * @returns {Object[]}
+     */
+    getVisualOrder() {
+        return [...this.stack].reverse();
+    }
+
+    /**
+     * Check if visual order is LIFO (most recent push at the top)
+     * @returns {boolean}
+     */
+    isVisualOrderLIFO() {
+        if (this.stack.length <= 1) return true;
+        return this.getVisualOrder()[0] === this.stack[this.stack.length - 1];
+    }
+
+    /**
+     * Check if stack contains an item for the given node id
+     * @param {number} nodeId
+     * @returns {boolean}
+     */
+    hasItemWithNodeId(nodeId) {
+        return this.stack.some(item => item.nodeId === nodeId);
+    }
+}
@@ -3,9 +3,27 @@
 // ============================================================
 
 import { StateManager } from './state-manager.js';
-import { getTraversalGenerator } from './traversal-generators.js';
-import { StepType, StackAction, NodeState, StackFrame } from './execution-step.js';
+import { getTraversalGenerator, iterateSteps } from './traversal-generators.js';
+import { StepType, StackAction, QueueAction, DataStackAction, ThreadAction, NodeState, StackFrame } from './execution-step.js';
 import { createDefaultTree, getAllNodes } from './tree-model.js';
+import { indexNodes, applyMutations, snapshotStructure, restoreStructure } from './tree-mutations.js';
+import { BreakpointManager, createBreakpointContext } from './breakpoints.js';
+import { Granularity, isGranularity, isStepShown } from './step-granularity.js';
+
+/**
+ * Checkpoints kept along the trace (besides the one at the start)
+ * Steps are produced lazily, so the trace's length is not known up front: once
+ * there are more, the interval doubles and every other checkpoint is dropped, so
+ * memory stays bounded however long the trace is. Stepping back keeps up to as
+ * many again, closer together, in the stretch it is stepping through.
+ */
+export const CHECKPOINT_LIMIT = 64;
+
+/**
+ * Steps between checkpoints at the start of a trace; short traces replay so
+ * quickly that checkpointing every step would only cost memory
+ */
+export const MIN_CHECKPOINT_INTERVAL = 16;
 
 /**
  * ExecutionEngine - Controls the traversal execution flow
@@ -16,7 +34,17 @@ export class ExecutionEngine {
         this._stateManager = new StateManager();
         this._tree = tree || createDefaultTree();
         this._steps = [];
+        this._shownCounts = [];
+        this._stepSource = null;
+        this._options = {};
+        this._checkpointInterval = MIN_CHECKPOINT_INTERVAL;
+        this._structure = null;
         this._playIntervalId = null;
+        this._breakpoints = new BreakpointManager();
+        this._breakpointHit = null;
+        this._breakpointContext = null;
+        this._granularity = Granularity.FULL;
+        this._captureStructure();
     }
 
     /**
@@ -27,6 +55,74 @@ export class ExecutionEngine {
         return this._stateManager;
     }
 
+    /**
+     * Gets the breakpoints that play() and runToBreakpoint() stop at
+     * @returns {BreakpointManager}
+     */
+    getBreakpoints() {
+        return this._breakpoints;
+    }
+
+    /**
+     * Gets the breakpoint the current step hit, if the last nextStep stopped at one
+     * @returns {Object|null}
+     */
+    getBreakpointHit() {
+        return this._breakpointHit;
+    }
+
+    /**
+     * Gets how much of the trace stepping stops on
+     * @returns {string} One of Granularity
+     */
+    getGranularity() {
+        return this._granularity;
+    }
+
+    /**
+     * Sets how much of the trace stepping stops on
+     * Kept across traversals. If the current step is one the granularity hides,
+     * the view moves back to the last shown step before it.
+     * @param {string} granularity - One of Granularity
+     * @throws {Error} If the granularity is unknown
+     */
+    setGranularity(granularity) {
+        if (!isGranularity(granularity)) {
+            throw new Error(`Unknown granularity: ${granularity} (use one of ${Object.values(Granularity).join(', ')})`);
+        }
+        this._granularity = granularity;
+        this._countShownSteps();
+        const currentIndex = this.getCurrentStepIndex();
+        if (currentIndex >= 0 && !this._isShown(currentIndex)) {
+            this.seek(this._previousShownIndex(currentIndex));
+        }
+    }
+
+    /**
+     * Gets the number of steps produced so far that stepping stops on at the current
+     * granularity (all of them once the trace has been read to its end)
+     * @returns {number}
+     */
+    getShownStepCount() {
+        const count = this._shownCountThrough(this._steps.length - 1);
+        // The last step is shown whatever it is, once it is known to be the last
+        const last = this._steps[this._steps.length - 1];
+        return this._stepSource === null && last && !isStepShown(last, this._granularity) ? count + 1 : count;
+    }
+
+    /**
+     * Gets how many shown steps have run, up to and including the current one
+     * (what the step counter shows at granularities that hide steps)
+     * @returns {number}
+     */
+    getShownStepPosition() {
+        const currentIndex = this.getCurrentStepIndex();
+        const position = this._shownCountThrough(currentIndex);
+        return currentIndex >= 0 && !isStepShown(this._steps[currentIndex], this._granularity) && this._isShown(currentIndex)
+            ? position + 1
+            : position;
+    }
+
     /**
      * Gets the tree instance
      * @returns {Object} TreeNode root
@@ -36,97 +132,290 @@ export class ExecutionEngine {
     }
 
     /**
-     * Gets all generated steps
+     * Replaces the tree and re-initializes with the current traversal type
+     * Used after the tree is edited so the steps always match the tree on screen.
+     * @param {Object|null} root - New TreeNode root
+     */
+    setTree(root) {
+        this._tree = root;
+        this._captureStructure();
+        this.initialize(this.getTraversalType(), this._options);
+    }
+
+    /**
+     * Gets the options the steps were generated with (e.g. the BST key)
+     * @returns {Object}
+     */
+    getOptions() {
+        return this._options;
+    }
+
+    /**
+     * Gets all steps of the trace
+     * Produces any steps not produced yet, so on a very large tree this costs
+     * the whole trace; stepping and seeking only produce what they reach.
      * @returns {Array} ExecutionStep array
      */
     getSteps() {
+        this._stepAt(Infinity);
         return this._steps;
     }
 
     /**
-     * Initialize the engine with a traversal type
-     * Generates all execution steps and resets state
-     * @param {'inorder'|'preorder'|'postorder'} type - Traversal type
+     * Gets the number of steps produced so far (all of them once the trace has been read to its end)
+     * @returns {number}
      */
-    initialize(type = 'inorder') {
-        // Stop any ongoing playback
-        this.pause();
+    getGeneratedStepCount() {
+        return this._steps.length;
+    }
 
-        // Generate steps for the traversal
-        const generator = getTraversalGenerator(type);
-        this._steps = generator.generateSteps(this._tree);
+    /**
+     * Initialize the engine with a traversal type
+     * Starts producing execution steps and resets state. Generators that can
+     * produce their steps one at a time are only asked for each step when it is
+     * first reached; the others generate them all here. Any structural changes
+     * made by the previous trace are undone first, so the steps always start
+     * from the tree as it was given.
+     * @param {string} type - Traversal type (one of TRAVERSAL_TYPES)
+     * @param {Object} [options] - Generator options (see getTraversalGenerator)
+     * @throws {Error} If the generator rejects the options
+     */
+    initialize(type = 'inorder', options = {}) {
+        // Generate steps for the traversal (before anything changes, in case the options are rejected)
+        const generator = getTraversalGenerator(type, options);
 
-        // Reset state
-        this._stateManager.reset();
-        this._stateManager.setTraversalType(type);
+        this._stateManager.batch(() => {
+            // Stop any ongoing playback
+            this.pause();
+            this._restoreStructure();
+
+            this._options = options;
+            this._steps = [];
+            this._stepSource = iterateSteps(generator, this._tree);
+            this._countShownSteps();
+
+            // Reset state
+            this._breakpointHit = null;
+            this._breakpointContext = null;
+            this._stateManager.reset();
+            this._stateManager.setTraversalType(type);
+
+            // Initialize all nodes to unvisited
+            const nodeIds = getAllNodes(this._tree).map(n => n.id);
+            this._stateManager.resetNodeStates(nodeIds);
+            this._startCheckpoints();
+        });
+    }
 
-        // Initialize all nodes to unvisited
-        const nodeValues = getAllNodes(this._tree).map(n => n.value);
-        this._stateManager.resetNodeStates(nodeValues);
+    /**
+     * Replace the steps with ones produced elsewhere and reset state
+     * The traversal type is kept (it names the stack frames).
+     * @param {Array} steps - ExecutionStep array for the current tree
+     */
+    loadSteps(steps) {
+        const type = this.getTraversalType();
+        this._steps = steps;
+        this._stepSource = null;
+        this._countShownSteps();
+        this._stateManager.batch(() => {
+            this.reset();
+            this._stateManager.setTraversalType(type);
+        });
     }
 
     /**
      * Advance to the next execution step
+     * At a granularity that hides steps, this runs every hidden step up to the next
+     * shown one. Only the shown step is checked against breakpoints.
      * @returns {boolean} True if advanced, false if at end
      */
     nextStep() {
-        const state = this._stateManager.getState();
-        const nextIndex = state.currentStepIndex + 1;
+        const state = this._liveState();
+        const nextIndex = this._nextShownIndex(state.currentStepIndex);
 
         // Check if we're at the end
-        if (nextIndex >= this._steps.length) {
+        if (nextIndex < 0) {
             return false;
         }
+        const step = this._steps[nextIndex];
 
-        // Save current state to history before advancing
-        this._stateManager.pushHistory();
+        // Breakpoints compare the step with the one before it (kept from the last
+        // check when that was the step before, so a loop over one line is followed)
+        const checkBreakpoints = this._breakpoints.getAll().length > 0;
+        let previous = null;
+        if (checkBreakpoints && state.currentStepIndex >= 0) {
+            const last = this._breakpointContext;
+            previous = last && last.step === state.currentStepIndex + 1
+                ? last
+                : createBreakpointContext(this._steps[state.currentStepIndex], state.currentStepIndex, state);
+        }
 
-        // Get the next step
-        const step = this._steps[nextIndex];
+        // Apply the step, and any hidden steps before it, as one change to subscribers
+        const currentIndex = state.currentStepIndex;
+        this._stateManager.batch(() => {
+            for (let i = currentIndex + 1; i <= nextIndex; i++) {
+                this._applyStep(this._steps[i], i);
+            }
 
-        // Apply the step
-        this._applyStep(step, nextIndex);
+            this._breakpointContext = checkBreakpoints
+                ? createBreakpointContext(step, nextIndex, this._liveState(), previous)
+                : null;
+            this._breakpointHit = checkBreakpoints
+                ? this._breakpoints.check(this._breakpointContext, previous)
+                : null;
+        });
 
         return true;
     }
 
     /**
-     * Revert to the previous execution step
+     * Advance until a step hits a breakpoint, or to the end of the trace
+     * @returns {Object|null} The breakpoint hit, or null if the trace ended first
+     */
+    runToBreakpoint() {
+        while (this.nextStep()) {
+            if (this._breakpointHit) return this._breakpointHit;
+        }
+        return null;
+    }
+
+    /**
+     * Step into: advance one step, following calls into the callee
+     * @returns {boolean} True if advanced, false if at end
+     */
+    stepInto() {
+        return this.nextStep();
+    }
+
+    /**
+     * Step over: advance one step, and if that starts a call, run the whole call and
+     * stop at the next step back in the current frame (or where the frame itself returns)
+     * Like every run below, it stops early on a step that hits a breakpoint.
+     * @returns {boolean} True if advanced, false if at end
+     */
+    stepOver() {
+        const depth = this._liveState().callStack.length;
+        let wentDeeper = false;
+        return this._advanceWhile((step, current) => {
+            if (current > depth) wentDeeper = true;
+            // Keep going inside the callee, and past the step that returns from it
+            return current > depth || (wentDeeper && current === depth && step.stackAction === StackAction.POP);
+        });
+    }
+
+    /**
+     * Step out: run until the current frame returns, and stop on that RETURN
+     * (with no frame on the stack this runs to the end)
+     * @returns {boolean} True if advanced, false if at end
+     */
+    stepOut() {
+        const depth = this._liveState().callStack.length;
+        return this._advanceWhile((step, current) => current >= depth);
+    }
+
+    /**
+     * Run to cursor: advance to the next step on a code line
+     * @param {number} line - 1-indexed code line
+     * @returns {boolean} True if a step on the line was reached (false if the trace ended,
+     *   or a breakpoint stopped the run first)
+     */
+    runToLine(line) {
+        let reached = false;
+        this._advanceWhile((step) => {
+            reached = step.codeLine === line;
+            return !reached;
+        });
+        return reached;
+    }
+
+    /**
+     * Advance at least one step, then keep going while the condition holds, the trace
+     * has steps left and no breakpoint is hit
+     * @param {Function} shouldContinue - Called with (step, callStackDepth) after each step
+     * @returns {boolean} True if advanced at all
+     * @private
+     */
+    _advanceWhile(shouldContinue) {
+        // A step may run hidden steps too, so the depth is read from the state
+        const depth = () => this._liveState().callStack.length;
+        let advanced = false;
+        while (this.nextStep()) {
+            advanced = true;
+            if (!shouldContinue(this.getCurrentStep(), depth()) || this._breakpointHit) break;
+        }
+        return advanced;
+    }
+
+    /**
+     * Revert to the previous execution step (the previous shown one, at a
+     * granularity that hides steps)
      * @returns {boolean} True if reverted, false if at start
      */
     previousStep() {
-        const state = this._stateManager.getState();
+        const currentIndex = this.getCurrentStepIndex();
 
         // Check if we're at the start
-        if (state.currentStepIndex < 0) {
+        if (currentIndex < 0) {
             return false;
         }
+        return this.seek(this._previousShownIndex(currentIndex));
+    }
 
-        // Pop the previous state from history
-        const previousState = this._stateManager.popHistory();
-
-        if (previousState) {
-            this._stateManager.setState(previousState);
-            return true;
+    /**
+     * Jump straight to any step (-1 is the start, before the first step)
+     * Restores the latest checkpoint at or before the step and replays forward from
+     * it, or just replays forward from the current step when that is closer. Going
+     * back, the stretch replayed is checkpointed more finely on the way, so the next
+     * steps back replay only a few steps each. Steps passed on the way do not stop
+     * at breakpoints.
+     * @param {number} index - Step index (clamped to -1 .. last step)
+     * @returns {boolean} True if the current step changed
+     */
+    seek(index) {
+        this._stepAt(index);
+        const target = Math.max(-1, Math.min(index, this._steps.length - 1));
+        const currentIndex = this.getCurrentStepIndex();
+        if (target === currentIndex) {
+            return false;
         }
+        this._breakpointHit = null;
 
-        return false;
+        // Subscribers only see the step arrived at, not the ones replayed on the way
+        this._stateManager.batch(() => {
+            const checkpoint = this._stateManager.getCheckpointBefore(target);
+            if (checkpoint && (target < currentIndex || checkpoint.state.currentStepIndex > currentIndex)) {
+                this._restoreCheckpoint(checkpoint);
+            }
+            const fine = target < currentIndex ? this._fineCheckpointInterval(target) : 0;
+            for (let i = this.getCurrentStepIndex() + 1; i <= target; i++) {
+                this._applyStep(this._steps[i], i);
+                if (fine > 0 && (i + 1) % fine === 0 && !this._stateManager.hasCheckpoint(i)) {
+                    this._saveCheckpoint();
+                }
+            }
+        });
+        return true;
     }
 
     /**
      * Reset the visualization to initial state
      */
     reset() {
-        // Stop any ongoing playback
-        this.pause();
-
-        // Reset state manager (clears history too)
-        this._stateManager.reset();
+        this._stateManager.batch(() => {
+            // Stop any ongoing playback
+            this.pause();
 
-        // Preserve traversal type and reinitialize node states
-        const state = this._stateManager.getState();
-        const nodeValues = getAllNodes(this._tree).map(n => n.value);
-        this._stateManager.resetNodeStates(nodeValues);
+            // Reset state manager (clears checkpoints too) and undo structural changes
+            this._breakpointHit = null;
+            this._breakpointContext = null;
+            this._stateManager.reset();
+            this._restoreStructure();
+
+            // Preserve traversal type and reinitialize node states
+            const nodeIds = getAllNodes(this._tree).map(n => n.id);
+            this._stateManager.resetNodeStates(nodeIds);
+            this._startCheckpoints();
+        });
     }
 
     /**
@@ -134,7 +423,7 @@ export class ExecutionEngine {
      * @returns {boolean}
      */
     isAtStart() {
-        return this._stateManager.getState().currentStepIndex < 0;
+        return this._liveState().currentStepIndex < 0;
     }
 
     /**
@@ -142,8 +431,7 @@ export class ExecutionEngine {
      * @returns {boolean}
      */
     isAtEnd() {
-        const state = this._stateManager.getState();
-        return state.currentStepIndex >= this._steps.length - 1;
+        return this._stepAt(this.getCurrentStepIndex() + 1) === undefined;
     }
 
     /**
@@ -151,7 +439,7 @@ export class ExecutionEngine {
      * @returns {Object|null} Current ExecutionStep or null
      */
     getCurrentStep() {
-        const state = this._stateManager.getState();
+        const state = this._liveState();
         if (state.currentStepIndex < 0 || state.currentStepIndex >= this._steps.length) {
             return null;
         }
@@ -163,7 +451,7 @@ export class ExecutionEngine {
      * @returns {number}
      */
     getCurrentStepIndex() {
-        return this._stateManager.getState().currentStepIndex;
+        return this._liveState().currentStepIndex;
     }
 
     /**
@@ -179,28 +467,30 @@ export class ExecutionEngine {
      * @returns {string}
      */
     getTraversalType() {
-        return this._stateManager.getState().traversalType;
+        return this._liveState().traversalType;
     }
 
     /**
      * Get total number of steps
+     * Like getSteps, this produces the whole trace.
      * @returns {number}
      */
     getTotalSteps() {
-        return this._steps.length;
+        return this.getSteps().length;
     }
 
     /**
      * Start auto-play
+     * Playback pauses at the end, or on the first step that hits a breakpoint.
      */
     play() {
         if (this._playIntervalId !== null) return;
 
         this._stateManager.setPlaying(true);
-        const speed = this._stateManager.getState().animationSpeed;
+        const speed = this._liveState().animationSpeed;
 
         this._playIntervalId = setInterval(() => {
-            if (!this.nextStep()) {
+            if (!this.nextStep() || this._breakpointHit) {
                 this.pause();
             }
         }, speed);
@@ -222,7 +512,7 @@ export class ExecutionEngine {
      * @returns {boolean}
      */
     isPlaying() {
-        return this._stateManager.getState().isPlaying;
+        return this._liveState().isPlaying;
     }
 
     /**
@@ -240,12 +530,175 @@ export class ExecutionEngine {
     }
 
     /**
-     * Subscribe to state changes
-     * @param {Function} callback - Callback function
+     * Subscribe to state changes (see StateManager.subscribe)
+     * Each step, seek, reset and initialize reaches subscribers as a single change.
+     * @param {Function} selectorOrCallback - Selector (state -> slice), or the callback alone
+     * @param {Function} [callback] - Called with (slice, previousSlice) when the slice changes
+     * @param {Function} [equals] - Compares two slices (defaults to Object.is)
      * @returns {Function} Unsubscribe function
      */
-    subscribe(callback) {
-        return this._stateManager.subscribe(callback);
+    subscribe(selectorOrCallback, callback, equals) {
+        return this._stateManager.subscribe(selectorOrCallback, callback, equals);
+    }
+
+    /**
+     * The state as it is, for the engine's own reads (getState copies it, which costs
+     * as much as the tree is large)
+     * @returns {Object} Current AppState, not to be changed or kept
+     * @private
+     */
+    _liveState() {
+        return this._stateManager.peekState();
+    }
+
+    /**
+     * Record the tree's current shape as the start of every trace
+     * @private
+     */
+    _captureStructure() {
+        this._nodes = indexNodes(this._tree);
+        this._initialStructure = snapshotStructure(this._tree);
+    }
+
+    /**
+     * Relink the tree back into the recorded starting shape
+     * @private
+     */
+    _restoreStructure() {
+        this._tree = restoreStructure(this._initialStructure, this._nodes);
+    }
+
+    /**
+     * Start the checkpoint interval over and checkpoint the start
+     * @private
+     */
+    _startCheckpoints() {
+        this._checkpointInterval = MIN_CHECKPOINT_INTERVAL;
+        this._structure = null;
+        this._saveCheckpoint();
+    }
+
+    /**
+     * Checkpoint the current state with the tree's shape
+     * Every indexed node is recorded, including those the trace has unlinked; while no
+     * step has changed the tree since the last checkpoint, its record is shared.
+     * @private
+     */
+    _saveCheckpoint() {
+        if (this._structure === null) {
+            this._structure = snapshotStructure(this._tree, this._nodes);
+        }
+        this._stateManager.saveCheckpoint(this._structure);
+    }
+
+    /**
+     * Steps between the extra checkpoints kept while stepping back through the stretch
+     * between two checkpoints that holds a step; those kept for any other stretch are dropped
+     * There are at most CHECKPOINT_LIMIT of them, and never fewer than
+     * MIN_CHECKPOINT_INTERVAL steps apart.
+     * @param {number} index - Step index being sought
+     * @returns {number} The interval, or 0 if the checkpoints are already that close
+     * @private
+     */
+    _fineCheckpointInterval(index) {
+        const interval = this._checkpointInterval;
+        const fine = Math.max(MIN_CHECKPOINT_INTERVAL, interval / CHECKPOINT_LIMIT);
+        if (fine >= interval) return 0;
+        const start = Math.floor((index + 1) / interval) * interval;
+        this._stateManager.retainCheckpoints(at =>
+            at < 0 || (at + 1) % interval === 0 || (at >= start && at < start + interval));
+        return fine;
+    }
+
+    /**
+     * Whether stepping stops on a step at the current granularity (the last step always counts)
+     * @param {number} index - Step index
+     * @returns {boolean}
+     * @private
+     */
+    _isShown(index) {
+        const step = this._stepAt(index);
+        return step !== undefined && (isStepShown(step, this._granularity) || this._stepAt(index + 1) === undefined);
+    }
+
+    /**
+     * Index of the first shown step after a step
+     * @param {number} index - Step index (-1 for the start)
+     * @returns {number} The step index, or -1 if there is none
+     * @private
+     */
+    _nextShownIndex(index) {
+        for (let i = index + 1; this._stepAt(i) !== undefined; i++) {
+            if (this._isShown(i)) return i;
+        }
+        return -1;
+    }
+
+    /**
+     * Index of the last shown step before a step
+     * @param {number} index - Step index
+     * @returns {number} The step index, or -1 (the start) if there is none
+     * @private
+     */
+    _previousShownIndex(index) {
+        for (let i = index - 1; i >= 0; i--) {
+            if (this._isShown(i)) return i;
+        }
+        return -1;
+    }
+
+    /**
+     * Gets a step, producing the steps up to it if they have not been produced yet
+     * @param {number} index - Step index
+     * @returns {Object|undefined} The ExecutionStep, or undefined past the end of the trace
+     * @private
+     */
+    _stepAt(index) {
+        while (this._stepSource !== null && this._steps.length <= index) {
+            const { value, done } = this._stepSource.next();
+            if (done) {
+                this._stepSource = null;
+            } else {
+                this._steps.push(value);
+                this._shownCounts.push(this._shownCountThrough(this._steps.length - 2) +
+                    (isStepShown(value, this._granularity) ? 1 : 0));
+            }
+        }
+        return this._steps[index];
+    }
+
+    /**
+     * Count again, for each step produced so far, the steps up to it the granularity shows
+     * (the last step of the trace aside, which is always shown)
+     * @private
+     */
+    _countShownSteps() {
+        let count = 0;
+        this._shownCounts = this._steps.map(step => (count += isStepShown(step, this._granularity) ? 1 : 0));
+    }
+
+    /**
+     * Number of steps up to and including a step that the granularity shows, by their type
+     * @param {number} index - Step index (-1 for none), of a step already produced
+     * @returns {number}
+     * @private
+     */
+    _shownCountThrough(index) {
+        return index < 0 ? 0 : this._shownCounts[index];
+    }
+
+    /**
+     * Go back to a checkpoint, keeping the playback settings
+     * @param {{state: Object, extra: Object}} checkpoint - From getCheckpointBefore
+     * @private
+     */
+    _restoreCheckpoint(checkpoint) {
+        const { traversalType, isPlaying, animationSpeed } = this._liveState();
+        if (checkpoint.extra !== this._structure) {
+            this._tree = restoreStructure(checkpoint.extra, this._nodes);
+            this._structure = checkpoint.extra;
+        }
+        this._stateManager.restoreCheckpoint(checkpoint, { traversalType, isPlaying, animationSpeed });
     }
 
     /**
@@ -255,35 +708,98 @@ export class ExecutionEngine {
      * @private
      */
     _applyStep(step, stepIndex) {
-        // Update step index
-        this._stateManager.setStepIndex(stepIndex);
+        // Update step index and highlighted line
+        this._stateManager.setState({ currentStepIndex: stepIndex, highlightedLine: step.codeLine });
+
+        // Structural changes happen before node states are set; stepping back
+        // restores the tree's shape from a checkpoint instead of undoing them
+        if (step.mutations.length > 0) {
+            this._tree = applyMutations(this._tree, step.mutations, this._nodes);
+            this._structure = null;
+        }
 
-        // Update highlighted line
-        this._stateManager.setHighlightedLine(step.codeLine);
+        // A value returned into a frame is only shown for one step
+        const callStack = this._liveState().callStack;
+        if (callStack.length > 0 && callStack[callStack.length - 1].incoming) {
+            this._stateManager.updateTopFrame({ incoming: null });
+        }
 
         // Handle stack action
         if (step.stackAction === StackAction.PUSH) {
-            const traversalType = this._stateManager.getState().traversalType;
-            const functionName = this._getFunctionName(traversalType);
+            const traversalType = this._liveState().traversalType;
+            const functionName = step.functionName || this._getFunctionName(traversalType);
             const frame = new StackFrame({
                 functionName,
+                nodeId: step.nodeId,
                 nodeValue: step.nodeValue,
-                returnAddress: `line ${step.codeLine}`
+                returnAddress: `line ${step.codeLine}`,
+                returnsValue: step.returnsValue
             });
             this._stateManager.pushCallStack(frame);
         } else if (step.stackAction === StackAction.POP) {
-            this._stateManager.popCallStack();
+            const frame = this._stateManager.popCallStack();
+            // The returned value flows into the caller's frame
+            if (frame && step.returnValue !== undefined) {
+                const from = `${frame.functionName}(${frame.nodeValue !== null ? frame.nodeValue : 'null'})`;
+                this._stateManager.updateTopFrame({ incoming: { value: step.returnValue, from } });
+            }
+        }
+
+        // Handle locals and return values of the current frame
+        if (step.stackAction !== StackAction.POP && step.returnValue !== undefined) {
+            this._stateManager.updateTopFrame({ returnValue: step.returnValue });
+        }
+        if (step.locals) {
+            this._stateManager.updateTopFrame({ locals: step.locals });
+        }
+
+        // Handle queue action (level-order traversal)
+        if (step.queueAction === QueueAction.ENQUEUE) {
+            this._stateManager.enqueue({ nodeId: step.nodeId, nodeValue: step.nodeValue });
+        } else if (step.queueAction === QueueAction.DEQUEUE) {
+            this._stateManager.dequeue();
+        }
+
+        // Handle data stack action (iterative traversals)
+        if (step.dataStackAction === DataStackAction.PUSH) {
+            this._stateManager.pushDataStack({ nodeId: step.nodeId, nodeValue: step.nodeValue });
+        } else if (step.dataStackAction === DataStackAction.POP) {
+            this._stateManager.popDataStack();
+        }
+
+        // Handle thread action (Morris traversal)
+        if (step.threadAction === ThreadAction.CREATE) {
+            this._stateManager.addThread({ fromId: step.nodeId, toId: step.threadTargetId });
+        } else if (step.threadAction === ThreadAction.REMOVE) {
+            this._stateManager.removeThread(step.nodeId);
         }
 
         // Update node state (only for non-null nodes)
-        if (step.nodeValue !== null) {
-            this._stateManager.setNodeState(step.nodeValue, step.nodeState);
+        if (step.nodeId !== null) {
+            this._stateManager.setNodeState(step.nodeId, step.nodeState);
         }
 
-        // Track output for PROCESS_NODE steps
-        if (step.type === StepType.PROCESS_NODE && step.nodeValue !== null) {
+        // A node's resolved return value becomes its badge once its frame pops
+        if (step.type === StepType.RETURN && step.nodeId !== null && step.returnValue !== undefined) {
+            this._stateManager.setNodeBadge(step.nodeId, step.returnValue);
+        }
+
+        // Track output for PROCESS_NODE and VISIT steps
+        const isVisit = step.type === StepType.PROCESS_NODE || step.type === StepType.VISIT;
+        if (isVisit && step.nodeValue !== null) {
             this._stateManager.addToOutput(step.nodeValue);
         }
+
+        // Every so many steps, checkpoint so seek() never replays more than that; past
+        // CHECKPOINT_LIMIT, the interval doubles and only the checkpoints on it are kept
+        if ((stepIndex + 1) % this._checkpointInterval === 0 && !this._stateManager.hasCheckpoint(stepIndex)) {
+            this._saveCheckpoint();
+            if ((stepIndex + 1) / this._checkpointInterval > CHECKPOINT_LIMIT) {
+                const interval = this._checkpointInterval * 2;
+                this._checkpointInterval = interval;
+                this._stateManager.retainCheckpoints(index => index < 0 || (index + 1) % interval === 0);
+            }
+        }
     }
 
     /**
@@ -296,6 +812,23 @@ export class ExecutionEngine {
         switch (type) {
             case 'preorder': return 'preOrder';
             case 'postorder': return 'postOrder';
+            case 'levelorder': return 'levelOrder';
+            case 'iterative-inorder': return 'inOrderIterative';
+            case 'iterative-preorder': return 'preOrderIterative';
+            case 'iterative-postorder': return 'postOrderIterative';
+            case 'morris-inorder': return 'morrisInorder';
+            case 'height': return 'height';
+            case 'bst-search': return 'search';
+            case 'bst-insert': return 'insert';
+            case 'bst-delete': return 'deleteNode';
+            case 'avl-insert': return 'insert';
+            case 'rb-insert': return 'insert';
+            case 'heap-insert': return 'insert';
+            case 'heap-extract-min': return 'extractMin';
+            case 'heapify': return 'heapify';
+            case 'invert': return 'invert';
+            case 'flatten': return 'flatten';
+            case 'composed': return 'traverse';
             case 'inorder':
             default: return 'inOrder';
         }
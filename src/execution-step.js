@@ -2,6 +2,8 @@
 // EXECUTION STEP MODEL
 // ============================================================
 
+import { MutationOp } from './tree-mutations.js';
+
 /**
  * Types of execution steps
  * @enum {string}
@@ -12,7 +14,24 @@ export const StepType = {
     PROCESS_NODE: 'PROCESS_NODE',   // Processing/visiting the current node
     RECURSE_LEFT: 'RECURSE_LEFT',   // About to recurse left
     RECURSE_RIGHT: 'RECURSE_RIGHT', // About to recurse right
-    RETURN: 'RETURN'                // Returning from function (pop stack frame)
+    RETURN: 'RETURN',               // Returning from function (pop stack frame)
+    ENQUEUE: 'ENQUEUE',             // Adding a node to the back of the queue
+    DEQUEUE: 'DEQUEUE',             // Removing a node from the front of the queue
+    VISIT: 'VISIT',                 // Visiting/printing a node taken from a queue or data stack
+    STACK_PUSH: 'STACK_PUSH',       // Pushing a node onto the explicit data stack
+    STACK_POP: 'STACK_POP',         // Popping a node off the explicit data stack
+    STACK_PEEK: 'STACK_PEEK',       // Looking at the top of the data stack without popping
+    FIND_PREDECESSOR: 'FIND_PREDECESSOR', // Walking right to find the inorder predecessor (Morris)
+    THREAD_CREATE: 'THREAD_CREATE', // Pointing a predecessor's right pointer back at the current node
+    THREAD_REMOVE: 'THREAD_REMOVE', // Restoring a threaded right pointer to null
+    ASSIGN: 'ASSIGN',               // Assigning local variables in the current frame
+    COMPARE: 'COMPARE',             // Comparing a search key with a node (BST operations)
+    INSERT_NODE: 'INSERT_NODE',     // Creating a node and linking it into the tree
+    SET_VALUE: 'SET_VALUE',         // Overwriting a node's value (e.g. with its successor's)
+    RELINK: 'RELINK',               // Pointing a node's child pointers at other nodes
+    ROTATE: 'ROTATE',               // Rotating a subtree left or right (AVL and red-black rebalancing)
+    RECOLOR: 'RECOLOR',             // Painting nodes red or black (red-black trees)
+    SWAP: 'SWAP'                    // Swapping two array elements (heap sift-up and sift-down)
 };
 
 /**
@@ -36,6 +55,49 @@ export const StackAction = {
     NONE: 'none'
 };
 
+/**
+ * Queue actions that can occur during a step (level-order traversal)
+ * @enum {string}
+ */
+export const QueueAction = {
+    ENQUEUE: 'enqueue',
+    DEQUEUE: 'dequeue',
+    NONE: 'none'
+};
+
+/**
+ * Data stack actions that can occur during a step (iterative traversals)
+ * This is the program's own Stack<Node>, separate from the call stack.
+ * @enum {string}
+ */
+export const DataStackAction = {
+    PUSH: 'push',
+    POP: 'pop',
+    NONE: 'none'
+};
+
+/**
+ * Thread actions that can occur during a step (Morris traversal)
+ * A thread is a temporary right pointer from a node back to its inorder successor.
+ * @enum {string}
+ */
+export const ThreadAction = {
+    CREATE: 'create',
+    REMOVE: 'remove',
+    NONE: 'none'
+};
+
+/**
+ * Extracts the id and display value of a node (both null for a null child)
+ * @param {TreeNode|null} node - The node
+ * @returns {{nodeId: number|null, nodeValue: number|null}}
+ */
+function nodeRef(node) {
+    return node
+        ? { nodeId: node.id, nodeValue: node.value }
+        : { nodeId: null, nodeValue: null };
+}
+
 /**
  * Represents a single execution step in the traversal
  */
@@ -43,49 +105,83 @@ export class ExecutionStep {
     /**
      * @param {Object} params - Step parameters
      * @param {string} params.type - The type of step (from StepType enum)
+     * @param {number|null} [params.nodeId] - The id of the node being processed (null for null checks)
      * @param {number|null} params.nodeValue - The value of the node being processed (null for null checks)
      * @param {number} params.codeLine - 1-indexed line number to highlight
      * @param {string} params.stackAction - Stack action to perform (from StackAction enum)
      * @param {string} params.nodeState - State to set on the tree node (from NodeState enum)
+     * @param {string} [params.queueAction] - Queue action to perform (from QueueAction enum)
+     * @param {string} [params.dataStackAction] - Data stack action to perform (from DataStackAction enum)
+     * @param {string} [params.threadAction] - Thread action to perform (from ThreadAction enum)
+     * @param {number|null} [params.threadTargetId] - Id of the node a thread points to
+     * @param {Object|null} [params.locals] - Local variables to assign in the top frame (after any push)
+     * @param {*} [params.returnValue] - Value returned by the top frame (undefined for none);
+     *   on a pop it flows into the caller's frame
+     * @param {boolean} [params.returnsValue] - Whether a pushed frame will return a value
+     * @param {string|null} [params.functionName] - Name of the pushed frame's function
+     *   (null for the traversal's own function; set for helpers like siftDown)
+     * @param {Object[]} [params.mutations] - Structural changes to the tree (see MutationOp)
      * @param {string} [params.description] - Human-readable description of the step
      */
-    constructor({ type, nodeValue, codeLine, stackAction, nodeState, description = '' }) {
+    constructor({ type, nodeId = null, nodeValue, codeLine, stackAction, nodeState,
+                  queueAction = QueueAction.NONE, dataStackAction = DataStackAction.NONE,
+                  threadAction = ThreadAction.NONE, threadTargetId = null,
+                  locals = null, returnValue = undefined, returnsValue = false,
+                  functionName = null, mutations = [], description = '' }) {
         this.type = type;
+        this.nodeId = nodeId;
         this.nodeValue = nodeValue;
         this.codeLine = codeLine;
         this.stackAction = stackAction;
         this.nodeState = nodeState;
+        this.queueAction = queueAction;
+        this.dataStackAction = dataStackAction;
+        this.threadAction = threadAction;
+        this.threadTargetId = threadTargetId;
+        this.locals = locals;
+        this.returnValue = returnValue;
+        this.returnsValue = returnsValue;
+        this.functionName = functionName;
+        this.mutations = mutations;
         this.description = description;
     }
 
     /**
      * Creates a CALL step (entering a function)
-     * @param {number|null} nodeValue - The node value being called with
+     * @param {TreeNode|null} node - The node being called with
      * @param {number} codeLine - The line number
+     * @param {boolean} [returnsValue] - Whether the call returns a value (its frame shows it as pending)
+     * @param {string|null} [functionName] - Function being called, if not the traversal's own
      * @returns {ExecutionStep}
      */
-    static call(nodeValue, codeLine) {
+    static call(node, codeLine, returnsValue = false, functionName = null) {
+        const { nodeId, nodeValue } = nodeRef(node);
         return new ExecutionStep({
             type: StepType.CALL,
+            nodeId,
             nodeValue,
             codeLine,
             stackAction: StackAction.PUSH,
             nodeState: nodeValue !== null ? NodeState.PROCESSING : NodeState.UNVISITED,
+            returnsValue,
+            functionName,
             description: nodeValue !== null 
-                ? `Call function with node ${nodeValue}` 
-                : 'Call function with null'
+                ? `Call ${functionName || 'function'} with node ${nodeValue}` 
+                : `Call ${functionName || 'function'} with null`
         });
     }
 
     /**
      * Creates a CHECK_NULL step
-     * @param {number|null} nodeValue - The node value being checked
+     * @param {TreeNode|null} node - The node being checked
      * @param {number} codeLine - The line number
      * @returns {ExecutionStep}
      */
-    static checkNull(nodeValue, codeLine) {
+    static checkNull(node, codeLine) {
+        const { nodeId, nodeValue } = nodeRef(node);
         return new ExecutionStep({
             type: StepType.CHECK_NULL,
+            nodeId,
             nodeValue,
             codeLine,
             stackAction: StackAction.NONE,
@@ -98,13 +194,15 @@ export class ExecutionStep {
 
     /**
      * Creates a PROCESS_NODE step (visiting/printing the node)
-     * @param {number} nodeValue - The node value being processed
+     * @param {TreeNode} node - The node being processed
      * @param {number} codeLine - The line number
      * @returns {ExecutionStep}
      */
-    static processNode(nodeValue, codeLine) {
+    static processNode(node, codeLine) {
+        const { nodeId, nodeValue } = nodeRef(node);
         return new ExecutionStep({
             type: StepType.PROCESS_NODE,
+            nodeId,
             nodeValue,
             codeLine,
             stackAction: StackAction.NONE,
@@ -113,15 +211,38 @@ export class ExecutionStep {
         });
     }
 
+    /**
+     * Creates a PROCESS_NODE step for a print() in user-written code
+     * The printed output, not necessarily the node's value, goes to the output panel.
+     * @param {TreeNode|null} node - The node of the frame that printed
+     * @param {number} codeLine - The line number
+     * @param {*} output - What was printed
+     * @returns {ExecutionStep}
+     */
+    static print(node, codeLine, output) {
+        const { nodeId } = nodeRef(node);
+        return new ExecutionStep({
+            type: StepType.PROCESS_NODE,
+            nodeId,
+            nodeValue: output,
+            codeLine,
+            stackAction: StackAction.NONE,
+            nodeState: NodeState.VISITED,
+            description: `Print ${output}`
+        });
+    }
+
     /**
      * Creates a RECURSE_LEFT step
-     * @param {number} nodeValue - The current node value
+     * @param {TreeNode} node - The current node
      * @param {number} codeLine - The line number
      * @returns {ExecutionStep}
      */
-    static recurseLeft(nodeValue, codeLine) {
+    static recurseLeft(node, codeLine) {
+        const { nodeId, nodeValue } = nodeRef(node);
         return new ExecutionStep({
             type: StepType.RECURSE_LEFT,
+            nodeId,
             nodeValue,
             codeLine,
             stackAction: StackAction.NONE,
@@ -132,13 +253,15 @@ export class ExecutionStep {
 
     /**
      * Creates a RECURSE_RIGHT step
-     * @param {number} nodeValue - The current node value
+     * @param {TreeNode} node - The current node
      * @param {number} codeLine - The line number
      * @returns {ExecutionStep}
      */
-    static recurseRight(nodeValue, codeLine) {
+    static recurseRight(node, codeLine) {
+        const { nodeId, nodeValue } = nodeRef(node);
         return new ExecutionStep({
             type: StepType.RECURSE_RIGHT,
+            nodeId,
             nodeValue,
             codeLine,
             stackAction: StackAction.NONE,
@@ -149,21 +272,497 @@ export class ExecutionStep {
 
     /**
      * Creates a RETURN step (exiting a function)
-     * @param {number|null} nodeValue - The node value returning from
+     * @param {TreeNode|null} node - The node returning from
      * @param {number} codeLine - The line number
      * @param {boolean} isNullReturn - Whether this is a return from a null check
+     * @param {*} [returnValue] - Value handed back to the caller (undefined for none)
      * @returns {ExecutionStep}
      */
-    static return(nodeValue, codeLine, isNullReturn = false) {
+    static return(node, codeLine, isNullReturn = false, returnValue = undefined) {
+        const { nodeId, nodeValue } = nodeRef(node);
+        const returned = returnValue !== undefined ? ` with ${returnValue}` : '';
         return new ExecutionStep({
             type: StepType.RETURN,
+            nodeId,
             nodeValue,
             codeLine,
             stackAction: StackAction.POP,
             nodeState: isNullReturn ? NodeState.UNVISITED : NodeState.FINISHED,
+            returnValue,
             description: nodeValue !== null 
-                ? `Return from node ${nodeValue}` 
-                : 'Return from null check'
+                ? `Return from node ${nodeValue}${returned}` 
+                : `Return from null check${returned}`
+        });
+    }
+
+    /**
+     * Creates an ASSIGN step (setting locals, or the return value, of the current frame)
+     * @param {TreeNode} node - The node of the current frame
+     * @param {number} codeLine - The line number
+     * @param {Object} locals - Variable name -> value
+     * @param {*} [returnValue] - Return value computed on this line (undefined for none)
+     * @returns {ExecutionStep}
+     */
+    static assign(node, codeLine, locals, returnValue = undefined) {
+        const { nodeId, nodeValue } = nodeRef(node);
+        const parts = Object.entries(locals).map(([name, value]) => `${name} = ${value}`);
+        if (returnValue !== undefined) parts.push(`return value = ${returnValue}`);
+        return new ExecutionStep({
+            type: StepType.ASSIGN,
+            nodeId,
+            nodeValue,
+            codeLine,
+            stackAction: StackAction.NONE,
+            nodeState: NodeState.PROCESSING,
+            locals,
+            returnValue,
+            description: `Set ${parts.join(', ')}`
+        });
+    }
+
+    /**
+     * Creates an ENQUEUE step (node added to the back of the queue)
+     * @param {TreeNode} node - The node being enqueued
+     * @param {number} codeLine - The line number
+     * @returns {ExecutionStep}
+     */
+    static enqueue(node, codeLine) {
+        const { nodeId, nodeValue } = nodeRef(node);
+        return new ExecutionStep({
+            type: StepType.ENQUEUE,
+            nodeId,
+            nodeValue,
+            codeLine,
+            stackAction: StackAction.NONE,
+            nodeState: NodeState.VISITED,
+            queueAction: QueueAction.ENQUEUE,
+            description: `Enqueue node ${nodeValue}`
+        });
+    }
+
+    /**
+     * Creates a DEQUEUE step (node removed from the front of the queue)
+     * @param {TreeNode} node - The node being dequeued
+     * @param {number} codeLine - The line number
+     * @returns {ExecutionStep}
+     */
+    static dequeue(node, codeLine) {
+        const { nodeId, nodeValue } = nodeRef(node);
+        return new ExecutionStep({
+            type: StepType.DEQUEUE,
+            nodeId,
+            nodeValue,
+            codeLine,
+            stackAction: StackAction.NONE,
+            nodeState: NodeState.PROCESSING,
+            queueAction: QueueAction.DEQUEUE,
+            description: `Dequeue node ${nodeValue}`
+        });
+    }
+
+    /**
+     * Creates a VISIT step (printing a node taken from the queue)
+     * @param {TreeNode} node - The node being visited
+     * @param {number} codeLine - The line number
+     * @returns {ExecutionStep}
+     */
+    static visit(node, codeLine) {
+        const { nodeId, nodeValue } = nodeRef(node);
+        return new ExecutionStep({
+            type: StepType.VISIT,
+            nodeId,
+            nodeValue,
+            codeLine,
+            stackAction: StackAction.NONE,
+            nodeState: NodeState.FINISHED,
+            description: `Visit/print node ${nodeValue}`
+        });
+    }
+
+    /**
+     * Creates a STACK_PUSH step (node pushed onto the data stack)
+     * @param {TreeNode} node - The node being pushed
+     * @param {number} codeLine - The line number
+     * @returns {ExecutionStep}
+     */
+    static stackPush(node, codeLine) {
+        const { nodeId, nodeValue } = nodeRef(node);
+        return new ExecutionStep({
+            type: StepType.STACK_PUSH,
+            nodeId,
+            nodeValue,
+            codeLine,
+            stackAction: StackAction.NONE,
+            nodeState: NodeState.VISITED,
+            dataStackAction: DataStackAction.PUSH,
+            description: `Push node ${nodeValue} onto the stack`
+        });
+    }
+
+    /**
+     * Creates a STACK_POP step (node popped off the data stack)
+     * @param {TreeNode} node - The node being popped
+     * @param {number} codeLine - The line number
+     * @param {string} [nodeState] - State to give the node (defaults to PROCESSING)
+     * @returns {ExecutionStep}
+     */
+    static stackPop(node, codeLine, nodeState = NodeState.PROCESSING) {
+        const { nodeId, nodeValue } = nodeRef(node);
+        return new ExecutionStep({
+            type: StepType.STACK_POP,
+            nodeId,
+            nodeValue,
+            codeLine,
+            stackAction: StackAction.NONE,
+            nodeState,
+            dataStackAction: DataStackAction.POP,
+            description: `Pop node ${nodeValue} off the stack`
+        });
+    }
+
+    /**
+     * Creates a STACK_PEEK step (looking at the top of the data stack)
+     * @param {TreeNode} node - The node on top of the stack
+     * @param {number} codeLine - The line number
+     * @returns {ExecutionStep}
+     */
+    static stackPeek(node, codeLine) {
+        const { nodeId, nodeValue } = nodeRef(node);
+        return new ExecutionStep({
+            type: StepType.STACK_PEEK,
+            nodeId,
+            nodeValue,
+            codeLine,
+            stackAction: StackAction.NONE,
+            nodeState: NodeState.PROCESSING,
+            description: `Peek at node ${nodeValue} on top of the stack`
+        });
+    }
+
+    /**
+     * Creates a FIND_PREDECESSOR step (one hop of the predecessor walk)
+     * @param {TreeNode} node - The candidate predecessor
+     * @param {number} codeLine - The line number
+     * @param {string} [nodeState] - State to give the node (FINISHED if already printed)
+     * @returns {ExecutionStep}
+     */
+    static findPredecessor(node, codeLine, nodeState = NodeState.PROCESSING) {
+        const { nodeId, nodeValue } = nodeRef(node);
+        return new ExecutionStep({
+            type: StepType.FIND_PREDECESSOR,
+            nodeId,
+            nodeValue,
+            codeLine,
+            stackAction: StackAction.NONE,
+            nodeState,
+            description: `Predecessor candidate ${nodeValue}`
+        });
+    }
+
+    /**
+     * Creates a THREAD_CREATE step (pred.right = curr)
+     * @param {TreeNode} pred - The predecessor whose right pointer is rewired
+     * @param {TreeNode} target - The node the thread points back to
+     * @param {number} codeLine - The line number
+     * @returns {ExecutionStep}
+     */
+    static createThread(pred, target, codeLine) {
+        const { nodeId, nodeValue } = nodeRef(pred);
+        return new ExecutionStep({
+            type: StepType.THREAD_CREATE,
+            nodeId,
+            nodeValue,
+            codeLine,
+            stackAction: StackAction.NONE,
+            nodeState: NodeState.PROCESSING,
+            threadAction: ThreadAction.CREATE,
+            threadTargetId: target.id,
+            description: `Thread ${nodeValue}.right back to ${target.value}`
+        });
+    }
+
+    /**
+     * Creates a THREAD_REMOVE step (pred.right = null)
+     * @param {TreeNode} pred - The predecessor whose thread is removed
+     * @param {TreeNode} target - The node the thread pointed back to
+     * @param {number} codeLine - The line number
+     * @returns {ExecutionStep}
+     */
+    static removeThread(pred, target, codeLine) {
+        const { nodeId, nodeValue } = nodeRef(pred);
+        return new ExecutionStep({
+            type: StepType.THREAD_REMOVE,
+            nodeId,
+            nodeValue,
+            codeLine,
+            stackAction: StackAction.NONE,
+            nodeState: NodeState.FINISHED,
+            threadAction: ThreadAction.REMOVE,
+            threadTargetId: target.id,
+            description: `Remove thread ${nodeValue}.right -> ${target.value}`
+        });
+    }
+
+    /**
+     * Creates a COMPARE step (search key against a node's value)
+     * @param {TreeNode} node - The node compared with
+     * @param {number} codeLine - The line number
+     * @param {number} key - The key being searched for, inserted or deleted
+     * @param {'left'|'right'|'found'} direction - Where the walk goes next
+     * @returns {ExecutionStep}
+     */
+    static compare(node, codeLine, key, direction) {
+        const { nodeId, nodeValue } = nodeRef(node);
+        const relation = key < nodeValue ? '<' : key > nodeValue ? '>' : '==';
+        return new ExecutionStep({
+            type: StepType.COMPARE,
+            nodeId,
+            nodeValue,
+            codeLine,
+            stackAction: StackAction.NONE,
+            nodeState: direction === 'found' ? NodeState.VISITED : NodeState.PROCESSING,
+            description: direction === 'found'
+                ? `${key} == ${nodeValue}, found`
+                : `${key} ${relation} ${nodeValue}, go ${direction}`
+        });
+    }
+
+    /**
+     * Creates an INSERT_NODE step (a new leaf linked under its parent, or as the root)
+     * @param {TreeNode|null} parent - The parent (null when the tree was empty)
+     * @param {'left'|'right'|null} side - Which child pointer is set
+     * @param {number} nodeId - Id reserved for the new node
+     * @param {number} value - Value of the new node
+     * @param {number} codeLine - The line number
+     * @returns {ExecutionStep}
+     */
+    static insertNode(parent, side, nodeId, value, codeLine) {
+        return new ExecutionStep({
+            type: StepType.INSERT_NODE,
+            nodeId,
+            nodeValue: value,
+            codeLine,
+            stackAction: StackAction.NONE,
+            nodeState: NodeState.FINISHED,
+            mutations: [
+                { op: MutationOp.CREATE, nodeId, value },
+                { op: MutationOp.LINK, parentId: parent ? parent.id : null, side, childId: nodeId }
+            ],
+            description: parent
+                ? `Insert ${value} as the ${side} child of ${parent.value}`
+                : `Insert ${value} as the root`
+        });
+    }
+
+    /**
+     * Creates a SET_VALUE step (node.val = value)
+     * @param {TreeNode} node - The node being overwritten
+     * @param {number} value - The new value
+     * @param {number} codeLine - The line number
+     * @returns {ExecutionStep}
+     */
+    static setValue(node, value, codeLine) {
+        return new ExecutionStep({
+            type: StepType.SET_VALUE,
+            nodeId: node.id,
+            nodeValue: value,
+            codeLine,
+            stackAction: StackAction.NONE,
+            nodeState: NodeState.PROCESSING,
+            mutations: [{ op: MutationOp.SET_VALUE, nodeId: node.id, value }],
+            description: `Copy ${value} into node ${node.value}`
+        });
+    }
+
+    /**
+     * Creates a RETURN step that hands a replacement subtree back to the caller,
+     * which links it where the returning node used to hang (BST delete)
+     * @param {TreeNode} node - The node being removed
+     * @param {number} codeLine - The line number
+     * @param {TreeNode|null} replacement - The child taking its place
+     * @param {TreeNode|null} parent - The caller's node (null if node is the root)
+     * @param {'left'|'right'|null} side - Which child pointer of the parent is relinked
+     * @returns {ExecutionStep}
+     */
+    static returnReplacement(node, codeLine, replacement, parent, side) {
+        const { nodeId, nodeValue } = nodeRef(node);
+        const replacementValue = replacement ? replacement.value : null;
+        return new ExecutionStep({
+            type: StepType.RETURN,
+            nodeId,
+            nodeValue,
+            codeLine,
+            stackAction: StackAction.POP,
+            nodeState: NodeState.FINISHED,
+            returnValue: replacementValue,
+            mutations: [{
+                op: MutationOp.LINK,
+                parentId: parent ? parent.id : null,
+                side,
+                childId: replacement ? replacement.id : null
+            }],
+            description: `Remove node ${nodeValue}, returning ${replacementValue === null ? 'null' : replacementValue} in its place`
+        });
+    }
+
+    /**
+     * Creates a ROTATE step
+     * rotateRight(node): the left child moves up, node becomes its right child and
+     * takes over its old right subtree. rotateLeft mirrors this.
+     * @param {TreeNode} node - The node rotated down
+     * @param {number} codeLine - The line number
+     * @param {'left'|'right'} direction - Rotation direction
+     * @param {TreeNode|null} parent - Node the subtree hangs from (null at the root)
+     * @param {'left'|'right'|null} side - Which child of parent the subtree is
+     * @param {string} rotationCase - 'LL', 'RR', 'LR' or 'RL'
+     * @returns {ExecutionStep}
+     */
+    static rotate(node, codeLine, direction, parent, side, rotationCase) {
+        const up = direction === 'right' ? 'left' : 'right';
+        const child = node[up];
+        const inner = child[direction];
+        return new ExecutionStep({
+            type: StepType.ROTATE,
+            nodeId: node.id,
+            nodeValue: node.value,
+            codeLine,
+            stackAction: StackAction.NONE,
+            nodeState: NodeState.PROCESSING,
+            mutations: [
+                { op: MutationOp.LINK, parentId: node.id, side: up, childId: inner ? inner.id : null },
+                { op: MutationOp.LINK, parentId: child.id, side: direction, childId: node.id },
+                { op: MutationOp.LINK, parentId: parent ? parent.id : null, side, childId: child.id }
+            ],
+            description: `Rotate ${direction} at ${node.value} (${rotationCase} case): ${child.value} moves up`
+        });
+    }
+
+    /**
+     * Creates a RECOLOR step (red-black trees)
+     * @param {TreeNode} node - The node the step is about
+     * @param {number} codeLine - The line number
+     * @param {Array<{node: TreeNode, color: string}>} changes - New NodeColor for each node
+     * @param {string} [reason] - Why the nodes are recoloured (e.g. 'Uncle 7 is red')
+     * @returns {ExecutionStep}
+     */
+    static recolor(node, codeLine, changes, reason = '') {
+        const painted = changes.map(change => `${change.node.value} → ${change.color}`).join(', ');
+        return new ExecutionStep({
+            type: StepType.RECOLOR,
+            nodeId: node.id,
+            nodeValue: node.value,
+            codeLine,
+            stackAction: StackAction.NONE,
+            nodeState: NodeState.PROCESSING,
+            mutations: changes.map(change => ({ op: MutationOp.SET_COLOR, nodeId: change.node.id, color: change.color })),
+            description: reason ? `${reason}: ${painted}` : painted
+        });
+    }
+
+    /**
+     * Creates a COMPARE step between two heap elements
+     * @param {{id: number, value: number}} a - Node at index i
+     * @param {{id: number, value: number}} b - Node at index j
+     * @param {number} codeLine - The line number
+     * @param {number} i - Array index of a
+     * @param {number} j - Array index of b
+     * @returns {ExecutionStep}
+     */
+    static heapCompare(a, b, codeLine, i, j) {
+        const relation = a.value < b.value ? '<' : a.value > b.value ? '>' : '==';
+        return new ExecutionStep({
+            type: StepType.COMPARE,
+            nodeId: a.id,
+            nodeValue: a.value,
+            codeLine,
+            stackAction: StackAction.NONE,
+            nodeState: NodeState.PROCESSING,
+            description: `a[${i}] = ${a.value} ${relation} a[${j}] = ${b.value}`
+        });
+    }
+
+    /**
+     * Creates a SWAP step: two heap elements trade values (their nodes stay put)
+     * @param {{id: number, value: number}} a - Node at index i, before the swap
+     * @param {{id: number, value: number}} b - Node at index j, before the swap
+     * @param {number} codeLine - The line number
+     * @param {number} i - Array index of a
+     * @param {number} j - Array index of b
+     * @returns {ExecutionStep}
+     */
+    static swap(a, b, codeLine, i, j) {
+        return new ExecutionStep({
+            type: StepType.SWAP,
+            nodeId: b.id,
+            nodeValue: a.value,
+            codeLine,
+            stackAction: StackAction.NONE,
+            nodeState: NodeState.PROCESSING,
+            mutations: [
+                { op: MutationOp.SET_VALUE, nodeId: a.id, value: b.value },
+                { op: MutationOp.SET_VALUE, nodeId: b.id, value: a.value }
+            ],
+            description: `Swap a[${i}] = ${a.value} and a[${j}] = ${b.value}`
+        });
+    }
+
+    /**
+     * Creates the SET_VALUE step of extract-min: the last heap element moves into
+     * a[0] and its node is dropped (the heap empties if it was the only one)
+     * @param {{id: number, value: number}} root - Node at index 0
+     * @param {{id: number, value: number}} last - Node at the last index
+     * @param {{id: number}|null} parent - Parent of the last node (null if it is the root)
+     * @param {'left'|'right'|null} side - Which child of parent the last node is
+     * @param {number} codeLine - The line number
+     * @returns {ExecutionStep}
+     */
+    static moveLastToRoot(root, last, parent, side, codeLine) {
+        const onlyElement = root.id === last.id;
+        return new ExecutionStep({
+            type: StepType.SET_VALUE,
+            nodeId: root.id,
+            nodeValue: last.value,
+            codeLine,
+            stackAction: StackAction.NONE,
+            nodeState: NodeState.PROCESSING,
+            mutations: onlyElement
+                ? [{ op: MutationOp.LINK, parentId: null, side: null, childId: null }]
+                : [
+                    { op: MutationOp.SET_VALUE, nodeId: root.id, value: last.value },
+                    { op: MutationOp.LINK, parentId: parent.id, side, childId: null }
+                ],
+            description: onlyElement
+                ? `Remove the only element ${root.value}`
+                : `Move the last element ${last.value} into a[0] and drop its node`
+        });
+    }
+
+    /**
+     * Creates a RELINK step (node.side = child for each link, e.g. a swap or a flatten)
+     * @param {TreeNode} node - The node whose pointers change
+     * @param {number} codeLine - The line number
+     * @param {Array<{side: 'left'|'right', child: TreeNode|null}>} links - New children
+     * @param {string} [nodeState] - State for the node (e.g. FINISHED for a node whose frame already returned)
+     * @returns {ExecutionStep}
+     */
+    static relink(node, codeLine, links, nodeState = NodeState.PROCESSING) {
+        const { nodeId, nodeValue } = nodeRef(node);
+        return new ExecutionStep({
+            type: StepType.RELINK,
+            nodeId,
+            nodeValue,
+            codeLine,
+            stackAction: StackAction.NONE,
+            nodeState,
+            mutations: links.map(({ side, child }) => ({
+                op: MutationOp.LINK,
+                parentId: nodeId,
+                side,
+                childId: child ? child.id : null
+            })),
+            description: links
+                .map(({ side, child }) => `${nodeValue}.${side} = ${child ? child.value : 'null'}`)
+                .join(', ')
         });
     }
 }
@@ -175,13 +774,24 @@ export class StackFrame {
     /**
      * @param {Object} params - Frame parameters
      * @param {string} params.functionName - Name of the function (e.g., 'inOrder')
+     * @param {number|null} [params.nodeId] - The id of the node passed to this call
      * @param {number|null} params.nodeValue - The node value passed to this call
      * @param {string} params.returnAddress - Where to return to (e.g., 'line 4')
+     * @param {Object} [params.locals] - Local variable name -> value
+     * @param {boolean} [params.returnsValue] - Whether the call returns a value
+     * @param {*} [params.returnValue] - The value being returned (undefined while pending)
+     * @param {{value: *, from: string}|null} [params.incoming] - Value just returned by a callee
      */
-    constructor({ functionName, nodeValue, returnAddress }) {
+    constructor({ functionName, nodeId = null, nodeValue, returnAddress, locals = {},
+                  returnsValue = false, returnValue = undefined, incoming = null }) {
         this.functionName = functionName;
+        this.nodeId = nodeId;
         this.nodeValue = nodeValue;
         this.returnAddress = returnAddress;
+        this.locals = { ...locals };
+        this.returnsValue = returnsValue;
+        this.returnValue = returnValue;
+        this.incoming = incoming;
     }
 
     /**
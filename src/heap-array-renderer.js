@@ -0,0 +1,115 @@
+// ============================================================
+// HEAP ARRAY RENDERER MODULE
+// ============================================================
+
+import { getLevelOrderNodes } from './tree-model.js';
+import { easeInOut } from './tree-renderer.js';
+
+/**
+ * Horizontal offsets of two array cells while a swap animates
+ * Like the tree labels, each value starts in the other cell and slides home.
+ * @param {number} i - Index of one cell
+ * @param {number} j - Index of the other cell
+ * @param {number} t - Progress in [0, 1], eased with easeInOut
+ * @param {number} pitch - Distance in pixels between neighbouring cells
+ * @returns {Map<number, number>} Cell index -> translateX in pixels
+ */
+export function getCellSwapOffsets(i, j, t, pitch) {
+    const remaining = 1 - easeInOut(t);
+    return new Map([
+        [i, (j - i) * pitch * remaining],
+        [j, (i - j) * pitch * remaining]
+    ]);
+}
+
+/**
+ * HeapArrayRenderer - Renders a complete tree as its heap array
+ * Cell i holds the i-th node in level order, so its children sit at 2i + 1 and 2i + 2.
+ * Testable version with DOM rendering methods
+ */
+export class HeapArrayRenderer {
+    constructor(containerElement = null) {
+        this.container = containerElement;
+        this.cells = [];
+    }
+
+    /**
+     * Set the container element for DOM rendering
+     * @param {HTMLElement} element
+     */
+    setContainer(element) {
+        this.container = element;
+    }
+
+    /**
+     * Read the cells from the tree (for state restoration after any step)
+     * @param {Object|null} root - The root TreeNode
+     * @param {Map<number, string>} [nodeStates] - Node id -> NodeState, shared with the tree view
+     */
+    setTree(root, nodeStates = new Map()) {
+        this.cells = getLevelOrderNodes(root).map((node, index) => ({
+            index,
+            nodeId: node.id,
+            value: node.value,
+            state: nodeStates.get(node.id) || null
+        }));
+        this.render();
+    }
+
+    /**
+     * Get the cells in array order
+     * @returns {Array<{index: number, nodeId: number, value: number, state: string|null}>}
+     */
+    getCells() {
+        return this.cells.map(cell => ({ ...cell }));
+    }
+
+    /**
+     * Get the array index of a tree node
+     * @param {number} nodeId
+     * @returns {number} The index, or -1 if the node is not in the heap
+     */
+    indexOfNode(nodeId) {
+        return this.cells.findIndex(cell => cell.nodeId === nodeId);
+    }
+
+    /**
+     * Create HTML for a single cell
+     * @param {Object} cell
+     * @returns {string}
+     */
+    createCellHTML(cell) {
+        const classes = ['heap-cell'];
+        if (cell.state) classes.push(`state-${cell.state}`);
+        return `<div class="${classes.join(' ')}" data-index="${cell.index}" data-node-id="${cell.nodeId}">` +
+            `<span class="heap-cell-value">${this.escapeHtml(cell.value)}</span>` +
+            `<span class="heap-cell-index">${cell.index}</span></div>`;
+    }
+
+    /**
+     * Escape HTML special characters
+     * @param {string} text
+     * @returns {string}
+     */
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Render the cells to the container
+     */
+    render() {
+        if (!this.container) return;
+
+        if (this.cells.length === 0) {
+            this.container.innerHTML = '<div class="heap-empty">Heap is empty</div>';
+            return;
+        }
+
+        this.container.innerHTML = this.cells.map(cell => this.createCellHTML(cell)).join('');
+    }
+}
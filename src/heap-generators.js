@@ -0,0 +1,257 @@
+// ============================================================
+// BINARY HEAP GENERATORS (min-heap stored as a complete tree)
+// ============================================================
+
+import { ExecutionStep } from './execution-step.js';
+import { allocateNodeId, getLevelOrderNodes, isCompleteTree } from './tree-model.js';
+
+/**
+ * Code line numbers for heap insert (sift-up):
+ * 1: void insert(int key) {
+ * 2:     a[n] = key; int i = n++;
+ * 3:     while (i > 0 && a[(i - 1) / 2] > a[i]) {
+ * 4:         swap(a, i, (i - 1) / 2);
+ * 5:         i = (i - 1) / 2;
+ * 6:     }
+ * 7: }
+ */
+const HEAP_INSERT_LINES = {
+    FUNCTION_ENTRY: 1,
+    APPEND: 2,
+    COMPARE_PARENT: 3,
+    SWAP: 4,
+    MOVE_UP: 5,
+    FUNCTION_EXIT: 7
+};
+
+/**
+ * Code line numbers for extract-min; siftDown follows it in the same template:
+ * 1:  int extractMin() {
+ * 2:      if (n == 0) return EMPTY;
+ * 3:      int min = a[0];
+ * 4:      a[0] = a[--n];
+ * 5:      siftDown(0);
+ * 6:      return min;
+ * 7:  }
+ * 8:  void siftDown(int i) {
+ * 9:      int smallest = i, l = 2 * i + 1, r = 2 * i + 2;
+ * 10:     if (l < n && a[l] < a[smallest]) smallest = l;
+ * 11:     if (r < n && a[r] < a[smallest]) smallest = r;
+ * 12:     if (smallest == i) return;
+ * 13:     swap(a, i, smallest);
+ * 14:     siftDown(smallest);
+ * 15: }
+ */
+const EXTRACT_MIN_LINES = {
+    FUNCTION_ENTRY: 1,
+    EMPTY_CHECK: 2,
+    SAVE_MIN: 3,
+    MOVE_LAST: 4,
+    RETURN_MIN: 6,
+    SIFT_DOWN: 8
+};
+
+/**
+ * Code line numbers for heapify (bottom-up build); siftDown follows it:
+ * 1:  void heapify() {
+ * 2:      for (int i = n / 2 - 1; i >= 0; i--)
+ * 3:          siftDown(i);
+ * 4:  }
+ * 5:  void siftDown(int i) { ... same body as in extract-min ... }
+ */
+const HEAPIFY_LINES = {
+    FUNCTION_ENTRY: 1,
+    LOOP: 2,
+    FUNCTION_EXIT: 4,
+    SIFT_DOWN: 5
+};
+
+/**
+ * Line numbers of siftDown relative to its first line
+ */
+const SIFT_DOWN_OFFSETS = {
+    FUNCTION_ENTRY: 0,
+    INIT: 1,
+    LEFT: 2,
+    RIGHT: 3,
+    DONE: 4,
+    SWAP: 5,
+    FUNCTION_EXIT: 7
+};
+
+/**
+ * Reads a complete tree as a heap array of {id, value} cells
+ * Generators swap values in the cells, never in the tree they were given.
+ * @param {TreeNode|null} root - The root of the tree
+ * @returns {Array<{id: number, value: number}>} Cells in array order
+ * @throws {Error} If the tree is not complete
+ */
+function readHeap(root) {
+    if (!isCompleteTree(root)) {
+        throw new Error('Heap operations need a complete tree');
+    }
+    return getLevelOrderNodes(root).map(node => ({ id: node.id, value: node.value }));
+}
+
+/**
+ * Whether a tree is a min-heap: complete, and no node larger than its children
+ * @param {TreeNode|null} root - The root of the tree
+ * @returns {boolean}
+ */
+export function isMinHeap(root) {
+    if (!isCompleteTree(root)) return false;
+    return getLevelOrderNodes(root).every(node =>
+        [node.left, node.right].every(child => child === null || node.value <= child.value));
+}
+
+/**
+ * Generates steps for siftDown(i) on the heap cells (recursive, as in the template)
+ * @param {Array<{id: number, value: number}>} cells - Heap array (values are swapped in place)
+ * @param {number} i - Index to sift down from
+ * @param {number} firstLine - Line number of `void siftDown(int i) {`
+ * @param {ExecutionStep[]} steps - Array to collect steps
+ */
+function siftDown(cells, i, firstLine, steps) {
+    const line = offset => firstLine + offset;
+    const n = cells.length;
+    const l = 2 * i + 1;
+    const r = 2 * i + 2;
+    let smallest = i;
+    steps.push(ExecutionStep.call(cells[i], line(SIFT_DOWN_OFFSETS.FUNCTION_ENTRY), false, 'siftDown'));
+    steps.push(ExecutionStep.assign(cells[i], line(SIFT_DOWN_OFFSETS.INIT), { i, smallest, l, r }));
+
+    for (const [child, offset] of [[l, SIFT_DOWN_OFFSETS.LEFT], [r, SIFT_DOWN_OFFSETS.RIGHT]]) {
+        if (child >= n) continue;
+        steps.push(ExecutionStep.heapCompare(cells[child], cells[smallest], line(offset), child, smallest));
+        if (cells[child].value < cells[smallest].value) {
+            smallest = child;
+            steps.push(ExecutionStep.assign(cells[child], line(offset), { smallest }));
+        }
+    }
+
+    if (smallest === i) {
+        steps.push(ExecutionStep.return(cells[i], line(SIFT_DOWN_OFFSETS.DONE)));
+        return;
+    }
+    steps.push(ExecutionStep.swap(cells[i], cells[smallest], line(SIFT_DOWN_OFFSETS.SWAP), i, smallest));
+    [cells[i].value, cells[smallest].value] = [cells[smallest].value, cells[i].value];
+    siftDown(cells, smallest, firstLine, steps);
+    steps.push(ExecutionStep.return(cells[i], line(SIFT_DOWN_OFFSETS.FUNCTION_EXIT)));
+}
+
+/**
+ * Generates execution steps for inserting a key into a min-heap
+ * The new node takes the next free array slot, then sifts up by swapping values.
+ */
+export class HeapInsertGenerator {
+    /**
+     * @param {number} key - The value to insert
+     * @throws {Error} If the key is not a finite number
+     */
+    constructor(key) {
+        if (typeof key !== 'number' || !Number.isFinite(key)) {
+            throw new Error(`Invalid heap key "${key}"`);
+        }
+        this.key = key;
+    }
+
+    /**
+     * Generates all execution steps for the insert
+     * @param {Object|null} root - The root TreeNode (a complete tree)
+     * @returns {ExecutionStep[]} Array of execution steps
+     * @throws {Error} If the tree is not complete
+     */
+    generateSteps(root) {
+        const steps = [];
+        const cells = readHeap(root);
+        steps.push(ExecutionStep.call(root, HEAP_INSERT_LINES.FUNCTION_ENTRY));
+
+        // a[n] = key: the node at index n hangs under index (n - 1) / 2
+        let i = cells.length;
+        const created = { id: allocateNodeId(), value: this.key };
+        const parent = i > 0 ? cells[(i - 1) >> 1] : null;
+        const side = i > 0 ? (i % 2 === 1 ? 'left' : 'right') : null;
+        steps.push(ExecutionStep.insertNode(parent, side, created.id, this.key, HEAP_INSERT_LINES.APPEND));
+        cells.push(created);
+        steps.push(ExecutionStep.assign(created, HEAP_INSERT_LINES.APPEND, { i }));
+
+        while (i > 0) {
+            const p = (i - 1) >> 1;
+            steps.push(ExecutionStep.heapCompare(cells[p], cells[i], HEAP_INSERT_LINES.COMPARE_PARENT, p, i));
+            if (cells[p].value <= cells[i].value) break;
+            steps.push(ExecutionStep.swap(cells[i], cells[p], HEAP_INSERT_LINES.SWAP, i, p));
+            [cells[i].value, cells[p].value] = [cells[p].value, cells[i].value];
+            i = p;
+            steps.push(ExecutionStep.assign(cells[i], HEAP_INSERT_LINES.MOVE_UP, { i }));
+        }
+
+        steps.push(ExecutionStep.return(cells[0], HEAP_INSERT_LINES.FUNCTION_EXIT));
+        return steps;
+    }
+}
+
+/**
+ * Generates execution steps for removing the smallest element of a min-heap
+ * The last element moves to the root and sifts down by swapping values.
+ */
+export class HeapExtractMinGenerator {
+    /**
+     * Generates all execution steps for extract-min
+     * @param {Object|null} root - The root TreeNode (a complete tree)
+     * @returns {ExecutionStep[]} Array of execution steps
+     * @throws {Error} If the tree is not complete
+     */
+    generateSteps(root) {
+        const steps = [];
+        const cells = readHeap(root);
+        steps.push(ExecutionStep.call(root, EXTRACT_MIN_LINES.FUNCTION_ENTRY, true));
+        steps.push(ExecutionStep.checkNull(root, EXTRACT_MIN_LINES.EMPTY_CHECK));
+        if (cells.length === 0) {
+            steps.push(ExecutionStep.return(null, EXTRACT_MIN_LINES.EMPTY_CHECK, true));
+            return steps;
+        }
+
+        const min = cells[0].value;
+        steps.push(ExecutionStep.assign(cells[0], EXTRACT_MIN_LINES.SAVE_MIN, { min }));
+
+        const lastIndex = cells.length - 1;
+        const last = cells[lastIndex];
+        const parent = lastIndex > 0 ? cells[(lastIndex - 1) >> 1] : null;
+        const side = lastIndex % 2 === 1 ? 'left' : 'right';
+        steps.push(ExecutionStep.moveLastToRoot(cells[0], last, parent, side, EXTRACT_MIN_LINES.MOVE_LAST));
+        cells[0].value = last.value;
+        cells.pop();
+
+        if (cells.length > 0) {
+            siftDown(cells, 0, EXTRACT_MIN_LINES.SIFT_DOWN, steps);
+        }
+        steps.push(ExecutionStep.return(cells[0] || null, EXTRACT_MIN_LINES.RETURN_MIN, false, min));
+        return steps;
+    }
+}
+
+/**
+ * Generates execution steps for turning a complete tree into a min-heap
+ * Sifts down every node that has a child, from the last one back to the root.
+ */
+export class HeapifyGenerator {
+    /**
+     * Generates all execution steps for heapify
+     * @param {Object|null} root - The root TreeNode (a complete tree)
+     * @returns {ExecutionStep[]} Array of execution steps
+     * @throws {Error} If the tree is not complete
+     */
+    generateSteps(root) {
+        const steps = [];
+        const cells = readHeap(root);
+        steps.push(ExecutionStep.call(root, HEAPIFY_LINES.FUNCTION_ENTRY));
+
+        for (let i = (cells.length >> 1) - 1; i >= 0; i--) {
+            steps.push(ExecutionStep.assign(cells[i], HEAPIFY_LINES.LOOP, { i }));
+            siftDown(cells, i, HEAPIFY_LINES.SIFT_DOWN, steps);
+        }
+
+        steps.push(ExecutionStep.return(cells[0] || null, HEAPIFY_LINES.FUNCTION_EXIT, cells.length === 0));
+        return steps;
+    }
+}
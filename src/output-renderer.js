@@ -0,0 +1,83 @@
+// ============================================================
+// OUTPUT RENDERER MODULE
+// ============================================================
+
+/**
+ * OutputRenderer - Renders the values a traversal has output so far, in order
+ * Values printed by user-written code can be any string, so they are shown as text.
+ * Testable version with DOM rendering methods
+ */
+export class OutputRenderer {
+    constructor(containerElement = null) {
+        this.container = containerElement;
+        this.values = [];
+    }
+
+    /**
+     * Set the container element for DOM rendering
+     * @param {HTMLElement} element
+     */
+    setContainer(element) {
+        this.container = element;
+    }
+
+    /**
+     * Get the values shown
+     * @returns {Array<number|string>}
+     */
+    getValues() {
+        return [...this.values];
+    }
+
+    /**
+     * Set the values (for state restoration)
+     * @param {Array<number|string>} values
+     */
+    setValues(values) {
+        this.values = [...values];
+        this.render();
+    }
+
+    /**
+     * Clear the output
+     */
+    clear() {
+        this.values = [];
+        this.render();
+    }
+
+    /**
+     * Create HTML for a single output value
+     * @param {number|string} value
+     * @returns {string}
+     */
+    createValueHTML(value) {
+        return `<span class="output-value">${this.escapeHtml(value)}</span>`;
+    }
+
+    /**
+     * Escape HTML special characters
+     * @param {string} text
+     * @returns {string}
+     */
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Render the values to the container
+     */
+    render() {
+        if (!this.container) return;
+
+        if (this.values.length === 0) {
+            this.container.innerHTML = '<span class="output-empty">No nodes visited yet</span>';
+            return;
+        }
+        this.container.innerHTML = this.values.map(value => this.createValueHTML(value)).join('');
+    }
+}
@@ -0,0 +1,217 @@
+// ============================================================
+// QUEUE RENDERER MODULE
+// ============================================================
+
+/**
+ * QueueRenderer - Renders the FIFO queue used by level-order traversal
+ * Testable version with DOM rendering methods
+ */
+export class QueueRenderer {
+    constructor(containerElement = null) {
+        this.container = containerElement;
+        this.queue = [];
+        this.animationDuration = 300; // ms
+    }
+
+    /**
+     * Set the container element for DOM rendering
+     * @param {HTMLElement} element
+     */
+    setContainer(element) {
+        this.container = element;
+    }
+
+    /**
+     * Get the current queue (front first)
+     * @returns {Array<{nodeId: number, nodeValue: number}>}
+     */
+    getQueue() {
+        return [...this.queue];
+    }
+
+    /**
+     * Get the queue size
+     * @returns {number}
+     */
+    getQueueSize() {
+        return this.queue.length;
+    }
+
+    /**
+     * Check if queue is empty
+     * @returns {boolean}
+     */
+    isEmpty() {
+        return this.queue.length === 0;
+    }
+
+    /**
+     * Get the item at the front (next to be dequeued)
+     * @returns {Object|null}
+     */
+    getFront() {
+        return this.queue.length > 0 ? this.queue[0] : null;
+    }
+
+    /**
+     * Get the item at the back (most recently enqueued)
+     * @returns {Object|null}
+     */
+    getBack() {
+        return this.queue.length > 0 ? this.queue[this.queue.length - 1] : null;
+    }
+
+    /**
+     * Set the entire queue (for state restoration)
+     * @param {Array<{nodeId: number, nodeValue: number}>} queue
+     */
+    setQueue(queue) {
+        this.queue = queue.map(item => ({ nodeId: item.nodeId, nodeValue: item.nodeValue }));
+        this.render();
+    }
+
+    /**
+     * Add an item to the back of the queue
+     * @param {Object} item
+     */
+    enqueue(item) {
+        this.queue.push(item);
+        this.render();
+    }
+
+    /**
+     * Remove the item at the front of the queue
+     * @returns {Object|null}
+     */
+    dequeue() {
+        if (this.queue.length === 0) return null;
+        const item = this.queue.shift();
+        this.render();
+        return item;
+    }
+
+    /**
+     * Clear the queue
+     */
+    clear() {
+        this.queue = [];
+        this.render();
+    }
+
+    /**
+     * Create HTML for a single queue item
+     * @param {Object} item
+     * @param {number} index - Position from the front (0 = front)
+     * @returns {string}
+     */
+    createItemHTML(item, index) {
+        const classes = ['queue-item'];
+        if (index === 0) classes.push('front');
+        if (index === this.queue.length - 1) classes.push('back');
+        return `<div class="${classes.join(' ')}" data-index="${index}">${this.escapeHtml(item.nodeValue)}</div>`;
+    }
+
+    /**
+     * Escape HTML special characters
+     * @param {string} text
+     * @returns {string}
+     */
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Render the queue to the container
+     */
+    render() {
+        if (!this.container) return;
+
+        if (this.queue.length === 0) {
+            this.container.innerHTML = '<div class="queue-empty">Queue is empty</div>';
+            return;
+        }
+
+        // Render front to back (left to right - FIFO visual)
+        this.container.innerHTML = this.queue
+            .map((item, index) => this.createItemHTML(item, index))
+            .join('');
+    }
+
+    /**
+     * Animate adding an item to the back of the queue
+     * @param {Object} item
+     * @returns {Promise<void>}
+     */
+    async animateEnqueue(item) {
+        this.queue.push(item);
+
+        if (!this.container) {
+            return;
+        }
+
+        this.render();
+
+        // Add animation class to the new item (back of display)
+        const items = this.container.querySelectorAll('.queue-item');
+        if (items.length > 0) {
+            const newItem = items[items.length - 1];
+            newItem.classList.add('enqueuing');
+
+            await new Promise(resolve => setTimeout(resolve, this.animationDuration));
+            newItem.classList.remove('enqueuing');
+        }
+    }
+
+    /**
+     * Animate removing the item at the front of the queue
+     * @returns {Promise<Object|null>}
+     */
+    async animateDequeue() {
+        if (this.queue.length === 0) return null;
+
+        if (this.container) {
+            // Add animation class to front item before removing
+            const items = this.container.querySelectorAll('.queue-item');
+            if (items.length > 0) {
+                items[0].classList.add('dequeuing');
+
+                await new Promise(resolve => setTimeout(resolve, this.animationDuration));
+            }
+        }
+
+        const item = this.queue.shift();
+        this.render();
+        return item;
+    }
+
+    /**
+     * Get visual order of items (for testing FIFO display)
+     * Returns array from left (front) to right (back)
+     * @returns {Object[]}
+     */
+    getVisualOrder() {
+        return [...this.queue];
+    }
+
+    /**
+     * Check if visual order is FIFO (oldest item at the front)
+     * @returns {boolean}
+     */
+    isVisualOrderFIFO() {
+        if (this.queue.length <= 1) return true;
+        return this.getVisualOrder()[0] === this.queue[0];
+    }
+
+    /**
+     * Check if queue contains an item for the given node id
+     * @param {number} nodeId
+     * @returns {boolean}
+     */
+    hasItemWithNodeId(nodeId) {
+        return this.queue.some(item => item.nodeId === nodeId);
+    }
+}
@@ -0,0 +1,219 @@
+// ============================================================
+// RED-BLACK TREE GENERATORS
+// ============================================================
+
+import { ExecutionStep } from './execution-step.js';
+import { TreeNode, NodeColor, isRed } from './tree-model.js';
+import { copyWithIds } from './tree-mutations.js';
+
+/**
+ * Code line numbers for red-black insert (duplicates go right; uncoloured nodes count as black):
+ * 1:  void insert(int key) {
+ * 2:      Node node = bstInsert(root, key);
+ * 3:      node.color = RED;
+ * 4:      while (node != root && isRed(node.parent)) {
+ * 5:          Node parent = node.parent, grand = parent.parent;
+ * 6:          Node uncle = parent == grand.left ? grand.right : grand.left;
+ * 7:          if (isRed(uncle)) {
+ * 8:              parent.color = BLACK; uncle.color = BLACK; grand.color = RED;
+ * 9:              node = grand;
+ * 10:         } else {
+ * 11:             if (node == innerChild(parent)) { rotateUp(node); node = parent; parent = node.parent; }
+ * 12:             rotateUp(parent);
+ * 13:             parent.color = BLACK; grand.color = RED;
+ * 14:         }
+ * 15:     }
+ * 16:     root.color = BLACK;
+ * 17: }
+ */
+const RB_INSERT_LINES = {
+    FUNCTION_ENTRY: 1,
+    BST_INSERT: 2,
+    PAINT_RED: 3,
+    FAMILY: 5,
+    UNCLE: 6,
+    RECOLOR: 8,
+    MOVE_UP: 9,
+    ROTATE_INNER: 11,
+    ROTATE_OUTER: 12,
+    RECOLOR_ROTATED: 13,
+    ROOT_BLACK: 16,
+    FUNCTION_EXIT: 17
+};
+
+/**
+ * Finds the parent of a node in the working copy
+ * @param {TreeNode|null} root - The root of the copy
+ * @param {TreeNode} target - The node
+ * @returns {TreeNode|null} Its parent, or null for the root
+ */
+function parentOf(root, target) {
+    if (root === null) return null;
+    if (root.left === target || root.right === target) return root;
+    return parentOf(root.left, target) || parentOf(root.right, target);
+}
+
+/**
+ * Which child pointer of parent holds node
+ */
+function sideOf(parent, node) {
+    return parent.left === node ? 'left' : 'right';
+}
+
+/**
+ * Display value of a possibly-null node for a local variable
+ */
+function valueOf(node) {
+    return node ? node.value : 'null';
+}
+
+/**
+ * Generates execution steps for inserting a key into a red-black tree
+ * The generator inserts, rotates and recolours a copy of the tree; INSERT_NODE,
+ * ROTATE and RECOLOR steps carry the mutations. The invariants are not part of
+ * the trace: they are checked on the tree as it changes (checkRedBlackInvariants).
+ */
+export class RedBlackInsertGenerator {
+    /**
+     * @param {number} key - The value to insert
+     * @throws {Error} If the key is not a finite number
+     */
+    constructor(key) {
+        if (typeof key !== 'number' || !Number.isFinite(key)) {
+            throw new Error(`Invalid red-black key "${key}"`);
+        }
+        this.key = key;
+    }
+
+    /**
+     * Generates all execution steps for the insert
+     * @param {Object|null} root - The root TreeNode
+     * @returns {ExecutionStep[]} Array of execution steps
+     */
+    generateSteps(root) {
+        const steps = [];
+        this.root = copyWithIds(root);
+        steps.push(ExecutionStep.call(this.root, RB_INSERT_LINES.FUNCTION_ENTRY));
+
+        let node = this._bstInsert(steps);
+        steps.push(ExecutionStep.recolor(node, RB_INSERT_LINES.PAINT_RED,
+            [{ node, color: NodeColor.RED }], 'New nodes start red'));
+        node.color = NodeColor.RED;
+
+        // A red root's child has no grandparent; only an invalid starting tree has one
+        let parent = parentOf(this.root, node);
+        while (isRed(parent) && parentOf(this.root, parent) !== null) {
+            node = this._fixUp(node, parent, steps);
+            parent = parentOf(this.root, node);
+        }
+
+        const top = this.root;
+        steps.push(ExecutionStep.recolor(top, RB_INSERT_LINES.ROOT_BLACK,
+            [{ node: top, color: NodeColor.BLACK }], 'The root is always black'));
+        top.color = NodeColor.BLACK;
+        steps.push(ExecutionStep.return(top, RB_INSERT_LINES.FUNCTION_EXIT));
+        return steps;
+    }
+
+    /**
+     * Walks down the copy like a BST insert and hangs a new uncoloured leaf
+     * @param {ExecutionStep[]} steps - Array to collect steps
+     * @returns {TreeNode} The new node
+     * @private
+     */
+    _bstInsert(steps) {
+        const key = this.key;
+        const created = new TreeNode(key);
+        if (this.root === null) {
+            steps.push(ExecutionStep.insertNode(null, null, created.id, key, RB_INSERT_LINES.BST_INSERT));
+            this.root = created;
+            return created;
+        }
+        let curr = this.root;
+        for (;;) {
+            const side = key < curr.value ? 'left' : 'right';
+            steps.push(ExecutionStep.compare(curr, RB_INSERT_LINES.BST_INSERT, key, side));
+            if (curr[side] === null) {
+                steps.push(ExecutionStep.insertNode(curr, side, created.id, key, RB_INSERT_LINES.BST_INSERT));
+                curr[side] = created;
+                return created;
+            }
+            curr = curr[side];
+        }
+    }
+
+    /**
+     * One pass of the fix-up loop: node and its parent are both red
+     * @param {TreeNode} node - The red node
+     * @param {TreeNode} parent - Its red parent
+     * @param {ExecutionStep[]} steps - Array to collect steps
+     * @returns {TreeNode} The node the loop continues from
+     * @private
+     */
+    _fixUp(node, parent, steps) {
+        const grand = parentOf(this.root, parent);
+        const parentSide = sideOf(grand, parent);
+        const uncle = grand[parentSide === 'left' ? 'right' : 'left'];
+        steps.push(ExecutionStep.assign(parent, RB_INSERT_LINES.FAMILY,
+            { node: node.value, parent: parent.value, grand: grand.value }));
+        steps.push(ExecutionStep.assign(grand, RB_INSERT_LINES.UNCLE, { uncle: valueOf(uncle) }));
+
+        if (isRed(uncle)) {
+            // Red uncle: push the red up two levels and continue from the grandparent
+            const changes = [
+                { node: parent, color: NodeColor.BLACK },
+                { node: uncle, color: NodeColor.BLACK },
+                { node: grand, color: NodeColor.RED }
+            ];
+            steps.push(ExecutionStep.recolor(grand, RB_INSERT_LINES.RECOLOR, changes, `Uncle ${uncle.value} is red`));
+            for (const change of changes) change.node.color = change.color;
+            steps.push(ExecutionStep.assign(grand, RB_INSERT_LINES.MOVE_UP, { node: grand.value }));
+            return grand;
+        }
+
+        // Black uncle: an inner node is first rotated outward, then the grandparent rotates
+        const inner = sideOf(parent, node) !== parentSide;
+        const rotationCase = inner ? 'uncle black, inner' : 'uncle black, outer';
+        if (inner) {
+            this._rotateUp(node, RB_INSERT_LINES.ROTATE_INNER, rotationCase, steps);
+            [node, parent] = [parent, node];
+            steps.push(ExecutionStep.assign(node, RB_INSERT_LINES.ROTATE_INNER,
+                { node: node.value, parent: parent.value }));
+        }
+        this._rotateUp(parent, RB_INSERT_LINES.ROTATE_OUTER, rotationCase, steps);
+
+        const uncleText = uncle ? `Uncle ${uncle.value} is black` : 'Uncle is null (black)';
+        const changes = [
+            { node: parent, color: NodeColor.BLACK },
+            { node: grand, color: NodeColor.RED }
+        ];
+        steps.push(ExecutionStep.recolor(parent, RB_INSERT_LINES.RECOLOR_ROTATED, changes, uncleText));
+        for (const change of changes) change.node.color = change.color;
+        return node;
+    }
+
+    /**
+     * Rotates a node above its parent in the copy and records the ROTATE step
+     * @param {TreeNode} node - The node moving up
+     * @param {number} codeLine - The line number
+     * @param {string} rotationCase - Case label for the description
+     * @param {ExecutionStep[]} steps - Array to collect steps
+     * @private
+     */
+    _rotateUp(node, codeLine, rotationCase, steps) {
+        const parent = parentOf(this.root, node);
+        const grand = parentOf(this.root, parent);
+        const side = grand ? sideOf(grand, parent) : null;
+        const up = sideOf(parent, node);
+        const direction = up === 'left' ? 'right' : 'left';
+        steps.push(ExecutionStep.rotate(parent, codeLine, direction, grand, side, rotationCase));
+
+        parent[up] = node[direction];
+        node[direction] = parent;
+        if (grand) {
+            grand[side] = node;
+        } else {
+            this.root = node;
+        }
+    }
+}
@@ -0,0 +1,167 @@
+// ============================================================
+// RESTRUCTURING GENERATORS (algorithms that relink the tree)
+// ============================================================
+
+import { ExecutionStep, NodeState } from './execution-step.js';
+import { copyWithIds } from './tree-mutations.js';
+
+/**
+ * Code line numbers for invert (mirror) tree:
+ * 1: void invert(Node node) {
+ * 2:     if (node == null) return;
+ * 3:     Node tmp = node.left;
+ * 4:     node.left = node.right;
+ * 5:     node.right = tmp;
+ * 6:     invert(node.left);
+ * 7:     invert(node.right);
+ * 8: }
+ */
+const INVERT_LINES = {
+    FUNCTION_ENTRY: 1,
+    NULL_CHECK: 2,
+    SAVE_LEFT: 3,
+    SET_LEFT: 4,
+    SET_RIGHT: 5,
+    RECURSE_LEFT: 6,
+    RECURSE_RIGHT: 7,
+    FUNCTION_EXIT: 8
+};
+
+/**
+ * Code line numbers for flatten to a linked list (preorder, along right pointers):
+ * 1:  void flatten(Node node) {
+ * 2:      if (node == null) return;
+ * 3:      flatten(node.left);
+ * 4:      flatten(node.right);
+ * 5:      Node right = node.right;
+ * 6:      node.right = node.left;
+ * 7:      node.left = null;
+ * 8:      Node tail = node;
+ * 9:      while (tail.right != null) tail = tail.right;
+ * 10:     tail.right = right;
+ * 11: }
+ */
+const FLATTEN_LINES = {
+    FUNCTION_ENTRY: 1,
+    NULL_CHECK: 2,
+    RECURSE_LEFT: 3,
+    RECURSE_RIGHT: 4,
+    SAVE_RIGHT: 5,
+    MOVE_LEFT: 6,
+    CLEAR_LEFT: 7,
+    TAIL_START: 8,
+    TAIL_STEP: 9,
+    APPEND_RIGHT: 10,
+    FUNCTION_EXIT: 11
+};
+
+/**
+ * Display value of a possibly-null node for a local variable
+ */
+function valueOf(node) {
+    return node ? node.value : 'null';
+}
+
+/**
+ * Generates execution steps for inverting (mirroring) a tree
+ * The generator works on a copy of the tree; RELINK steps carry the swaps.
+ */
+export class InvertTreeGenerator {
+    /**
+     * Generates all execution steps for invert
+     * @param {Object|null} root - The root TreeNode
+     * @returns {ExecutionStep[]} Array of execution steps
+     */
+    generateSteps(root) {
+        const steps = [];
+        this._invert(copyWithIds(root), steps);
+        return steps;
+    }
+
+    /**
+     * Recursively generates steps for invert(node), swapping the copy as it goes
+     * @param {Object|null} node - Current node of the copy
+     * @param {ExecutionStep[]} steps - Array to collect steps
+     * @private
+     */
+    _invert(node, steps) {
+        steps.push(ExecutionStep.call(node, INVERT_LINES.FUNCTION_ENTRY));
+        steps.push(ExecutionStep.checkNull(node, INVERT_LINES.NULL_CHECK));
+
+        if (node === null) {
+            steps.push(ExecutionStep.return(null, INVERT_LINES.NULL_CHECK, true));
+            return;
+        }
+
+        const tmp = node.left;
+        steps.push(ExecutionStep.assign(node, INVERT_LINES.SAVE_LEFT, { tmp: valueOf(tmp) }));
+        steps.push(ExecutionStep.relink(node, INVERT_LINES.SET_LEFT, [{ side: 'left', child: node.right }]));
+        node.left = node.right;
+        steps.push(ExecutionStep.relink(node, INVERT_LINES.SET_RIGHT, [{ side: 'right', child: tmp }]));
+        node.right = tmp;
+
+        steps.push(ExecutionStep.recurseLeft(node, INVERT_LINES.RECURSE_LEFT));
+        this._invert(node.left, steps);
+        steps.push(ExecutionStep.recurseRight(node, INVERT_LINES.RECURSE_RIGHT));
+        this._invert(node.right, steps);
+        steps.push(ExecutionStep.return(node, INVERT_LINES.FUNCTION_EXIT));
+    }
+}
+
+/**
+ * Generates execution steps for flattening a tree into a right-leaning list in preorder
+ * The generator works on a copy of the tree; RELINK steps carry the pointer changes.
+ */
+export class FlattenGenerator {
+    /**
+     * Generates all execution steps for flatten
+     * @param {Object|null} root - The root TreeNode
+     * @returns {ExecutionStep[]} Array of execution steps
+     */
+    generateSteps(root) {
+        const steps = [];
+        this._flatten(copyWithIds(root), steps);
+        return steps;
+    }
+
+    /**
+     * Recursively generates steps for flatten(node), relinking the copy as it goes
+     * @param {Object|null} node - Current node of the copy
+     * @param {ExecutionStep[]} steps - Array to collect steps
+     * @private
+     */
+    _flatten(node, steps) {
+        steps.push(ExecutionStep.call(node, FLATTEN_LINES.FUNCTION_ENTRY));
+        steps.push(ExecutionStep.checkNull(node, FLATTEN_LINES.NULL_CHECK));
+
+        if (node === null) {
+            steps.push(ExecutionStep.return(null, FLATTEN_LINES.NULL_CHECK, true));
+            return;
+        }
+
+        steps.push(ExecutionStep.recurseLeft(node, FLATTEN_LINES.RECURSE_LEFT));
+        this._flatten(node.left, steps);
+        steps.push(ExecutionStep.recurseRight(node, FLATTEN_LINES.RECURSE_RIGHT));
+        this._flatten(node.right, steps);
+
+        const right = node.right;
+        steps.push(ExecutionStep.assign(node, FLATTEN_LINES.SAVE_RIGHT, { right: valueOf(right) }));
+        steps.push(ExecutionStep.relink(node, FLATTEN_LINES.MOVE_LEFT, [{ side: 'right', child: node.left }]));
+        node.right = node.left;
+        steps.push(ExecutionStep.relink(node, FLATTEN_LINES.CLEAR_LEFT, [{ side: 'left', child: null }]));
+        node.left = null;
+
+        // Walk to the end of the flattened left part and hang the right part there
+        let tail = node;
+        steps.push(ExecutionStep.assign(node, FLATTEN_LINES.TAIL_START, { tail: tail.value }));
+        while (tail.right !== null) {
+            tail = tail.right;
+            steps.push(ExecutionStep.assign(node, FLATTEN_LINES.TAIL_STEP, { tail: tail.value }));
+        }
+        const tailState = tail === node ? NodeState.PROCESSING : NodeState.FINISHED;
+        steps.push(ExecutionStep.relink(tail, FLATTEN_LINES.APPEND_RIGHT, [{ side: 'right', child: right }], tailState));
+        tail.right = right;
+
+        steps.push(ExecutionStep.return(node, FLATTEN_LINES.FUNCTION_EXIT));
+    }
+}
@@ -74,8 +74,13 @@ export class StackRenderer {
         this.stack = stack.map(f => 
             f instanceof StackFrame ? f : new StackFrame({
                 functionName: f.functionName,
+                nodeId: f.nodeId !== undefined ? f.nodeId : null,
                 nodeValue: f.nodeValue,
-                returnAddress: f.returnAddress || 'caller'
+                returnAddress: f.returnAddress || 'caller',
+                locals: f.locals,
+                returnsValue: f.returnsValue,
+                returnValue: f.returnValue,
+                incoming: f.incoming
             })
         );
         this.render();
@@ -117,10 +122,23 @@ export class StackRenderer {
      */
     createFrameHTML(frame, index) {
         const nodeDisplay = frame.nodeValue !== null ? frame.nodeValue : 'null';
+        const locals = Object.entries(frame.locals || {})
+            .map(([name, value]) => `<div class="frame-variable frame-local">${this.escapeHtml(name)} = ${this.escapeHtml(value)}</div>`)
+            .join('');
+        const incoming = frame.incoming
+            ? `<div class="frame-incoming">← ${this.escapeHtml(frame.incoming.value)} from ${this.escapeHtml(frame.incoming.from)}</div>`
+            : '';
+        let returnValue = '';
+        if (frame.returnValue !== undefined) {
+            returnValue = `<div class="frame-return">return ${this.escapeHtml(frame.returnValue)}</div>`;
+        } else if (frame.returnsValue) {
+            returnValue = '<div class="frame-return pending">return ?</div>';
+        }
         return `
             <div class="stack-frame" data-index="${index}">
                 <div class="frame-function">${this.escapeHtml(frame.functionName)}(${nodeDisplay})</div>
                 <div class="frame-variable">node.val = ${nodeDisplay}</div>
+                ${locals}${incoming}${returnValue}
             </div>
         `;
     }
@@ -239,6 +257,15 @@ export class StackRenderer {
         return this.stack.find(f => f.nodeValue === nodeValue) || null;
     }
 
+    /**
+     * Get frame for a specific node id
+     * @param {number} nodeId
+     * @returns {StackFrame|null}
+     */
+    findFrameByNodeId(nodeId) {
+        return this.stack.find(f => f.nodeId === nodeId) || null;
+    }
+
     /**
      * Check if stack contains a frame with the given node value
      * @param {number|null} nodeValue
@@ -12,7 +12,11 @@ export function createInitialState() {
     return {
         currentStepIndex: -1,
         callStack: [],
+        queue: [],
+        dataStack: [],
+        threads: [],
         nodeStates: new Map(),
+        nodeBadges: new Map(),
         highlightedLine: 0,
         traversalType: 'inorder',
         isPlaying: false,
@@ -21,6 +25,58 @@ export function createInitialState() {
     };
 }
 
+/**
+ * Clones a call stack frame, including its locals
+ * @param {Object} frame - Stack frame
+ * @returns {Object} Cloned frame
+ */
+function cloneFrame(frame) {
+    const clone = { ...frame };
+    if (frame.locals) clone.locals = { ...frame.locals };
+    if (frame.incoming) clone.incoming = { ...frame.incoming };
+    return clone;
+}
+
+/**
+ * Compares the locals and return values of two frames
+ * @returns {boolean} True if they match
+ */
+function frameValuesEqual(f1, f2) {
+    const locals1 = Object.entries(f1.locals || {});
+    const locals2 = f2.locals || {};
+    if (locals1.length !== Object.keys(locals2).length) return false;
+    if (locals1.some(([name, value]) => !Object.is(locals2[name], value))) return false;
+    if (!Object.is(f1.returnValue, f2.returnValue)) return false;
+    return Object.is(f1.incoming ? f1.incoming.value : undefined, f2.incoming ? f2.incoming.value : undefined);
+}
+
+/**
+ * Copies one slice of the state (frames and items are replaced, never changed, so a shallow copy will do)
+ * @param {Array|Map} slice
+ * @returns {Array|Map}
+ */
+function copySlice(slice) {
+    return slice instanceof Map ? new Map(slice) : [...slice];
+}
+
+/**
+ * Copies every slice of a state, sharing the frames and items in them
+ * @param {Object} state - AppState
+ * @returns {Object} A state no later update changes
+ */
+function copySlices(state) {
+    return {
+        ...state,
+        callStack: copySlice(state.callStack),
+        queue: copySlice(state.queue),
+        dataStack: copySlice(state.dataStack),
+        threads: copySlice(state.threads),
+        nodeStates: copySlice(state.nodeStates),
+        nodeBadges: copySlice(state.nodeBadges),
+        traversalOutput: copySlice(state.traversalOutput)
+    };
+}
+
 /**
  * Deep clones an AppState object
  * @param {Object} state - The state to clone
@@ -29,8 +85,12 @@ export function createInitialState() {
 export function cloneState(state) {
     return {
         currentStepIndex: state.currentStepIndex,
-        callStack: state.callStack.map(frame => ({ ...frame })),
+        callStack: state.callStack.map(cloneFrame),
+        queue: state.queue.map(item => ({ ...item })),
+        dataStack: state.dataStack.map(item => ({ ...item })),
+        threads: state.threads.map(thread => ({ ...thread })),
         nodeStates: new Map(state.nodeStates),
+        nodeBadges: new Map(state.nodeBadges),
         highlightedLine: state.highlightedLine,
         traversalType: state.traversalType,
         isPlaying: state.isPlaying,
@@ -52,23 +112,49 @@ export function statesEqual(state1, state2) {
     if (state1.isPlaying !== state2.isPlaying) return false;
     if (state1.animationSpeed !== state2.animationSpeed) return false;
     if (state1.callStack.length !== state2.callStack.length) return false;
+    if (state1.queue.length !== state2.queue.length) return false;
+    if (state1.dataStack.length !== state2.dataStack.length) return false;
+    if (state1.threads.length !== state2.threads.length) return false;
     if (state1.nodeStates.size !== state2.nodeStates.size) return false;
+    if (state1.nodeBadges.size !== state2.nodeBadges.size) return false;
     if (state1.traversalOutput.length !== state2.traversalOutput.length) return false;
 
     // Compare call stack
     for (let i = 0; i < state1.callStack.length; i++) {
         const f1 = state1.callStack[i];
         const f2 = state2.callStack[i];
-        if (f1.functionName !== f2.functionName || f1.nodeValue !== f2.nodeValue) {
+        if (f1.functionName !== f2.functionName || f1.nodeValue !== f2.nodeValue ||
+            f1.nodeId !== f2.nodeId || !frameValuesEqual(f1, f2)) {
             return false;
         }
     }
 
+    // Compare queue
+    for (let i = 0; i < state1.queue.length; i++) {
+        if (state1.queue[i].nodeId !== state2.queue[i].nodeId) return false;
+    }
+
+    // Compare data stack
+    for (let i = 0; i < state1.dataStack.length; i++) {
+        if (state1.dataStack[i].nodeId !== state2.dataStack[i].nodeId) return false;
+    }
+
+    // Compare threads
+    for (let i = 0; i < state1.threads.length; i++) {
+        if (state1.threads[i].fromId !== state2.threads[i].fromId) return false;
+        if (state1.threads[i].toId !== state2.threads[i].toId) return false;
+    }
+
     // Compare node states
     for (const [key, value] of state1.nodeStates) {
         if (state2.nodeStates.get(key) !== value) return false;
     }
 
+    // Compare node badges
+    for (const [key, value] of state1.nodeBadges) {
+        if (!Object.is(state2.nodeBadges.get(key), value)) return false;
+    }
+
     // Compare traversal output
     for (let i = 0; i < state1.traversalOutput.length; i++) {
         if (state1.traversalOutput[i] !== state2.traversalOutput[i]) return false;
@@ -84,7 +170,10 @@ export class StateManager {
     constructor() {
         this._state = createInitialState();
         this._subscribers = [];
-        this._history = [];
+        this._checkpoints = new Map();
+        this._batchDepth = 0;
+        this._batchChanged = false;
+        this._owned = new Set();
     }
 
     /**
@@ -95,6 +184,16 @@ export class StateManager {
         return cloneState(this._state);
     }
 
+    /**
+     * Gets the current state itself, without copying it
+     * For reading only, and only until the next update: a slice already copied in the
+     * current batch is changed in place by the updates after it.
+     * @returns {Object} Current AppState
+     */
+    peekState() {
+        return this._state;
+    }
+
     /**
      * Sets the state and notifies subscribers
      * @param {Object} newState - The new state (can be partial)
@@ -106,11 +205,23 @@ export class StateManager {
             ...newState,
             // Handle special cases for complex types
             callStack: newState.callStack !== undefined 
-                ? newState.callStack.map(f => ({ ...f }))
+                ? newState.callStack.map(cloneFrame)
                 : this._state.callStack,
+            queue: newState.queue !== undefined
+                ? newState.queue.map(item => ({ ...item }))
+                : this._state.queue,
+            dataStack: newState.dataStack !== undefined
+                ? newState.dataStack.map(item => ({ ...item }))
+                : this._state.dataStack,
+            threads: newState.threads !== undefined
+                ? newState.threads.map(thread => ({ ...thread }))
+                : this._state.threads,
             nodeStates: newState.nodeStates !== undefined
                 ? new Map(newState.nodeStates)
                 : this._state.nodeStates,
+            nodeBadges: newState.nodeBadges !== undefined
+                ? new Map(newState.nodeBadges)
+                : this._state.nodeBadges,
             traversalOutput: newState.traversalOutput !== undefined
                 ? [...newState.traversalOutput]
                 : this._state.traversalOutput
@@ -120,47 +231,142 @@ export class StateManager {
     }
 
     /**
-     * Pushes current state to history stack
+     * Saves a checkpoint of the current state, keyed by its step index
+     * Checkpoints are only taken every so often; any step in between is reached
+     * by replaying forward from the one before it.
+     * @param {*} [extra] - Anything else needed to restore the step (e.g. the tree's shape)
      */
-    pushHistory() {
-        this._history.push(cloneState(this._state));
+    saveCheckpoint(extra = null) {
+        this._checkpoints.set(this._state.currentStepIndex, { state: copySlices(this._state), extra });
     }
 
     /**
-     * Pops and returns the last state from history
-     * @returns {Object|null} Previous state or null if history is empty
+     * Checks if a step index has a checkpoint
+     * @param {number} index - Step index
+     * @returns {boolean}
      */
-    popHistory() {
-        if (this._history.length === 0) return null;
-        return this._history.pop();
+    hasCheckpoint(index) {
+        return this._checkpoints.has(index);
     }
 
     /**
-     * Clears all history
+     * Gets the latest checkpoint at or before a step index
+     * @param {number} index - Step index
+     * @returns {{state: Object, extra: *}|null} The checkpoint (its state is the saved one,
+     *   to be read or passed to restoreCheckpoint and not changed), or null if none
      */
-    clearHistory() {
-        this._history = [];
+    getCheckpointBefore(index) {
+        let best = null;
+        for (const [at, checkpoint] of this._checkpoints) {
+            if (at <= index && (best === null || at > best.state.currentStepIndex)) best = checkpoint;
+        }
+        return best;
     }
 
     /**
-     * Gets the current history length
-     * @returns {number} Number of states in history
+     * Goes back to a checkpoint's state and notifies subscribers
+     * Its slices are shared with the checkpoint until they next change, and are
+     * copied then, so restoring costs nothing for the slices a replay leaves alone.
+     * @param {{state: Object}} checkpoint - From getCheckpointBefore
+     * @param {Object} [changes] - Fields to set over the checkpoint's (e.g. playback settings)
      */
-    getHistoryLength() {
-        return this._history.length;
+    restoreCheckpoint(checkpoint, changes = {}) {
+        this._state = { ...checkpoint.state, ...changes };
+        this._owned.clear();
+        this._notifySubscribers();
+    }
+
+    /**
+     * Keeps only the checkpoints whose step index passes a test
+     * @param {Function} keep - Called with each checkpoint's step index
+     */
+    retainCheckpoints(keep) {
+        for (const index of [...this._checkpoints.keys()]) {
+            if (!keep(index)) this._checkpoints.delete(index);
+        }
+    }
+
+    /**
+     * Clears all checkpoints
+     */
+    clearCheckpoints() {
+        this._checkpoints.clear();
+    }
+
+    /**
+     * Gets the number of checkpoints held
+     * @returns {number}
+     */
+    getCheckpointCount() {
+        return this._checkpoints.size;
+    }
+
+    /**
+     * Runs a function whose updates reach subscribers as one change
+     * Subscribers are notified once, when the outermost batch ends, and never
+     * see the state part way through it.
+     * @param {Function} fn - Makes the updates
+     * @returns {*} What fn returns
+     */
+    batch(fn) {
+        this._batchDepth++;
+        try {
+            return fn();
+        } finally {
+            this._endBatch();
+        }
+    }
+
+    /**
+     * Like batch, but if the function throws, the state goes back to what it was
+     * before it ran and the error is rethrown (checkpoints are kept)
+     * @param {Function} fn - Makes the updates
+     * @returns {*} What fn returns
+     */
+    transaction(fn) {
+        const before = this._state;
+        const changedBefore = this._batchChanged;
+        const ownedBefore = this._owned;
+        // Slices are copied afresh inside, so the state to go back to is never changed
+        this._owned = new Set();
+        this._batchDepth++;
+        try {
+            const result = fn();
+            ownedBefore.forEach(key => this._owned.add(key));
+            return result;
+        } catch (error) {
+            this._state = before;
+            this._batchChanged = changedBefore;
+            this._owned = ownedBefore;
+            throw error;
+        } finally {
+            this._endBatch();
+        }
     }
 
     /**
      * Subscribes a callback to state changes
-     * @param {Function} callback - Function to call when state changes
+     * With a selector, the callback only runs when the selected slice changes. The
+     * selector reads the live state and must not change it; slices are replaced,
+     * never mutated, so an unchanged slice keeps its identity.
+     * @param {Function} selectorOrCallback - Selector (state -> slice), or the callback alone
+     *   to be called with a copy of the whole state on every change
+     * @param {Function} [callback] - Called with (slice, previousSlice) when the slice changes
+     *   (both are live values, to be read and not changed)
+     * @param {Function} [equals] - Compares two slices (defaults to Object.is)
      * @returns {Function} Unsubscribe function
      */
-    subscribe(callback) {
-        this._subscribers.push(callback);
+    subscribe(selectorOrCallback, callback = null, equals = Object.is) {
+        const subscriber = callback === null
+            ? { callback: selectorOrCallback, selector: null }
+            : { callback, selector: selectorOrCallback, equals, selected: selectorOrCallback(this._state) };
+        this._subscribers.push(subscriber);
+        // The selected slice must not change in place under the new subscriber
+        this._owned.clear();
         
         // Return unsubscribe function
         return () => {
-            const index = this._subscribers.indexOf(callback);
+            const index = this._subscribers.indexOf(subscriber);
             if (index > -1) {
                 this._subscribers.splice(index, 1);
             }
@@ -168,22 +374,69 @@ export class StateManager {
     }
 
     /**
-     * Resets state to initial values and clears history
+     * Resets state to initial values and clears checkpoints
      */
     reset() {
         this._state = createInitialState();
-        this._history = [];
+        this._owned.clear();
+        this._checkpoints.clear();
         this._notifySubscribers();
     }
 
     /**
-     * Notifies all subscribers of state change
+     * Ends a batch, notifying subscribers if it was the outermost and changed anything
+     * @private
+     */
+    _endBatch() {
+        this._batchDepth--;
+        if (this._batchDepth > 0) return;
+        this._owned.clear();
+        if (this._batchChanged) {
+            this._batchChanged = false;
+            this._notifySubscribers();
+        }
+    }
+
+    /**
+     * Gets a slice of the state that can be changed in place
+     * The slice is copied on its first change in a batch, and changed in place after
+     * that, so a step that makes many changes to a large slice copies it once. Outside
+     * a batch every change copies it, as a replaced slice must not be one anybody holds.
+     * @param {string} key - callStack, queue, dataStack, threads, nodeStates, nodeBadges or traversalOutput
+     * @returns {Array|Map} The slice
+     * @private
+     */
+    _writable(key) {
+        if (!this._owned.has(key)) {
+            this._state = { ...this._state, [key]: copySlice(this._state[key]) };
+            if (this._batchDepth > 0) this._owned.add(key);
+        }
+        return this._state[key];
+    }
+
+    /**
+     * Notifies all subscribers of state change (once a batch ends, inside one)
      * @private
      */
     _notifySubscribers() {
-        const state = this.getState();
-        for (const callback of this._subscribers) {
-            callback(state);
+        if (this._batchDepth > 0) {
+            this._batchChanged = true;
+            return;
+        }
+        // Cloning a large tree's state is not free, so only do it for someone who wants it
+        let state = null;
+        for (const subscriber of [...this._subscribers]) {
+            if (subscriber.selector === null) {
+                state = state || this.getState();
+                subscriber.callback(state);
+                continue;
+            }
+            const selected = subscriber.selector(this._state);
+            if (!subscriber.equals(selected, subscriber.selected)) {
+                const previous = subscriber.selected;
+                subscriber.selected = selected;
+                subscriber.callback(selected, previous);
+            }
         }
     }
 
@@ -236,8 +489,24 @@ export class StateManager {
      * @param {Object} frame - Stack frame to push
      */
     pushCallStack(frame) {
-        const newStack = [...this._state.callStack, { ...frame }];
-        this.setState({ callStack: newStack });
+        this._writable('callStack').push(cloneFrame(frame));
+        this._notifySubscribers();
+    }
+
+    /**
+     * Updates the top call stack frame (locals are merged, not replaced)
+     * Does nothing when the call stack is empty.
+     * @param {Object} changes - Frame fields to set ({ locals, returnValue, incoming })
+     */
+    updateTopFrame(changes) {
+        const stack = this._state.callStack;
+        if (stack.length === 0) return;
+        const top = stack[stack.length - 1];
+        const frame = { ...top, ...changes };
+        if (changes.locals) frame.locals = { ...top.locals, ...changes.locals };
+        const writable = this._writable('callStack');
+        writable[writable.length - 1] = frame;
+        this._notifySubscribers();
     }
 
     /**
@@ -246,31 +515,95 @@ export class StateManager {
      */
     popCallStack() {
         if (this._state.callStack.length === 0) return undefined;
-        const newStack = this._state.callStack.slice(0, -1);
-        const popped = this._state.callStack[this._state.callStack.length - 1];
-        this.setState({ callStack: newStack });
+        const popped = this._writable('callStack').pop();
+        this._notifySubscribers();
         return popped;
     }
 
+    /**
+     * Adds an item to the back of the queue
+     * @param {Object} item - Queue item ({ nodeId, nodeValue })
+     */
+    enqueue(item) {
+        this._writable('queue').push({ ...item });
+        this._notifySubscribers();
+    }
+
+    /**
+     * Removes the item at the front of the queue
+     * @returns {Object|undefined} Dequeued item or undefined if empty
+     */
+    dequeue() {
+        if (this._state.queue.length === 0) return undefined;
+        const front = this._writable('queue').shift();
+        this._notifySubscribers();
+        return front;
+    }
+
+    /**
+     * Pushes an item onto the data stack (the program's own Stack<Node>)
+     * @param {Object} item - Data stack item ({ nodeId, nodeValue })
+     */
+    pushDataStack(item) {
+        this._writable('dataStack').push({ ...item });
+        this._notifySubscribers();
+    }
+
+    /**
+     * Pops the top item off the data stack
+     * @returns {Object|undefined} Popped item or undefined if empty
+     */
+    popDataStack() {
+        if (this._state.dataStack.length === 0) return undefined;
+        const popped = this._writable('dataStack').pop();
+        this._notifySubscribers();
+        return popped;
+    }
+
+    /**
+     * Adds a temporary thread edge (Morris traversal)
+     * @param {{fromId: number, toId: number}} thread - Predecessor id and successor id
+     */
+    addThread(thread) {
+        this.setState({ threads: [...this._state.threads, { ...thread }] });
+    }
+
+    /**
+     * Removes the thread leaving the given node
+     * @param {number} fromId - Id of the predecessor holding the thread
+     */
+    removeThread(fromId) {
+        this.setState({ threads: this._state.threads.filter(thread => thread.fromId !== fromId) });
+    }
+
     /**
      * Updates a node's visual state
-     * @param {number} nodeValue - The node's value
+     * @param {number} nodeId - The node's id
      * @param {string} state - The new NodeState
      */
-    setNodeState(nodeValue, state) {
-        const newNodeStates = new Map(this._state.nodeStates);
-        newNodeStates.set(nodeValue, state);
-        this.setState({ nodeStates: newNodeStates });
+    setNodeState(nodeId, state) {
+        this._writable('nodeStates').set(nodeId, state);
+        this._notifySubscribers();
+    }
+
+    /**
+     * Sets the badge shown beside a node (e.g. its resolved return value)
+     * @param {number} nodeId - Node id
+     * @param {*} value - Badge value
+     */
+    setNodeBadge(nodeId, value) {
+        this._writable('nodeBadges').set(nodeId, value);
+        this._notifySubscribers();
     }
 
     /**
      * Resets all node states to unvisited
-     * @param {number[]} nodeValues - Array of node values to reset
+     * @param {number[]} nodeIds - Array of node ids to reset
      */
-    resetNodeStates(nodeValues) {
+    resetNodeStates(nodeIds) {
         const newNodeStates = new Map();
-        for (const value of nodeValues) {
-            newNodeStates.set(value, NodeState.UNVISITED);
+        for (const id of nodeIds) {
+            newNodeStates.set(id, NodeState.UNVISITED);
         }
         this.setState({ nodeStates: newNodeStates });
     }
@@ -280,8 +613,8 @@ export class StateManager {
      * @param {number} value - Node value to add
      */
     addToOutput(value) {
-        const newOutput = [...this._state.traversalOutput, value];
-        this.setState({ traversalOutput: newOutput });
+        this._writable('traversalOutput').push(value);
+        this._notifySubscribers();
     }
 
     /**
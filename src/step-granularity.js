@@ -0,0 +1,71 @@
+// ============================================================
+// STEP GRANULARITY
+// ============================================================
+
+import { StepType, StackAction } from './execution-step.js';
+
+/**
+ * How much of a trace stepping stops on
+ * Hidden steps still run: stepping applies them together with the next shown
+ * step, so the call stack and node states are always those of the full trace.
+ */
+export const Granularity = {
+    FULL: 'full',                             // every step
+    SKIP_NULL_CALLS: 'skip-null-calls',       // all but the call, null check and return of calls on null
+    VISITS_ONLY: 'visits-only',               // steps that print a node
+    CALLS_RETURNS_ONLY: 'calls-returns-only'  // steps that push or pop a stack frame
+};
+
+/**
+ * Check that a value is one of the Granularity values
+ * @param {string} granularity
+ * @returns {boolean}
+ */
+export function isGranularity(granularity) {
+    return Object.values(Granularity).includes(granularity);
+}
+
+/**
+ * Whether a step belongs to a call on a null child: its CALL, CHECK_NULL or RETURN
+ * @param {Object} step - ExecutionStep
+ * @returns {boolean}
+ */
+export function isNullCallStep(step) {
+    return step.nodeId === null &&
+        (step.type === StepType.CALL || step.type === StepType.CHECK_NULL || step.type === StepType.RETURN);
+}
+
+/**
+ * Whether stepping stops on a step at a granularity
+ * (the engine also always stops on the last step, so every view ends where the trace does)
+ * @param {Object} step - ExecutionStep
+ * @param {string} granularity - One of Granularity
+ * @returns {boolean}
+ */
+export function isStepShown(step, granularity) {
+    switch (granularity) {
+        case Granularity.SKIP_NULL_CALLS:
+            return !isNullCallStep(step);
+        case Granularity.VISITS_ONLY:
+            return (step.type === StepType.PROCESS_NODE || step.type === StepType.VISIT) && step.nodeValue !== null;
+        case Granularity.CALLS_RETURNS_ONLY:
+            return step.stackAction === StackAction.PUSH || step.stackAction === StackAction.POP;
+        case Granularity.FULL:
+        default:
+            return true;
+    }
+}
+
+/**
+ * Indices of the steps stepping stops on at a granularity, the last step included
+ * @param {Array} steps - ExecutionStep array
+ * @param {string} granularity - One of Granularity
+ * @returns {number[]}
+ */
+export function getShownIndices(steps, granularity) {
+    const indices = [];
+    steps.forEach((step, index) => {
+        if (isStepShown(step, granularity) || index === steps.length - 1) indices.push(index);
+    });
+    return indices;
+}
@@ -0,0 +1,274 @@
+// ============================================================
+// TIMELINE RENDERER MODULE
+// ============================================================
+
+import { StepType, StackAction } from './execution-step.js';
+
+/**
+ * Kinds of event marked on the timeline
+ */
+export const TimelineMarker = {
+    VISIT: 'visit',          // a step added a value to the output (PROCESS_NODE or VISIT)
+    MAX_DEPTH: 'max-depth',  // the call stack reached its deepest point of the trace
+    RETURN: 'return'         // a call on a real node (not null) returned
+};
+
+/**
+ * Call stack depth after each step, from the steps' push and pop actions
+ * @param {Array} steps - ExecutionStep array
+ * @returns {number[]} One depth per step
+ */
+export function getStackDepths(steps) {
+    let depth = 0;
+    return steps.map(step => {
+        if (step.stackAction === StackAction.PUSH) depth++;
+        if (step.stackAction === StackAction.POP) depth = Math.max(0, depth - 1);
+        return depth;
+    });
+}
+
+/**
+ * The deepest of a trace's stack depths (0 for none)
+ * A loop rather than Math.max(...depths), which runs out of arguments on long traces.
+ * @param {number[]} depths
+ * @returns {number}
+ */
+function getMaxDepth(depths) {
+    let max = 0;
+    for (const depth of depths) {
+        if (depth > max) max = depth;
+    }
+    return max;
+}
+
+/**
+ * The events of a trace worth finding again, in step order
+ * A max-depth marker sits on each push that reaches the deepest level (none if
+ * the trace never calls a function).
+ * @param {Array} steps - ExecutionStep array
+ * @returns {Array<{index: number, kind: string, nodeId: number|null, value: *}>}
+ */
+export function getTimelineMarkers(steps) {
+    const depths = getStackDepths(steps);
+    const maxDepth = getMaxDepth(depths);
+    const markers = [];
+    steps.forEach((step, index) => {
+        const marker = kind => markers.push({ index, kind, nodeId: step.nodeId, value: step.nodeValue });
+        // The steps that add to the traversal output, as the engine applies them
+        const isVisit = step.type === StepType.PROCESS_NODE || step.type === StepType.VISIT;
+        if (isVisit && step.nodeValue !== null) marker(TimelineMarker.VISIT);
+        if (maxDepth > 0 && step.stackAction === StackAction.PUSH && depths[index] === maxDepth) {
+            marker(TimelineMarker.MAX_DEPTH);
+        }
+        if (step.type === StepType.RETURN && step.nodeId !== null) marker(TimelineMarker.RETURN);
+    });
+    return markers;
+}
+
+/**
+ * Most groups of steps the timeline draws; a longer trace shares each group's tick,
+ * sparkline segment and markers among several steps, so drawing it costs no more
+ */
+export const TIMELINE_BUCKETS = 400;
+
+/**
+ * Groups a trace's steps for drawing: at most TIMELINE_BUCKETS runs of equal length
+ * (one step each on a short trace), each with the deepest stack depth in it. Of the
+ * markers in a group, the first of each kind is drawn and stands for the others.
+ * @param {number[]} depths - From getStackDepths
+ * @param {Array} markers - From getTimelineMarkers
+ * @returns {{buckets: Array<{start: number, end: number, depth: number}>,
+ *   markers: Array<{marker: Object, position: number, more: number}>}} The groups
+ *   (steps start..end-1), and the markers drawn with their place in the list and how many they stand for
+ */
+export function groupTimeline(depths, markers) {
+    const size = Math.max(1, Math.ceil(depths.length / TIMELINE_BUCKETS));
+    const buckets = [];
+    for (let start = 0; start < depths.length; start += size) {
+        const end = Math.min(start + size, depths.length);
+        let depth = 0;
+        for (let i = start; i < end; i++) {
+            if (depths[i] > depth) depth = depths[i];
+        }
+        buckets.push({ start, end, depth });
+    }
+
+    const drawn = [];
+    const firstOfKind = new Map();
+    markers.forEach((marker, position) => {
+        const key = `${Math.floor(marker.index / size)} ${marker.kind}`;
+        const first = firstOfKind.get(key);
+        if (first) {
+            first.more++;
+        } else {
+            const entry = { marker, position, more: 0 };
+            firstOfKind.set(key, entry);
+            drawn.push(entry);
+        }
+    });
+    return { buckets, markers: drawn };
+}
+
+/**
+ * Horizontal centre of a step's tick, as a fraction of the timeline's width
+ * @param {number} index - Step index
+ * @param {number} stepCount - Number of steps
+ * @returns {number} In (0, 1)
+ */
+export function getTickPosition(index, stepCount) {
+    return (index + 0.5) / stepCount;
+}
+
+/**
+ * The step whose tick is under a point of the timeline (what a click or drag seeks to)
+ * @param {number} x - Distance from the timeline's left edge
+ * @param {number} width - The timeline's width
+ * @param {number} stepCount - Number of steps
+ * @returns {number} Step index, clamped to the trace (-1 when there are no steps)
+ */
+export function getStepAtPosition(x, width, stepCount) {
+    if (stepCount === 0 || width <= 0) return -1;
+    return Math.max(0, Math.min(stepCount - 1, Math.floor((x / width) * stepCount)));
+}
+
+/**
+ * TimelineRenderer - Renders a trace as a strip of ticks, one per step (or per group
+ * of steps on a long trace), with event markers, a sparkline of the call stack depth
+ * and a playhead on the current step
+ * Testable version with DOM rendering methods
+ */
+export class TimelineRenderer {
+    constructor(containerElement = null) {
+        this.container = containerElement;
+        this.stepCount = 0;
+        this.depths = [];
+        this.maxDepth = 0;
+        this.markers = [];
+        this.complete = true;
+        this.currentIndex = -1;
+    }
+
+    /**
+     * Set the container element for DOM rendering
+     * @param {HTMLElement} element
+     */
+    setContainer(element) {
+        this.container = element;
+    }
+
+    /**
+     * Read the depths and markers of a trace and render it
+     * @param {Array} steps - ExecutionStep array
+     * @param {boolean} [complete] - False if these are only the steps produced so far
+     *   (the deepest calls are then the deepest so far, and the end is marked as open)
+     */
+    setSteps(steps, complete = true) {
+        this.stepCount = steps.length;
+        this.depths = getStackDepths(steps);
+        this.maxDepth = getMaxDepth(this.depths);
+        this.markers = getTimelineMarkers(steps);
+        this.complete = complete;
+        this.currentIndex = -1;
+        this.render();
+    }
+
+    /**
+     * Move the playhead to a step (-1 hides it)
+     * @param {number} index
+     */
+    setCurrent(index) {
+        this.currentIndex = index;
+        const playhead = this.container && this.container.querySelector('.timeline-playhead');
+        if (playhead) this.positionPlayhead(playhead);
+    }
+
+    /**
+     * Get the markers
+     * @returns {Array<{index: number, kind: string, nodeId: number|null, value: *}>}
+     */
+    getMarkers() {
+        return this.markers.map(marker => ({ ...marker }));
+    }
+
+    /**
+     * Points of the depth sparkline, in a viewBox of stepCount x (max depth + 1)
+     * Each step (or group of steps, at its deepest) is a flat segment across its tick,
+     * so pushes and pops show as steps.
+     * @returns {string} SVG polyline points
+     */
+    getSparklinePoints() {
+        const top = this.maxDepth + 1;
+        return groupTimeline(this.depths, []).buckets
+            .map(({ start, end, depth }) => `${start},${top - depth} ${end},${top - depth}`)
+            .join(' ');
+    }
+
+    /**
+     * Create HTML for a single marker
+     * @param {Object} marker
+     * @param {number} [more] - Markers of the same kind close by that this one stands for
+     * @returns {string}
+     */
+    createMarkerHTML(marker, more = 0) {
+        const left = (getTickPosition(marker.index, this.stepCount) * 100).toFixed(3);
+        const step = more > 0 ? `step ${marker.index + 1}, and ${more} more close by` : `step ${marker.index + 1}`;
+        const titles = {
+            [TimelineMarker.VISIT]: `print ${marker.value} (${step})`,
+            [TimelineMarker.MAX_DEPTH]: `deepest call, on ${marker.value === null ? 'null' : marker.value} (${step})`,
+            [TimelineMarker.RETURN]: `return from ${marker.value} (${step})`
+        };
+        const label = marker.kind === TimelineMarker.VISIT ? this.escapeHtml(marker.value) : '';
+        return `<button type="button" class="timeline-marker marker-${marker.kind}" style="left: ${left}%" ` +
+            `data-index="${marker.index}" title="${this.escapeHtml(titles[marker.kind])}">${label}</button>`;
+    }
+
+    /**
+     * Escape HTML special characters
+     * @param {string} text
+     * @returns {string}
+     */
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Place the playhead over the current step's tick
+     * @param {HTMLElement} playhead
+     */
+    positionPlayhead(playhead) {
+        playhead.hidden = this.currentIndex < 0;
+        if (this.currentIndex >= 0) {
+            playhead.style.left = `${(getTickPosition(this.currentIndex, this.stepCount) * 100).toFixed(3)}%`;
+        }
+    }
+
+    /**
+     * Render the ticks, sparkline, markers and playhead to the container
+     */
+    render() {
+        if (!this.container) return;
+
+        if (this.stepCount === 0) {
+            this.container.innerHTML = '<div class="timeline-empty">No steps</div>';
+            return;
+        }
+
+        const top = this.maxDepth + 1;
+        const { buckets, markers } = groupTimeline(this.depths, this.markers);
+        // Ticks are a fixed share of the height, however deep the trace goes
+        const tick = (top * 0.15).toFixed(2);
+        const ticks = buckets.map(({ start, end }) => `M${(start + end) / 2} ${top}v-${tick}`).join('');
+        this.container.innerHTML =
+            `<svg class="timeline-track" viewBox="0 0 ${this.stepCount} ${top}" preserveAspectRatio="none" aria-hidden="true">` +
+            `<path class="timeline-ticks" d="${ticks}"/>` +
+            `<polyline class="timeline-sparkline" points="${this.getSparklinePoints()}"/></svg>` +
+            markers.map(({ marker, more }) => this.createMarkerHTML(marker, more)).join('') +
+            (this.complete ? '' : '<div class="timeline-more" title="More steps follow">…</div>') +
+            '<div class="timeline-playhead"></div>';
+        this.positionPlayhead(this.container.querySelector('.timeline-playhead'));
+    }
+}
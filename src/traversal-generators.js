@@ -2,7 +2,13 @@
 // TRAVERSAL GENERATORS
 // ============================================================
 
-import { ExecutionStep } from './execution-step.js';
+import { ExecutionStep, NodeState } from './execution-step.js';
+import { BstSearchGenerator, BstInsertGenerator, BstDeleteGenerator } from './bst-generators.js';
+import { InvertTreeGenerator, FlattenGenerator } from './restructure-generators.js';
+import { AvlInsertGenerator } from './avl-generators.js';
+import { RedBlackInsertGenerator } from './red-black-generators.js';
+import { HeapInsertGenerator, HeapExtractMinGenerator, HeapifyGenerator } from './heap-generators.js';
+import { InstrumentedGenerator } from './code-instrumenter.js';
 
 /**
  * Code line numbers for Inorder traversal:
@@ -58,6 +64,278 @@ const POSTORDER_LINES = {
     FUNCTION_EXIT: 6
 };
 
+/**
+ * The three statements of a recursive traversal, in inorder order
+ * ('visit' is the print; 'left' and 'right' are the recursive calls)
+ */
+export const TRAVERSAL_PARTS = ['left', 'visit', 'right'];
+
+/**
+ * Names of the six orders of the statements
+ */
+const ORDER_NAMES = {
+    'left,visit,right': 'Inorder',
+    'visit,left,right': 'Preorder',
+    'left,right,visit': 'Postorder',
+    'right,visit,left': 'Reverse inorder',
+    'visit,right,left': 'Reverse preorder',
+    'right,left,visit': 'Reverse postorder'
+};
+
+/**
+ * Check that an order uses each of the three statements exactly once
+ * @param {Array<string>} order
+ * @returns {boolean}
+ */
+export function isTraversalOrder(order) {
+    return Array.isArray(order) && order.length === TRAVERSAL_PARTS.length &&
+        TRAVERSAL_PARTS.every(part => order.includes(part));
+}
+
+/**
+ * Get the name of an order, e.g. 'Reverse inorder' for right, visit, left
+ * @param {Array<string>} order - A permutation of TRAVERSAL_PARTS
+ * @returns {string}
+ */
+export function getOrderName(order) {
+    return ORDER_NAMES[order.join(',')];
+}
+
+/**
+ * Code line numbers for a traversal composed from any order of the statements:
+ * 1:   void traverse(Node node) {
+ * 2:       if (node == null) return;
+ * 3-5:     traverse(node.left); print(node.val); traverse(node.right); in the chosen order
+ * 6:   }
+ * @param {Array<string>} order - A permutation of TRAVERSAL_PARTS
+ * @returns {Object} Line map with the keys of INORDER_LINES
+ */
+export function getComposedLines(order) {
+    return {
+        FUNCTION_ENTRY: 1,
+        NULL_CHECK: 2,
+        RECURSE_LEFT: 3 + order.indexOf('left'),
+        PROCESS: 3 + order.indexOf('visit'),
+        RECURSE_RIGHT: 3 + order.indexOf('right'),
+        FUNCTION_EXIT: 6
+    };
+}
+
+/**
+ * Code line numbers for Level-order (BFS) traversal:
+ * 1:  void levelOrder(Node root) {
+ * 2:      Queue<Node> queue = new LinkedList<>();
+ * 3:      if (root != null) queue.add(root);
+ * 4:      while (!queue.isEmpty()) {
+ * 5:          Node node = queue.poll();
+ * 6:          print(node.val);
+ * 7:          if (node.left != null) queue.add(node.left);
+ * 8:          if (node.right != null) queue.add(node.right);
+ * 9:      }
+ * 10: }
+ */
+const LEVELORDER_LINES = {
+    FUNCTION_ENTRY: 1,
+    ENQUEUE_ROOT: 3,
+    DEQUEUE: 5,
+    VISIT: 6,
+    ENQUEUE_LEFT: 7,
+    ENQUEUE_RIGHT: 8,
+    FUNCTION_EXIT: 10
+};
+
+/**
+ * Code line numbers for iterative Inorder traversal:
+ * 1:  void inOrderIterative(Node root) {
+ * 2:      Stack<Node> stack = new Stack<>();
+ * 3:      Node curr = root;
+ * 4:      while (curr != null || !stack.isEmpty()) {
+ * 5:          while (curr != null) {
+ * 6:              stack.push(curr);
+ * 7:              curr = curr.left;
+ * 8:          }
+ * 9:          curr = stack.pop();
+ * 10:         print(curr.val);
+ * 11:         curr = curr.right;
+ * 12:     }
+ * 13: }
+ */
+const ITERATIVE_INORDER_LINES = {
+    FUNCTION_ENTRY: 1,
+    PUSH: 6,
+    POP: 9,
+    PROCESS: 10,
+    FUNCTION_EXIT: 13
+};
+
+/**
+ * Code line numbers for iterative Preorder traversal:
+ * 1:  void preOrderIterative(Node root) {
+ * 2:      if (root == null) return;
+ * 3:      Stack<Node> stack = new Stack<>();
+ * 4:      stack.push(root);
+ * 5:      while (!stack.isEmpty()) {
+ * 6:          Node node = stack.pop();
+ * 7:          print(node.val);
+ * 8:          if (node.right != null) stack.push(node.right);
+ * 9:          if (node.left != null) stack.push(node.left);
+ * 10:     }
+ * 11: }
+ */
+const ITERATIVE_PREORDER_LINES = {
+    FUNCTION_ENTRY: 1,
+    NULL_CHECK: 2,
+    PUSH_ROOT: 4,
+    POP: 6,
+    PROCESS: 7,
+    PUSH_RIGHT: 8,
+    PUSH_LEFT: 9,
+    FUNCTION_EXIT: 11
+};
+
+/**
+ * Code line numbers for iterative Postorder traversal (single stack):
+ * 1:  void postOrderIterative(Node root) {
+ * 2:      Stack<Node> stack = new Stack<>();
+ * 3:      Node curr = root, last = null;
+ * 4:      while (curr != null || !stack.isEmpty()) {
+ * 5:          if (curr != null) {
+ * 6:              stack.push(curr);
+ * 7:              curr = curr.left;
+ * 8:          } else {
+ * 9:              Node peek = stack.peek();
+ * 10:             if (peek.right != null && last != peek.right) {
+ * 11:                 curr = peek.right;
+ * 12:             } else {
+ * 13:                 print(peek.val);
+ * 14:                 last = stack.pop();
+ * 15:             }
+ * 16:         }
+ * 17:     }
+ * 18: }
+ */
+const ITERATIVE_POSTORDER_LINES = {
+    FUNCTION_ENTRY: 1,
+    PUSH: 6,
+    PEEK: 9,
+    PROCESS: 13,
+    POP: 14,
+    FUNCTION_EXIT: 18
+};
+
+/**
+ * Code line numbers for Morris Inorder traversal:
+ * 1:  void morrisInorder(Node root) {
+ * 2:      Node curr = root;
+ * 3:      while (curr != null) {
+ * 4:          if (curr.left == null) {
+ * 5:              print(curr.val);
+ * 6:              curr = curr.right;
+ * 7:          } else {
+ * 8:              Node pred = curr.left;
+ * 9:              while (pred.right != null && pred.right != curr)
+ * 10:                 pred = pred.right;
+ * 11:             if (pred.right == null) {
+ * 12:                 pred.right = curr;
+ * 13:                 curr = curr.left;
+ * 14:             } else {
+ * 15:                 pred.right = null;
+ * 16:                 print(curr.val);
+ * 17:                 curr = curr.right;
+ * 18:             }
+ * 19:         }
+ * 20:     }
+ * 21: }
+ */
+const MORRIS_INORDER_LINES = {
+    FUNCTION_ENTRY: 1,
+    PROCESS_NO_LEFT: 5,
+    PRED_START: 8,
+    PRED_STEP: 10,
+    THREAD_CREATE: 12,
+    THREAD_REMOVE: 15,
+    PROCESS_THREADED: 16,
+    FUNCTION_EXIT: 21
+};
+
+/**
+ * Code line numbers for the recursive tree height:
+ * 1: int height(Node node) {
+ * 2:     if (node == null) return 0;
+ * 3:     int left = height(node.left);
+ * 4:     int right = height(node.right);
+ * 5:     return 1 + Math.max(left, right);
+ * 6: }
+ */
+const HEIGHT_LINES = {
+    FUNCTION_ENTRY: 1,
+    NULL_CHECK: 2,
+    RECURSE_LEFT: 3,
+    RECURSE_RIGHT: 4,
+    COMBINE: 5,
+    FUNCTION_EXIT: 6
+};
+
+/**
+ * Steps of a recursive traversal, produced one at a time
+ * The recursion runs on an explicit stack of frames instead of the native call
+ * stack, so a deeply skewed tree cannot overflow it.
+ * @param {Object|null} root - The root TreeNode
+ * @param {Array<string>} order - A permutation of TRAVERSAL_PARTS
+ * @param {Object} lines - Line map with the keys of INORDER_LINES
+ * @yields {ExecutionStep}
+ */
+function* recursiveTraversalSteps(root, order, lines) {
+    // Each frame is a call on a real node and how many of its statements have run
+    const frames = [];
+    const call = function* (node) {
+        yield ExecutionStep.call(node, lines.FUNCTION_ENTRY);
+        yield ExecutionStep.checkNull(node, lines.NULL_CHECK);
+
+        // A call on null returns at once; any other call gets a frame
+        if (node === null) {
+            yield ExecutionStep.return(null, lines.NULL_CHECK, true);
+        } else {
+            frames.push({ node, next: 0 });
+        }
+    };
+
+    yield* call(root);
+    while (frames.length > 0) {
+        const frame = frames[frames.length - 1];
+        if (frame.next === order.length) {
+            frames.pop();
+            yield ExecutionStep.return(frame.node, lines.FUNCTION_EXIT);
+            continue;
+        }
+
+        const part = order[frame.next++];
+        if (part === 'visit') {
+            yield ExecutionStep.processNode(frame.node, lines.PROCESS);
+        } else if (part === 'left') {
+            yield ExecutionStep.recurseLeft(frame.node, lines.RECURSE_LEFT);
+            yield* call(frame.node.left);
+        } else {
+            yield ExecutionStep.recurseRight(frame.node, lines.RECURSE_RIGHT);
+            yield* call(frame.node.right);
+        }
+    }
+}
+
+/**
+ * Steps a generator produces, one at a time where it can
+ * Generators with an iterateSteps(root) method produce each step as it is asked
+ * for; the others generate the whole array first.
+ * @param {Object} generator - From getTraversalGenerator
+ * @param {Object|null} root - The root TreeNode
+ * @returns {Iterator<ExecutionStep>}
+ */
+export function iterateSteps(generator, root) {
+    return typeof generator.iterateSteps === 'function'
+        ? generator.iterateSteps(root)
+        : generator.generateSteps(root)[Symbol.iterator]();
+}
+
 /**
  * Generates execution steps for Inorder traversal (Left -> Root -> Right)
  */
@@ -68,157 +346,491 @@ export class InorderGenerator {
      * @returns {ExecutionStep[]} Array of execution steps
      */
     generateSteps(root) {
-        const steps = [];
-        this._traverse(root, steps);
-        return steps;
+        return [...this.iterateSteps(root)];
     }
 
     /**
-     * Recursively generates steps for inorder traversal
-     * @param {Object|null} node - Current node
-     * @param {ExecutionStep[]} steps - Array to collect steps
-     * @private
+     * Produces the execution steps for inorder traversal one at a time
+     * @param {Object|null} root - The root TreeNode
+     * @yields {ExecutionStep}
      */
-    _traverse(node, steps) {
-        const nodeValue = node ? node.value : null;
+    *iterateSteps(root) {
+        yield* recursiveTraversalSteps(root, ['left', 'visit', 'right'], INORDER_LINES);
+    }
+}
 
-        // Step 1: Function call (entering the function)
-        steps.push(ExecutionStep.call(nodeValue, INORDER_LINES.FUNCTION_ENTRY));
+/**
+ * Generates execution steps for Preorder traversal (Root -> Left -> Right)
+ */
+export class PreorderGenerator {
+    /**
+     * Generates all execution steps for preorder traversal
+     * @param {Object} root - The root TreeNode
+     * @returns {ExecutionStep[]} Array of execution steps
+     */
+    generateSteps(root) {
+        return [...this.iterateSteps(root)];
+    }
 
-        // Step 2: Null check
-        steps.push(ExecutionStep.checkNull(nodeValue, INORDER_LINES.NULL_CHECK));
+    /**
+     * Produces the execution steps for preorder traversal one at a time
+     * @param {Object|null} root - The root TreeNode
+     * @yields {ExecutionStep}
+     */
+    *iterateSteps(root) {
+        yield* recursiveTraversalSteps(root, ['visit', 'left', 'right'], PREORDER_LINES);
+    }
+}
 
-        // If node is null, return early
-        if (node === null) {
-            steps.push(ExecutionStep.return(null, INORDER_LINES.NULL_CHECK, true));
-            return;
-        }
+/**
+ * Generates execution steps for Postorder traversal (Left -> Right -> Root)
+ */
+export class PostorderGenerator {
+    /**
+     * Generates all execution steps for postorder traversal
+     * @param {Object} root - The root TreeNode
+     * @returns {ExecutionStep[]} Array of execution steps
+     */
+    generateSteps(root) {
+        return [...this.iterateSteps(root)];
+    }
 
-        // Step 3: Recurse left
-        steps.push(ExecutionStep.recurseLeft(nodeValue, INORDER_LINES.RECURSE_LEFT));
-        this._traverse(node.left, steps);
+    /**
+     * Produces the execution steps for postorder traversal one at a time
+     * @param {Object|null} root - The root TreeNode
+     * @yields {ExecutionStep}
+     */
+    *iterateSteps(root) {
+        yield* recursiveTraversalSteps(root, ['left', 'right', 'visit'], POSTORDER_LINES);
+    }
+}
 
-        // Step 4: Process node (print)
-        steps.push(ExecutionStep.processNode(nodeValue, INORDER_LINES.PROCESS));
+/**
+ * Generates execution steps for Level-order traversal (breadth-first, using a queue)
+ */
+export class LevelOrderGenerator {
+    /**
+     * Generates all execution steps for level-order traversal
+     * @param {Object} root - The root TreeNode
+     * @returns {ExecutionStep[]} Array of execution steps
+     */
+    generateSteps(root) {
+        return [...this.iterateSteps(root)];
+    }
+
+    /**
+     * Produces the execution steps for level-order traversal one at a time
+     * @param {Object|null} root - The root TreeNode
+     * @yields {ExecutionStep}
+     */
+    *iterateSteps(root) {
+        // The whole traversal runs inside a single levelOrder(root) call
+        yield ExecutionStep.call(root, LEVELORDER_LINES.FUNCTION_ENTRY);
+
+        if (root === null) {
+            yield ExecutionStep.return(null, LEVELORDER_LINES.FUNCTION_EXIT, true);
+            return;
+        }
 
-        // Step 5: Recurse right
-        steps.push(ExecutionStep.recurseRight(nodeValue, INORDER_LINES.RECURSE_RIGHT));
-        this._traverse(node.right, steps);
+        // The queue is read from a head index; shifting would move every node left behind
+        const queue = [root];
+        let head = 0;
+        yield ExecutionStep.enqueue(root, LEVELORDER_LINES.ENQUEUE_ROOT);
+
+        while (head < queue.length) {
+            const node = queue[head++];
+            yield ExecutionStep.dequeue(node, LEVELORDER_LINES.DEQUEUE);
+            yield ExecutionStep.visit(node, LEVELORDER_LINES.VISIT);
+
+            if (node.left) {
+                queue.push(node.left);
+                yield ExecutionStep.enqueue(node.left, LEVELORDER_LINES.ENQUEUE_LEFT);
+            }
+            if (node.right) {
+                queue.push(node.right);
+                yield ExecutionStep.enqueue(node.right, LEVELORDER_LINES.ENQUEUE_RIGHT);
+            }
+        }
 
-        // Step 6: Return from function
-        steps.push(ExecutionStep.return(nodeValue, INORDER_LINES.FUNCTION_EXIT));
+        yield ExecutionStep.return(root, LEVELORDER_LINES.FUNCTION_EXIT);
     }
 }
 
 /**
- * Generates execution steps for Preorder traversal (Root -> Left -> Right)
+ * Generates execution steps for iterative Inorder traversal
+ * The recursion is replaced by an explicit Stack<Node>: walk left pushing
+ * every node, then pop, print and continue with the right child.
  */
-export class PreorderGenerator {
+export class IterativeInorderGenerator {
     /**
-     * Generates all execution steps for preorder traversal
+     * Generates all execution steps for iterative inorder traversal
      * @param {Object} root - The root TreeNode
      * @returns {ExecutionStep[]} Array of execution steps
      */
     generateSteps(root) {
-        const steps = [];
-        this._traverse(root, steps);
-        return steps;
+        return [...this.iterateSteps(root)];
     }
 
     /**
-     * Recursively generates steps for preorder traversal
-     * @param {Object|null} node - Current node
-     * @param {ExecutionStep[]} steps - Array to collect steps
-     * @private
+     * Produces the execution steps for iterative inorder traversal one at a time
+     * @param {Object|null} root - The root TreeNode
+     * @yields {ExecutionStep}
      */
-    _traverse(node, steps) {
-        const nodeValue = node ? node.value : null;
+    *iterateSteps(root) {
+        const stack = [];
+        let curr = root;
+
+        yield ExecutionStep.call(root, ITERATIVE_INORDER_LINES.FUNCTION_ENTRY);
+
+        while (curr !== null || stack.length > 0) {
+            while (curr !== null) {
+                stack.push(curr);
+                yield ExecutionStep.stackPush(curr, ITERATIVE_INORDER_LINES.PUSH);
+                curr = curr.left;
+            }
+
+            curr = stack.pop();
+            yield ExecutionStep.stackPop(curr, ITERATIVE_INORDER_LINES.POP);
+            yield ExecutionStep.visit(curr, ITERATIVE_INORDER_LINES.PROCESS);
+            curr = curr.right;
+        }
+
+        yield ExecutionStep.return(root, ITERATIVE_INORDER_LINES.FUNCTION_EXIT, root === null);
+    }
+}
 
-        // Step 1: Function call
-        steps.push(ExecutionStep.call(nodeValue, PREORDER_LINES.FUNCTION_ENTRY));
+/**
+ * Generates execution steps for iterative Preorder traversal
+ * Pops a node, prints it, then pushes the right child before the left one
+ * so the left subtree comes off the stack first.
+ */
+export class IterativePreorderGenerator {
+    /**
+     * Generates all execution steps for iterative preorder traversal
+     * @param {Object} root - The root TreeNode
+     * @returns {ExecutionStep[]} Array of execution steps
+     */
+    generateSteps(root) {
+        return [...this.iterateSteps(root)];
+    }
 
-        // Step 2: Null check
-        steps.push(ExecutionStep.checkNull(nodeValue, PREORDER_LINES.NULL_CHECK));
+    /**
+     * Produces the execution steps for iterative preorder traversal one at a time
+     * @param {Object|null} root - The root TreeNode
+     * @yields {ExecutionStep}
+     */
+    *iterateSteps(root) {
+        yield ExecutionStep.call(root, ITERATIVE_PREORDER_LINES.FUNCTION_ENTRY);
 
-        if (node === null) {
-            steps.push(ExecutionStep.return(null, PREORDER_LINES.NULL_CHECK, true));
+        if (root === null) {
+            yield ExecutionStep.return(null, ITERATIVE_PREORDER_LINES.NULL_CHECK, true);
             return;
         }
 
-        // Step 3: Process node first (preorder)
-        steps.push(ExecutionStep.processNode(nodeValue, PREORDER_LINES.PROCESS));
+        const stack = [root];
+        yield ExecutionStep.stackPush(root, ITERATIVE_PREORDER_LINES.PUSH_ROOT);
+
+        while (stack.length > 0) {
+            const node = stack.pop();
+            yield ExecutionStep.stackPop(node, ITERATIVE_PREORDER_LINES.POP);
+            yield ExecutionStep.visit(node, ITERATIVE_PREORDER_LINES.PROCESS);
+
+            if (node.right) {
+                stack.push(node.right);
+                yield ExecutionStep.stackPush(node.right, ITERATIVE_PREORDER_LINES.PUSH_RIGHT);
+            }
+            if (node.left) {
+                stack.push(node.left);
+                yield ExecutionStep.stackPush(node.left, ITERATIVE_PREORDER_LINES.PUSH_LEFT);
+            }
+        }
 
-        // Step 4: Recurse left
-        steps.push(ExecutionStep.recurseLeft(nodeValue, PREORDER_LINES.RECURSE_LEFT));
-        this._traverse(node.left, steps);
+        yield ExecutionStep.return(root, ITERATIVE_PREORDER_LINES.FUNCTION_EXIT);
+    }
+}
 
-        // Step 5: Recurse right
-        steps.push(ExecutionStep.recurseRight(nodeValue, PREORDER_LINES.RECURSE_RIGHT));
-        this._traverse(node.right, steps);
+/**
+ * Generates execution steps for iterative Postorder traversal (single stack)
+ * A node is printed only when it is on top of the stack and its right
+ * subtree is either missing or was the last thing printed.
+ */
+export class IterativePostorderGenerator {
+    /**
+     * Generates all execution steps for iterative postorder traversal
+     * @param {Object} root - The root TreeNode
+     * @returns {ExecutionStep[]} Array of execution steps
+     */
+    generateSteps(root) {
+        return [...this.iterateSteps(root)];
+    }
+
+    /**
+     * Produces the execution steps for iterative postorder traversal one at a time
+     * @param {Object|null} root - The root TreeNode
+     * @yields {ExecutionStep}
+     */
+    *iterateSteps(root) {
+        const stack = [];
+        let curr = root;
+        let last = null;
+
+        yield ExecutionStep.call(root, ITERATIVE_POSTORDER_LINES.FUNCTION_ENTRY);
+
+        while (curr !== null || stack.length > 0) {
+            if (curr !== null) {
+                stack.push(curr);
+                yield ExecutionStep.stackPush(curr, ITERATIVE_POSTORDER_LINES.PUSH);
+                curr = curr.left;
+            } else {
+                const peek = stack[stack.length - 1];
+                yield ExecutionStep.stackPeek(peek, ITERATIVE_POSTORDER_LINES.PEEK);
+
+                if (peek.right !== null && last !== peek.right) {
+                    curr = peek.right;
+                } else {
+                    yield ExecutionStep.visit(peek, ITERATIVE_POSTORDER_LINES.PROCESS);
+                    last = stack.pop();
+                    yield ExecutionStep.stackPop(last, ITERATIVE_POSTORDER_LINES.POP, NodeState.FINISHED);
+                }
+            }
+        }
 
-        // Step 6: Return
-        steps.push(ExecutionStep.return(nodeValue, PREORDER_LINES.FUNCTION_EXIT));
+        yield ExecutionStep.return(root, ITERATIVE_POSTORDER_LINES.FUNCTION_EXIT, root === null);
     }
 }
 
 /**
- * Generates execution steps for Postorder traversal (Left -> Right -> Root)
+ * Generates execution steps for Morris Inorder traversal
+ * Uses O(1) extra space: instead of a stack, the inorder predecessor's
+ * empty right pointer is temporarily threaded back to the current node so
+ * the walk can climb back up, and the thread is removed on the second visit.
+ * The tree is only read here; threads are recorded as step actions.
  */
-export class PostorderGenerator {
+export class MorrisInorderGenerator {
     /**
-     * Generates all execution steps for postorder traversal
+     * Generates all execution steps for Morris inorder traversal
      * @param {Object} root - The root TreeNode
      * @returns {ExecutionStep[]} Array of execution steps
      */
     generateSteps(root) {
-        const steps = [];
-        this._traverse(root, steps);
-        return steps;
+        return [...this.iterateSteps(root)];
     }
 
     /**
-     * Recursively generates steps for postorder traversal
-     * @param {Object|null} node - Current node
-     * @param {ExecutionStep[]} steps - Array to collect steps
-     * @private
+     * Produces the execution steps for Morris inorder traversal one at a time
+     * @param {Object|null} root - The root TreeNode
+     * @yields {ExecutionStep}
      */
-    _traverse(node, steps) {
-        const nodeValue = node ? node.value : null;
+    *iterateSteps(root) {
+        const threads = new Map(); // predecessor id -> threaded successor node
+        const printed = new Set();
+        const rightOf = (node) => threads.get(node.id) || node.right;
+        let curr = root;
+
+        yield ExecutionStep.call(root, MORRIS_INORDER_LINES.FUNCTION_ENTRY);
+
+        while (curr !== null) {
+            if (curr.left === null) {
+                yield ExecutionStep.visit(curr, MORRIS_INORDER_LINES.PROCESS_NO_LEFT);
+                printed.add(curr.id);
+                curr = rightOf(curr);
+                continue;
+            }
+
+            let pred = curr.left;
+            yield this._predecessorStep(pred, MORRIS_INORDER_LINES.PRED_START, printed);
+            while (rightOf(pred) !== null && rightOf(pred) !== curr) {
+                pred = rightOf(pred);
+                yield this._predecessorStep(pred, MORRIS_INORDER_LINES.PRED_STEP, printed);
+            }
+
+            if (rightOf(pred) === null) {
+                threads.set(pred.id, curr);
+                yield ExecutionStep.createThread(pred, curr, MORRIS_INORDER_LINES.THREAD_CREATE);
+                curr = curr.left;
+            } else {
+                threads.delete(pred.id);
+                yield ExecutionStep.removeThread(pred, curr, MORRIS_INORDER_LINES.THREAD_REMOVE);
+                yield ExecutionStep.visit(curr, MORRIS_INORDER_LINES.PROCESS_THREADED);
+                printed.add(curr.id);
+                curr = rightOf(curr);
+            }
+        }
 
-        // Step 1: Function call
-        steps.push(ExecutionStep.call(nodeValue, POSTORDER_LINES.FUNCTION_ENTRY));
+        yield ExecutionStep.return(root, MORRIS_INORDER_LINES.FUNCTION_EXIT, root === null);
+    }
 
-        // Step 2: Null check
-        steps.push(ExecutionStep.checkNull(nodeValue, POSTORDER_LINES.NULL_CHECK));
+    /**
+     * Creates a predecessor-walk step, keeping already printed nodes finished
+     * @private
+     */
+    _predecessorStep(node, codeLine, printed) {
+        return ExecutionStep.findPredecessor(
+            node,
+            codeLine,
+            printed.has(node.id) ? NodeState.FINISHED : NodeState.PROCESSING
+        );
+    }
+}
 
-        if (node === null) {
-            steps.push(ExecutionStep.return(null, POSTORDER_LINES.NULL_CHECK, true));
-            return;
-        }
+/**
+ * Generates execution steps for the recursive tree height
+ * Like postorder, a node's work happens after both subtrees: each child's
+ * RETURN hands its height to the caller, which stores it in a local and
+ * combines the two into its own return value.
+ */
+export class HeightGenerator {
+    /**
+     * Generates all execution steps for computing the height
+     * @param {Object} root - The root TreeNode
+     * @returns {ExecutionStep[]} Array of execution steps
+     */
+    generateSteps(root) {
+        return [...this.iterateSteps(root)];
+    }
 
-        // Step 3: Recurse left
-        steps.push(ExecutionStep.recurseLeft(nodeValue, POSTORDER_LINES.RECURSE_LEFT));
-        this._traverse(node.left, steps);
+    /**
+     * Produces the execution steps for computing the height one at a time
+     * The recursion runs on an explicit stack of frames; each frame holds the
+     * heights its calls have returned so far.
+     * @param {Object|null} root - The root TreeNode
+     * @yields {ExecutionStep}
+     */
+    *iterateSteps(root) {
+        const frames = [];
+        // Height returned by the call that just finished, for the frame below it
+        let returned = null;
+        const call = function* (node) {
+            yield ExecutionStep.call(node, HEIGHT_LINES.FUNCTION_ENTRY, true);
+            yield ExecutionStep.checkNull(node, HEIGHT_LINES.NULL_CHECK);
+
+            if (node === null) {
+                yield ExecutionStep.return(null, HEIGHT_LINES.NULL_CHECK, true, 0);
+                returned = 0;
+            } else {
+                frames.push({ node, left: null, right: null });
+            }
+        };
+
+        yield* call(root);
+        while (frames.length > 0) {
+            const frame = frames[frames.length - 1];
+            const node = frame.node;
+            if (frame.left === null && returned === null) {
+                yield ExecutionStep.recurseLeft(node, HEIGHT_LINES.RECURSE_LEFT);
+                yield* call(node.left);
+            } else if (frame.left === null) {
+                frame.left = returned;
+                returned = null;
+                yield ExecutionStep.assign(node, HEIGHT_LINES.RECURSE_LEFT, { left: frame.left });
+
+                yield ExecutionStep.recurseRight(node, HEIGHT_LINES.RECURSE_RIGHT);
+                yield* call(node.right);
+            } else {
+                frame.right = returned;
+                returned = null;
+                yield ExecutionStep.assign(node, HEIGHT_LINES.RECURSE_RIGHT, { right: frame.right });
+
+                // Combine the child results; the frame shows its return value before popping
+                const height = 1 + Math.max(frame.left, frame.right);
+                yield ExecutionStep.assign(node, HEIGHT_LINES.COMBINE, {}, height);
+                yield ExecutionStep.return(node, HEIGHT_LINES.FUNCTION_EXIT, false, height);
+                frames.pop();
+                returned = height;
+            }
+        }
+    }
+}
 
-        // Step 4: Recurse right
-        steps.push(ExecutionStep.recurseRight(nodeValue, POSTORDER_LINES.RECURSE_RIGHT));
-        this._traverse(node.right, steps);
+/**
+ * Generates execution steps for a recursive traversal whose statements run in any order
+ * Inorder, preorder and postorder are three of its six orders; the others mirror them.
+ */
+export class ComposedOrderGenerator {
+    /**
+     * @param {Array<string>} [order] - A permutation of TRAVERSAL_PARTS (defaults to inorder)
+     * @throws {Error} If the order is not a permutation of the three statements
+     */
+    constructor(order = TRAVERSAL_PARTS) {
+        if (!isTraversalOrder(order)) {
+            throw new Error(`Invalid traversal order: ${order} (use each of ${TRAVERSAL_PARTS.join(', ')} once)`);
+        }
+        this.order = [...order];
+        this.lines = getComposedLines(order);
+    }
 
-        // Step 5: Process node last (postorder)
-        steps.push(ExecutionStep.processNode(nodeValue, POSTORDER_LINES.PROCESS));
+    /**
+     * Generates all execution steps for the composed traversal
+     * @param {Object} root - The root TreeNode
+     * @returns {ExecutionStep[]} Array of execution steps
+     */
+    generateSteps(root) {
+        return [...this.iterateSteps(root)];
+    }
 
-        // Step 6: Return
-        steps.push(ExecutionStep.return(nodeValue, POSTORDER_LINES.FUNCTION_EXIT));
+    /**
+     * Produces the execution steps for the composed traversal one at a time,
+     * running the three statements in this.order
+     * @param {Object|null} root - The root TreeNode
+     * @yields {ExecutionStep}
+     */
+    *iterateSteps(root) {
+        yield* recursiveTraversalSteps(root, this.order, this.lines);
     }
 }
 
 /**
  * Factory function to get the appropriate generator
- * @param {'inorder'|'preorder'|'postorder'} type - Traversal type
- * @returns {InorderGenerator|PreorderGenerator|PostorderGenerator}
+ * @param {string} type - Traversal type (one of TRAVERSAL_TYPES)
+ * @param {Object} [options]
+ * @param {number} [options.key] - Key for the BST, AVL, red-black and heap inserts
+ *   (required for bst-*, avl-insert, rb-insert and heap-insert)
+ * @param {Array<string>} [options.order] - Statement order for 'composed' (defaults to inorder)
+ * @param {string} [options.source] - User-written function for 'custom' (defaults to inorder)
+ * @param {number} [options.stepBudget] - Step budget for 'custom'
+ * @returns {Object} Generator with a generateSteps(root) method (the traversals of this module
+ *   also have iterateSteps(root), which produces the steps lazily)
+ * @throws {Error} If an operation is requested without a numeric key, a composed order is not a
+ *   permutation, or custom code cannot be instrumented
  */
-export function getTraversalGenerator(type) {
+export function getTraversalGenerator(type, options = {}) {
     switch (type) {
+        case 'bst-search':
+            return new BstSearchGenerator(options.key);
+        case 'bst-insert':
+            return new BstInsertGenerator(options.key);
+        case 'bst-delete':
+            return new BstDeleteGenerator(options.key);
+        case 'avl-insert':
+            return new AvlInsertGenerator(options.key);
+        case 'rb-insert':
+            return new RedBlackInsertGenerator(options.key);
+        case 'heap-insert':
+            return new HeapInsertGenerator(options.key);
+        case 'heap-extract-min':
+            return new HeapExtractMinGenerator();
+        case 'heapify':
+            return new HeapifyGenerator();
+        case 'composed':
+            return new ComposedOrderGenerator(options.order);
+        case 'custom':
+            return new InstrumentedGenerator(options.source, options);
+        case 'invert':
+            return new InvertTreeGenerator();
+        case 'flatten':
+            return new FlattenGenerator();
+        case 'height':
+            return new HeightGenerator();
+        case 'iterative-inorder':
+            return new IterativeInorderGenerator();
+        case 'morris-inorder':
+            return new MorrisInorderGenerator();
+        case 'iterative-preorder':
+            return new IterativePreorderGenerator();
+        case 'iterative-postorder':
+            return new IterativePostorderGenerator();
+        case 'levelorder':
+            return new LevelOrderGenerator();
         case 'preorder':
             return new PreorderGenerator();
         case 'postorder':
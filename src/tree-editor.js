@@ -0,0 +1,177 @@
+// ============================================================
+// TREE EDITOR
+// ============================================================
+
+import { TreeNode, findNodeById, getAllNodes } from './tree-model.js';
+
+/**
+ * Finds the parent of a node and which side the node hangs from
+ * @param {TreeNode} root - The root of the tree
+ * @param {number} nodeId - Id of the child
+ * @returns {{parent: TreeNode, side: 'left'|'right'}|null} Null for the root or a missing node
+ */
+export function findParent(root, nodeId) {
+    for (const node of getAllNodes(root)) {
+        if (node.left && node.left.id === nodeId) return { parent: node, side: 'left' };
+        if (node.right && node.right.id === nodeId) return { parent: node, side: 'right' };
+    }
+    return null;
+}
+
+/**
+ * Checks whether one node is an ancestor of (or the same as) another
+ * @param {TreeNode} root - The root of the tree
+ * @param {number} ancestorId - Id of the possible ancestor
+ * @param {number} nodeId - Id of the possible descendant
+ * @returns {boolean}
+ */
+export function isAncestor(root, ancestorId, nodeId) {
+    const ancestor = findNodeById(root, ancestorId);
+    return ancestor !== null && findNodeById(ancestor, nodeId) !== null;
+}
+
+/**
+ * Validates a value typed into the editor
+ * @param {*} value - Candidate node value
+ * @returns {number} The value as a number
+ * @throws {Error} If the value is not a finite number
+ */
+function toNodeValue(value) {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number)) {
+        throw new Error(`Invalid node value "${value}"`);
+    }
+    return number;
+}
+
+/**
+ * Looks up a node that an edit refers to
+ * @throws {Error} If the node is not in the tree
+ */
+function requireNode(root, nodeId) {
+    const node = findNodeById(root, nodeId);
+    if (!node) throw new Error(`Node ${nodeId} is not in the tree`);
+    return node;
+}
+
+/**
+ * Adds a new leaf in an empty child slot
+ * @param {TreeNode} root - The root of the tree
+ * @param {number} parentId - Id of the parent node
+ * @param {'left'|'right'} side - Which child slot to fill
+ * @param {number|string} value - Value of the new node
+ * @returns {TreeNode} The new node
+ * @throws {Error} If the parent is missing, the side is invalid or the slot is taken
+ */
+export function addChild(root, parentId, side, value) {
+    if (side !== 'left' && side !== 'right') {
+        throw new Error(`Invalid side "${side}"`);
+    }
+    const parent = requireNode(root, parentId);
+    if (parent[side] !== null) {
+        throw new Error(`Node ${parent.value} already has a ${side} child`);
+    }
+    parent[side] = new TreeNode(toNodeValue(value));
+    return parent[side];
+}
+
+/**
+ * Changes the value of a node (its id, and so its identity, is kept)
+ * @param {TreeNode} root - The root of the tree
+ * @param {number} nodeId - Id of the node to edit
+ * @param {number|string} value - New value
+ * @returns {TreeNode} The edited node
+ * @throws {Error} If the node is missing or the value is invalid
+ */
+export function setNodeValue(root, nodeId, value) {
+    const node = requireNode(root, nodeId);
+    node.value = toNodeValue(value);
+    return node;
+}
+
+/**
+ * Removes a node together with its whole subtree
+ * @param {TreeNode} root - The root of the tree
+ * @param {number} nodeId - Id of the subtree root to remove
+ * @returns {TreeNode|null} The root of the edited tree (null if the root was removed)
+ * @throws {Error} If the node is not in the tree
+ */
+export function deleteSubtree(root, nodeId) {
+    requireNode(root, nodeId);
+    if (root.id === nodeId) return null;
+
+    const { parent, side } = findParent(root, nodeId);
+    parent[side] = null;
+    return root;
+}
+
+/**
+ * Swaps two subtrees by exchanging their places under their parents
+ * @param {TreeNode} root - The root of the tree
+ * @param {number} firstId - Id of the first subtree root
+ * @param {number} secondId - Id of the second subtree root
+ * @returns {TreeNode} The root of the edited tree
+ * @throws {Error} If either node is missing or one contains the other
+ */
+export function swapSubtrees(root, firstId, secondId) {
+    const first = requireNode(root, firstId);
+    const second = requireNode(root, secondId);
+    if (isAncestor(root, firstId, secondId) || isAncestor(root, secondId, firstId)) {
+        throw new Error(`Cannot swap node ${first.value} with a node in its own subtree`);
+    }
+
+    const a = findParent(root, firstId);
+    const b = findParent(root, secondId);
+    a.parent[a.side] = second;
+    b.parent[b.side] = first;
+    return root;
+}
+
+/**
+ * Finds the node under a point (positions come from computeNodePositions)
+ * @param {TreeNode} root - The root of the tree
+ * @param {number} x - X coordinate in canvas space
+ * @param {number} y - Y coordinate in canvas space
+ * @param {number} nodeRadius - Radius of the node circles
+ * @returns {TreeNode|null} The hit node, if any
+ */
+export function hitTestNode(root, x, y, nodeRadius) {
+    return getAllNodes(root).find(node => Math.hypot(node.x - x, node.y - y) <= nodeRadius) || null;
+}
+
+/**
+ * Computes where the empty child slots of the tree are drawn
+ * A slot sits one level below its parent, mirrored across from an existing
+ * sibling, or half a level gap to the side when the parent is a leaf.
+ *
+ * @param {TreeNode} root - The root of the tree
+ * @param {number} levelGap - Vertical distance between levels
+ * @returns {Array<{parentId: number, side: 'left'|'right', x: number, y: number}>}
+ */
+export function getEmptySlots(root, levelGap) {
+    const slots = [];
+    for (const node of getAllNodes(root)) {
+        for (const side of ['left', 'right']) {
+            if (node[side] !== null) continue;
+
+            const sibling = node[side === 'left' ? 'right' : 'left'];
+            const x = sibling
+                ? 2 * node.x - sibling.x
+                : node.x + (side === 'left' ? -1 : 1) * levelGap / 2;
+            slots.push({ parentId: node.id, side, x, y: node.y + levelGap });
+        }
+    }
+    return slots;
+}
+
+/**
+ * Finds the empty slot under a point
+ * @param {Array<{x: number, y: number}>} slots - Slots from getEmptySlots
+ * @param {number} x - X coordinate in canvas space
+ * @param {number} y - Y coordinate in canvas space
+ * @param {number} slotRadius - Radius of the slot circles
+ * @returns {Object|null} The hit slot, if any
+ */
+export function hitTestSlot(slots, x, y, slotRadius) {
+    return slots.find(slot => Math.hypot(slot.x - x, slot.y - y) <= slotRadius) || null;
+}
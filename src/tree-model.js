@@ -2,14 +2,39 @@
 // BINARY TREE MODEL
 // ============================================================
 
+let nextNodeId = 1;
+
+/**
+ * Red-black colours (a node's `color` is null outside red-black trees and
+ * counts as black, like the null leaves)
+ * @enum {string}
+ */
+export const NodeColor = {
+    RED: 'red',
+    BLACK: 'black'
+};
+
+/**
+ * Takes the next unused node id
+ * For steps that name a node before it exists (the node an insert creates).
+ * @returns {number}
+ */
+export function allocateNodeId() {
+    return nextNodeId++;
+}
+
 /**
  * Represents a node in the binary tree
+ * Each node gets a unique, stable id so nodes with equal values can be
+ * told apart; the value is only a display label.
  */
 export class TreeNode {
     constructor(value, left = null, right = null) {
+        this.id = allocateNodeId();
         this.value = value;
         this.left = left;
         this.right = right;
+        this.color = null;  // NodeColor in red-black trees
         this.x = 0;  // Computed x position for rendering
         this.y = 0;  // Computed y position for rendering
     }
@@ -36,41 +61,371 @@ export function createDefaultTree() {
 }
 
 /**
- * Computes x,y positions for all nodes based on canvas dimensions
- * Uses a level-order layout where:
- * - Root is centered horizontally
- * - Each level doubles the horizontal spread
- * - Vertical spacing is fixed between levels
- * 
+ * Splits a level-order string like "[4,2,6,1,null,5,7]" into values
+ * @param {string} text - The level-order string
+ * @returns {Array<number|null>} Parsed values
+ * @throws {Error} If a token is neither a number nor null
+ */
+function tokenizeLevelOrder(text) {
+    const body = text.trim().replace(/^\[/, '').replace(/\]$/, '').trim();
+    if (body === '') return [];
+
+    return body.split(',').map((token, index) => {
+        const trimmed = token.trim();
+        if (trimmed === 'null') return null;
+
+        const value = Number(trimmed);
+        if (trimmed === '' || !Number.isFinite(value)) {
+            throw new Error(`Invalid value "${trimmed}" at index ${index}`);
+        }
+        return value;
+    });
+}
+
+/**
+ * Builds a tree from a LeetCode-style level-order array
+ * Each non-null node consumes the next two entries as its left and right
+ * children; null marks a missing child and trailing nulls may be omitted.
+ *
+ * @param {string|Array<number|null>} input - e.g. "[4,2,6,1,null,5,7]"
+ * @returns {TreeNode|null} The root of the tree, or null for an empty tree
+ * @throws {Error} If the input is malformed
+ */
+export function parseLevelOrder(input) {
+    const values = typeof input === 'string' ? tokenizeLevelOrder(input) : input;
+    if (!Array.isArray(values)) {
+        throw new Error('Level-order input must be a string or an array');
+    }
+    if (values.length === 0 || values[0] === null) {
+        if (values.some(value => value !== null)) {
+            throw new Error('Root cannot be null when other values follow');
+        }
+        return null;
+    }
+
+    const root = new TreeNode(values[0]);
+    const queue = [root];
+    let index = 1;
+
+    while (queue.length > 0 && index < values.length) {
+        const node = queue.shift();
+
+        for (const side of ['left', 'right']) {
+            if (index >= values.length) break;
+            const value = values[index++];
+            if (value !== null) {
+                node[side] = new TreeNode(value);
+                queue.push(node[side]);
+            }
+        }
+    }
+
+    // Values left over once every node has its children have no parent
+    const orphan = values.slice(index).findIndex(value => value !== null);
+    if (orphan !== -1) {
+        throw new Error(`Value ${values[index + orphan]} at index ${index + orphan} has no parent`);
+    }
+
+    return root;
+}
+
+/**
+ * Serializes a tree into a LeetCode-style level-order string
+ * Missing children are written as null and trailing nulls are dropped.
+ *
+ * @param {TreeNode|null} root - The root of the tree
+ * @returns {string} e.g. "[4,2,6,1,null,5,7]"
+ */
+export function serializeLevelOrder(root) {
+    const values = [];
+    const queue = [root];
+
+    while (queue.length > 0) {
+        const node = queue.shift();
+        if (node) {
+            values.push(node.value);
+            queue.push(node.left, node.right);
+        } else {
+            values.push(null);
+        }
+    }
+
+    while (values.length > 0 && values[values.length - 1] === null) {
+        values.pop();
+    }
+
+    return `[${values.map(value => value === null ? 'null' : value).join(',')}]`;
+}
+
+/**
+ * Shapes supported by generateRandomTree
+ */
+export const TREE_SHAPES = [
+    'complete', 'full', 'perfect', 'left-skewed', 'right-skewed', 'zigzag', 'random-bst'
+];
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32)
+ * @param {number} seed - Integer seed
+ * @returns {function(): number} Returns floats in [0, 1), the same sequence for the same seed
+ */
+export function createRandom(seed) {
+    let a = seed >>> 0;
+    return function random() {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Picks count distinct values from 1..max(99, count) in random order
+ * @param {function(): number} random - Seeded generator
+ * @param {number} count - How many values
+ * @returns {number[]}
+ */
+function randomValues(random, count) {
+    const pool = Array.from({ length: Math.max(99, count) }, (_, i) => i + 1);
+    for (let i = pool.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [pool[i], pool[j]] = [pool[j], pool[i]];
+    }
+    return pool.slice(0, count);
+}
+
+/**
+ * Generates a reproducible tree for exercises and quizzes
+ * Values are distinct and drawn from the seed, so the same seed, count and
+ * shape always give the same tree. Shapes that cannot hold exactly count
+ * nodes round down: full trees use an odd count and perfect trees the
+ * largest 2^h - 1 that fits.
+ *
+ * @param {number} seed - Integer seed
+ * @param {number} count - Number of nodes (0 gives an empty tree)
+ * @param {string} shape - One of TREE_SHAPES
+ * @returns {TreeNode|null} The root of the generated tree
+ * @throws {Error} If the seed, count or shape is invalid
+ */
+export function generateRandomTree(seed, count, shape) {
+    if (!Number.isInteger(seed)) {
+        throw new Error(`Seed must be an integer, got ${seed}`);
+    }
+    if (!Number.isInteger(count) || count < 0) {
+        throw new Error(`Node count must be a non-negative integer, got ${count}`);
+    }
+    if (!TREE_SHAPES.includes(shape)) {
+        throw new Error(`Unknown tree shape "${shape}"`);
+    }
+
+    const random = createRandom(seed);
+    let size = count;
+    if (shape === 'full' && size % 2 === 0) size -= 1;
+    if (shape === 'perfect') size = size === 0 ? 0 : 2 ** Math.floor(Math.log2(size + 1)) - 1;
+    if (size <= 0) return null;
+
+    const values = randomValues(random, size);
+
+    switch (shape) {
+        case 'complete':
+        case 'perfect':
+            return parseLevelOrder(values);
+
+        case 'full': {
+            // Grow by giving a random leaf two children until the count is reached
+            const root = new TreeNode(values[0]);
+            const leaves = [root];
+            for (let i = 1; i < size; i += 2) {
+                const leaf = leaves.splice(Math.floor(random() * leaves.length), 1)[0];
+                leaf.left = new TreeNode(values[i]);
+                leaf.right = new TreeNode(values[i + 1]);
+                leaves.push(leaf.left, leaf.right);
+            }
+            return root;
+        }
+
+        case 'left-skewed':
+        case 'right-skewed':
+        case 'zigzag': {
+            const root = new TreeNode(values[0]);
+            let node = root;
+            for (let i = 1; i < size; i++) {
+                const side = shape === 'left-skewed' || (shape === 'zigzag' && i % 2 === 1) ? 'left' : 'right';
+                node[side] = new TreeNode(values[i]);
+                node = node[side];
+            }
+            return root;
+        }
+
+        case 'random-bst': {
+            // Insert the shuffled values one by one (values are distinct)
+            const root = new TreeNode(values[0]);
+            for (let i = 1; i < size; i++) {
+                let node = root;
+                let side = values[i] < node.value ? 'left' : 'right';
+                while (node[side] !== null) {
+                    node = node[side];
+                    side = values[i] < node.value ? 'left' : 'right';
+                }
+                node[side] = new TreeNode(values[i]);
+            }
+            return root;
+        }
+    }
+}
+
+/**
+ * Lays out a tree in units where 1 = the minimum distance between
+ * neighbouring nodes on the same level (Reingold–Tilford)
+ * Each subtree is laid out on its own, then the right subtree is pushed
+ * just far enough from the left one that their contours never come closer
+ * than 1 unit at any depth. A single child sits half a unit to its side.
+ *
+ * Nodes are laid out children first, from the end of a preorder walk, so very
+ * deep trees stay off the call stack. A contour lists its leftmost and
+ * rightmost x per level from the bottom up, plus a shift to add to each, so a
+ * parent extends its taller child's contour in place rather than copying it.
+ *
+ * @param {TreeNode} root - Root of the tree
+ * @param {Map<TreeNode, number>} offsets - Receives each child's x offset from its parent
+ */
+function layoutSubtree(root, offsets) {
+    const contours = new Map();
+    const nodes = getAllNodes(root);
+    for (let i = nodes.length - 1; i >= 0; i--) {
+        const node = nodes[i];
+        const left = node.left ? contours.get(node.left) : null;
+        const right = node.right ? contours.get(node.right) : null;
+        contours.delete(node.left);
+        contours.delete(node.right);
+
+        if (left && right) {
+            // Shared levels, top down: index length - 1 - depth in each contour
+            let gap = 0;
+            const shared = Math.min(left.right.length, right.left.length);
+            for (let depth = 0; depth < shared; depth++) {
+                const leftX = left.right[left.right.length - 1 - depth] + left.rightShift;
+                const rightX = right.left[right.left.length - 1 - depth] + right.leftShift;
+                gap = Math.max(gap, leftX - rightX + 1);
+            }
+            offsets.set(node.left, -gap / 2);
+            offsets.set(node.right, gap / 2);
+        } else if (left) {
+            offsets.set(node.left, -0.5);
+        } else if (right) {
+            offsets.set(node.right, 0.5);
+        }
+
+        contours.set(node, {
+            ...mergeContourSide(left, right, node, offsets, 'left'),
+            ...mergeContourSide(left, right, node, offsets, 'right')
+        });
+    }
+}
+
+/**
+ * One side of a node's contour from its children's (their own side wins where both reach)
+ * On shared levels the left child is leftmost and the right child rightmost; below
+ * them, whichever child goes deeper. The deeper child's list is reused.
+ * @returns {Object} {left, leftShift} or {right, rightShift}
+ */
+function mergeContourSide(left, right, node, offsets, side) {
+    const shiftKey = `${side}Shift`;
+    const near = side === 'left' ? left : right;
+    const far = side === 'left' ? right : left;
+    const nearChild = side === 'left' ? node.left : node.right;
+    const farChild = side === 'left' ? node.right : node.left;
+
+    let xs = [];
+    let shift = 0;
+    if (near && (!far || near[side].length >= far[side].length)) {
+        xs = near[side];
+        shift = near[shiftKey] + offsets.get(nearChild);
+    } else if (far) {
+        xs = far[side];
+        shift = far[shiftKey] + offsets.get(farChild);
+        if (near) {
+            // The near child's levels replace the top of the deeper far child's
+            const nearShift = near[shiftKey] + offsets.get(nearChild);
+            for (let depth = 0; depth < near[side].length; depth++) {
+                xs[xs.length - 1 - depth] = near[side][near[side].length - 1 - depth] + nearShift - shift;
+            }
+        }
+    }
+    xs.push(-shift);  // the node itself, at x = 0
+    return { [side]: xs, [shiftKey]: shift };
+}
+
+/**
+ * Computes x,y positions for all nodes using a tidy (Reingold–Tilford) layout
+ * - Subtrees are packed as closely as the node spacing allows
+ * - Horizontal spacing stretches to use the canvas width, up to a limit
+ * - Vertical spacing is scaled to getTreeDepth so deep trees stay on screen
+ *   when they can, and never closer than one node diameter plus a gap
+ * - The tree is centered horizontally; it may still be larger than the
+ *   canvas, so the bounding box is returned for the renderer to fit
+ *
  * @param {TreeNode} root - The root of the tree
  * @param {number} width - Canvas width
  * @param {number} height - Canvas height
+ * @returns {{minX: number, minY: number, maxX: number, maxY: number, width: number, height: number}|null}
+ *          Bounding box of the drawn nodes (circles included), or null for an empty tree
  */
 export function computeNodePositions(root, width, height) {
-    if (!root) return;
+    if (!root) return null;
 
-    const verticalSpacing = height / 4;  // Space between levels
     const nodeRadius = 25;
-    const topPadding = nodeRadius + 20;
+    const padding = nodeRadius + 20;
+    const minSpacing = nodeRadius * 2 + 10;       // Closest two node centers may get
+    const maxHorizontalSpacing = minSpacing * 2;  // Keep small trees from spreading too far
+    const maxVerticalSpacing = height / 4;
 
-    // Helper function to compute positions recursively
-    function computePositions(node, level, leftBound, rightBound) {
-        if (!node) return;
+    // Lay out in units, then find the horizontal extent
+    const offsets = new Map();
+    layoutSubtree(root, offsets);
 
-        // Center the node horizontally within its bounds
-        const x = (leftBound + rightBound) / 2;
-        const y = topPadding + level * verticalSpacing;
+    const units = new Map([[root, 0]]);
+    const levels = new Map([[root, 0]]);
+    for (const node of getAllNodes(root)) {
+        for (const child of [node.left, node.right]) {
+            if (!child) continue;
+            units.set(child, units.get(node) + offsets.get(child));
+            levels.set(child, levels.get(node) + 1);
+        }
+    }
+    let minUnit = 0;
+    let maxUnit = 0;
+    for (const unit of units.values()) {
+        minUnit = Math.min(minUnit, unit);
+        maxUnit = Math.max(maxUnit, unit);
+    }
+    const span = maxUnit - minUnit;
+    const depth = getTreeDepth(root);
 
-        node.x = x;
-        node.y = y;
+    const horizontalSpacing = span === 0
+        ? minSpacing
+        : Math.min(Math.max((width - 2 * padding) / span, minSpacing), maxHorizontalSpacing);
+    const verticalSpacing = depth <= 1
+        ? 0
+        : Math.max(Math.min((height - 2 * padding) / (depth - 1), maxVerticalSpacing), minSpacing);
 
-        // Recursively position children
-        const midpoint = (leftBound + rightBound) / 2;
-        computePositions(node.left, level + 1, leftBound, midpoint);
-        computePositions(node.right, level + 1, midpoint, rightBound);
+    const centerUnit = (minUnit + maxUnit) / 2;
+    for (const [node, unit] of units) {
+        node.x = width / 2 + (unit - centerUnit) * horizontalSpacing;
+        node.y = padding + levels.get(node) * verticalSpacing;
     }
 
-    computePositions(root, 0, 0, width);
+    const treeWidth = span * horizontalSpacing;
+    const treeHeight = (depth - 1) * verticalSpacing;
+    return {
+        minX: width / 2 - treeWidth / 2 - nodeRadius,
+        minY: padding - nodeRadius,
+        maxX: width / 2 + treeWidth / 2 + nodeRadius,
+        maxY: padding + treeHeight + nodeRadius,
+        width: treeWidth + 2 * nodeRadius,
+        height: treeHeight + 2 * nodeRadius
+    };
 }
 
 /**
@@ -80,16 +435,66 @@ export function computeNodePositions(root, width, height) {
  */
 export function getAllNodes(root) {
     const nodes = [];
-    function traverse(node) {
-        if (!node) return;
+    // An explicit stack keeps very deep trees off the call stack
+    const stack = root ? [root] : [];
+    while (stack.length > 0) {
+        const node = stack.pop();
         nodes.push(node);
-        traverse(node.left);
-        traverse(node.right);
+        if (node.right) stack.push(node.right);
+        if (node.left) stack.push(node.left);
     }
-    traverse(root);
     return nodes;
 }
 
+/**
+ * Gets all nodes in breadth-first order (the array order of a heap)
+ * @param {TreeNode|null} root - The root of the tree
+ * @returns {TreeNode[]} Nodes level by level, left to right
+ */
+export function getLevelOrderNodes(root) {
+    const nodes = root ? [root] : [];
+    for (let i = 0; i < nodes.length; i++) {
+        if (nodes[i].left) nodes.push(nodes[i].left);
+        if (nodes[i].right) nodes.push(nodes[i].right);
+    }
+    return nodes;
+}
+
+/**
+ * Whether every level is full except possibly the last, which fills from the left
+ * (exactly the trees whose node i has its children at 2i + 1 and 2i + 2)
+ * @param {TreeNode|null} root - The root of the tree
+ * @returns {boolean}
+ */
+export function isCompleteTree(root) {
+    const queue = [root];
+    let seenGap = false;
+    for (let i = 0; i < queue.length; i++) {
+        const node = queue[i];
+        if (!node) {
+            seenGap = true;
+            continue;
+        }
+        if (seenGap) return false;
+        queue.push(node.left, node.right);
+    }
+    return true;
+}
+
+/**
+ * Builds the complete tree whose breadth-first order is the given values
+ * @param {number[]} values - Array order (index i has children 2i + 1 and 2i + 2)
+ * @returns {TreeNode|null} The root, or null for no values
+ */
+export function buildCompleteTree(values) {
+    const nodes = values.map(value => new TreeNode(value));
+    nodes.forEach((node, i) => {
+        node.left = nodes[2 * i + 1] || null;
+        node.right = nodes[2 * i + 2] || null;
+    });
+    return nodes.length > 0 ? nodes[0] : null;
+}
+
 /**
  * Finds a node by its value
  * @param {TreeNode} root - The root of the tree
@@ -97,9 +502,25 @@ export function getAllNodes(root) {
  * @returns {TreeNode|null} The found node or null
  */
 export function findNode(root, value) {
-    if (!root) return null;
-    if (root.value === value) return root;
-    return findNode(root.left, value) || findNode(root.right, value);
+    return getAllNodes(root).find(node => node.value === value) || null;
+}
+
+/**
+ * Finds a node by its id
+ * @param {TreeNode} root - The root of the tree
+ * @param {number} id - The node id to find
+ * @returns {TreeNode|null} The found node or null
+ */
+export function findNodeById(root, id) {
+    // An explicit stack, in preorder, stopping at the node
+    const stack = root ? [root] : [];
+    while (stack.length > 0) {
+        const node = stack.pop();
+        if (node.id === id) return node;
+        if (node.right) stack.push(node.right);
+        if (node.left) stack.push(node.left);
+    }
+    return null;
 }
 
 /**
@@ -108,8 +529,85 @@ export function findNode(root, value) {
  * @returns {number} The depth of the tree
  */
 export function getTreeDepth(root) {
-    if (!root) return 0;
-    return 1 + Math.max(getTreeDepth(root.left), getTreeDepth(root.right));
+    // Counted level by level, so very deep trees stay off the call stack
+    let depth = 0;
+    let level = root ? [root] : [];
+    while (level.length > 0) {
+        depth++;
+        level = level.flatMap(node => [node.left, node.right].filter(Boolean));
+    }
+    return depth;
+}
+
+/**
+ * Computes every node's balance factor: height(left) - height(right)
+ * An AVL tree keeps every balance factor in [-1, 1].
+ * @param {TreeNode|null} root - The root of the tree
+ * @returns {Map<number, number>} Node id -> balance factor
+ */
+export function getBalanceFactors(root) {
+    const factors = new Map();
+    function height(node) {
+        if (!node) return 0;
+        const left = height(node.left);
+        const right = height(node.right);
+        factors.set(node.id, left - right);
+        return 1 + Math.max(left, right);
+    }
+    height(root);
+    return factors;
+}
+
+/**
+ * Finds the first unbalanced ancestor: the lowest node whose balance factor is
+ * outside [-1, 1] (the node an AVL insert rotates at)
+ * @param {TreeNode|null} root - The root of the tree
+ * @returns {TreeNode|null} The node, or null if the tree is balanced
+ */
+export function findFirstUnbalanced(root) {
+    const factors = getBalanceFactors(root);
+    function search(node) {
+        if (!node) return null;
+        return search(node.left) || search(node.right)
+            || (Math.abs(factors.get(node.id)) > 1 ? node : null);
+    }
+    return search(root);
+}
+
+/**
+ * Whether a node is red (null and uncoloured nodes count as black)
+ * @param {TreeNode|null} node - The node
+ * @returns {boolean}
+ */
+export function isRed(node) {
+    return node !== null && node.color === NodeColor.RED;
+}
+
+/**
+ * Checks the red-black invariants
+ * - the root is black
+ * - no red node has a red child
+ * - every path from the root to a null leaf passes the same number of black nodes
+ * @param {TreeNode|null} root - The root of the tree
+ * @returns {{rootBlack: boolean, redRed: {parent: TreeNode, child: TreeNode}|null,
+ *   blackHeight: number|null, valid: boolean}} The first red-red edge found (preorder),
+ *   and the black height, or null if paths disagree
+ */
+export function checkRedBlackInvariants(root) {
+    let redRed = null;
+    function blackHeight(node) {
+        if (!node) return 1;
+        for (const child of [node.left, node.right]) {
+            if (redRed === null && isRed(node) && isRed(child)) redRed = { parent: node, child };
+        }
+        const left = blackHeight(node.left);
+        const right = blackHeight(node.right);
+        if (left === null || right === null || left !== right) return null;
+        return left + (isRed(node) ? 0 : 1);
+    }
+    const height = blackHeight(root);
+    const rootBlack = !isRed(root);
+    return { rootBlack, redRed, blackHeight: height, valid: rootBlack && redRed === null && height !== null };
 }
 
 /**
@@ -118,8 +616,7 @@ export function getTreeDepth(root) {
  * @returns {number} The number of nodes
  */
 export function countNodes(root) {
-    if (!root) return 0;
-    return 1 + countNodes(root.left) + countNodes(root.right);
+    return getAllNodes(root).length;
 }
 
 /**
@@ -128,18 +625,18 @@ export function countNodes(root) {
  * @returns {Array<{parent: TreeNode, child: TreeNode}>} Array of edges
  */
 export function getAllEdges(root) {
+    // An explicit stack of edges still to visit, taken in the preorder of their children
     const edges = [];
-    function traverse(node) {
-        if (!node) return;
-        if (node.left) {
-            edges.push({ parent: node, child: node.left });
-            traverse(node.left);
-        }
-        if (node.right) {
-            edges.push({ parent: node, child: node.right });
-            traverse(node.right);
-        }
+    const stack = [];
+    const pushChildren = (node) => {
+        if (node.right) stack.push({ parent: node, child: node.right });
+        if (node.left) stack.push({ parent: node, child: node.left });
+    };
+    if (root) pushChildren(root);
+    while (stack.length > 0) {
+        const edge = stack.pop();
+        edges.push(edge);
+        pushChildren(edge.child);
     }
-    traverse(root);
     return edges;
 }
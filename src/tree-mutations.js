@@ -0,0 +1,148 @@
+// ============================================================
+// TREE MUTATIONS (structural changes inside an execution trace)
+// ============================================================
+
+import { TreeNode, getAllNodes } from './tree-model.js';
+
+/**
+ * Structural operations a step can perform on the tree
+ * - create:   { op, nodeId, value } registers a new, unlinked node
+ *             (an id that is already indexed reuses its node object)
+ * - link:     { op, parentId, side, childId } sets parent[side] = child
+ *             (parentId null replaces the root; childId null unlinks)
+ * - setValue: { op, nodeId, value } overwrites a node's value
+ * - setColor: { op, nodeId, color } recolours a node (red-black trees)
+ * @enum {string}
+ */
+export const MutationOp = {
+    CREATE: 'create',
+    LINK: 'link',
+    SET_VALUE: 'setValue',
+    SET_COLOR: 'setColor'
+};
+
+/**
+ * Indexes the nodes of a tree by id
+ * Nodes unlinked by a mutation stay in the index so later steps (and
+ * stepping backward) can still refer to them.
+ * @param {TreeNode|null} root - The root of the tree
+ * @returns {Map<number, TreeNode>}
+ */
+export function indexNodes(root) {
+    return new Map(getAllNodes(root).map(node => [node.id, node]));
+}
+
+/**
+ * Looks up a node a mutation refers to
+ * @throws {Error} If the node is not in the index
+ */
+function requireIndexed(nodes, nodeId) {
+    const node = nodes.get(nodeId);
+    if (!node) throw new Error(`Node ${nodeId} is not in the trace`);
+    return node;
+}
+
+/**
+ * Applies one mutation
+ * @param {TreeNode|null} root - The root of the tree
+ * @param {Object} mutation - One of the MutationOp shapes
+ * @param {Map<number, TreeNode>} nodes - Index from indexNodes (updated by create)
+ * @returns {TreeNode|null} The root after the mutation
+ * @throws {Error} If the mutation is unknown or refers to a missing node
+ */
+export function applyMutation(root, mutation, nodes) {
+    switch (mutation.op) {
+        case MutationOp.CREATE: {
+            let node = nodes.get(mutation.nodeId);
+            if (!node) {
+                node = new TreeNode(mutation.value);
+                node.id = mutation.nodeId;
+                nodes.set(node.id, node);
+            }
+            node.value = mutation.value;
+            node.left = null;
+            node.right = null;
+            node.color = null;
+            return root;
+        }
+        case MutationOp.LINK: {
+            const child = mutation.childId === null ? null : requireIndexed(nodes, mutation.childId);
+            if (mutation.parentId === null) return child;
+            requireIndexed(nodes, mutation.parentId)[mutation.side] = child;
+            return root;
+        }
+        case MutationOp.SET_VALUE:
+            requireIndexed(nodes, mutation.nodeId).value = mutation.value;
+            return root;
+        case MutationOp.SET_COLOR:
+            requireIndexed(nodes, mutation.nodeId).color = mutation.color;
+            return root;
+        default:
+            throw new Error(`Unknown mutation "${mutation.op}"`);
+    }
+}
+
+/**
+ * Applies a list of mutations in order
+ * @param {TreeNode|null} root - The root of the tree
+ * @param {Object[]} mutations - Mutations to apply
+ * @param {Map<number, TreeNode>} nodes - Node index
+ * @returns {TreeNode|null} The root after the mutations
+ */
+export function applyMutations(root, mutations, nodes) {
+    return mutations.reduce((current, mutation) => applyMutation(current, mutation, nodes), root);
+}
+
+/**
+ * Copies a tree, keeping every node's id
+ * Generators that restructure the tree work on the copy and record what they
+ * did as mutations, so the tree they were given is never changed.
+ * @param {TreeNode|null} root - The root of the tree
+ * @returns {TreeNode|null} The root of the copy
+ */
+export function copyWithIds(root) {
+    if (root === null) return null;
+    const copy = new TreeNode(root.value, copyWithIds(root.left), copyWithIds(root.right));
+    copy.id = root.id;
+    copy.color = root.color;
+    return copy;
+}
+
+/**
+ * Records the shape, values and colours of a tree
+ * @param {TreeNode|null} root - The root of the tree
+ * @param {Map<number, TreeNode>} [index] - Record every node of this index instead of
+ *   those reachable from the root (so nodes a trace unlinked are relinked on restore)
+ * @returns {{rootId: number|null, nodes: Map<number, {value: number, color: string|null,
+ *   leftId: number|null, rightId: number|null}>}}
+ */
+export function snapshotStructure(root, index = null) {
+    const nodes = new Map();
+    for (const node of index ? index.values() : getAllNodes(root)) {
+        nodes.set(node.id, {
+            value: node.value,
+            color: node.color,
+            leftId: node.left ? node.left.id : null,
+            rightId: node.right ? node.right.id : null
+        });
+    }
+    return { rootId: root ? root.id : null, nodes };
+}
+
+/**
+ * Relinks the same node objects back into a recorded shape
+ * Node identity is kept, so anything keyed by node (positions, states) survives.
+ * @param {Object} snapshot - From snapshotStructure
+ * @param {Map<number, TreeNode>} nodes - Node index holding every node of the snapshot
+ * @returns {TreeNode|null} The restored root
+ */
+export function restoreStructure(snapshot, nodes) {
+    for (const [id, { value, color, leftId, rightId }] of snapshot.nodes) {
+        const node = requireIndexed(nodes, id);
+        node.value = value;
+        node.color = color;
+        node.left = leftId === null ? null : requireIndexed(nodes, leftId);
+        node.right = rightId === null ? null : requireIndexed(nodes, rightId);
+    }
+    return snapshot.rootId === null ? null : requireIndexed(nodes, snapshot.rootId);
+}
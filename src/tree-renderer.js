@@ -3,6 +3,7 @@
 // ============================================================
 
 import { NodeState } from './execution-step.js';
+import { NodeColor, findNodeById, getAllNodes } from './tree-model.js';
 
 /**
  * Color mappings for each node state
@@ -14,6 +15,24 @@ export const NODE_COLORS = {
     [NodeState.FINISHED]: '#48bb78'
 };
 
+/**
+ * Ring colors for red-black node colours, drawn around the state fill so
+ * both can be read at once
+ */
+export const RB_RING_COLORS = {
+    [NodeColor.RED]: '#e53e3e',
+    [NodeColor.BLACK]: '#171923'
+};
+
+/**
+ * Get the ring color for a node's red-black colour
+ * @param {{color: string|null}} node - The node
+ * @returns {string|null} Color hex code, or null for an uncoloured node
+ */
+export function getRingColor(node) {
+    return RB_RING_COLORS[node.color] || null;
+}
+
 /**
  * Get color for a node state
  * @param {string} state - NodeState value
@@ -49,6 +68,169 @@ export function isValidHexColor(color) {
     return /^#[0-9A-Fa-f]{6}$/.test(color);
 }
 
+/**
+ * Resolves thread records into drawable edges
+ * Threads whose endpoints are not in the tree are skipped.
+ * @param {TreeNode} root - The root of the tree
+ * @param {Array<{fromId: number, toId: number}>} threads - Active threads
+ * @returns {Array<{parent: TreeNode, child: TreeNode}>} Edges in the same shape as getAllEdges
+ */
+export function getThreadEdges(root, threads) {
+    const edges = [];
+    for (const thread of threads) {
+        const from = findNodeById(root, thread.fromId);
+        const to = findNodeById(root, thread.toId);
+        if (from && to) edges.push({ parent: from, child: to });
+    }
+    return edges;
+}
+
+/**
+ * Computes a quadratic curve for a thread edge
+ * The curve bows to the right of the from -> to direction so it never lies
+ * on top of a real edge (a thread often joins a node to its own parent).
+ * Start and end points sit on the node circles.
+ *
+ * @param {{x: number, y: number}} from - Predecessor holding the thread
+ * @param {{x: number, y: number}} to - Successor the thread points back to
+ * @param {number} nodeRadius - Radius of the node circles
+ * @returns {{startX: number, startY: number, controlX: number, controlY: number, endX: number, endY: number}}
+ */
+export function getThreadCurve(from, to, nodeRadius) {
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const length = Math.hypot(dx, dy) || 1;
+
+    // Perpendicular (rotated clockwise in screen space) scaled by the edge length
+    const bow = Math.max(length * 0.3, nodeRadius);
+    const controlX = (from.x + to.x) / 2 - (dy / length) * bow;
+    const controlY = (from.y + to.y) / 2 + (dx / length) * bow;
+
+    const startAngle = Math.atan2(controlY - from.y, controlX - from.x);
+    const endAngle = Math.atan2(controlY - to.y, controlX - to.x);
+
+    return {
+        startX: from.x + Math.cos(startAngle) * nodeRadius,
+        startY: from.y + Math.sin(startAngle) * nodeRadius,
+        controlX,
+        controlY,
+        endX: to.x + Math.cos(endAngle) * nodeRadius,
+        endY: to.y + Math.sin(endAngle) * nodeRadius
+    };
+}
+
+/**
+ * Computes where a node's badge (e.g. its resolved height) is drawn
+ * The badge sits on the node's circle, up and to the right, clear of the
+ * edges to its children.
+ * @param {{x: number, y: number}} node - Node with computed position
+ * @param {number} nodeRadius - Radius of the node circles
+ * @returns {{x: number, y: number}} Center of the badge
+ */
+export function getBadgePosition(node, nodeRadius) {
+    return {
+        x: node.x + nodeRadius * Math.SQRT1_2,
+        y: node.y - nodeRadius * Math.SQRT1_2
+    };
+}
+
+/**
+ * Computes the scale and offset that fit a layout's bounding box on the canvas
+ * Trees that already fit are drawn as laid out (scale 1); larger trees are
+ * scaled down uniformly and centered.
+ *
+ * @param {{minX: number, minY: number, width: number, height: number}|null} bounds - From computeNodePositions
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {{scale: number, offsetX: number, offsetY: number}} Canvas point = layout point * scale + offset
+ */
+export function getFitTransform(bounds, width, height) {
+    if (!bounds || (bounds.minX >= 0 && bounds.minY >= 0 &&
+        bounds.minX + bounds.width <= width && bounds.minY + bounds.height <= height)) {
+        return { scale: 1, offsetX: 0, offsetY: 0 };
+    }
+
+    const scale = Math.min(width / bounds.width, height / bounds.height, 1);
+    return {
+        scale,
+        offsetX: (width - bounds.width * scale) / 2 - bounds.minX * scale,
+        offsetY: (height - bounds.height * scale) / 2 - bounds.minY * scale
+    };
+}
+
+/**
+ * Position of a node's balance-factor label: on the circle, up and to the left
+ * (the mirror of getBadgePosition, so both can show at once)
+ * @param {{x: number, y: number}} node - The node
+ * @param {number} nodeRadius - Radius of the node circle
+ * @returns {{x: number, y: number}}
+ */
+export function getBalanceLabelPosition(node, nodeRadius) {
+    const offset = nodeRadius * Math.SQRT1_2;
+    return { x: node.x - offset, y: node.y - offset };
+}
+
+/**
+ * Records where every node of a tree currently is
+ * @param {TreeNode|null} root - The root of the tree
+ * @returns {Map<number, {x: number, y: number}>} Node id -> position
+ */
+export function capturePositions(root) {
+    const positions = new Map();
+    for (const node of getAllNodes(root)) {
+        positions.set(node.id, { x: node.x, y: node.y });
+    }
+    return positions;
+}
+
+/**
+ * Smoothstep easing: starts and ends slowly
+ * @param {number} t - Progress in [0, 1]
+ * @returns {number}
+ */
+export function easeInOut(t) {
+    const clamped = Math.min(Math.max(t, 0), 1);
+    return clamped * clamped * (3 - 2 * clamped);
+}
+
+/**
+ * Positions part of the way from one layout to another (e.g. during a rotation)
+ * Nodes without a starting position (just created) sit at their target.
+ * @param {Map<number, {x: number, y: number}>} from - Positions before the change
+ * @param {Map<number, {x: number, y: number}>} to - Positions after the change
+ * @param {number} t - Progress in [0, 1], eased with easeInOut
+ * @returns {Map<number, {x: number, y: number}>} Node id -> position for every node in `to`
+ */
+export function interpolatePositions(from, to, t) {
+    const k = easeInOut(t);
+    const positions = new Map();
+    for (const [id, target] of to) {
+        const start = from.get(id) || target;
+        positions.set(id, {
+            x: start.x + (target.x - start.x) * k,
+            y: start.y + (target.y - start.y) * k
+        });
+    }
+    return positions;
+}
+
+/**
+ * Value-label offsets while a swap animates (e.g. a heap sift step)
+ * The values are already swapped in the tree, so each label starts over the
+ * other node and slides home.
+ * @param {{id: number, x: number, y: number}} a - One node of the swap
+ * @param {{id: number, x: number, y: number}} b - The other node
+ * @param {number} t - Progress in [0, 1], eased with easeInOut
+ * @returns {Map<number, {dx: number, dy: number}>} Node id -> label offset
+ */
+export function getSwapLabelOffsets(a, b, t) {
+    const remaining = 1 - easeInOut(t);
+    return new Map([
+        [a.id, { dx: (b.x - a.x) * remaining, dy: (b.y - a.y) * remaining }],
+        [b.id, { dx: (a.x - b.x) * remaining, dy: (a.y - b.y) * remaining }]
+    ]);
+}
+
 /**
  * TreeRenderer class for canvas rendering
  * Note: This is a simplified version for testing. The full implementation
@@ -59,6 +241,12 @@ export class TreeRenderer {
         this.nodeRadius = 25;
         this.colors = { ...NODE_COLORS };
         this.edgeColor = '#718096';
+        this.threadColor = '#ed64a6';
+        this.threadDash = [6, 4];
+        this.badgeColor = '#ed8936';
+        this.balanceColor = '#4fd1c5';
+        this.unbalancedColor = '#f56565';
+        this.ringColors = { ...RB_RING_COLORS };
         this.textColor = '#ffffff';
         this.backgroundColor = '#0f3460';
     }
@@ -88,6 +276,33 @@ export class TreeRenderer {
         return Object.values(this.colors).every(color => isValidHexColor(color));
     }
 
+    /**
+     * Get the thread edges to draw on top of the tree edges
+     * @param {TreeNode} root - The root of the tree
+     * @param {Array<{fromId: number, toId: number}>} threads - Active threads
+     * @returns {Array<{parent: TreeNode, child: TreeNode}>}
+     */
+    getThreadEdges(root, threads) {
+        return getThreadEdges(root, threads);
+    }
+
+    /**
+     * Check that thread edges are styled apart from tree edges
+     * @returns {boolean}
+     */
+    threadsAreDistinct() {
+        return this.threadColor !== this.edgeColor && this.threadDash.length > 0;
+    }
+
+    /**
+     * Check that red-black rings never look like a traversal state
+     * @returns {boolean}
+     */
+    ringsAreDistinct() {
+        const fills = new Set(Object.values(this.colors));
+        return Object.values(this.ringColors).every(color => isValidHexColor(color) && !fills.has(color));
+    }
+
     /**
      * Get the color mapping object
      * @returns {Object}
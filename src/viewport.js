@@ -0,0 +1,107 @@
+// ============================================================
+// VIEWPORT (zoom, pan, fit and follow for the tree canvas)
+// ============================================================
+
+import { getFitTransform } from './tree-renderer.js';
+
+/**
+ * Viewport - Maps layout coordinates to canvas pixels
+ * Canvas point = layout point * scale + offset. The renderer applies the
+ * transform before drawing; pointer input goes through toLayoutPoint.
+ */
+export class Viewport {
+    constructor({ minScale = 0.1, maxScale = 4 } = {}) {
+        this.minScale = minScale;
+        this.maxScale = maxScale;
+        this.scale = 1;
+        this.offsetX = 0;
+        this.offsetY = 0;
+    }
+
+    /**
+     * Get the current transform
+     * @returns {{scale: number, offsetX: number, offsetY: number}}
+     */
+    getTransform() {
+        return { scale: this.scale, offsetX: this.offsetX, offsetY: this.offsetY };
+    }
+
+    /**
+     * Reset to the identity transform
+     */
+    reset() {
+        this.scale = 1;
+        this.offsetX = 0;
+        this.offsetY = 0;
+    }
+
+    /**
+     * Fit a bounding box on the canvas (see getFitTransform)
+     * @param {Object|null} bounds - Bounding box from computeNodePositions
+     * @param {number} width - Canvas width
+     * @param {number} height - Canvas height
+     */
+    fit(bounds, width, height) {
+        const { scale, offsetX, offsetY } = getFitTransform(bounds, width, height);
+        this.scale = scale;
+        this.offsetX = offsetX;
+        this.offsetY = offsetY;
+    }
+
+    /**
+     * Zoom by a factor, keeping the canvas point (x, y) fixed on screen
+     * The scale is clamped to [minScale, maxScale].
+     * @param {number} x - Canvas x of the zoom anchor (e.g. the mouse)
+     * @param {number} y - Canvas y of the zoom anchor
+     * @param {number} factor - Multiplier (> 1 zooms in)
+     */
+    zoomAt(x, y, factor) {
+        const scale = Math.min(Math.max(this.scale * factor, this.minScale), this.maxScale);
+        const anchor = this.toLayoutPoint(x, y);
+        this.scale = scale;
+        this.offsetX = x - anchor.x * scale;
+        this.offsetY = y - anchor.y * scale;
+    }
+
+    /**
+     * Move the view by a number of canvas pixels
+     * @param {number} dx
+     * @param {number} dy
+     */
+    panBy(dx, dy) {
+        this.offsetX += dx;
+        this.offsetY += dy;
+    }
+
+    /**
+     * Center a layout point on the canvas without changing the zoom
+     * @param {number} x - Layout x
+     * @param {number} y - Layout y
+     * @param {number} width - Canvas width
+     * @param {number} height - Canvas height
+     */
+    centerOn(x, y, width, height) {
+        this.offsetX = width / 2 - x * this.scale;
+        this.offsetY = height / 2 - y * this.scale;
+    }
+
+    /**
+     * Convert a canvas point to layout coordinates
+     * @param {number} x
+     * @param {number} y
+     * @returns {{x: number, y: number}}
+     */
+    toLayoutPoint(x, y) {
+        return { x: (x - this.offsetX) / this.scale, y: (y - this.offsetY) / this.scale };
+    }
+
+    /**
+     * Convert a layout point to canvas coordinates
+     * @param {number} x
+     * @param {number} y
+     * @returns {{x: number, y: number}}
+     */
+    toCanvasPoint(x, y) {
+        return { x: x * this.scale + this.offsetX, y: y * this.scale + this.offsetY };
+    }
+}
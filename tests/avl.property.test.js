@@ -0,0 +1,247 @@
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import { TreeNode, getAllNodes, getBalanceFactors, findFirstUnbalanced } from '../src/tree-model.js';
+import { StepType } from '../src/execution-step.js';
+import { AvlInsertGenerator } from '../src/avl-generators.js';
+import { getTraversalGenerator } from '../src/traversal-generators.js';
+import { ExecutionEngine } from '../src/execution-engine.js';
+import { getLineCount } from '../src/code-renderer.js';
+import {
+    capturePositions, interpolatePositions, easeInOut, getBalanceLabelPosition
+} from '../src/tree-renderer.js';
+
+// ============================================================
+// Custom Generators
+// ============================================================
+
+const arbKeys = fc.array(fc.integer({ min: 1, max: 50 }), { minLength: 1, maxLength: 15 });
+
+function inorderValues(node, out = []) {
+    if (node === null) return out;
+    inorderValues(node.left, out);
+    out.push(node.value);
+    inorderValues(node.right, out);
+    return out;
+}
+
+function height(node) {
+    return node === null ? 0 : 1 + Math.max(height(node.left), height(node.right));
+}
+
+function serialize(node) {
+    return node === null ? '-' : `(${serialize(node.left)} ${node.id}:${node.value} ${serialize(node.right)})`;
+}
+
+function runToEnd(engine) {
+    while (engine.nextStep()) { /* advance */ }
+}
+
+/**
+ * An engine whose tree starts empty (the constructor would use the default tree)
+ */
+function createEmptyEngine() {
+    const engine = new ExecutionEngine();
+    engine.setTree(null);
+    return engine;
+}
+
+/**
+ * Inserts the keys one at a time; each insert starts from the previous result
+ * @returns {{engine: ExecutionEngine, traces: Array<Array>}} The engine and each insert's steps
+ */
+function insertAll(keys) {
+    const engine = createEmptyEngine();
+    const traces = [];
+    for (const key of keys) {
+        engine.initialize('avl-insert', { key });
+        traces.push(engine.getSteps());
+        runToEnd(engine);
+        engine.setTree(engine.getTree());
+    }
+    return { engine, traces };
+}
+
+// ============================================================
+// Property Tests
+// ============================================================
+
+describe('AVL Tree Insertion', () => {
+    // **Feature: tree-traversal-visualizer, Property 32: AVL Insert Keeps the Tree Balanced**
+    // *For any* sequence of keys, AVL insertion SHALL keep an inorder-sorted tree whose
+    // balance factors all lie in [-1, 1], SHALL rotate only at the first unbalanced
+    // ancestor using the LL/RR/LR/RL case its shape calls for, and SHALL step backward
+    // through every rotation to the exact earlier shape.
+
+    it('Property 32a: Every insert leaves a sorted, balanced tree', () => {
+        fc.assert(
+            fc.property(arbKeys, (keys) => {
+                const { engine } = insertAll(keys);
+                const root = engine.getTree();
+
+                expect(inorderValues(root)).toEqual([...keys].sort((a, b) => a - b));
+                for (const factor of getBalanceFactors(root).values()) {
+                    expect(Math.abs(factor)).toBeLessThanOrEqual(1);
+                }
+                // An AVL tree of n nodes is at most ~1.44 log2(n) high
+                expect(height(root)).toBeLessThanOrEqual(Math.ceil(1.45 * Math.log2(keys.length + 2)));
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 32b: Rotations happen at the first unbalanced ancestor', () => {
+        fc.assert(
+            fc.property(arbKeys, (keys) => {
+                const engine = createEmptyEngine();
+                for (const key of keys) {
+                    engine.initialize('avl-insert', { key });
+                    const steps = engine.getSteps();
+                    const rotations = steps.filter(s => s.type === StepType.ROTATE);
+                    expect(rotations.length).toBeLessThanOrEqual(2);
+
+                    while (engine.nextStep()) {
+                        const next = steps[engine.getCurrentStepIndex() + 1];
+                        const current = engine.getCurrentStep();
+                        if (current.type === StepType.ASSIGN && next && next.type === StepType.ROTATE) {
+                            // The balance just computed is out of range and belongs to the flagged node
+                            expect(Math.abs(current.locals.balance)).toBeGreaterThan(1);
+                            expect(findFirstUnbalanced(engine.getTree()).id).toBe(current.nodeId);
+                        }
+                    }
+                    expect(findFirstUnbalanced(engine.getTree())).toBeNull();
+                    engine.setTree(engine.getTree());
+                }
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 32c: The four rotation cases', () => {
+        const cases = [
+            { keys: [3, 2, 1], rotation: 'LL', directions: ['right'] },
+            { keys: [1, 2, 3], rotation: 'RR', directions: ['left'] },
+            { keys: [3, 1, 2], rotation: 'LR', directions: ['left', 'right'] },
+            { keys: [1, 3, 2], rotation: 'RL', directions: ['right', 'left'] }
+        ];
+        for (const { keys, rotation, directions } of cases) {
+            const { engine, traces } = insertAll(keys);
+            const rotations = traces[2].filter(s => s.type === StepType.ROTATE);
+
+            expect(rotations.map(s => s.description.match(/Rotate (\w+)/)[1])).toEqual(directions);
+            expect(rotations.every(s => s.description.includes(`(${rotation} case)`))).toBe(true);
+            expect(inorderValues(engine.getTree())).toEqual([1, 2, 3]);
+            expect(engine.getTree().value).toBe(2);
+        }
+    });
+
+    it('Property 32d: Stepping backward undoes rotations exactly', () => {
+        fc.assert(
+            fc.property(arbKeys, fc.integer({ min: 1, max: 50 }), (keys, key) => {
+                const { engine } = insertAll(keys);
+                const before = serialize(engine.getTree());
+                engine.initialize('avl-insert', { key });
+
+                const shapes = [serialize(engine.getTree())];
+                while (engine.nextStep()) shapes.push(serialize(engine.getTree()));
+                for (let i = shapes.length - 2; i >= 0; i--) {
+                    engine.previousStep();
+                    expect(serialize(engine.getTree())).toBe(shapes[i]);
+                }
+                expect(shapes[0]).toBe(before);
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 32e: Balance factors match the subtree heights', () => {
+        fc.assert(
+            fc.property(arbKeys, (keys) => {
+                // A plain BST of the keys is usually unbalanced
+                let root = null;
+                for (const key of keys) {
+                    const engine = createEmptyEngine();
+                    engine.setTree(root);
+                    engine.initialize('bst-insert', { key });
+                    runToEnd(engine);
+                    root = engine.getTree();
+                }
+                const factors = getBalanceFactors(root);
+                for (const node of getAllNodes(root)) {
+                    expect(factors.get(node.id)).toBe(height(node.left) - height(node.right));
+                }
+
+                const flagged = findFirstUnbalanced(root);
+                if (flagged === null) {
+                    expect([...factors.values()].every(f => Math.abs(f) <= 1)).toBe(true);
+                } else {
+                    expect(Math.abs(factors.get(flagged.id))).toBeGreaterThan(1);
+                    // No node below the flagged one is unbalanced
+                    for (const node of getAllNodes(flagged).slice(1)) {
+                        expect(Math.abs(factors.get(node.id))).toBeLessThanOrEqual(1);
+                    }
+                }
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 32f: Rotation animation moves nodes from old to new positions', () => {
+        fc.assert(
+            fc.property(
+                fc.array(fc.record({ x: fc.integer({ min: -500, max: 500 }), y: fc.integer({ min: 0, max: 500 }) }),
+                    { minLength: 1, maxLength: 10 }),
+                fc.array(fc.record({ x: fc.integer({ min: -500, max: 500 }), y: fc.integer({ min: 0, max: 500 }) }),
+                    { minLength: 1, maxLength: 10 }),
+                fc.double({ min: 0, max: 1, noNaN: true }),
+                (fromList, toList, t) => {
+                    const from = new Map(fromList.map((p, i) => [i, p]));
+                    const to = new Map(toList.map((p, i) => [i, p]));
+
+                    const start = interpolatePositions(from, to, 0);
+                    const end = interpolatePositions(from, to, 1);
+                    const middle = interpolatePositions(from, to, t);
+                    for (const [id, target] of to) {
+                        const origin = from.get(id) || target;
+                        expect(start.get(id)).toEqual(origin);
+                        expect(end.get(id)).toEqual(target);
+                        const p = middle.get(id);
+                        expect(p.x).toBeGreaterThanOrEqual(Math.min(origin.x, target.x) - 1e-9);
+                        expect(p.x).toBeLessThanOrEqual(Math.max(origin.x, target.x) + 1e-9);
+                    }
+                    expect(easeInOut(t)).toBeGreaterThanOrEqual(0);
+                    expect(easeInOut(t)).toBeLessThanOrEqual(1);
+                    return true;
+                }
+            ),
+            { numRuns: 100 }
+        );
+
+        const node = new TreeNode(1);
+        node.x = 10;
+        node.y = 20;
+        expect(capturePositions(node).get(node.id)).toEqual({ x: 10, y: 20 });
+        const label = getBalanceLabelPosition(node, 10);
+        expect(label.x).toBeLessThan(node.x);
+        expect(label.y).toBeLessThan(node.y);
+    });
+
+    it('Property 32g: Code lines are valid and keys are required', () => {
+        fc.assert(
+            fc.property(arbKeys, (keys) => {
+                const { engine } = insertAll(keys.slice(1));
+                const steps = new AvlInsertGenerator(keys[0]).generateSteps(engine.getTree());
+                for (const step of steps) {
+                    expect(step.codeLine).toBeGreaterThanOrEqual(1);
+                    expect(step.codeLine).toBeLessThanOrEqual(getLineCount('avl-insert'));
+                }
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+        expect(() => getTraversalGenerator('avl-insert')).toThrow('Invalid AVL key');
+    });
+});
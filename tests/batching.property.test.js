@@ -0,0 +1,233 @@
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import { TreeNode, countNodes } from '../src/tree-model.js';
+import { StepType, NodeState } from '../src/execution-step.js';
+import { StateManager, statesEqual } from '../src/state-manager.js';
+import { ExecutionEngine } from '../src/execution-engine.js';
+import { Granularity } from '../src/step-granularity.js';
+
+// ============================================================
+// Custom Generators
+// ============================================================
+
+const arbTreeNode = fc.letrec((tie) => ({
+    tree: fc.oneof(
+        { weight: 1, arbitrary: fc.constant(null) },
+        {
+            weight: 3,
+            arbitrary: fc.record({
+                value: fc.integer({ min: 1, max: 100 }),
+                left: tie('tree'),
+                right: tie('tree')
+            }).map(({ value, left, right }) => new TreeNode(value, left, right))
+        }
+    )
+})).tree.filter(tree => countNodes(tree) <= 15);
+
+const arbTraversalType = fc.constantFrom('inorder', 'postorder', 'height', 'levelorder', 'iterative-inorder');
+
+/**
+ * One state update, as the engine makes them while applying a step
+ */
+const arbUpdate = fc.oneof(
+    fc.record({ op: fc.constant('setStepIndex'), value: fc.integer({ min: -1, max: 20 }) }),
+    fc.record({ op: fc.constant('setHighlightedLine'), value: fc.integer({ min: 0, max: 10 }) }),
+    fc.record({ op: fc.constant('addToOutput'), value: fc.integer({ min: 1, max: 100 }) }),
+    fc.record({ op: fc.constant('setNodeState'), value: fc.integer({ min: 1, max: 5 }) }),
+    fc.record({ op: fc.constant('pushCallStack'), value: fc.integer({ min: 1, max: 100 }) }),
+    fc.record({ op: fc.constant('popCallStack'), value: fc.constant(0) })
+);
+
+function applyUpdate(manager, { op, value }) {
+    switch (op) {
+        case 'setNodeState': return manager.setNodeState(value, NodeState.VISITED);
+        case 'pushCallStack': return manager.pushCallStack({ functionName: 'inOrder', nodeId: value, nodeValue: value });
+        default: return manager[op](value);
+    }
+}
+
+// ============================================================
+// Property Tests
+// ============================================================
+
+describe('Batched State Updates', () => {
+    // **Feature: tree-traversal-visualizer, Property 43: Subscribers See Whole Changes Once**
+    // *For any* updates made in a batch, subscribers SHALL be notified once, with the state
+    // after all of them; a transaction that throws SHALL leave the state as it was; a
+    // selector subscription SHALL fire exactly when its slice changes; each engine step
+    // SHALL reach subscribers as one consistent state; and a slice handed to a subscriber
+    // SHALL never change afterwards.
+
+    it('Property 43a: A batch notifies once, with the final state', () => {
+        fc.assert(
+            fc.property(fc.array(arbUpdate, { maxLength: 12 }), fc.integer({ min: 0, max: 12 }), (updates, split) => {
+                const manager = new StateManager();
+                const unbatched = new StateManager();
+                const seen = [];
+                manager.subscribe(state => seen.push(state));
+
+                // Nested batches still notify only when the outermost one ends
+                const result = manager.batch(() => {
+                    updates.slice(0, split).forEach(update => applyUpdate(manager, update));
+                    manager.batch(() => updates.slice(split).forEach(update => applyUpdate(manager, update)));
+                    expect(seen).toHaveLength(0);
+                    return 'done';
+                });
+                let unbatchedCalls = 0;
+                unbatched.subscribe(() => unbatchedCalls++);
+                updates.forEach(update => applyUpdate(unbatched, update));
+
+                // (popping an empty call stack changes nothing, so may not notify at all)
+                expect(result).toBe('done');
+                expect(seen).toHaveLength(unbatchedCalls > 0 ? 1 : 0);
+                if (seen.length > 0) expect(statesEqual(seen[0], unbatched.getState())).toBe(true);
+                return true;
+            }),
+            { numRuns: 200 }
+        );
+    });
+
+    it('Property 43b: A transaction that throws leaves the state as it was', () => {
+        fc.assert(
+            fc.property(fc.array(arbUpdate, { maxLength: 6 }), fc.array(arbUpdate, { minLength: 1, maxLength: 6 }),
+                (before, inside) => {
+                    const manager = new StateManager();
+                    before.forEach(update => applyUpdate(manager, update));
+                    const expected = manager.getState();
+                    let calls = 0;
+                    manager.subscribe(() => calls++);
+
+                    expect(() => manager.transaction(() => {
+                        inside.forEach(update => applyUpdate(manager, update));
+                        throw new Error('step failed');
+                    })).toThrow('step failed');
+                    expect(statesEqual(manager.getState(), expected)).toBe(true);
+                    expect(calls).toBe(0);
+
+                    // A transaction that finishes keeps its updates and notifies once
+                    manager.transaction(() => {
+                        inside.forEach(update => applyUpdate(manager, update));
+                        manager.setPlaying(true);
+                    });
+                    expect(calls).toBe(1);
+                    expect(manager.getState().isPlaying).toBe(true);
+                    return true;
+                }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 43c: A selector subscription fires exactly when its slice changes', () => {
+        fc.assert(
+            fc.property(fc.array(arbUpdate, { maxLength: 20 }), (updates) => {
+                const manager = new StateManager();
+                const outputs = [];
+                const depths = [];
+                manager.subscribe(state => state.traversalOutput, (output, previous) => outputs.push([output, previous]));
+                const unsubscribe = manager.subscribe(state => state.callStack.length, (depth, previous) => depths.push([depth, previous]));
+
+                let expectedOutputs = 0;
+                let expectedDepths = 0;
+                for (const update of updates) {
+                    const before = manager.getState();
+                    applyUpdate(manager, update);
+                    const after = manager.getState();
+                    if (after.traversalOutput.length !== before.traversalOutput.length) expectedOutputs++;
+                    if (after.callStack.length !== before.callStack.length) expectedDepths++;
+                }
+                expect(outputs).toHaveLength(expectedOutputs);
+                expect(depths).toHaveLength(expectedDepths);
+                expect(depths.every(([depth, previous]) => Math.abs(depth - previous) === 1)).toBe(true);
+                if (outputs.length > 0) expect(outputs[outputs.length - 1][0]).toEqual(manager.getState().traversalOutput);
+
+                // Once unsubscribed, nothing more arrives
+                unsubscribe();
+                manager.pushCallStack({ functionName: 'inOrder', nodeId: 1, nodeValue: 1 });
+                expect(depths).toHaveLength(expectedDepths);
+                return true;
+            }),
+            { numRuns: 200 }
+        );
+    });
+
+    it('Property 43d: Each engine step reaches subscribers as one consistent state', () => {
+        fc.assert(
+            fc.property(arbTreeNode, arbTraversalType, fc.constantFrom(...Object.values(Granularity)), fc.nat(),
+                (tree, type, granularity, pick) => {
+                    const engine = new ExecutionEngine();
+                    engine.setTree(tree);
+                    engine.initialize(type);
+                    engine.setGranularity(granularity);
+                    const steps = engine.getSteps();
+                    const seen = [];
+                    engine.subscribe(state => seen.push(state));
+                    const lines = [];
+                    engine.subscribe(state => state.highlightedLine, line => lines.push(line));
+
+                    const check = (state) => {
+                        const index = state.currentStepIndex;
+                        const done = steps.slice(0, index + 1);
+                        expect(state.highlightedLine).toBe(index < 0 ? 0 : steps[index].codeLine);
+                        expect(state.traversalOutput).toHaveLength(done.filter(step =>
+                            (step.type === StepType.PROCESS_NODE || step.type === StepType.VISIT) && step.nodeValue !== null).length);
+                    };
+
+                    let moves = 0;
+                    while (engine.nextStep()) moves++;
+                    expect(seen).toHaveLength(moves);
+                    seen.forEach(check);
+                    expect(lines.length).toBeLessThanOrEqual(moves);
+
+                    // A seek is one change however far it replays
+                    seen.length = 0;
+                    engine.seek(pick % steps.length);
+                    engine.seek(-1);
+                    expect(seen.length).toBeLessThanOrEqual(2);
+                    seen.forEach(check);
+
+                    seen.length = 0;
+                    engine.reset();
+                    expect(seen).toHaveLength(1);
+                    check(seen[0]);
+                    return true;
+                }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 43e: A slice once handed out is never changed by later updates', () => {
+        fc.assert(
+            fc.property(fc.array(fc.array(arbUpdate, { maxLength: 6 }), { maxLength: 8 }), (batches) => {
+                const manager = new StateManager();
+                const handedOut = [];
+                const keep = slice => handedOut.push([slice, slice instanceof Map ? new Map(slice) : [...slice]]);
+                manager.subscribe(state => state.callStack, keep);
+                manager.subscribe(state => state.nodeStates, keep);
+                manager.subscribe(state => state.traversalOutput, keep);
+
+                for (const updates of batches) {
+                    manager.batch(() => {
+                        // Slices copied once in a batch are then changed in place, and a live read sees that
+                        updates.forEach(update => {
+                            applyUpdate(manager, update);
+                            expect(statesEqual(manager.peekState(), manager.getState())).toBe(true);
+                        });
+
+                        // ... but not the ones a transaction inside it goes back to
+                        const before = manager.getState();
+                        expect(() => manager.transaction(() => {
+                            updates.forEach(update => applyUpdate(manager, update));
+                            throw new Error('step failed');
+                        })).toThrow('step failed');
+                        expect(statesEqual(manager.getState(), before)).toBe(true);
+                    });
+                }
+                for (const [slice, copy] of handedOut) {
+                    expect(slice instanceof Map ? [...slice] : slice).toEqual(slice instanceof Map ? [...copy] : copy);
+                }
+                return true;
+            }),
+            { numRuns: 200 }
+        );
+    });
+});
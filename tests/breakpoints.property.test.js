@@ -0,0 +1,282 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import * as fc from 'fast-check';
+import { TreeNode, countNodes, getAllNodes } from '../src/tree-model.js';
+import { StackAction } from '../src/execution-step.js';
+import { ExecutionEngine } from '../src/execution-engine.js';
+import { BreakpointManager, BreakpointKind, parseCondition } from '../src/breakpoints.js';
+
+// ============================================================
+// Custom Generators
+// ============================================================
+
+const arbTreeNode = fc.letrec((tie) => ({
+    tree: fc.oneof(
+        { weight: 1, arbitrary: fc.constant(null) },
+        {
+            weight: 3,
+            arbitrary: fc.record({
+                value: fc.integer({ min: 1, max: 9 }),
+                left: tie('tree'),
+                right: tie('tree')
+            }).map(({ value, left, right }) => new TreeNode(value, left, right))
+        }
+    )
+})).tree.filter(tree => countNodes(tree) >= 1 && countNodes(tree) <= 15);
+
+const arbTraversalType = fc.constantFrom('inorder', 'preorder', 'postorder');
+
+const arbLoopTraversalType = fc.constantFrom('iterative-inorder', 'iterative-postorder', 'morris-inorder', 'levelorder');
+
+function createEngine(tree, type) {
+    const engine = new ExecutionEngine();
+    engine.setTree(tree);
+    engine.initialize(type);
+    return engine;
+}
+
+/**
+ * Indices of the steps runToBreakpoint stops at, until the trace ends
+ */
+function collectStops(engine) {
+    const stops = [];
+    while (engine.runToBreakpoint()) stops.push(engine.getCurrentStepIndex());
+    return stops;
+}
+
+/**
+ * Indices where a property of the step changes to the wanted value
+ */
+function arrivals(steps, read, wanted) {
+    return steps
+        .map((step, i) => (read(step) === wanted && (i === 0 || read(steps[i - 1]) !== wanted) ? i : -1))
+        .filter(i => i >= 0);
+}
+
+/**
+ * Call stack depth after each step
+ */
+function depths(steps) {
+    let depth = 0;
+    return steps.map(step => {
+        if (step.stackAction === StackAction.PUSH) depth++;
+        if (step.stackAction === StackAction.POP) depth--;
+        return depth;
+    });
+}
+
+/**
+ * Indices where execution arrives at a line: from another line, from the same line in
+ * another call, or from the same line running a kind of step again (the next loop iteration)
+ */
+function lineArrivals(steps, line) {
+    const stackDepths = depths(steps);
+    let kinds = [];
+    return steps
+        .map((step, i) => {
+            const continues = i > 0 && step.codeLine === steps[i - 1].codeLine &&
+                stackDepths[i] === stackDepths[i - 1] && !kinds.includes(step.type);
+            kinds = continues ? [...kinds, step.type] : [step.type];
+            return step.codeLine === line && !continues ? i : -1;
+        })
+        .filter(i => i >= 0);
+}
+
+/**
+ * A chain of nodes, each the right child of the one before
+ */
+function createRightChain(length) {
+    let root = null;
+    for (let value = length; value > 0; value--) {
+        root = new TreeNode(value, null, root);
+    }
+    return root;
+}
+
+// ============================================================
+// Property Tests
+// ============================================================
+
+describe('Breakpoints', () => {
+    // **Feature: tree-traversal-visualizer, Property 37: Execution Stops Exactly at Breakpoints**
+    // *For any* tree and breakpoint, running SHALL stop on each step that arrives at the
+    // breakpoint's line or node (or makes its condition become true) and on no other step,
+    // and play() SHALL pause there with the step applied.
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('Property 37a: Line and node breakpoints stop where execution arrives', () => {
+        fc.assert(
+            fc.property(arbTreeNode, arbTraversalType, fc.integer({ min: 1, max: 6 }), fc.nat(), (tree, type, line, pick) => {
+                const engine = createEngine(tree, type);
+                const steps = engine.getSteps();
+                engine.getBreakpoints().addLine(line);
+                expect(collectStops(engine)).toEqual(lineArrivals(steps, line));
+
+                const nodes = getAllNodes(tree);
+                const nodeId = nodes[pick % nodes.length].id;
+                const byNode = createEngine(tree, type);
+                byNode.getBreakpoints().addNode(nodeId);
+                const stops = collectStops(byNode);
+                expect(stops).toEqual(arrivals(steps, s => s.nodeId, nodeId));
+                expect(stops[0]).toBe(steps.findIndex(s => s.nodeId === nodeId));
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 37b: Conditions filter breakpoints and condition breakpoints stop when they become true', () => {
+        fc.assert(
+            fc.property(arbTreeNode, arbTraversalType, fc.integer({ min: 0, max: 4 }), fc.integer({ min: 1, max: 9 }),
+                (tree, type, limit, value) => {
+                    const engine = createEngine(tree, type);
+                    const steps = engine.getSteps();
+                    const stackDepths = depths(steps);
+                    engine.getBreakpoints().addCondition(`stack depth > ${limit}`);
+                    const expected = stackDepths
+                        .map((d, i) => (d > limit && (i === 0 || stackDepths[i - 1] <= limit) ? i : -1))
+                        .filter(i => i >= 0);
+                    expect(collectStops(engine)).toEqual(expected);
+
+                    // A line breakpoint that only hits on one value
+                    const printLine = steps.find(s => s.type === 'PROCESS_NODE').codeLine;
+                    const conditional = createEngine(tree, type);
+                    conditional.getBreakpoints().addLine(printLine, `nodeValue == ${value}`);
+                    const stops = collectStops(conditional);
+                    expect(stops).toEqual(lineArrivals(steps, printLine)
+                        .filter(i => steps[i].nodeValue === value));
+                    return true;
+                }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 37c: play() pauses on a breakpoint with the step applied', () => {
+        vi.useFakeTimers();
+        fc.assert(
+            fc.property(arbTreeNode, arbTraversalType, (tree, type) => {
+                const engine = createEngine(tree, type);
+                const steps = engine.getSteps();
+                engine.setSpeed(10);
+                engine.getBreakpoints().addCondition('type == RETURN');
+                const expected = arrivals(steps, s => s.type, 'RETURN');
+
+                const stops = [];
+                for (let i = 0; i < expected.length; i++) {
+                    engine.play();
+                    vi.advanceTimersByTime(10 * steps.length + 10);
+                    expect(engine.isPlaying()).toBe(false);
+                    stops.push(engine.getCurrentStepIndex());
+                    expect(engine.getBreakpointHit().kind).toBe(BreakpointKind.CONDITION);
+                    expect(engine.getState().highlightedLine).toBe(steps[stops[i]].codeLine);
+                }
+                expect(stops).toEqual(expected);
+
+                // Past the last breakpoint, playback runs to the end
+                engine.play();
+                vi.advanceTimersByTime(10 * steps.length + 10);
+                expect(engine.isAtEnd()).toBe(true);
+                engine.previousStep();
+                expect(engine.getBreakpointHit()).toBeNull();
+                return true;
+            }),
+            { numRuns: 30 }
+        );
+    });
+
+    it('Property 37d: Conditions parse, and breakpoints toggle and disable', () => {
+        const context = { stackDepth: 4, nodeValue: 5, nodeId: 2, line: 3, type: 'CALL', step: 7, outputLength: 1 };
+        const holds = [
+            'stack depth > 3', 'nodeValue == 5', 'stackDepth >= 4 && value != 6', 'depth < 2 || line = 3',
+            'type == call', "type === 'CALL'", 'step == 7 and output == 1', 'node_value === 5'
+        ];
+        for (const text of holds) expect(parseCondition(text)(context)).toBe(true);
+        const fails = ['stack depth > 4', 'nodeValue == 6', 'depth < 2 or line == 4', 'nodeValue == null'];
+        for (const text of fails) expect(parseCondition(text)(context)).toBe(false);
+        expect(parseCondition('nodeValue > 3')({ ...context, nodeValue: null })).toBe(false);
+
+        // Joining words inside quotes are part of the literal
+        expect(parseCondition('value == "or"')({ ...context, nodeValue: 'or' })).toBe(true);
+        expect(parseCondition("type == 'and'")({ ...context, type: 'AND' })).toBe(true);
+        expect(parseCondition('value == "a && b" || depth > 3')(context)).toBe(true);
+        expect(parseCondition("value == 'x or y' and depth > 3")({ ...context, nodeValue: 'x or y' })).toBe(true);
+        expect(parseCondition("value == 'x or y' and depth > 3")(context)).toBe(false);
+
+        for (const text of ['', 'depth', 'colour == red', 'depth > (1)', 'depth >']) {
+            expect(() => parseCondition(text)).toThrow('Invalid breakpoint condition');
+        }
+
+        const manager = new BreakpointManager();
+        expect(manager.toggleLine(3)).toBe(true);
+        expect(manager.hasLine(3)).toBe(true);
+        expect(manager.toggleNode(8)).toBe(true);
+        const condition = manager.addCondition('depth > 1');
+        expect(manager.getAll().map(b => b.kind)).toEqual(['line', 'node', 'condition']);
+        expect(() => manager.setCondition(condition.id, 'depth >')).toThrow('Invalid breakpoint condition');
+        expect(manager.get(condition.id).condition).toBe('depth > 1');
+        expect(() => manager.setCondition(condition.id, ' ')).toThrow('needs a condition');
+
+        manager.setEnabled(condition.id, false);
+        expect(manager.check({ ...context, line: 1 }, { ...context, stackDepth: 1, line: 1 })).toBeNull();
+        expect(manager.check(context, { ...context, line: 2 }).kind).toBe(BreakpointKind.LINE);
+        expect(manager.toggleLine(3)).toBe(false);
+        manager.clear(BreakpointKind.NODE);
+        expect(manager.getAll().map(b => b.kind)).toEqual(['condition']);
+        expect(() => manager.add({ kind: 'watch' })).toThrow('Unknown breakpoint kind');
+        expect(() => manager.addLine(null)).toThrow('needs a line');
+    });
+
+    it('Property 37e: A line breakpoint stops on each frame that unwinds through it', () => {
+        fc.assert(
+            fc.property(fc.integer({ min: 2, max: 12 }), fc.constantFrom('inorder', 'preorder'), (length, type) => {
+                // Down a right chain every call returns from its closing line, one frame after another
+                const engine = createEngine(createRightChain(length), type);
+                const steps = engine.getSteps();
+                const closingLine = steps[steps.length - 1].codeLine;
+                engine.getBreakpoints().addLine(closingLine);
+
+                const stops = collectStops(engine);
+                const returns = steps.map((s, i) => (s.type === 'RETURN' && s.codeLine === closingLine ? i : -1))
+                    .filter(i => i >= 0);
+                expect(returns).toHaveLength(length);
+                expect(returns.slice(1).every((index, i) => index === returns[i] + 1)).toBe(true);
+                expect(stops).toEqual(returns);
+                return true;
+            }),
+            { numRuns: 50 }
+        );
+    });
+
+    it('Property 37f: A line breakpoint stops on every iteration of a loop that stays on the line', () => {
+        fc.assert(
+            fc.property(arbTreeNode, arbLoopTraversalType, fc.integer({ min: 1, max: 21 }), (tree, type, line) => {
+                const engine = createEngine(tree, type);
+                const steps = engine.getSteps();
+                engine.getBreakpoints().addLine(line);
+                const stops = collectStops(engine);
+                expect(stops).toEqual(lineArrivals(steps, line));
+
+                // Each push down a left spine, and each step of a predecessor walk, is a stop
+                const repeats = steps
+                    .map((step, i) => (i > 0 && step.codeLine === line && steps[i - 1].codeLine === line &&
+                        step.type === steps[i - 1].type ? i : -1))
+                    .filter(i => i >= 0);
+                expect(repeats.every(i => stops.includes(i))).toBe(true);
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+
+        // Down a left chain, iterative inorder pushes every node from the same line
+        let chain = null;
+        for (let value = 6; value > 0; value--) chain = new TreeNode(value, chain, null);
+        const engine = createEngine(chain, 'iterative-inorder');
+        const steps = engine.getSteps();
+        const pushLine = steps.find(s => s.type === 'STACK_PUSH').codeLine;
+        engine.getBreakpoints().addLine(pushLine);
+        expect(collectStops(engine)).toEqual(steps.map((s, i) => (s.type === 'STACK_PUSH' ? i : -1)).filter(i => i >= 0));
+        expect(steps.filter(s => s.type === 'STACK_PUSH')).toHaveLength(6);
+    });
+});
@@ -0,0 +1,268 @@
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import { TreeNode, getAllNodes } from '../src/tree-model.js';
+import { StepType } from '../src/execution-step.js';
+import { BstSearchGenerator, BstInsertGenerator, BstDeleteGenerator } from '../src/bst-generators.js';
+import { getTraversalGenerator } from '../src/traversal-generators.js';
+import { ExecutionEngine } from '../src/execution-engine.js';
+import { getLineCount } from '../src/code-renderer.js';
+import { applyMutation, indexNodes } from '../src/tree-mutations.js';
+
+// ============================================================
+// Custom Generators
+// ============================================================
+
+/**
+ * Builds a BST by inserting keys in order (duplicates go right)
+ */
+function buildBst(keys) {
+    let root = null;
+    for (const key of keys) {
+        const node = new TreeNode(key);
+        if (root === null) {
+            root = node;
+            continue;
+        }
+        let curr = root;
+        for (;;) {
+            const side = key < curr.value ? 'left' : 'right';
+            if (curr[side] === null) {
+                curr[side] = node;
+                break;
+            }
+            curr = curr[side];
+        }
+    }
+    return root;
+}
+
+const arbKeys = fc.array(fc.integer({ min: 1, max: 30 }), { minLength: 0, maxLength: 15 });
+
+// A BST plus a key that is in the tree about half the time
+const arbBstAndKey = arbKeys.chain(keys => fc.record({
+    keys: fc.constant(keys),
+    key: keys.length > 0
+        ? fc.oneof(fc.constantFrom(...keys), fc.integer({ min: 1, max: 30 }))
+        : fc.integer({ min: 1, max: 30 })
+}));
+
+function inorderValues(node, out = []) {
+    if (node === null) return out;
+    inorderValues(node.left, out);
+    out.push(node.value);
+    inorderValues(node.right, out);
+    return out;
+}
+
+/**
+ * Shape, values and node identity of a tree as a string
+ */
+function serialize(node) {
+    return node === null ? '-' : `(${serialize(node.left)} ${node.id}:${node.value} ${serialize(node.right)})`;
+}
+
+function isSorted(values) {
+    return values.every((value, i) => i === 0 || values[i - 1] <= value);
+}
+
+/**
+ * An engine over the given tree (the constructor would swap an empty tree for the default one)
+ */
+function createEngine(tree) {
+    const engine = new ExecutionEngine();
+    engine.setTree(tree);
+    return engine;
+}
+
+function runToEnd(engine) {
+    while (engine.nextStep()) { /* advance */ }
+}
+
+// ============================================================
+// Property Tests
+// ============================================================
+
+describe('Binary Search Tree Operations', () => {
+    // **Feature: tree-traversal-visualizer, Property 30: BST Operations Follow the Search Path**
+    // *For any* BST and key, search, insert and delete SHALL compare the key along a
+    // single root-to-node path, insert and delete SHALL leave a valid BST with the key
+    // added or one occurrence removed, and stepping backward SHALL restore the exact
+    // tree shape of every earlier step.
+
+    it('Property 30a: Search compares along one path and finds the key iff present', () => {
+        fc.assert(
+            fc.property(arbBstAndKey, ({ keys, key }) => {
+                const tree = buildBst(keys);
+                const steps = new BstSearchGenerator(key).generateSteps(tree);
+                const byId = indexNodes(tree);
+                const compares = steps.filter(s => s.type === StepType.COMPARE);
+
+                let expected = tree;
+                for (const step of compares) {
+                    expect(step.nodeId).toBe(expected.id);
+                    expected = key < expected.value ? expected.left : expected.right;
+                }
+                const found = compares.length > 0 && compares[compares.length - 1].description.endsWith('found');
+                expect(found).toBe(keys.includes(key));
+                if (found) expect(byId.get(compares[compares.length - 1].nodeId).value).toBe(key);
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 30b: Insert adds the key and keeps the tree a BST', () => {
+        fc.assert(
+            fc.property(arbBstAndKey, ({ keys, key }) => {
+                const engine = createEngine(buildBst(keys));
+                const before = getAllNodes(engine.getTree()).map(node => node.id);
+                engine.initialize('bst-insert', { key });
+                runToEnd(engine);
+
+                const values = inorderValues(engine.getTree());
+                expect(values).toEqual([...keys, key].sort((a, b) => a - b));
+                expect(isSorted(values)).toBe(true);
+
+                // The inserted node gets an id no other node has
+                const ids = new Set(getAllNodes(engine.getTree()).map(node => node.id));
+                expect(ids.size).toBe(before.length + 1);
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 30c: Delete removes one occurrence and keeps the tree a BST', () => {
+        fc.assert(
+            fc.property(arbBstAndKey, ({ keys, key }) => {
+                const engine = createEngine(buildBst(keys));
+                engine.initialize('bst-delete', { key });
+                runToEnd(engine);
+
+                const expected = [...keys].sort((a, b) => a - b);
+                const index = expected.indexOf(key);
+                if (index >= 0) expected.splice(index, 1);
+
+                const values = inorderValues(engine.getTree());
+                expect(values).toEqual(expected);
+                expect(engine.getState().callStack).toHaveLength(0);
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 30d: Deleting a node with two children copies its inorder successor', () => {
+        const tree = buildBst([50, 30, 70, 60, 80, 65]);
+        const engine = createEngine(tree);
+        engine.initialize('bst-delete', { key: 50 });
+        const steps = engine.getSteps();
+
+        expect(steps.some(s => s.type === StepType.SET_VALUE && s.nodeValue === 60)).toBe(true);
+        runToEnd(engine);
+
+        const root = engine.getTree();
+        expect(root).toBe(tree);
+        expect(root.value).toBe(60);
+        expect(root.right.value).toBe(70);
+        expect(root.right.left.value).toBe(65);
+        expect(inorderValues(root)).toEqual([30, 60, 65, 70, 80]);
+    });
+
+    it('Property 30e: Leaf, one-child and root deletes relink the right pointer', () => {
+        const leaf = createEngine(buildBst([5, 3, 8]));
+        leaf.initialize('bst-delete', { key: 3 });
+        runToEnd(leaf);
+        expect(leaf.getTree().left).toBeNull();
+
+        const oneChild = createEngine(buildBst([5, 3, 8, 9]));
+        oneChild.initialize('bst-delete', { key: 8 });
+        runToEnd(oneChild);
+        expect(oneChild.getTree().right.value).toBe(9);
+
+        const root = createEngine(buildBst([5, 3]));
+        root.initialize('bst-delete', { key: 5 });
+        runToEnd(root);
+        expect(root.getTree().value).toBe(3);
+    });
+
+    it('Property 30f: Compare steps describe the comparison', () => {
+        const steps = new BstInsertGenerator(5).generateSteps(buildBst([6, 2, 5]));
+        const descriptions = steps.filter(s => s.type === StepType.COMPARE).map(s => s.description);
+        expect(descriptions).toEqual(['5 < 6, go left', '5 > 2, go right', '5 == 5, go right']);
+
+        const search = new BstSearchGenerator(5).generateSteps(buildBst([6, 5]));
+        expect(search.filter(s => s.type === StepType.COMPARE).map(s => s.description))
+            .toEqual(['5 < 6, go left', '5 == 5, found']);
+    });
+
+    it('Property 30g: Stepping backward restores the tree shape of every step', () => {
+        const arbType = fc.constantFrom('bst-insert', 'bst-delete');
+        fc.assert(
+            fc.property(arbBstAndKey, arbType, ({ keys, key }, type) => {
+                const tree = buildBst(keys);
+                const original = serialize(tree);
+                const engine = createEngine(tree);
+                engine.initialize(type, { key });
+
+                const shapes = [serialize(engine.getTree())];
+                while (engine.nextStep()) shapes.push(serialize(engine.getTree()));
+
+                for (let i = shapes.length - 2; i >= 0; i--) {
+                    engine.previousStep();
+                    expect(serialize(engine.getTree())).toBe(shapes[i]);
+                }
+                expect(shapes[0]).toBe(original);
+
+                runToEnd(engine);
+                engine.reset();
+                expect(serialize(engine.getTree())).toBe(original);
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 30h: Generating steps leaves the input tree unchanged', () => {
+        fc.assert(
+            fc.property(arbBstAndKey, ({ keys, key }) => {
+                const tree = buildBst(keys);
+                const before = serialize(tree);
+                for (const Generator of [BstSearchGenerator, BstInsertGenerator, BstDeleteGenerator]) {
+                    new Generator(key).generateSteps(tree);
+                }
+                expect(serialize(tree)).toBe(before);
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 30i: Code lines are valid for the BST templates', () => {
+        fc.assert(
+            fc.property(arbBstAndKey, ({ keys, key }) => {
+                for (const type of ['bst-search', 'bst-insert', 'bst-delete']) {
+                    const steps = getTraversalGenerator(type, { key }).generateSteps(buildBst(keys));
+                    const lineCount = getLineCount(type);
+                    for (const step of steps) {
+                        expect(step.codeLine).toBeGreaterThanOrEqual(1);
+                        expect(step.codeLine).toBeLessThanOrEqual(lineCount);
+                    }
+                }
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 30j: Invalid keys and mutations are rejected', () => {
+        expect(() => getTraversalGenerator('bst-insert')).toThrow('Invalid BST key');
+        expect(() => getTraversalGenerator('bst-search', { key: NaN })).toThrow('Invalid BST key');
+
+        const tree = buildBst([2, 1]);
+        const nodes = indexNodes(tree);
+        expect(() => applyMutation(tree, { op: 'rotate' }, nodes)).toThrow('Unknown mutation');
+        expect(() => applyMutation(tree, { op: 'setValue', nodeId: -1, value: 3 }, nodes)).toThrow('not in the trace');
+        expect(getAllNodes(tree).map(n => n.value)).toEqual([2, 1]);
+    });
+});
@@ -0,0 +1,262 @@
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import { TreeNode, countNodes, createDefaultTree, getTreeDepth } from '../src/tree-model.js';
+import { StepType, StackAction } from '../src/execution-step.js';
+import { getTraversalGenerator } from '../src/traversal-generators.js';
+import {
+    InstrumentedGenerator, DEFAULT_CUSTOM_SOURCE, tokenizeSource
+} from '../src/code-instrumenter.js';
+import { ExecutionEngine } from '../src/execution-engine.js';
+import { getCodeTemplate, getLineCount, setCustomTemplate } from '../src/code-renderer.js';
+import { OutputRenderer } from '../src/output-renderer.js';
+import { StackRenderer } from '../src/stack-renderer.js';
+import { TimelineRenderer } from '../src/timeline-renderer.js';
+
+// ============================================================
+// Custom Generators
+// ============================================================
+
+const arbTreeNode = fc.letrec((tie) => ({
+    tree: fc.oneof(
+        { weight: 1, arbitrary: fc.constant(null) },
+        {
+            weight: 3,
+            arbitrary: fc.record({
+                value: fc.integer({ min: 1, max: 100 }),
+                left: tie('tree'),
+                right: tie('tree')
+            }).map(({ value, left, right }) => new TreeNode(value, left, right))
+        }
+    )
+})).tree.filter(tree => countNodes(tree) <= 15);
+
+/**
+ * The recursive templates written as JavaScript, statement for statement
+ */
+function recursiveSource(name, order) {
+    const statements = {
+        left: `    ${name}(node.left);`,
+        visit: '    print(node.value);',
+        right: `    ${name}(node.right);`
+    };
+    return [
+        `function ${name}(node) {`,
+        '    if (node === null) return;',
+        ...order.map(part => statements[part]),
+        '}'
+    ].join('\n');
+}
+
+const BUILT_IN_ORDERS = {
+    inorder: ['left', 'visit', 'right'],
+    preorder: ['visit', 'left', 'right'],
+    postorder: ['left', 'right', 'visit']
+};
+
+/**
+ * What the engine and renderers read from a step
+ */
+function shape(step) {
+    return [step.type, step.codeLine, step.nodeId, step.stackAction, step.nodeState, step.nodeValue];
+}
+
+function serialize(node) {
+    return node === null ? '-' : `(${serialize(node.left)} ${node.id}:${node.value} ${serialize(node.right)})`;
+}
+
+// ============================================================
+// Property Tests
+// ============================================================
+
+describe('User-Written Traversal Code', () => {
+    // **Feature: tree-traversal-visualizer, Property 35: Instrumented Code Matches Its Lines**
+    // *For any* tree, a user-written recursive function SHALL produce execution steps whose
+    // lines point into the user's code, SHALL match the built-in generator step for step
+    // when it is written like the template, SHALL leave the tree untouched, SHALL be
+    // stopped by the step budget and the sandbox instead of running away, and what it
+    // prints or returns SHALL be shown as text, never as markup.
+
+    it('Property 35a: Code written like a template gives the built-in steps', () => {
+        fc.assert(
+            fc.property(arbTreeNode, fc.constantFrom('inorder', 'preorder', 'postorder'), (tree, type) => {
+                const source = recursiveSource('visit', BUILT_IN_ORDERS[type]);
+                const custom = new InstrumentedGenerator(source).generateSteps(tree);
+                const builtIn = getTraversalGenerator(type).generateSteps(tree);
+                expect(custom.map(shape)).toEqual(builtIn.map(shape));
+                expect(custom.filter(s => s.type === StepType.CALL).every(s => s.functionName === 'visit')).toBe(true);
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 35b: Lines stay in the code, frames balance and the tree is untouched', () => {
+        const sources = [
+            DEFAULT_CUSTOM_SOURCE,
+            [
+                '// Height, with the child results in locals',
+                'function height(node) {',
+                '    if (!node) return 0;',
+                '    const left = height(node.left);',
+                '    const right = height(node.right);',
+                '    return 1 + Math.max(left, right);',
+                '}'
+            ].join('\n'),
+            [
+                'function leftSpine(node) {',
+                '    let depth = 0;',
+                '    while (node !== null) {',
+                '        print(node.value);',
+                '        node = node.left;',
+                '        depth = depth + 1;',
+                '    }',
+                '    for (let i = 0; i < 2; i++) print(i);',
+                '    return depth;',
+                '}'
+            ].join('\n')
+        ];
+        fc.assert(
+            fc.property(arbTreeNode, fc.constantFrom(...sources), (tree, source) => {
+                const before = serialize(tree);
+                const steps = new InstrumentedGenerator(source).generateSteps(tree);
+                const lineCount = source.split('\n').length;
+                let depth = 0;
+                for (const step of steps) {
+                    expect(step.codeLine).toBeGreaterThanOrEqual(1);
+                    expect(step.codeLine).toBeLessThanOrEqual(lineCount);
+                    if (step.stackAction === StackAction.PUSH) depth++;
+                    if (step.stackAction === StackAction.POP) depth--;
+                    expect(depth).toBeGreaterThanOrEqual(0);
+                }
+                expect(depth).toBe(0);
+                expect(serialize(tree)).toBe(before);
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+
+        // Return values flow out of the frames, and locals are assigned on their lines
+        const steps = new InstrumentedGenerator(sources[1]).generateSteps(createDefaultTree());
+        expect(steps[steps.length - 1].returnValue).toBe(getTreeDepth(createDefaultTree()));
+        expect(steps.find(s => s.type === StepType.ASSIGN).codeLine).toBe(4);
+        expect(steps[0].returnsValue).toBe(true);
+    });
+
+    it('Property 35c: The step budget stops runaway loops and recursion', () => {
+        const loop = 'function spin(node) {\n    while (true) {}\n}';
+        const forever = 'function down(node) {\n    down(node);\n}';
+        const endless = 'function f(node) {\n    for (;;) {}\n}';
+        for (const source of [loop, forever, endless]) {
+            expect(() => new InstrumentedGenerator(source, { stepBudget: 500 }).generateSteps(createDefaultTree()))
+                .toThrow('Step budget of 500 exceeded');
+        }
+        const small = new InstrumentedGenerator(DEFAULT_CUSTOM_SOURCE, { stepBudget: 10 });
+        expect(() => small.generateSteps(createDefaultTree())).toThrow('Step budget of 10 exceeded');
+        expect(new InstrumentedGenerator(DEFAULT_CUSTOM_SOURCE, { stepBudget: 10 }).generateSteps(null)).toHaveLength(3);
+    });
+
+    it('Property 35d: Unsafe or unsupported code is rejected with its line', () => {
+        const rejected = [
+            ['function f(node) {\n    window.alert(1);\n}', 'Line 2: "window" is not available'],
+            ['function f(node) {\n\n    return this;\n}', 'Line 3: "this" is not available'],
+            ['function f(node) {\n    node.constructor;\n}', 'Line 2: "constructor" is not available'],
+            ['function f(node) {\n    const g = () => 1;\n}', 'Line 2: define a single function'],
+            ['function f(node) {\n    node["left"];\n}', 'Line 2: computed property access'],
+            ['function f(node) {\n    const __t = 1;\n}', 'Line 2: names starting with "__" are reserved'],
+            ['function f(node) {\n    try { f(node.left); } catch (e) {}\n}', 'Line 2: "try" is not available'],
+            ['function f(node) {\n    for (const x of [1, 2]) print(x);\n}', 'Line 2: only for (init; condition; update)'],
+            ['function f(node) {\n    return [node.value];\n}', null],
+            // Property names built from strings could reach the names above
+            ['function f(node) {\n    let o = {}["constructor"];\n}', 'Line 2: computed property access'],
+            ['function f(node) {\n    let o = 1["constructor"];\n}', 'Line 2: computed property access'],
+            ['function f(node) {\n    let o = node?.["left"];\n}', 'Line 2: computed property access'],
+            ['function f(node) {\n    let o = { ["constru" + "ctor"]: 1 };\n}', 'Line 2: computed property names'],
+            ['function f(node) {\n    let o = { a: 1, "constructor": 2 };\n}', 'Line 2: quoted property names'],
+            ['function f(node) {\n    let { a, b: o } = node;\n}', 'Line 2: destructuring declarations'],
+            // Only the code's own names, print and Math are in scope, and built-in members are out
+            ['function f(node) {\n    location.href = "https://example.com";\n}', 'Line 2: "location" is not available'],
+            ['function f(node) {\n    alert(1);\n}', 'Line 2: "alert" is not available'],
+            ['function f(node) {\n    print(localStorage);\n}', 'Line 2: "localStorage" is not available'],
+            ['function f(node) {\n    let w = parent || opener || navigator;\n}', 'Line 2: "parent" is not available'],
+            ['function f(node) {\n    print("a".repeat(1e9));\n}', 'Line 2: "repeat" is not available'],
+            ['function f(node) {\n    print(Math.max.call(null, 1));\n}', 'Line 2: "call" is not available'],
+            ['function f(node) {\n    let a = [];\n    a.length = 1e9;\n}', 'Line 3: "length" can only be read'],
+            ['function f(node) {\n    let a = [1];\n    a.push(...a);\n}', 'Line 3: spread (...) is not supported'],
+            ['function f(node, depth) {\n    let seen = [], next = depth + 1;\n    if (!seen.includes(node)) seen.push(node);\n    print(seen.length, next, Math.floor(1.5));\n}', null],
+            ['function f(node) {\n    print(node ? ["a", { b: [1] }] : "c");\n}', null],
+            ['const x = 1;', 'Line 1: the code must be one function'],
+            ['function f(node) {\n}\nf(null);', 'Line 3: nothing may follow the function'],
+            ['function f(node) {\n    print(`x`);\n}', 'Line 2: unexpected character "`"'],
+            ['function f(node) {\n    if (node) print(1); else else;\n}', 'Syntax error']
+        ];
+        for (const [source, message] of rejected) {
+            if (message === null) {
+                expect(() => new InstrumentedGenerator(source)).not.toThrow();
+            } else {
+                expect(() => new InstrumentedGenerator(source)).toThrow(message);
+            }
+        }
+
+        // Errors while running name the line that was executing
+        const crash = 'function f(node) {\n    print(node.value);\n    f(node.left.left);\n}';
+        expect(() => new InstrumentedGenerator(crash).generateSteps(new TreeNode(1))).toThrow(/^Line 3: /);
+    });
+
+    it('Property 35e: The engine and the code panel run custom code', () => {
+        fc.assert(
+            fc.property(arbTreeNode, fc.constantFrom('inorder', 'preorder', 'postorder'), (tree, type) => {
+                const source = recursiveSource('walk', BUILT_IN_ORDERS[type]);
+                const engine = new ExecutionEngine();
+                engine.setTree(tree);
+                engine.initialize('custom', { source });
+                while (engine.nextStep()) { /* advance */ }
+                const expected = getTraversalGenerator(type).generateSteps(tree)
+                    .filter(s => s.type === StepType.PROCESS_NODE).map(s => s.nodeValue);
+                expect(engine.getStateManager().getState().traversalOutput).toEqual(expected);
+
+                setCustomTemplate(source);
+                expect(getLineCount('custom')).toBe(source.split('\n').length);
+                expect(getCodeTemplate('custom').map(line => line.text).join('\n')).toBe(source);
+                return true;
+            }),
+            { numRuns: 50 }
+        );
+        setCustomTemplate(DEFAULT_CUSTOM_SOURCE);
+
+        const source = 'function f(node) {\n  /* a\n  comment */ print("x");\n}';
+        expect(tokenizeSource(source).map(t => t.text).join('')).toBe(source);
+    });
+
+    it('Property 35f: Printed and returned values are shown as text', () => {
+        const markup = '<img src=x onerror=alert(1)>';
+        const source = `function f(node) {\n    print("${markup}");\n    return "${markup}";\n}`;
+        const engine = new ExecutionEngine();
+        engine.setTree(new TreeNode(1));
+        engine.initialize('custom', { source });
+        const container = { innerHTML: '' };
+
+        // The output, the call stack and the timeline all escape the values
+        const output = new OutputRenderer(container);
+        const stack = new StackRenderer();
+        while (engine.nextStep()) {
+            output.setValues(engine.getState().traversalOutput);
+            expect(container.innerHTML).not.toContain('<img');
+            const callStack = engine.getState().callStack;
+            if (callStack.length > 0) {
+                stack.setStack(callStack);
+                expect(stack.createFrameHTML(stack.getTopFrame(), 0)).not.toContain('<img');
+            }
+        }
+        expect(engine.getState().traversalOutput).toEqual([markup]);
+        expect(container.innerHTML).toBe('<span class="output-value">&lt;img src=x onerror=alert(1)&gt;</span>');
+
+        const timeline = new TimelineRenderer();
+        timeline.setSteps(engine.getSteps());
+        const markers = timeline.getMarkers().map(marker => timeline.createMarkerHTML(marker)).join('');
+        expect(markers).not.toContain('<img');
+        expect(markers).toContain('&lt;img');
+
+        output.clear();
+        expect(container.innerHTML).toContain('No nodes visited yet');
+    });
+});
@@ -0,0 +1,157 @@
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import { TreeNode, countNodes } from '../src/tree-model.js';
+import { StepType, StackAction } from '../src/execution-step.js';
+import {
+    getTraversalGenerator, ComposedOrderGenerator, TRAVERSAL_PARTS, getComposedLines, getOrderName
+} from '../src/traversal-generators.js';
+import { ExecutionEngine } from '../src/execution-engine.js';
+import {
+    CodeRenderer, getCodeTemplate, getComposedTemplate, moveStatement, COMPOSED_STATEMENT_LINES
+} from '../src/code-renderer.js';
+
+// ============================================================
+// Custom Generators
+// ============================================================
+
+const arbTreeNode = fc.letrec((tie) => ({
+    tree: fc.oneof(
+        { weight: 1, arbitrary: fc.constant(null) },
+        {
+            weight: 3,
+            arbitrary: fc.record({
+                value: fc.integer({ min: 1, max: 100 }),
+                left: tie('tree'),
+                right: tie('tree')
+            }).map(({ value, left, right }) => new TreeNode(value, left, right))
+        }
+    )
+})).tree.filter(tree => countNodes(tree) <= 15);
+
+const arbOrder = fc.shuffledSubarray(TRAVERSAL_PARTS, { minLength: 3, maxLength: 3 });
+
+/**
+ * The values in the order a traversal with these statements prints them
+ */
+function expectedOutput(node, order) {
+    if (node === null) return [];
+    return order.flatMap(part => {
+        if (part === 'visit') return [node.value];
+        return expectedOutput(part === 'left' ? node.left : node.right, order);
+    });
+}
+
+function shape(step) {
+    return [step.type, step.codeLine, step.nodeId, step.stackAction, step.nodeState, step.nodeValue];
+}
+
+// ============================================================
+// Property Tests
+// ============================================================
+
+describe('Traversal Order Composer', () => {
+    // **Feature: tree-traversal-visualizer, Property 36: Statement Order Defines the Output**
+    // *For any* tree and any order of the visit, left and right statements, the composed
+    // traversal SHALL print the values in the order those statements define, SHALL point
+    // each step at the line its statement was moved to, and SHALL equal the built-in
+    // generator for the inorder, preorder and postorder orders.
+
+    it('Property 36a: The statement order alone defines the output sequence', () => {
+        fc.assert(
+            fc.property(arbTreeNode, arbOrder, (tree, order) => {
+                const engine = new ExecutionEngine();
+                engine.setTree(tree);
+                engine.initialize('composed', { order });
+                while (engine.nextStep()) { /* advance */ }
+                expect(engine.getStateManager().getState().traversalOutput).toEqual(expectedOutput(tree, order));
+
+                let depth = 0;
+                for (const step of engine.getSteps()) {
+                    if (step.stackAction === StackAction.PUSH) depth++;
+                    if (step.stackAction === StackAction.POP) depth--;
+                }
+                expect(depth).toBe(0);
+
+                engine.initialize('composed', { order });
+                engine.nextStep();
+                expect(engine.getState().callStack[0].functionName).toBe('traverse');
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 36b: Steps point at the line their statement was moved to', () => {
+        fc.assert(
+            fc.property(arbTreeNode, arbOrder, (tree, order) => {
+                const renderer = new CodeRenderer();
+                renderer.setTraversalType('composed');
+                renderer.setComposedOrder(order);
+                const textOf = line => renderer.getLineText(line);
+                for (const step of new ComposedOrderGenerator(order).generateSteps(tree)) {
+                    if (step.type === StepType.RECURSE_LEFT) expect(textOf(step.codeLine)).toContain('node.left');
+                    if (step.type === StepType.RECURSE_RIGHT) expect(textOf(step.codeLine)).toContain('node.right');
+                    if (step.type === StepType.PROCESS_NODE) expect(textOf(step.codeLine)).toContain('print');
+                }
+                const lines = getComposedLines(order);
+                expect([lines.RECURSE_LEFT, lines.PROCESS, lines.RECURSE_RIGHT].sort()).toEqual(COMPOSED_STATEMENT_LINES);
+
+                // Other renderers and the shared template keep the default order
+                expect(renderer.getTemplate()).toEqual(getComposedTemplate(order));
+                expect(new CodeRenderer().composedTemplate).toEqual(getComposedTemplate(TRAVERSAL_PARTS));
+                expect(getCodeTemplate('composed')).toEqual(getComposedTemplate(TRAVERSAL_PARTS));
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 36c: Three of the orders are the built-in traversals', () => {
+        const named = [
+            ['inorder', ['left', 'visit', 'right']],
+            ['preorder', ['visit', 'left', 'right']],
+            ['postorder', ['left', 'right', 'visit']]
+        ];
+        fc.assert(
+            fc.property(arbTreeNode, fc.constantFrom(...named), (tree, [type, order]) => {
+                const composed = getTraversalGenerator('composed', { order }).generateSteps(tree);
+                const builtIn = getTraversalGenerator(type).generateSteps(tree);
+                expect(composed.map(shape)).toEqual(builtIn.map(shape));
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+        expect(getOrderName(['right', 'visit', 'left'])).toBe('Reverse inorder');
+        expect(getOrderName(['visit', 'left', 'right'])).toBe('Preorder');
+        expect(getTraversalGenerator('composed').order).toEqual(TRAVERSAL_PARTS);
+    });
+
+    it('Property 36d: Dragging a line moves its statement and keeps a valid order', () => {
+        fc.assert(
+            fc.property(arbOrder, fc.constantFrom(...COMPOSED_STATEMENT_LINES), fc.constantFrom(...COMPOSED_STATEMENT_LINES),
+                (order, from, to) => {
+                    const moved = moveStatement(order, from, to);
+                    expect([...moved].sort()).toEqual([...TRAVERSAL_PARTS].sort());
+                    expect(moved[to - 3]).toBe(order[from - 3]);
+                    // Dropping it back where it came from undoes the move
+                    expect(moveStatement(moved, to, from)).toEqual(order);
+                    return true;
+                }),
+            { numRuns: 100 }
+        );
+        expect(moveStatement(TRAVERSAL_PARTS, 1, 4)).toEqual(TRAVERSAL_PARTS);
+        expect(moveStatement(['left', 'visit', 'right'], 5, 3)).toEqual(['right', 'left', 'visit']);
+
+        const renderer = new CodeRenderer();
+        expect(renderer.isStatementLine(3)).toBe(false);
+        renderer.setTraversalType('composed');
+        expect(COMPOSED_STATEMENT_LINES.every(line => renderer.isStatementLine(line))).toBe(true);
+        expect(renderer.isStatementLine(2)).toBe(false);
+
+        for (const bad of [['left', 'left', 'right'], ['left', 'visit'], 'left,visit,right']) {
+            expect(() => new ComposedOrderGenerator(bad)).toThrow('Invalid traversal order');
+            expect(() => getComposedTemplate(bad)).toThrow('Invalid traversal order');
+            expect(() => renderer.setComposedOrder(bad)).toThrow('Invalid traversal order');
+        }
+    });
+});
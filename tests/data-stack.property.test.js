@@ -0,0 +1,204 @@
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import { TreeNode, countNodes, getAllNodes } from '../src/tree-model.js';
+import { StepType, DataStackAction } from '../src/execution-step.js';
+import { getTraversalGenerator } from '../src/traversal-generators.js';
+import { ExecutionEngine } from '../src/execution-engine.js';
+import { getLineCount } from '../src/code-renderer.js';
+import { DataStackRenderer } from '../src/data-stack-renderer.js';
+
+// ============================================================
+// Custom Generators
+// ============================================================
+
+const arbTreeNode = fc.letrec((tie) => ({
+    tree: fc.oneof(
+        { weight: 1, arbitrary: fc.constant(null) },
+        {
+            weight: 3,
+            arbitrary: fc.record({
+                value: fc.integer({ min: 1, max: 100 }),
+                left: tie('tree'),
+                right: tie('tree')
+            }).map(({ value, left, right }) => new TreeNode(value, left, right))
+        }
+    )
+})).tree.filter(tree => tree !== null && countNodes(tree) <= 15);
+
+const ITERATIVE_PAIRS = [
+    ['iterative-inorder', 'inorder'],
+    ['iterative-preorder', 'preorder'],
+    ['iterative-postorder', 'postorder']
+];
+
+const arbIterativeType = fc.constantFrom(...ITERATIVE_PAIRS.map(([type]) => type));
+
+/**
+ * Node ids in the order the recursive generator prints them
+ */
+function recursiveOrder(type, tree) {
+    return getTraversalGenerator(type).generateSteps(tree)
+        .filter(s => s.type === StepType.PROCESS_NODE)
+        .map(s => s.nodeId);
+}
+
+// ============================================================
+// Property Tests
+// ============================================================
+
+describe('Iterative Traversals', () => {
+    // **Feature: tree-traversal-visualizer, Property 20: Iterative Matches Recursive**
+    // *For any* tree, each iterative traversal SHALL visit nodes in the same order
+    // as its recursive counterpart, using a single call frame and a data stack
+    // that never underflows and is empty at the end.
+
+    it('Property 20a: VISIT order matches the recursive traversal', () => {
+        fc.assert(
+            fc.property(arbTreeNode, (tree) => {
+                for (const [iterative, recursive] of ITERATIVE_PAIRS) {
+                    const visited = getTraversalGenerator(iterative).generateSteps(tree)
+                        .filter(s => s.type === StepType.VISIT)
+                        .map(s => s.nodeId);
+                    expect(visited).toEqual(recursiveOrder(recursive, tree));
+                }
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 20b: Data stack never underflows, pops the top, and ends empty', () => {
+        fc.assert(
+            fc.property(arbTreeNode, arbIterativeType, (tree, type) => {
+                const steps = getTraversalGenerator(type).generateSteps(tree);
+                const stack = [];
+                for (const step of steps) {
+                    if (step.dataStackAction === DataStackAction.PUSH) {
+                        stack.push(step.nodeId);
+                    } else if (step.dataStackAction === DataStackAction.POP) {
+                        expect(stack.length).toBeGreaterThan(0);
+                        expect(stack.pop()).toBe(step.nodeId);
+                    } else if (step.type === StepType.STACK_PEEK) {
+                        expect(stack[stack.length - 1]).toBe(step.nodeId);
+                    }
+                }
+                expect(stack.length).toBe(0);
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 20c: Exactly one call frame is pushed and popped', () => {
+        fc.assert(
+            fc.property(arbTreeNode, arbIterativeType, (tree, type) => {
+                const steps = getTraversalGenerator(type).generateSteps(tree);
+                expect(steps[0].type).toBe(StepType.CALL);
+                expect(steps[steps.length - 1].type).toBe(StepType.RETURN);
+                expect(steps.filter(s => s.type === StepType.CALL).length).toBe(1);
+                expect(steps.filter(s => s.type === StepType.RETURN).length).toBe(1);
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 20d: Code lines are valid for the iterative templates', () => {
+        fc.assert(
+            fc.property(arbTreeNode, arbIterativeType, (tree, type) => {
+                const steps = getTraversalGenerator(type).generateSteps(tree);
+                const lineCount = getLineCount(type);
+                for (const step of steps) {
+                    expect(step.codeLine).toBeGreaterThanOrEqual(1);
+                    expect(step.codeLine).toBeLessThanOrEqual(lineCount);
+                }
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 20e: Engine data stack mirrors the generator stack', () => {
+        fc.assert(
+            fc.property(arbTreeNode, arbIterativeType, (tree, type) => {
+                const engine = new ExecutionEngine(tree);
+                engine.initialize(type);
+                const expected = [];
+
+                while (engine.nextStep()) {
+                    const step = engine.getCurrentStep();
+                    if (step.dataStackAction === DataStackAction.PUSH) expected.push(step.nodeId);
+                    if (step.dataStackAction === DataStackAction.POP) expected.pop();
+                    expect(engine.getState().dataStack.map(item => item.nodeId)).toEqual(expected);
+                }
+
+                const state = engine.getState();
+                const byId = new Map(getAllNodes(tree).map(n => [n.id, n.value]));
+                const recursive = ITERATIVE_PAIRS.find(([t]) => t === type)[1];
+                expect(state.traversalOutput).toEqual(recursiveOrder(recursive, tree).map(id => byId.get(id)));
+                expect(state.callStack.length).toBe(0);
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 20f: previousStep restores the data stack', () => {
+        fc.assert(
+            fc.property(arbTreeNode, arbIterativeType, fc.integer({ min: 1, max: 30 }), (tree, type, numSteps) => {
+                const engine = new ExecutionEngine(tree);
+                engine.initialize(type);
+                const snapshots = [engine.getState().dataStack];
+
+                for (let i = 0; i < numSteps && engine.nextStep(); i++) {
+                    snapshots.push(engine.getState().dataStack);
+                }
+                snapshots.pop();
+                while (engine.previousStep()) {
+                    expect(engine.getState().dataStack).toEqual(snapshots.pop());
+                }
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+});
+
+describe('Data Stack Visual Order is LIFO', () => {
+    // **Feature: tree-traversal-visualizer, Property 21: Data Stack Visual Order is LIFO**
+    // *For any* sequence of pushes, the data stack panel SHALL show the most
+    // recent push at the top and pop items in reverse insertion order.
+
+    const arbValues = fc.array(fc.integer({ min: 1, max: 100 }), { minLength: 1, maxLength: 15 });
+
+    it('Property 21a: Top is the most recently pushed item', () => {
+        fc.assert(
+            fc.property(arbValues, (values) => {
+                const renderer = new DataStackRenderer();
+                values.forEach((nodeValue, nodeId) => renderer.push({ nodeId, nodeValue }));
+
+                expect(renderer.getTop().nodeValue).toBe(values[values.length - 1]);
+                expect(renderer.isVisualOrderLIFO()).toBe(true);
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 21b: Pop returns items in reverse insertion order', () => {
+        fc.assert(
+            fc.property(arbValues, (values) => {
+                const renderer = new DataStackRenderer();
+                values.forEach((nodeValue, nodeId) => renderer.push({ nodeId, nodeValue }));
+
+                for (const value of [...values].reverse()) {
+                    expect(renderer.pop().nodeValue).toBe(value);
+                }
+                expect(renderer.isEmpty()).toBe(true);
+                expect(renderer.pop()).toBeNull();
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+});
@@ -244,7 +244,7 @@ describe('Execution Engine Step Navigation Properties', () => {
                     engine.reset();
 
                     const state = engine.getStateManager().getState();
-                    for (const [nodeValue, nodeState] of state.nodeStates) {
+                    for (const [nodeId, nodeState] of state.nodeStates) {
                         expect(nodeState).toBe(NodeState.UNVISITED);
                     }
 
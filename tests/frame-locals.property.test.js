@@ -0,0 +1,147 @@
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import { TreeNode, countNodes } from '../src/tree-model.js';
+import { ExecutionStep, StackFrame } from '../src/execution-step.js';
+import { ExecutionEngine } from '../src/execution-engine.js';
+import { StackRenderer } from '../src/stack-renderer.js';
+
+// ============================================================
+// Custom Generators
+// ============================================================
+
+const arbTreeNode = fc.letrec((tie) => ({
+    tree: fc.oneof(
+        { weight: 1, arbitrary: fc.constant(null) },
+        {
+            weight: 3,
+            arbitrary: fc.record({
+                value: fc.integer({ min: 1, max: 100 }),
+                left: tie('tree'),
+                right: tie('tree')
+            }).map(({ value, left, right }) => new TreeNode(value, left, right))
+        }
+    )
+})).tree.filter(tree => tree !== null && countNodes(tree) <= 15);
+
+/**
+ * Steps of a recursive count(node) that stores each child's result in a local
+ *   count(node): if null return 0; l = count(left); r = count(right); return 1 + l + r
+ */
+function countSteps(node, steps = []) {
+    steps.push(ExecutionStep.call(node, 1, true));
+    if (node === null) {
+        steps.push(ExecutionStep.return(null, 2, true, 0));
+        return 0;
+    }
+    const l = countSteps(node.left, steps);
+    steps.push(ExecutionStep.assign(node, 3, { l }));
+    const r = countSteps(node.right, steps);
+    steps.push(ExecutionStep.assign(node, 4, { r }, 1 + l + r));
+    steps.push(ExecutionStep.return(node, 5, false, 1 + l + r));
+    return 1 + l + r;
+}
+
+// ============================================================
+// Property Tests
+// ============================================================
+
+describe('Frame Locals and Return Values', () => {
+    // **Feature: tree-traversal-visualizer, Property 28: Frames Carry Locals and Return Values**
+    // *For any* tree, stepping through a value-returning recursion SHALL keep each
+    // frame's locals, hand every returned value to the caller for exactly one step,
+    // and restore all of it when stepping backward.
+
+    function loadEngine(tree) {
+        const engine = new ExecutionEngine(tree);
+        const steps = [];
+        countSteps(tree, steps);
+        engine.loadSteps(steps);
+        return engine;
+    }
+
+    it('Property 28a: Returned values flow into the caller for one step', () => {
+        fc.assert(
+            fc.property(arbTreeNode, (tree) => {
+                const engine = loadEngine(tree);
+                while (engine.nextStep()) {
+                    const step = engine.getCurrentStep();
+                    const stack = engine.getState().callStack;
+                    const top = stack[stack.length - 1];
+                    if (step.type === 'RETURN' && top) {
+                        expect(top.incoming.value).toBe(step.returnValue);
+                    } else if (top) {
+                        expect(top.incoming).toBeNull();
+                    }
+                }
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 28b: Locals hold the child results and the frame its return value', () => {
+        fc.assert(
+            fc.property(arbTreeNode, (tree) => {
+                const engine = loadEngine(tree);
+                while (engine.nextStep()) {
+                    const step = engine.getCurrentStep();
+                    if (step.type !== 'ASSIGN' || step.returnValue === undefined) continue;
+
+                    const top = engine.getState().callStack.at(-1);
+                    expect(top.nodeId).toBe(step.nodeId);
+                    expect(top.returnsValue).toBe(true);
+                    expect(1 + top.locals.l + top.locals.r).toBe(top.returnValue);
+                }
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 28c: previousStep restores locals and incoming values', () => {
+        fc.assert(
+            fc.property(arbTreeNode, fc.integer({ min: 1, max: 60 }), (tree, numSteps) => {
+                const engine = loadEngine(tree);
+                const snapshots = [engine.getState().callStack];
+                for (let i = 0; i < numSteps && engine.nextStep(); i++) {
+                    snapshots.push(engine.getState().callStack);
+                }
+                snapshots.pop();
+                while (engine.previousStep()) {
+                    expect(engine.getState().callStack).toEqual(snapshots.pop());
+                }
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 28d: createFrameHTML shows locals, pending and actual return values', () => {
+        fc.assert(
+            fc.property(
+                fc.dictionary(fc.constantFrom('l', 'r', 'sum', 'height'), fc.integer({ min: -50, max: 50 })),
+                fc.option(fc.integer({ min: 0, max: 100 }), { nil: undefined }),
+                (locals, returnValue) => {
+                    const renderer = new StackRenderer();
+                    const frame = new StackFrame({
+                        functionName: 'count', nodeValue: 4, returnAddress: 'caller',
+                        locals, returnsValue: true, returnValue
+                    });
+                    const html = renderer.createFrameHTML(frame, 0);
+                    for (const [name, value] of Object.entries(locals)) {
+                        expect(html).toContain(`${name} = ${value}`);
+                    }
+                    expect(html).toContain(returnValue === undefined ? 'return ?' : `return ${returnValue}`);
+                    return true;
+                }
+            ),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 28e: The caller frame shows an incoming value', () => {
+        const renderer = new StackRenderer();
+        renderer.setStack([{ functionName: 'count', nodeValue: 4, incoming: { value: 3, from: 'count(2)' } }]);
+        expect(renderer.createFrameHTML(renderer.getTopFrame(), 0)).toContain('← 3 from count(2)');
+    });
+});
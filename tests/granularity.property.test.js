@@ -0,0 +1,128 @@
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import { TreeNode, countNodes } from '../src/tree-model.js';
+import { StepType, StackAction } from '../src/execution-step.js';
+import { statesEqual } from '../src/state-manager.js';
+import { ExecutionEngine } from '../src/execution-engine.js';
+import { Granularity, getShownIndices, isNullCallStep } from '../src/step-granularity.js';
+
+// ============================================================
+// Custom Generators
+// ============================================================
+
+const arbTreeNode = fc.letrec((tie) => ({
+    tree: fc.oneof(
+        { weight: 1, arbitrary: fc.constant(null) },
+        {
+            weight: 3,
+            arbitrary: fc.record({
+                value: fc.integer({ min: 1, max: 100 }),
+                left: tie('tree'),
+                right: tie('tree')
+            }).map(({ value, left, right }) => new TreeNode(value, left, right))
+        }
+    )
+})).tree.filter(tree => countNodes(tree) <= 15);
+
+const arbTraversalType = fc.constantFrom('inorder', 'preorder', 'postorder', 'height', 'iterative-inorder', 'levelorder');
+
+const arbGranularity = fc.constantFrom(...Object.values(Granularity));
+
+function createEngine(tree, type, granularity = Granularity.FULL) {
+    const engine = new ExecutionEngine();
+    engine.setTree(tree);
+    engine.initialize(type);
+    engine.setGranularity(granularity);
+    return engine;
+}
+
+// ============================================================
+// Property Tests
+// ============================================================
+
+describe('Step Granularity', () => {
+    // **Feature: tree-traversal-visualizer, Property 42: Granularity Hides Steps, Not Their Effects**
+    // *For any* trace and granularity, stepping SHALL stop only on the steps the granularity
+    // shows and on the last step, the state at each stop SHALL be the state of the full trace
+    // at that step, and the step counter SHALL count the shown steps.
+
+    it('Property 42a: Stepping stops on shown steps with the state of the full trace', () => {
+        fc.assert(
+            fc.property(arbTreeNode, arbTraversalType, arbGranularity, (tree, type, granularity) => {
+                const engine = createEngine(tree, type, granularity);
+                const full = createEngine(tree, type);
+                const shown = getShownIndices(engine.getSteps(), granularity);
+                expect(engine.getShownStepCount()).toBe(shown.length);
+
+                const stops = [];
+                while (engine.nextStep()) {
+                    const index = engine.getCurrentStepIndex();
+                    stops.push(index);
+                    expect(engine.getShownStepPosition()).toBe(stops.length);
+                    full.seek(index);
+                    expect(statesEqual(engine.getState(), full.getState())).toBe(true);
+                }
+                expect(stops).toEqual(shown);
+                expect(engine.isAtEnd()).toBe(true);
+
+                // Stepping back retraces the same stops
+                const back = [];
+                while (engine.previousStep()) back.push(engine.getCurrentStepIndex());
+                expect(back).toEqual([...shown].reverse().slice(1).concat(shown.length > 0 ? [-1] : []));
+                expect(engine.getShownStepPosition()).toBe(0);
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 42b: Each granularity shows the steps it names', () => {
+        fc.assert(
+            fc.property(arbTreeNode, fc.constantFrom('inorder', 'preorder', 'postorder'), (tree, type) => {
+                const steps = createEngine(tree, type).getSteps();
+                const shownSteps = granularity => getShownIndices(steps, granularity).map(i => steps[i]);
+                const n = countNodes(tree);
+
+                // Each of the n + 1 calls on null is three steps
+                const skipped = shownSteps(Granularity.SKIP_NULL_CALLS);
+                expect(steps.filter(isNullCallStep)).toHaveLength(3 * (n + 1));
+                expect(skipped).toHaveLength(tree === null ? 1 : 6 * n);
+
+                // One stop per printed node, then the end
+                const visits = shownSteps(Granularity.VISITS_ONLY);
+                expect(visits.slice(0, n).every(step => step.type === StepType.PROCESS_NODE)).toBe(true);
+                expect(visits).toHaveLength(n + 1);
+
+                const calls = shownSteps(Granularity.CALLS_RETURNS_ONLY);
+                expect(calls.every(step => step.stackAction !== StackAction.NONE)).toBe(true);
+                expect(calls).toHaveLength(2 * (2 * n + 1));
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 42c: Changing the granularity keeps the view on a shown step', () => {
+        fc.assert(
+            fc.property(arbTreeNode, arbTraversalType, arbGranularity, fc.nat(), (tree, type, granularity, pick) => {
+                const engine = createEngine(tree, type);
+                const shown = getShownIndices(engine.getSteps(), granularity);
+                const target = pick % engine.getTotalSteps();
+                engine.seek(target);
+
+                engine.setGranularity(granularity);
+                const expected = [-1, ...shown].filter(index => index <= target).pop();
+                expect(engine.getCurrentStepIndex()).toBe(expected);
+                expect(engine.getGranularity()).toBe(granularity);
+
+                // The setting outlives a new trace
+                engine.initialize(type);
+                expect(engine.getGranularity()).toBe(granularity);
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+
+        expect(() => new ExecutionEngine().setGranularity('coarse')).toThrow(/Unknown granularity/);
+    });
+});
@@ -0,0 +1,223 @@
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+    TreeNode, getLevelOrderNodes, isCompleteTree, buildCompleteTree
+} from '../src/tree-model.js';
+import { StepType } from '../src/execution-step.js';
+import {
+    HeapInsertGenerator, HeapExtractMinGenerator, HeapifyGenerator, isMinHeap
+} from '../src/heap-generators.js';
+import { getTraversalGenerator } from '../src/traversal-generators.js';
+import { ExecutionEngine } from '../src/execution-engine.js';
+import { getLineCount } from '../src/code-renderer.js';
+import { getSwapLabelOffsets } from '../src/tree-renderer.js';
+import { HeapArrayRenderer, getCellSwapOffsets } from '../src/heap-array-renderer.js';
+import { MutationOp } from '../src/tree-mutations.js';
+
+// ============================================================
+// Custom Generators
+// ============================================================
+
+const arbValues = fc.array(fc.integer({ min: 1, max: 50 }), { minLength: 0, maxLength: 15 });
+
+function heapValues(root) {
+    return getLevelOrderNodes(root).map(node => node.value);
+}
+
+function sorted(values) {
+    return [...values].sort((a, b) => a - b);
+}
+
+function serialize(node) {
+    return node === null ? '-' : `(${serialize(node.left)} ${node.id}:${node.value} ${serialize(node.right)})`;
+}
+
+function runToEnd(engine) {
+    while (engine.nextStep()) { /* advance */ }
+}
+
+/**
+ * An engine holding the complete tree of the values (the constructor would use the default tree)
+ */
+function createHeapEngine(values) {
+    const engine = new ExecutionEngine();
+    engine.setTree(buildCompleteTree(values));
+    return engine;
+}
+
+/**
+ * Runs one heap operation to the end and keeps its result as the next starting tree
+ */
+function runOperation(engine, type, options = {}) {
+    engine.initialize(type, options);
+    const steps = engine.getSteps();
+    runToEnd(engine);
+    engine.setTree(engine.getTree());
+    return steps;
+}
+
+// ============================================================
+// Property Tests
+// ============================================================
+
+describe('Binary Heap Operations', () => {
+    // **Feature: tree-traversal-visualizer, Property 34: Heap Operations Keep the Heap Property**
+    // *For any* array of values, heapify SHALL produce a min-heap of the same values,
+    // insert and extract-min SHALL keep a min-heap by swapping values between nodes that
+    // stay in place, and the array view SHALL list the tree's nodes in breadth-first order.
+
+    it('Property 34a: Heapify, insert and extract-min leave a min-heap of the right values', () => {
+        fc.assert(
+            fc.property(arbValues, fc.array(fc.integer({ min: 1, max: 50 }), { maxLength: 5 }), (values, keys) => {
+                const engine = createHeapEngine(values);
+                runOperation(engine, 'heapify');
+                expect(isMinHeap(engine.getTree())).toBe(true);
+                expect(sorted(heapValues(engine.getTree()))).toEqual(sorted(values));
+
+                const expected = [...values];
+                for (const key of keys) {
+                    runOperation(engine, 'heap-insert', { key });
+                    expected.push(key);
+                    expect(isMinHeap(engine.getTree())).toBe(true);
+                    expect(new Set(getLevelOrderNodes(engine.getTree()).map(node => node.id)).size).toBe(expected.length);
+                    expect(sorted(heapValues(engine.getTree()))).toEqual(sorted(expected));
+                }
+
+                while (expected.length > 0) {
+                    const steps = runOperation(engine, 'heap-extract-min');
+                    const min = Math.min(...expected);
+                    expected.splice(expected.indexOf(min), 1);
+                    expect(steps[steps.length - 1].returnValue).toBe(min);
+                    expect(isMinHeap(engine.getTree())).toBe(true);
+                    expect(sorted(heapValues(engine.getTree()))).toEqual(sorted(expected));
+                }
+                expect(engine.getTree()).toBeNull();
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 34b: Swaps trade values between nodes that stay in place', () => {
+        fc.assert(
+            fc.property(arbValues, fc.integer({ min: 1, max: 50 }), (values, key) => {
+                for (const [type, options] of [['heapify', {}], ['heap-insert', { key }], ['heap-extract-min', {}]]) {
+                    const engine = createHeapEngine(values);
+                    engine.initialize(type, options);
+                    while (engine.nextStep()) {
+                        const step = engine.getCurrentStep();
+                        if (step.type !== StepType.SWAP) continue;
+                        expect(step.mutations.map(m => m.op)).toEqual([MutationOp.SET_VALUE, MutationOp.SET_VALUE]);
+                        expect(isCompleteTree(engine.getTree())).toBe(true);
+
+                        // The two indices are parent and child in the array
+                        const [, i, j] = step.description.match(/a\[(\d+)\] = \S+ and a\[(\d+)\]/).map(Number);
+                        expect(Math.min(i, j)).toBe((Math.max(i, j) - 1) >> 1);
+                        const ids = getLevelOrderNodes(engine.getTree()).map(node => node.id);
+                        expect([ids[i], ids[j]].sort()).toEqual(step.mutations.map(m => m.nodeId).sort());
+                    }
+                }
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 34c: Stepping backward restores values and shape exactly', () => {
+        fc.assert(
+            fc.property(arbValues, fc.integer({ min: 1, max: 50 }), (values, key) => {
+                for (const [type, options] of [['heapify', {}], ['heap-insert', { key }], ['heap-extract-min', {}]]) {
+                    const engine = createHeapEngine(values);
+                    engine.initialize(type, options);
+
+                    const shapes = [serialize(engine.getTree())];
+                    while (engine.nextStep()) shapes.push(serialize(engine.getTree()));
+                    for (let i = shapes.length - 2; i >= 0; i--) {
+                        engine.previousStep();
+                        expect(serialize(engine.getTree())).toBe(shapes[i]);
+                    }
+                }
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 34d: Sift-up and sift-down on small heaps', () => {
+        const inserted = createHeapEngine([2, 5, 3, 7]);
+        const insertSwaps = runOperation(inserted, 'heap-insert', { key: 1 })
+            .filter(s => s.type === StepType.SWAP).map(s => s.description);
+        expect(insertSwaps).toEqual(['Swap a[4] = 1 and a[1] = 5', 'Swap a[1] = 1 and a[0] = 2']);
+        expect(heapValues(inserted.getTree())).toEqual([1, 2, 3, 7, 5]);
+
+        const extracted = createHeapEngine([1, 2, 3, 7, 5]);
+        const steps = runOperation(extracted, 'heap-extract-min');
+        expect(steps.filter(s => s.type === StepType.SWAP).map(s => s.description))
+            .toEqual(['Swap a[0] = 5 and a[1] = 2']);
+        expect(heapValues(extracted.getTree())).toEqual([2, 5, 3, 7]);
+        // The recursive helper gets its own frames
+        expect(steps.filter(s => s.type === StepType.CALL).map(s => s.functionName))
+            .toEqual([null, 'siftDown', 'siftDown']);
+
+        const only = createHeapEngine([4]);
+        expect(runOperation(only, 'heap-extract-min').pop().returnValue).toBe(4);
+        expect(only.getTree()).toBeNull();
+        const empty = createHeapEngine([]);
+        expect(runOperation(empty, 'heap-extract-min').some(s => s.mutations.length > 0)).toBe(false);
+    });
+
+    it('Property 34e: Code lines are valid, trees must be complete and keys are required', () => {
+        fc.assert(
+            fc.property(arbValues, fc.integer({ min: 1, max: 50 }), (values, key) => {
+                const root = buildCompleteTree(values);
+                const before = serialize(root);
+                const cases = [
+                    ['heap-insert', new HeapInsertGenerator(key)],
+                    ['heap-extract-min', new HeapExtractMinGenerator()],
+                    ['heapify', new HeapifyGenerator()]
+                ];
+                for (const [type, generator] of cases) {
+                    for (const step of generator.generateSteps(root)) {
+                        expect(step.codeLine).toBeGreaterThanOrEqual(1);
+                        expect(step.codeLine).toBeLessThanOrEqual(getLineCount(type));
+                    }
+                }
+                expect(serialize(root)).toBe(before);
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+        expect(() => getTraversalGenerator('heap-insert')).toThrow('Invalid heap key');
+        const gap = new TreeNode(2, null, new TreeNode(3));
+        expect(isCompleteTree(gap)).toBe(false);
+        expect(() => new HeapifyGenerator().generateSteps(gap)).toThrow('Heap operations need a complete tree');
+    });
+
+    it('Property 34f: The array view follows the tree and swaps animate in both views', () => {
+        fc.assert(
+            fc.property(arbValues, fc.double({ min: 0, max: 1, noNaN: true }), (values, t) => {
+                const root = buildCompleteTree(values);
+                const renderer = new HeapArrayRenderer();
+                renderer.setTree(root, new Map(root ? [[root.id, 'current']] : []));
+                const cells = renderer.getCells();
+                expect(cells.map(c => c.value)).toEqual(values);
+                expect(cells.map(c => c.index)).toEqual(values.map((_, i) => i));
+                cells.forEach((cell, i) => {
+                    expect(renderer.indexOfNode(cell.nodeId)).toBe(i);
+                    expect(cell.state).toBe(i === 0 ? 'current' : null);
+                });
+
+                // Both views move each value by the same fraction of its distance
+                const offsets = getCellSwapOffsets(1, 3, t, 40);
+                const labels = getSwapLabelOffsets({ id: 1, x: 0, y: 0 }, { id: 3, x: 80, y: 60 }, t);
+                expect(offsets.get(1) / 80).toBeCloseTo(labels.get(1).dx / 80);
+                expect(offsets.get(1) + offsets.get(3)).toBeCloseTo(0);
+                expect(labels.get(1).dy + labels.get(3).dy).toBeCloseTo(0);
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+        expect(getCellSwapOffsets(0, 1, 1, 40).get(0)).toBeCloseTo(0);
+        expect(getSwapLabelOffsets({ id: 1, x: 0, y: 0 }, { id: 2, x: 50, y: 0 }, 0).get(1).dx).toBe(50);
+    });
+});
@@ -0,0 +1,158 @@
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import { TreeNode, countNodes, getAllNodes, getTreeDepth } from '../src/tree-model.js';
+import { StepType } from '../src/execution-step.js';
+import { HeightGenerator, getTraversalGenerator } from '../src/traversal-generators.js';
+import { ExecutionEngine } from '../src/execution-engine.js';
+import { getLineCount } from '../src/code-renderer.js';
+import { getBadgePosition } from '../src/tree-renderer.js';
+
+// ============================================================
+// Custom Generators
+// ============================================================
+
+const arbTreeNode = fc.letrec((tie) => ({
+    tree: fc.oneof(
+        { weight: 1, arbitrary: fc.constant(null) },
+        {
+            weight: 3,
+            arbitrary: fc.record({
+                value: fc.integer({ min: 1, max: 100 }),
+                left: tie('tree'),
+                right: tie('tree')
+            }).map(({ value, left, right }) => new TreeNode(value, left, right))
+        }
+    )
+})).tree.filter(tree => tree !== null && countNodes(tree) <= 15);
+
+/**
+ * Reference height (nodes on the longest root-to-leaf path)
+ */
+function height(node) {
+    return node === null ? 0 : 1 + Math.max(height(node.left), height(node.right));
+}
+
+// ============================================================
+// Property Tests
+// ============================================================
+
+describe('Tree Height Algorithm', () => {
+    // **Feature: tree-traversal-visualizer, Property 29: Height Combines Child Results**
+    // *For any* tree, the height generator SHALL return each subtree's height on
+    // its RETURN step, combine the two child results after both subtrees, and badge
+    // every node with its height exactly when its frame pops.
+
+    it('Property 29a: Every RETURN carries the height of its subtree', () => {
+        fc.assert(
+            fc.property(arbTreeNode, (tree) => {
+                const steps = new HeightGenerator().generateSteps(tree);
+                const byId = new Map(getAllNodes(tree).map(node => [node.id, node]));
+                const returns = steps.filter(s => s.type === StepType.RETURN);
+
+                for (const step of returns) {
+                    const node = step.nodeId === null ? null : byId.get(step.nodeId);
+                    expect(step.returnValue).toBe(height(node));
+                }
+                expect(returns[returns.length - 1].returnValue).toBe(getTreeDepth(tree));
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 29b: A node combines its children only after both have returned', () => {
+        fc.assert(
+            fc.property(arbTreeNode, (tree) => {
+                const steps = new HeightGenerator().generateSteps(tree);
+                const returned = new Set();
+                for (const step of steps) {
+                    if (step.type === StepType.RETURN && step.nodeId !== null) returned.add(step.nodeId);
+                    if (step.type === StepType.ASSIGN && step.returnValue !== undefined) {
+                        const node = getAllNodes(tree).find(n => n.id === step.nodeId);
+                        for (const child of [node.left, node.right]) {
+                            if (child) expect(returned.has(child.id)).toBe(true);
+                        }
+                    }
+                }
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 29c: Badges appear when frames pop and hold the node heights', () => {
+        fc.assert(
+            fc.property(arbTreeNode, (tree) => {
+                const engine = new ExecutionEngine(tree);
+                engine.initialize('height');
+                while (engine.nextStep()) {
+                    const step = engine.getCurrentStep();
+                    const badges = engine.getState().nodeBadges;
+                    if (step.nodeId !== null && step.type !== StepType.RETURN) {
+                        expect(badges.has(step.nodeId)).toBe(false);
+                    }
+                }
+
+                const badges = engine.getState().nodeBadges;
+                for (const node of getAllNodes(tree)) {
+                    expect(badges.get(node.id)).toBe(height(node));
+                }
+                expect(engine.getState().callStack.length).toBe(0);
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 29d: previousStep removes the badges it added', () => {
+        fc.assert(
+            fc.property(arbTreeNode, fc.integer({ min: 1, max: 80 }), (tree, numSteps) => {
+                const engine = new ExecutionEngine(tree);
+                engine.initialize('height');
+                const snapshots = [engine.getState().nodeBadges];
+                for (let i = 0; i < numSteps && engine.nextStep(); i++) {
+                    snapshots.push(engine.getState().nodeBadges);
+                }
+                snapshots.pop();
+                while (engine.previousStep()) {
+                    expect(engine.getState().nodeBadges).toEqual(snapshots.pop());
+                }
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 29e: Code lines are valid for the height template', () => {
+        fc.assert(
+            fc.property(arbTreeNode, (tree) => {
+                const steps = getTraversalGenerator('height').generateSteps(tree);
+                const lineCount = getLineCount('height');
+                for (const step of steps) {
+                    expect(step.codeLine).toBeGreaterThanOrEqual(1);
+                    expect(step.codeLine).toBeLessThanOrEqual(lineCount);
+                }
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 29f: Badges sit on the node circle', () => {
+        fc.assert(
+            fc.property(
+                fc.integer({ min: -500, max: 500 }),
+                fc.integer({ min: -500, max: 500 }),
+                fc.integer({ min: 5, max: 60 }),
+                (x, y, radius) => {
+                    const badge = getBadgePosition({ x, y }, radius);
+                    expect(Math.hypot(badge.x - x, badge.y - y)).toBeCloseTo(radius, 6);
+                    expect(badge.x).toBeGreaterThan(x);
+                    expect(badge.y).toBeLessThan(y);
+                    return true;
+                }
+            ),
+            { numRuns: 100 }
+        );
+    });
+});
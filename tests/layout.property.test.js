@@ -0,0 +1,166 @@
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+    TreeNode,
+    computeNodePositions,
+    countNodes,
+    getAllNodes,
+    getAllEdges,
+    getTreeDepth,
+    generateRandomTree,
+    TREE_SHAPES
+} from '../src/tree-model.js';
+import { getFitTransform } from '../src/tree-renderer.js';
+
+// ============================================================
+// Custom Generators
+// ============================================================
+
+const arbTreeNode = fc.letrec((tie) => ({
+    tree: fc.oneof(
+        { weight: 1, arbitrary: fc.constant(null) },
+        {
+            weight: 3,
+            arbitrary: fc.record({
+                value: fc.integer({ min: 1, max: 100 }),
+                left: tie('tree'),
+                right: tie('tree')
+            }).map(({ value, left, right }) => new TreeNode(value, left, right))
+        }
+    )
+})).tree.filter(tree => tree !== null && countNodes(tree) <= 31);
+
+/** Generated trees of every preset shape, including deep skewed ones */
+const arbShapedTree = fc.record({
+    seed: fc.integer({ min: 0, max: 10000 }),
+    count: fc.integer({ min: 1, max: 40 }),
+    shape: fc.constantFrom(...TREE_SHAPES)
+}).map(({ seed, count, shape }) => generateRandomTree(seed, count, shape));
+
+const arbTree = fc.oneof(arbTreeNode, arbShapedTree);
+
+const arbCanvasDimensions = fc.record({
+    width: fc.integer({ min: 200, max: 1000 }),
+    height: fc.integer({ min: 200, max: 800 })
+});
+
+const NODE_RADIUS = 25;
+const MIN_SPACING = NODE_RADIUS * 2 + 10;
+
+/**
+ * Nodes grouped by depth, left to right
+ */
+function levels(root) {
+    const result = [];
+    (function walk(node, depth) {
+        if (!node) return;
+        (result[depth] = result[depth] || []).push(node);
+        walk(node.left, depth + 1);
+        walk(node.right, depth + 1);
+    })(root, 0);
+    return result;
+}
+
+// ============================================================
+// Property Tests
+// ============================================================
+
+describe('Tidy Tree Layout', () => {
+    // **Feature: tree-traversal-visualizer, Property 26: Tidy Layout Never Overlaps**
+    // *For any* tree and canvas, the layout SHALL keep nodes on the same level at
+    // least one node spacing apart in inorder, keep levels evenly spaced by depth,
+    // and report a bounding box that contains every node.
+
+    it('Property 26a: Nodes on a level are in inorder and never overlap', () => {
+        fc.assert(
+            fc.property(arbTree, arbCanvasDimensions, (tree, { width, height }) => {
+                computeNodePositions(tree, width, height);
+                for (const level of levels(tree)) {
+                    for (let i = 1; i < level.length; i++) {
+                        expect(level[i].x - level[i - 1].x).toBeGreaterThanOrEqual(MIN_SPACING - 1e-9);
+                    }
+                }
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 26b: Levels are evenly spaced and at least one spacing apart', () => {
+        fc.assert(
+            fc.property(arbTree, arbCanvasDimensions, (tree, { width, height }) => {
+                computeNodePositions(tree, width, height);
+                const gaps = getAllEdges(tree).map(e => e.child.y - e.parent.y);
+                for (const gap of gaps) {
+                    expect(gap).toBeCloseTo(gaps[0], 9);
+                    expect(gap).toBeGreaterThanOrEqual(MIN_SPACING - 1e-9);
+                }
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 26c: A parent with two children is centered between them', () => {
+        fc.assert(
+            fc.property(arbTree, arbCanvasDimensions, (tree, { width, height }) => {
+                computeNodePositions(tree, width, height);
+                for (const node of getAllNodes(tree)) {
+                    if (node.left && node.right) {
+                        expect(node.x).toBeCloseTo((node.left.x + node.right.x) / 2, 9);
+                    }
+                }
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 26d: The bounding box contains every node circle', () => {
+        fc.assert(
+            fc.property(arbTree, arbCanvasDimensions, (tree, { width, height }) => {
+                const bounds = computeNodePositions(tree, width, height);
+                for (const node of getAllNodes(tree)) {
+                    expect(node.x - NODE_RADIUS).toBeGreaterThanOrEqual(bounds.minX - 1e-9);
+                    expect(node.x + NODE_RADIUS).toBeLessThanOrEqual(bounds.maxX + 1e-9);
+                    expect(node.y - NODE_RADIUS).toBeGreaterThanOrEqual(bounds.minY - 1e-9);
+                    expect(node.y + NODE_RADIUS).toBeLessThanOrEqual(bounds.maxY + 1e-9);
+                }
+                expect(bounds.width).toBeCloseTo(bounds.maxX - bounds.minX, 9);
+                expect(bounds.height).toBeCloseTo(bounds.maxY - bounds.minY, 9);
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 26e: The fit transform places the bounding box on the canvas', () => {
+        fc.assert(
+            fc.property(arbTree, arbCanvasDimensions, (tree, { width, height }) => {
+                const bounds = computeNodePositions(tree, width, height);
+                const { scale, offsetX, offsetY } = getFitTransform(bounds, width, height);
+                expect(scale).toBeGreaterThan(0);
+                expect(scale).toBeLessThanOrEqual(1);
+                expect(bounds.minX * scale + offsetX).toBeGreaterThanOrEqual(-1e-9);
+                expect(bounds.minY * scale + offsetY).toBeGreaterThanOrEqual(-1e-9);
+                expect(bounds.maxX * scale + offsetX).toBeLessThanOrEqual(width + 1e-9);
+                expect(bounds.maxY * scale + offsetY).toBeLessThanOrEqual(height + 1e-9);
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 26f: A 5-level tree fits the 480px canvas height without scaling', () => {
+        const tree = generateRandomTree(1, 5, 'left-skewed');
+        const bounds = computeNodePositions(tree, 650, 480);
+        expect(getTreeDepth(tree)).toBe(5);
+        expect(bounds.maxY).toBeLessThanOrEqual(480);
+        expect(getFitTransform(bounds, 650, 480).scale).toBe(1);
+    });
+
+    it('Property 26g: An empty tree has no bounding box', () => {
+        expect(computeNodePositions(null, 650, 480)).toBeNull();
+        expect(getFitTransform(null, 650, 480)).toEqual({ scale: 1, offsetX: 0, offsetY: 0 });
+    });
+});
@@ -0,0 +1,174 @@
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+    TreeNode, countNodes, getTreeDepth, computeNodePositions, getAllEdges, findNodeById
+} from '../src/tree-model.js';
+import { StepType, StackAction } from '../src/execution-step.js';
+import { getTraversalGenerator, iterateSteps } from '../src/traversal-generators.js';
+import { statesEqual } from '../src/state-manager.js';
+import { ExecutionEngine } from '../src/execution-engine.js';
+import { Granularity } from '../src/step-granularity.js';
+
+// ============================================================
+// Custom Generators
+// ============================================================
+
+const arbTreeNode = fc.letrec((tie) => ({
+    tree: fc.oneof(
+        { weight: 1, arbitrary: fc.constant(null) },
+        {
+            weight: 3,
+            arbitrary: fc.record({
+                value: fc.integer({ min: 1, max: 100 }),
+                left: tie('tree'),
+                right: tie('tree')
+            }).map(({ value, left, right }) => new TreeNode(value, left, right))
+        }
+    )
+})).tree.filter(tree => countNodes(tree) <= 15);
+
+const arbTraversalType = fc.constantFrom('inorder', 'preorder', 'postorder', 'composed', 'height', 'levelorder',
+    'iterative-inorder', 'iterative-preorder', 'iterative-postorder', 'morris-inorder');
+
+const arbOrder = fc.shuffledSubarray(['left', 'visit', 'right'], { minLength: 3, maxLength: 3 });
+
+/**
+ * Values in the order a recursive traversal prints them (the reference the steps are checked against)
+ */
+function printOrder(node, order, out = []) {
+    if (node === null) return out;
+    for (const part of order) {
+        if (part === 'visit') out.push(node.value);
+        else printOrder(part === 'left' ? node.left : node.right, order, out);
+    }
+    return out;
+}
+
+/**
+ * A chain of nodes, each the left child of the one before (deeper than the native stack allows)
+ */
+function createLeftChain(length) {
+    let root = null;
+    for (let value = length; value > 0; value--) {
+        root = new TreeNode(value, root, null);
+    }
+    return root;
+}
+
+const DEEP_TREE_SIZE = 20000;
+
+// ============================================================
+// Property Tests
+// ============================================================
+
+describe('Lazy Step Production', () => {
+    // **Feature: tree-traversal-visualizer, Property 41: Steps Are Produced On Demand**
+    // *For any* tree and traversal, iterateSteps SHALL yield exactly the steps of
+    // generateSteps, one at a time, without recursing on the native stack, and the engine
+    // SHALL only produce the steps it steps or seeks to.
+
+    it('Property 41a: Iterating gives the generated steps, and any prefix of them on its own', () => {
+        fc.assert(
+            fc.property(arbTreeNode, arbTraversalType, arbOrder, fc.nat(), (tree, type, order, pick) => {
+                const generator = getTraversalGenerator(type, { order });
+                const steps = generator.generateSteps(tree);
+                expect([...generator.iterateSteps(tree)]).toEqual(steps);
+
+                // Taking a few steps only produces those
+                const iterator = generator.iterateSteps(tree);
+                const count = pick % (steps.length + 1);
+                const prefix = [];
+                while (prefix.length < count) prefix.push(iterator.next().value);
+                expect(prefix).toEqual(steps.slice(0, count));
+
+                // Calls balance, and the recursive orders print what recursion would
+                const pushes = steps.filter(s => s.stackAction === StackAction.PUSH).length;
+                expect(steps.filter(s => s.stackAction === StackAction.POP)).toHaveLength(pushes);
+                const orders = { inorder: ['left', 'visit', 'right'], preorder: ['visit', 'left', 'right'],
+                    postorder: ['left', 'right', 'visit'], composed: order };
+                if (orders[type]) {
+                    expect(steps.filter(s => s.type === StepType.PROCESS_NODE).map(s => s.nodeValue))
+                        .toEqual(printOrder(tree, orders[type]));
+                }
+                return true;
+            }),
+            { numRuns: 200 }
+        );
+
+        // Generators without iterateSteps are read from their generated steps
+        const tree = new TreeNode(5, new TreeNode(3), new TreeNode(8));
+        const search = getTraversalGenerator('bst-search', { key: 8 });
+        expect(search.iterateSteps).toBeUndefined();
+        expect([...iterateSteps(search, tree)]).toEqual(search.generateSteps(tree));
+    });
+
+    it('Property 41b: A tree deeper than the native stack is traversed without overflowing it', () => {
+        const root = createLeftChain(DEEP_TREE_SIZE);
+        expect(countNodes(root)).toBe(DEEP_TREE_SIZE);
+        expect(getTreeDepth(root)).toBe(DEEP_TREE_SIZE);
+
+        // The tree can be laid out and searched as well
+        let deepest = root;
+        while (deepest.left) deepest = deepest.left;
+        const bounds = computeNodePositions(root, 800, 600);
+        expect(deepest.x).toBeLessThan(root.x);
+        expect(bounds.maxY).toBeGreaterThan(deepest.y);
+        expect(getAllEdges(root)).toHaveLength(DEEP_TREE_SIZE - 1);
+        expect(findNodeById(root, deepest.id)).toBe(deepest);
+
+        // Six steps per node and three per call on null, one null per node plus one
+        for (const type of ['inorder', 'postorder', 'composed']) {
+            const iterator = getTraversalGenerator(type).iterateSteps(root);
+            let count = 0;
+            while (!iterator.next().done) count++;
+            expect(count).toBe(6 * DEEP_TREE_SIZE + 3 * (DEEP_TREE_SIZE + 1));
+        }
+
+        let last = null;
+        for (const step of getTraversalGenerator('height').iterateSteps(root)) last = step;
+        expect(last.type).toBe(StepType.RETURN);
+        expect(last.returnValue).toBe(DEEP_TREE_SIZE);
+    });
+
+    it('Property 41c: The engine only produces the steps it reaches', () => {
+        const engine = new ExecutionEngine();
+        engine.setTree(createLeftChain(DEEP_TREE_SIZE));
+        engine.initialize('inorder');
+        expect(engine.getGeneratedStepCount()).toBe(0);
+
+        for (let i = 0; i < 30; i++) expect(engine.nextStep()).toBe(true);
+        expect(engine.getShownStepPosition()).toBe(30);
+        expect(engine.getShownStepCount()).toBe(30);
+        expect(engine.getGeneratedStepCount()).toBe(30);
+        expect(engine.isAtEnd()).toBe(false);
+        expect(engine.getGeneratedStepCount()).toBe(31);
+
+        // Going down the left spine, every third step calls one level deeper
+        expect(engine.getState().callStack.length).toBe(10);
+
+        // Seeking produces as far as the target and lands where stepping does
+        expect(engine.seek(90)).toBe(true);
+        expect(engine.getGeneratedStepCount()).toBe(91);
+
+        // Far down the spine, a step costs no more for the state being large
+        expect(engine.seek(15000)).toBe(true);
+        expect(engine.getState().callStack.length).toBe(5001);
+
+        // Shown steps are counted as they are produced, however the granularity changes
+        engine.setGranularity(Granularity.VISITS_ONLY);
+        expect(engine.getShownStepCount()).toBe(0);
+        expect(engine.getShownStepPosition()).toBe(0);
+        // (no call on null has been produced yet: the spine is still going down)
+        engine.setGranularity(Granularity.SKIP_NULL_CALLS);
+        expect(engine.getGeneratedStepCount()).toBeLessThan(15010);
+        expect(engine.getShownStepCount()).toBe(engine.getGeneratedStepCount());
+        engine.setGranularity(Granularity.FULL);
+        engine.seek(45);
+        const twin = new ExecutionEngine();
+        twin.setTree(engine.getTree());
+        twin.initialize('inorder');
+        while (twin.getCurrentStepIndex() < 45) twin.nextStep();
+        expect(statesEqual(engine.getState(), twin.getState())).toBe(true);
+        expect(twin.getGeneratedStepCount()).toBe(46);
+    });
+});
@@ -0,0 +1,109 @@
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+    TreeNode,
+    countNodes,
+    parseLevelOrder,
+    serializeLevelOrder
+} from '../src/tree-model.js';
+
+// ============================================================
+// Custom Generators
+// ============================================================
+
+const arbTreeNode = fc.letrec((tie) => ({
+    tree: fc.oneof(
+        { weight: 1, arbitrary: fc.constant(null) },
+        {
+            weight: 3,
+            arbitrary: fc.record({
+                value: fc.integer({ min: -100, max: 100 }),
+                left: tie('tree'),
+                right: tie('tree')
+            }).map(({ value, left, right }) => new TreeNode(value, left, right))
+        }
+    )
+})).tree.filter(tree => tree === null || countNodes(tree) <= 15);
+
+/**
+ * Checks that two trees have the same shape and values
+ */
+function sameTree(a, b) {
+    if (a === null || b === null) return a === b;
+    return a.value === b.value && sameTree(a.left, b.left) && sameTree(a.right, b.right);
+}
+
+// ============================================================
+// Property Tests
+// ============================================================
+
+describe('Level-Order Parsing and Serialization', () => {
+    // **Feature: tree-traversal-visualizer, Property 15: Level-Order Round-Trip**
+    // *For any* tree, parsing its level-order serialization SHALL rebuild a tree
+    // with the same shape and values.
+
+    it('Property 15a: parseLevelOrder(serializeLevelOrder(tree)) rebuilds the tree', () => {
+        fc.assert(
+            fc.property(arbTreeNode, (tree) => {
+                const rebuilt = parseLevelOrder(serializeLevelOrder(tree));
+                expect(sameTree(rebuilt, tree)).toBe(true);
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 15b: Serialization never ends with a null', () => {
+        fc.assert(
+            fc.property(arbTreeNode, (tree) => {
+                expect(serializeLevelOrder(tree).endsWith('null]')).toBe(false);
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 15c: Trailing nulls do not change the parsed tree', () => {
+        fc.assert(
+            fc.property(arbTreeNode, fc.integer({ min: 1, max: 5 }), (tree, extra) => {
+                const text = serializeLevelOrder(tree);
+                const padded = text.replace(/\]$/, (text === '[]' ? '' : ',') + Array(extra).fill('null').join(',') + ']');
+                expect(sameTree(parseLevelOrder(padded), tree)).toBe(true);
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 15d: Null gaps skip children the LeetCode way', () => {
+        const root = parseLevelOrder('[1,null,2,3]');
+        expect(root.value).toBe(1);
+        expect(root.left).toBeNull();
+        expect(root.right.value).toBe(2);
+        expect(root.right.left.value).toBe(3);
+        expect(root.right.right).toBeNull();
+
+        expect(serializeLevelOrder(root)).toBe('[1,null,2,3]');
+    });
+
+    it('Property 15e: Accepts arrays and whitespace', () => {
+        const fromArray = parseLevelOrder([4, 2, 6, 1, null, 5, 7]);
+        const fromText = parseLevelOrder(' [ 4, 2, 6, 1, null, 5, 7 ] ');
+        expect(sameTree(fromArray, fromText)).toBe(true);
+        expect(serializeLevelOrder(fromText)).toBe('[4,2,6,1,null,5,7]');
+    });
+
+    it('Property 15f: Empty input yields an empty tree', () => {
+        expect(parseLevelOrder('[]')).toBeNull();
+        expect(parseLevelOrder('[null]')).toBeNull();
+        expect(serializeLevelOrder(null)).toBe('[]');
+    });
+
+    it('Property 15g: Malformed input throws', () => {
+        expect(() => parseLevelOrder('[1,x,3]')).toThrow(/Invalid value/);
+        expect(() => parseLevelOrder('[1,,3]')).toThrow(/Invalid value/);
+        expect(() => parseLevelOrder('[null,1]')).toThrow(/Root cannot be null/);
+        expect(() => parseLevelOrder('[1,null,null,2]')).toThrow(/has no parent/);
+        expect(() => parseLevelOrder(42)).toThrow();
+    });
+});
@@ -0,0 +1,204 @@
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import { TreeNode, countNodes, getAllNodes, getAllEdges } from '../src/tree-model.js';
+import { StepType, ThreadAction } from '../src/execution-step.js';
+import { MorrisInorderGenerator, getTraversalGenerator } from '../src/traversal-generators.js';
+import { ExecutionEngine } from '../src/execution-engine.js';
+import { getLineCount } from '../src/code-renderer.js';
+import { TreeRenderer, getThreadEdges, getThreadCurve } from '../src/tree-renderer.js';
+
+// ============================================================
+// Custom Generators
+// ============================================================
+
+const arbTreeNode = fc.letrec((tie) => ({
+    tree: fc.oneof(
+        { weight: 1, arbitrary: fc.constant(null) },
+        {
+            weight: 3,
+            arbitrary: fc.record({
+                value: fc.integer({ min: 1, max: 100 }),
+                left: tie('tree'),
+                right: tie('tree')
+            }).map(({ value, left, right }) => new TreeNode(value, left, right))
+        }
+    )
+})).tree.filter(tree => tree !== null && countNodes(tree) <= 15);
+
+/**
+ * Node ids in inorder
+ */
+function inorderIds(node, ids = []) {
+    if (!node) return ids;
+    inorderIds(node.left, ids);
+    ids.push(node.id);
+    inorderIds(node.right, ids);
+    return ids;
+}
+
+// ============================================================
+// Property Tests
+// ============================================================
+
+describe('Morris Inorder Traversal', () => {
+    // **Feature: tree-traversal-visualizer, Property 22: Morris Threads Are Temporary**
+    // *For any* tree, the Morris generator SHALL visit nodes in inorder, thread each
+    // predecessor to its inorder successor, and remove every thread it creates.
+
+    it('Property 22a: VISIT order is inorder', () => {
+        fc.assert(
+            fc.property(arbTreeNode, (tree) => {
+                const visited = new MorrisInorderGenerator().generateSteps(tree)
+                    .filter(s => s.type === StepType.VISIT)
+                    .map(s => s.nodeId);
+                expect(visited).toEqual(inorderIds(tree));
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 22b: Each thread points to the inorder successor and is removed once', () => {
+        fc.assert(
+            fc.property(arbTreeNode, (tree) => {
+                const steps = new MorrisInorderGenerator().generateSteps(tree);
+                const order = inorderIds(tree);
+                const active = new Map();
+                let created = 0;
+
+                for (const step of steps) {
+                    if (step.threadAction === ThreadAction.CREATE) {
+                        expect(active.has(step.nodeId)).toBe(false);
+                        expect(order[order.indexOf(step.nodeId) + 1]).toBe(step.threadTargetId);
+                        active.set(step.nodeId, step.threadTargetId);
+                        created++;
+                    } else if (step.threadAction === ThreadAction.REMOVE) {
+                        expect(active.get(step.nodeId)).toBe(step.threadTargetId);
+                        active.delete(step.nodeId);
+                    }
+                }
+
+                expect(active.size).toBe(0);
+                // One thread per node that has a left child
+                expect(created).toBe(getAllNodes(tree).filter(n => n.left !== null).length);
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 22c: Generating steps leaves the tree untouched', () => {
+        fc.assert(
+            fc.property(arbTreeNode, (tree) => {
+                const before = getAllEdges(tree).map(e => [e.parent.id, e.child.id]);
+                new MorrisInorderGenerator().generateSteps(tree);
+                expect(getAllEdges(tree).map(e => [e.parent.id, e.child.id])).toEqual(before);
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 22d: Code lines are valid for the Morris template', () => {
+        fc.assert(
+            fc.property(arbTreeNode, (tree) => {
+                const steps = getTraversalGenerator('morris-inorder').generateSteps(tree);
+                const lineCount = getLineCount('morris-inorder');
+                for (const step of steps) {
+                    expect(step.codeLine).toBeGreaterThanOrEqual(1);
+                    expect(step.codeLine).toBeLessThanOrEqual(lineCount);
+                }
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 22e: Engine threads mirror the steps and previousStep restores them', () => {
+        fc.assert(
+            fc.property(arbTreeNode, (tree) => {
+                const engine = new ExecutionEngine(tree);
+                engine.initialize('morris-inorder');
+                const snapshots = [engine.getState().threads];
+                const expected = new Map();
+
+                while (engine.nextStep()) {
+                    const step = engine.getCurrentStep();
+                    if (step.threadAction === ThreadAction.CREATE) expected.set(step.nodeId, step.threadTargetId);
+                    if (step.threadAction === ThreadAction.REMOVE) expected.delete(step.nodeId);
+
+                    const threads = engine.getState().threads;
+                    expect(new Map(threads.map(t => [t.fromId, t.toId]))).toEqual(expected);
+                    snapshots.push(threads);
+                }
+                expect(engine.getState().threads).toEqual([]);
+                expect(engine.getState().callStack.length).toBe(0);
+
+                snapshots.pop();
+                while (engine.previousStep()) {
+                    expect(engine.getState().threads).toEqual(snapshots.pop());
+                }
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+});
+
+describe('Thread Edge Rendering', () => {
+    // **Feature: tree-traversal-visualizer, Property 23: Thread Edges Are Drawable**
+    // *For any* active thread, the renderer SHALL resolve it to a pair of nodes and a
+    // curve that starts and ends on the node circles, styled apart from tree edges.
+
+    const arbPoint = fc.record({
+        x: fc.integer({ min: 0, max: 800 }),
+        y: fc.integer({ min: 0, max: 600 })
+    });
+
+    it('Property 23a: Curve endpoints lie on the node circles', () => {
+        fc.assert(
+            fc.property(arbPoint, arbPoint, fc.integer({ min: 5, max: 50 }), (from, to, radius) => {
+                fc.pre(from.x !== to.x || from.y !== to.y);
+                const curve = getThreadCurve(from, to, radius);
+                expect(Math.hypot(curve.startX - from.x, curve.startY - from.y)).toBeCloseTo(radius, 6);
+                expect(Math.hypot(curve.endX - to.x, curve.endY - to.y)).toBeCloseTo(radius, 6);
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 23b: Curve bows away from the straight edge', () => {
+        fc.assert(
+            fc.property(arbPoint, arbPoint, (from, to) => {
+                fc.pre(from.x !== to.x || from.y !== to.y);
+                const curve = getThreadCurve(from, to, 25);
+                // Cross product of (to - from) and (control - from) is non-zero
+                const cross = (to.x - from.x) * (curve.controlY - from.y) - (to.y - from.y) * (curve.controlX - from.x);
+                expect(Math.abs(cross)).toBeGreaterThan(0);
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 23c: Thread edges resolve to tree nodes and skip stale ids', () => {
+        fc.assert(
+            fc.property(arbTreeNode, (tree) => {
+                const steps = new MorrisInorderGenerator().generateSteps(tree);
+                const threads = steps
+                    .filter(s => s.threadAction === ThreadAction.CREATE)
+                    .map(s => ({ fromId: s.nodeId, toId: s.threadTargetId }));
+
+                const edges = getThreadEdges(tree, [...threads, { fromId: -1, toId: tree.id }]);
+                expect(edges.map(e => [e.parent.id, e.child.id])).toEqual(threads.map(t => [t.fromId, t.toId]));
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 23d: Threads are styled apart from tree edges', () => {
+        expect(new TreeRenderer().threadsAreDistinct()).toBe(true);
+    });
+});
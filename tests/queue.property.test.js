@@ -0,0 +1,249 @@
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import { TreeNode, countNodes, getAllNodes } from '../src/tree-model.js';
+import { StepType, QueueAction } from '../src/execution-step.js';
+import { LevelOrderGenerator, getTraversalGenerator } from '../src/traversal-generators.js';
+import { ExecutionEngine } from '../src/execution-engine.js';
+import {
+    CODE_TEMPLATES,
+    getLineCount,
+    tokenizeCodeLine
+} from '../src/code-renderer.js';
+import { QueueRenderer } from '../src/queue-renderer.js';
+
+// ============================================================
+// Custom Generators
+// ============================================================
+
+const arbTreeNode = fc.letrec((tie) => ({
+    tree: fc.oneof(
+        { weight: 1, arbitrary: fc.constant(null) },
+        {
+            weight: 3,
+            arbitrary: fc.record({
+                value: fc.integer({ min: 1, max: 100 }),
+                left: tie('tree'),
+                right: tie('tree')
+            }).map(({ value, left, right }) => new TreeNode(value, left, right))
+        }
+    )
+})).tree.filter(tree => tree !== null && countNodes(tree) <= 15);
+
+/**
+ * Reference breadth-first order of node ids
+ */
+function bfsIds(root) {
+    const ids = [];
+    const queue = [root];
+    while (queue.length > 0) {
+        const node = queue.shift();
+        ids.push(node.id);
+        if (node.left) queue.push(node.left);
+        if (node.right) queue.push(node.right);
+    }
+    return ids;
+}
+
+// ============================================================
+// Property Tests
+// ============================================================
+
+describe('Level-Order Traversal', () => {
+    // **Feature: tree-traversal-visualizer, Property 17: Level-Order Visits Breadth-First**
+    // *For any* tree, the level-order generator SHALL visit nodes level by level,
+    // enqueue and dequeue every node exactly once, and leave the queue empty.
+
+    it('Property 17a: VISIT steps follow breadth-first order', () => {
+        fc.assert(
+            fc.property(arbTreeNode, (tree) => {
+                const steps = new LevelOrderGenerator().generateSteps(tree);
+                const visited = steps.filter(s => s.type === StepType.VISIT).map(s => s.nodeId);
+                expect(visited).toEqual(bfsIds(tree));
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 17b: Every node is enqueued and dequeued exactly once', () => {
+        fc.assert(
+            fc.property(arbTreeNode, (tree) => {
+                const steps = new LevelOrderGenerator().generateSteps(tree);
+                const enqueued = steps.filter(s => s.queueAction === QueueAction.ENQUEUE).map(s => s.nodeId);
+                const dequeued = steps.filter(s => s.queueAction === QueueAction.DEQUEUE).map(s => s.nodeId);
+                const ids = getAllNodes(tree).map(n => n.id).sort((a, b) => a - b);
+
+                expect([...enqueued].sort((a, b) => a - b)).toEqual(ids);
+                expect(dequeued).toEqual(enqueued);
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 17c: Queue is FIFO and empty at the end', () => {
+        fc.assert(
+            fc.property(arbTreeNode, (tree) => {
+                const steps = new LevelOrderGenerator().generateSteps(tree);
+                const queue = [];
+                for (const step of steps) {
+                    if (step.queueAction === QueueAction.ENQUEUE) {
+                        queue.push(step.nodeId);
+                    } else if (step.queueAction === QueueAction.DEQUEUE) {
+                        expect(queue.shift()).toBe(step.nodeId);
+                    }
+                }
+                expect(queue.length).toBe(0);
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 17d: Each VISIT is immediately preceded by its DEQUEUE', () => {
+        fc.assert(
+            fc.property(arbTreeNode, (tree) => {
+                const steps = new LevelOrderGenerator().generateSteps(tree);
+                steps.forEach((step, i) => {
+                    if (step.type === StepType.VISIT) {
+                        expect(steps[i - 1].type).toBe(StepType.DEQUEUE);
+                        expect(steps[i - 1].nodeId).toBe(step.nodeId);
+                    }
+                });
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 17e: Code lines are valid for the level-order template', () => {
+        fc.assert(
+            fc.property(arbTreeNode, (tree) => {
+                const steps = getTraversalGenerator('levelorder').generateSteps(tree);
+                const lineCount = getLineCount('levelorder');
+                for (const step of steps) {
+                    expect(step.codeLine).toBeGreaterThanOrEqual(1);
+                    expect(step.codeLine).toBeLessThanOrEqual(lineCount);
+                }
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 17f: Engine queue state mirrors the generator queue', () => {
+        fc.assert(
+            fc.property(arbTreeNode, (tree) => {
+                const engine = new ExecutionEngine(tree);
+                engine.initialize('levelorder');
+                const expected = [];
+
+                while (engine.nextStep()) {
+                    const step = engine.getCurrentStep();
+                    if (step.queueAction === QueueAction.ENQUEUE) expected.push(step.nodeId);
+                    if (step.queueAction === QueueAction.DEQUEUE) expected.shift();
+                    expect(engine.getState().queue.map(item => item.nodeId)).toEqual(expected);
+                }
+
+                const state = engine.getState();
+                expect(state.traversalOutput).toEqual(
+                    bfsIds(tree).map(id => getAllNodes(tree).find(n => n.id === id).value)
+                );
+                expect(state.callStack.length).toBe(0);
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 17g: previousStep restores the queue', () => {
+        fc.assert(
+            fc.property(arbTreeNode, fc.integer({ min: 1, max: 30 }), (tree, numSteps) => {
+                const engine = new ExecutionEngine(tree);
+                engine.initialize('levelorder');
+                const snapshots = [engine.getState().queue];
+
+                for (let i = 0; i < numSteps && engine.nextStep(); i++) {
+                    snapshots.push(engine.getState().queue);
+                }
+                snapshots.pop();
+                while (engine.previousStep()) {
+                    expect(engine.getState().queue).toEqual(snapshots.pop());
+                }
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+});
+
+describe('Queue Visual Order is FIFO', () => {
+    // **Feature: tree-traversal-visualizer, Property 18: Queue Visual Order is FIFO**
+    // *For any* sequence of enqueues, the queue panel SHALL show the oldest item
+    // at the front and dequeue items in insertion order.
+
+    const arbValues = fc.array(fc.integer({ min: 1, max: 100 }), { minLength: 1, maxLength: 15 });
+
+    it('Property 18a: Front is the first enqueued item', () => {
+        fc.assert(
+            fc.property(arbValues, (values) => {
+                const renderer = new QueueRenderer();
+                values.forEach((nodeValue, nodeId) => renderer.enqueue({ nodeId, nodeValue }));
+
+                expect(renderer.getFront().nodeValue).toBe(values[0]);
+                expect(renderer.getBack().nodeValue).toBe(values[values.length - 1]);
+                expect(renderer.isVisualOrderFIFO()).toBe(true);
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 18b: Dequeue returns items in insertion order', () => {
+        fc.assert(
+            fc.property(arbValues, (values) => {
+                const renderer = new QueueRenderer();
+                values.forEach((nodeValue, nodeId) => renderer.enqueue({ nodeId, nodeValue }));
+
+                for (const value of values) {
+                    expect(renderer.dequeue().nodeValue).toBe(value);
+                }
+                expect(renderer.isEmpty()).toBe(true);
+                expect(renderer.dequeue()).toBeNull();
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 18c: createItemHTML includes the node value and marks the front', () => {
+        const renderer = new QueueRenderer();
+        renderer.setQueue([{ nodeId: 1, nodeValue: 7 }, { nodeId: 2, nodeValue: 9 }]);
+        expect(renderer.createItemHTML(renderer.getFront(), 0)).toContain('front');
+        expect(renderer.createItemHTML(renderer.getBack(), 1)).toContain('9');
+    });
+});
+
+describe('Code Line Tokenizer', () => {
+    // **Feature: tree-traversal-visualizer, Property 19: Generated Tokens Match Templates**
+    // *For any* hand-written template line, tokenizing its text SHALL reproduce
+    // the same tokens, and the tokens of any line SHALL concatenate to its text.
+
+    it('Property 19a: Tokenizer reproduces the hand-written templates', () => {
+        for (const type of ['inorder', 'preorder', 'postorder']) {
+            for (const line of CODE_TEMPLATES[type]) {
+                expect(tokenizeCodeLine(line.text)).toEqual(line.tokens);
+            }
+        }
+    });
+
+    it('Property 19b: Tokens concatenate back to the line text', () => {
+        fc.assert(
+            fc.property(fc.string({ maxLength: 60 }), (text) => {
+                expect(tokenizeCodeLine(text).map(t => t.text).join('')).toBe(text);
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+});
@@ -0,0 +1,131 @@
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+    TREE_SHAPES,
+    createRandom,
+    generateRandomTree,
+    serializeLevelOrder,
+    getAllNodes,
+    countNodes,
+    getTreeDepth
+} from '../src/tree-model.js';
+
+// ============================================================
+// Custom Generators
+// ============================================================
+
+const arbSeed = fc.integer({ min: 0, max: 2 ** 31 - 1 });
+const arbCount = fc.integer({ min: 0, max: 40 });
+const arbShape = fc.constantFrom(...TREE_SHAPES);
+
+/**
+ * Expected node count after a shape rounds the requested count
+ */
+function expectedSize(shape, count) {
+    if (shape === 'full') return count % 2 === 0 ? Math.max(count - 1, 0) : count;
+    if (shape === 'perfect') return count === 0 ? 0 : 2 ** Math.floor(Math.log2(count + 1)) - 1;
+    return count;
+}
+
+function inorderValues(node, values = []) {
+    if (!node) return values;
+    inorderValues(node.left, values);
+    values.push(node.value);
+    inorderValues(node.right, values);
+    return values;
+}
+
+// ============================================================
+// Property Tests
+// ============================================================
+
+describe('Seeded Random Trees', () => {
+    // **Feature: tree-traversal-visualizer, Property 25: Random Trees Are Reproducible**
+    // *For any* seed, count and shape, the generator SHALL return the same tree every
+    // time, with distinct values and the structure the shape promises.
+
+    it('Property 25a: The same seed gives the same tree', () => {
+        fc.assert(
+            fc.property(arbSeed, arbCount, arbShape, (seed, count, shape) => {
+                const first = serializeLevelOrder(generateRandomTree(seed, count, shape));
+                const second = serializeLevelOrder(generateRandomTree(seed, count, shape));
+                expect(second).toBe(first);
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 25b: Node count matches the (rounded) request and values are distinct', () => {
+        fc.assert(
+            fc.property(arbSeed, arbCount, arbShape, (seed, count, shape) => {
+                const tree = generateRandomTree(seed, count, shape);
+                const values = getAllNodes(tree).map(n => n.value);
+                expect(countNodes(tree)).toBe(expectedSize(shape, count));
+                expect(new Set(values).size).toBe(values.length);
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 25c: Each shape has its defining structure', () => {
+        fc.assert(
+            fc.property(arbSeed, fc.integer({ min: 1, max: 40 }), (seed, count) => {
+                const nodes = (shape) => getAllNodes(generateRandomTree(seed, count, shape));
+                const tree = (shape) => generateRandomTree(seed, count, shape);
+
+                // Complete: level-order has no gaps
+                expect(serializeLevelOrder(tree('complete'))).not.toContain('null');
+                // Full: every node has zero or two children
+                expect(nodes('full').every(n => (n.left === null) === (n.right === null))).toBe(true);
+                // Perfect: full and 2^depth - 1 nodes
+                const perfect = tree('perfect');
+                expect(countNodes(perfect)).toBe(2 ** getTreeDepth(perfect) - 1);
+                // Skewed and zigzag: a single path
+                for (const shape of ['left-skewed', 'right-skewed', 'zigzag']) {
+                    expect(getTreeDepth(tree(shape))).toBe(count);
+                }
+                expect(nodes('left-skewed').every(n => n.right === null)).toBe(true);
+                expect(nodes('right-skewed').every(n => n.left === null)).toBe(true);
+                // Random BST: inorder is sorted
+                const sorted = inorderValues(tree('random-bst'));
+                expect(sorted).toEqual([...sorted].sort((a, b) => a - b));
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 25d: The PRNG is deterministic and stays in [0, 1)', () => {
+        fc.assert(
+            fc.property(arbSeed, (seed) => {
+                const a = createRandom(seed);
+                const b = createRandom(seed);
+                for (let i = 0; i < 20; i++) {
+                    const value = a();
+                    expect(value).toBe(b());
+                    expect(value).toBeGreaterThanOrEqual(0);
+                    expect(value).toBeLessThan(1);
+                }
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 25e: Different seeds usually give different trees', () => {
+        const trees = new Set();
+        for (let seed = 0; seed < 20; seed++) {
+            trees.add(serializeLevelOrder(generateRandomTree(seed, 7, 'random-bst')));
+        }
+        expect(trees.size).toBeGreaterThan(15);
+    });
+
+    it('Property 25f: Invalid arguments throw', () => {
+        expect(() => generateRandomTree(1.5, 7, 'complete')).toThrow(/Seed/);
+        expect(() => generateRandomTree(1, -1, 'complete')).toThrow(/Node count/);
+        expect(() => generateRandomTree(1, 7, 'triangle')).toThrow(/Unknown tree shape/);
+        expect(generateRandomTree(1, 0, 'zigzag')).toBeNull();
+    });
+});
@@ -0,0 +1,236 @@
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+    TreeNode, NodeColor, getAllNodes, createDefaultTree, checkRedBlackInvariants
+} from '../src/tree-model.js';
+import { StepType } from '../src/execution-step.js';
+import { RedBlackInsertGenerator } from '../src/red-black-generators.js';
+import { getTraversalGenerator } from '../src/traversal-generators.js';
+import { ExecutionEngine } from '../src/execution-engine.js';
+import { getLineCount } from '../src/code-renderer.js';
+import { TreeRenderer, getRingColor } from '../src/tree-renderer.js';
+import {
+    MutationOp, indexNodes, applyMutations,
+    copyWithIds, snapshotStructure, restoreStructure
+} from '../src/tree-mutations.js';
+
+// ============================================================
+// Custom Generators
+// ============================================================
+
+const arbKeys = fc.array(fc.integer({ min: 1, max: 50 }), { minLength: 1, maxLength: 15 });
+
+function inorderValues(node, out = []) {
+    if (node === null) return out;
+    inorderValues(node.left, out);
+    out.push(node.value);
+    inorderValues(node.right, out);
+    return out;
+}
+
+/**
+ * Shape, values, colours and node identity of a tree as a string
+ */
+function serialize(node) {
+    if (node === null) return '-';
+    return `(${serialize(node.left)} ${node.id}:${node.value}:${node.color} ${serialize(node.right)})`;
+}
+
+function countRedRed(root) {
+    return getAllNodes(root).filter(node => node.color === NodeColor.RED &&
+        [node.left, node.right].some(child => child && child.color === NodeColor.RED)).length;
+}
+
+function runToEnd(engine) {
+    while (engine.nextStep()) { /* advance */ }
+}
+
+/**
+ * An engine whose tree starts empty (the constructor would use the default tree)
+ */
+function createEmptyEngine() {
+    const engine = new ExecutionEngine();
+    engine.setTree(null);
+    return engine;
+}
+
+/**
+ * Inserts the keys one at a time; each insert starts from the previous result
+ * @returns {{engine: ExecutionEngine, traces: Array<Array>}} The engine and each insert's steps
+ */
+function insertAll(keys) {
+    const engine = createEmptyEngine();
+    const traces = [];
+    for (const key of keys) {
+        engine.initialize('rb-insert', { key });
+        traces.push(engine.getSteps());
+        runToEnd(engine);
+        engine.setTree(engine.getTree());
+    }
+    return { engine, traces };
+}
+
+// ============================================================
+// Property Tests
+// ============================================================
+
+describe('Red-Black Tree Insertion', () => {
+    // **Feature: tree-traversal-visualizer, Property 33: Red-Black Insert Restores the Invariants**
+    // *For any* sequence of keys, red-black insertion SHALL end every insert with a black
+    // root, no red node with a red child and one black height, SHALL break them only in
+    // the ways the fix-up loop repairs, and SHALL step backward to the exact earlier
+    // shape and colours.
+
+    it('Property 33a: Every insert ends with a sorted, valid red-black tree', () => {
+        fc.assert(
+            fc.property(arbKeys, (keys) => {
+                const engine = createEmptyEngine();
+                for (const key of keys) {
+                    engine.initialize('rb-insert', { key });
+                    while (engine.nextStep()) {
+                        const step = engine.getCurrentStep();
+                        const tree = engine.getTree();
+                        // Recolouring leaves equal black heights on every path and at most
+                        // one red-red edge, the one the loop works on next (a rotation may
+                        // briefly add a second one until its recolour)
+                        if (step.type === StepType.RECOLOR) {
+                            expect(checkRedBlackInvariants(tree).blackHeight).not.toBeNull();
+                            expect(countRedRed(tree)).toBeLessThanOrEqual(1);
+                        }
+                    }
+                    const result = checkRedBlackInvariants(engine.getTree());
+                    expect(result.valid).toBe(true);
+                    engine.setTree(engine.getTree());
+                }
+                expect(inorderValues(engine.getTree())).toEqual([...keys].sort((a, b) => a - b));
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 33b: The uncle-red and uncle-black cases', () => {
+        const outer = insertAll([1, 2, 3]);
+        const outerRotations = outer.traces[2].filter(s => s.type === StepType.ROTATE);
+        expect(outerRotations.map(s => s.description)).toEqual([
+            'Rotate left at 1 (uncle black, outer case): 2 moves up'
+        ]);
+        expect(outer.traces[2].some(s => s.description === 'Uncle is null (black): 2 → black, 1 → red')).toBe(true);
+
+        const inner = insertAll([3, 1, 2]);
+        const innerRotations = inner.traces[2].filter(s => s.type === StepType.ROTATE);
+        expect(innerRotations.map(s => s.description)).toEqual([
+            'Rotate left at 1 (uncle black, inner case): 2 moves up',
+            'Rotate right at 3 (uncle black, inner case): 2 moves up'
+        ]);
+
+        for (const { engine } of [outer, inner]) {
+            const root = engine.getTree();
+            expect([root.value, root.color]).toEqual([2, NodeColor.BLACK]);
+            expect([root.left.color, root.right.color]).toEqual([NodeColor.RED, NodeColor.RED]);
+        }
+
+        const red = insertAll([2, 1, 3, 4]);
+        const recolors = red.traces[3].filter(s => s.type === StepType.RECOLOR).map(s => s.description);
+        expect(recolors).toEqual([
+            'New nodes start red: 4 → red',
+            'Uncle 1 is red: 3 → black, 1 → black, 2 → red',
+            'The root is always black: 2 → black'
+        ]);
+        expect(red.traces[3].some(s => s.type === StepType.ROTATE)).toBe(false);
+    });
+
+    it('Property 33c: Stepping backward restores shape and colours exactly', () => {
+        fc.assert(
+            fc.property(arbKeys, fc.integer({ min: 1, max: 50 }), (keys, key) => {
+                const { engine } = insertAll(keys);
+                engine.initialize('rb-insert', { key });
+
+                const shapes = [serialize(engine.getTree())];
+                while (engine.nextStep()) shapes.push(serialize(engine.getTree()));
+                for (let i = shapes.length - 2; i >= 0; i--) {
+                    engine.previousStep();
+                    expect(serialize(engine.getTree())).toBe(shapes[i]);
+                }
+
+                runToEnd(engine);
+                engine.reset();
+                expect(serialize(engine.getTree())).toBe(shapes[0]);
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 33d: The invariant check finds each kind of violation', () => {
+        // Uncoloured nodes count as black, so the perfect default tree is valid
+        expect(checkRedBlackInvariants(createDefaultTree())).toMatchObject({ valid: true, blackHeight: 4 });
+        expect(checkRedBlackInvariants(null)).toMatchObject({ valid: true, blackHeight: 1 });
+
+        const redRoot = new TreeNode(2);
+        redRoot.color = NodeColor.RED;
+        expect(checkRedBlackInvariants(redRoot)).toMatchObject({ rootBlack: false, valid: false });
+
+        const child = new TreeNode(1);
+        child.color = NodeColor.RED;
+        const parent = new TreeNode(2, child, new TreeNode(3));
+        parent.color = NodeColor.RED;
+        const root = new TreeNode(4, parent, new TreeNode(5));
+        root.right.color = NodeColor.BLACK;
+        const redRed = checkRedBlackInvariants(root);
+        expect(redRed.redRed).toEqual({ parent, child });
+        expect(redRed.valid).toBe(false);
+
+        const uneven = new TreeNode(2, new TreeNode(1), null);
+        expect(checkRedBlackInvariants(uneven)).toMatchObject({ blackHeight: null, valid: false });
+    });
+
+    it('Property 33e: Colour mutations are applied, copied and restored', () => {
+        fc.assert(
+            fc.property(arbKeys, fc.array(fc.boolean(), { minLength: 15, maxLength: 15 }), (keys, reds) => {
+                const { engine } = insertAll(keys);
+                const tree = copyWithIds(engine.getTree());
+                const nodes = indexNodes(tree);
+                const before = serialize(tree);
+                const snapshot = snapshotStructure(tree);
+                expect(serialize(copyWithIds(tree))).toBe(before);
+
+                const mutations = getAllNodes(tree).map((node, i) => ({
+                    op: MutationOp.SET_COLOR,
+                    nodeId: node.id,
+                    color: reds[i] ? NodeColor.RED : NodeColor.BLACK
+                }));
+                const root = applyMutations(tree, mutations, nodes);
+                expect(getAllNodes(root).map(n => n.color === NodeColor.RED)).toEqual(reds.slice(0, keys.length));
+                expect(serialize(restoreStructure(snapshot, nodes))).toBe(before);
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 33f: Code lines are valid, keys are required and rings stand apart', () => {
+        fc.assert(
+            fc.property(arbKeys, (keys) => {
+                const { engine } = insertAll(keys.slice(1));
+                const before = serialize(engine.getTree());
+                const steps = new RedBlackInsertGenerator(keys[0]).generateSteps(engine.getTree());
+                for (const step of steps) {
+                    expect(step.codeLine).toBeGreaterThanOrEqual(1);
+                    expect(step.codeLine).toBeLessThanOrEqual(getLineCount('rb-insert'));
+                }
+                expect(serialize(engine.getTree())).toBe(before);
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+        expect(() => getTraversalGenerator('rb-insert')).toThrow('Invalid red-black key');
+
+        const renderer = new TreeRenderer();
+        expect(renderer.ringsAreDistinct()).toBe(true);
+        const node = new TreeNode(1);
+        expect(getRingColor(node)).toBeNull();
+        node.color = NodeColor.RED;
+        expect(getRingColor(node)).toBe(renderer.ringColors[NodeColor.RED]);
+    });
+});
@@ -14,6 +14,7 @@ import {
     hasColorMapping,
     getAllNodeStates,
     isValidHexColor,
+    getFitTransform,
     NODE_COLORS
 } from '../src/tree-renderer.js';
 
@@ -65,18 +66,21 @@ describe('Node Rendering Completeness', () => {
                 arbCanvasDimensions,
                 (tree, { width, height }) => {
                     // Compute positions
-                    computeNodePositions(tree, width, height);
+                    const bounds = computeNodePositions(tree, width, height);
+                    const { scale, offsetX, offsetY } = getFitTransform(bounds, width, height);
 
                     // Get all nodes
                     const nodes = getAllNodes(tree);
 
-                    // Every node should have valid x, y positions
+                    // Every node should have valid x, y positions that land
+                    // on the canvas once the layout is fitted to it
                     for (const node of nodes) {
                         expect(typeof node.x).toBe('number');
                         expect(typeof node.y).toBe('number');
-                        expect(node.x).toBeGreaterThanOrEqual(0);
-                        expect(node.x).toBeLessThanOrEqual(width);
-                        expect(node.y).toBeGreaterThan(0);
+                        expect(node.x * scale + offsetX).toBeGreaterThanOrEqual(0);
+                        expect(node.x * scale + offsetX).toBeLessThanOrEqual(width);
+                        expect(node.y * scale + offsetY).toBeGreaterThan(0);
+                        expect(node.y * scale + offsetY).toBeLessThanOrEqual(height);
                     }
 
                     return true;
@@ -439,8 +443,8 @@ describe('Code Line Highlighting Accuracy', () => {
         );
     });
 
-    it('Property 3f: All traversal types have exactly 6 lines', () => {
-        for (const type of TRAVERSAL_TYPES) {
+    it('Property 3f: All recursive traversal types have exactly 6 lines', () => {
+        for (const type of ['inorder', 'preorder', 'postorder']) {
             expect(getLineCount(type)).toBe(6);
         }
     });
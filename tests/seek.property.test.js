@@ -0,0 +1,179 @@
+import { describe, it, expect, vi } from 'vitest';
+import * as fc from 'fast-check';
+import { generateRandomTree, getAllNodes } from '../src/tree-model.js';
+import { statesEqual } from '../src/state-manager.js';
+import {
+    ExecutionEngine, CHECKPOINT_LIMIT, MIN_CHECKPOINT_INTERVAL
+} from '../src/execution-engine.js';
+
+// ============================================================
+// Custom Generators
+// ============================================================
+
+/**
+ * Traversals, including ones that restructure the tree (the key is drawn from the tree)
+ */
+const arbTrace = fc.record({
+    seed: fc.integer({ min: 0, max: 10000 }),
+    count: fc.integer({ min: 0, max: 20 }),
+    type: fc.constantFrom('inorder', 'levelorder', 'morris-inorder', 'iterative-postorder', 'height',
+        'invert', 'flatten', 'bst-delete', 'bst-insert'),
+    pick: fc.nat()
+}).map(({ seed, count, type, pick }) => {
+    const values = getAllNodes(generateRandomTree(seed, count, 'random-bst')).map(node => node.value);
+    const key = values.length > 0 ? values[pick % values.length] : pick % 50;
+    return { seed, count, type, options: type === 'bst-insert' ? { key: key + 1 } : { key } };
+});
+
+/**
+ * An engine on a fresh tree (restructuring traces change the nodes they are given)
+ */
+function createEngine({ seed, count, type, options }) {
+    const engine = new ExecutionEngine();
+    engine.setTree(generateRandomTree(seed, count, 'random-bst'));
+    engine.initialize(type, options);
+    return engine;
+}
+
+/**
+ * The tree's shape, values and colours as a string
+ */
+function serialize(node) {
+    return node === null ? '-' : `(${serialize(node.left)} ${node.id}:${node.value}:${node.color} ${serialize(node.right)})`;
+}
+
+/**
+ * The state and tree after every step, stepping forward one at a time
+ * The engine is left at the end. Nodes a trace creates get new ids each time steps
+ * are generated, so seeking is compared on this same engine.
+ */
+function recordForward(engine) {
+    const record = [{ state: engine.getState(), tree: serialize(engine.getTree()) }];
+    while (engine.nextStep()) record.push({ state: engine.getState(), tree: serialize(engine.getTree()) });
+    return record;
+}
+
+function expectAt(engine, expected) {
+    expect(statesEqual(engine.getState(), expected.state)).toBe(true);
+    expect(serialize(engine.getTree())).toBe(expected.tree);
+}
+
+// ============================================================
+// Property Tests
+// ============================================================
+
+describe('Seeking', () => {
+    // **Feature: tree-traversal-visualizer, Property 39: Seeking Matches Stepping**
+    // *For any* trace and pair of positions, seek SHALL leave the state and the tree exactly
+    // as stepping there one step at a time does, in either direction, and SHALL do it from a
+    // checkpoint every so many steps instead of one saved state per step, never replaying
+    // more than MAX_CHECKPOINT_INTERVAL steps to step back.
+
+    it('Property 39a: Seeking anywhere gives the state of stepping there', () => {
+        fc.assert(
+            fc.property(arbTrace, fc.array(fc.nat(), { minLength: 1, maxLength: 6 }),
+                (trace, picks) => {
+                    const engine = createEngine(trace);
+                    const record = recordForward(engine);
+                    const last = engine.getTotalSteps() - 1;
+                    for (const pick of picks) {
+                        // Out of range targets (one either side) are clamped
+                        const target = pick % (last + 4) - 2;
+                        const clamped = Math.max(-1, Math.min(target, last));
+                        const before = engine.getCurrentStepIndex();
+                        expect(engine.seek(target)).toBe(clamped !== before);
+                        expect(engine.getCurrentStepIndex()).toBe(clamped);
+                        expectAt(engine, record[clamped + 1]);
+                    }
+                    return true;
+                }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 39b: Stepping back retraces the forward states', () => {
+        fc.assert(
+            fc.property(arbTrace, (trace) => {
+                const engine = createEngine(trace);
+                const record = recordForward(engine);
+                engine.seek(-1);
+                expectAt(engine, record[0]);
+                engine.seek(Infinity);
+                expect(engine.isAtEnd()).toBe(true);
+                for (let i = record.length - 1; i > 0; i--) {
+                    expectAt(engine, record[i]);
+                    expect(engine.previousStep()).toBe(true);
+                }
+                expectAt(engine, record[0]);
+                expect(engine.previousStep()).toBe(false);
+
+                // Forward again, after going back, lands on the same states
+                engine.nextStep();
+                expectAt(engine, record[1 % record.length]);
+                return true;
+            }),
+            { numRuns: 50 }
+        );
+    });
+
+    it('Property 39c: Checkpoints stay bounded and nothing is saved per step', () => {
+        const engine = new ExecutionEngine();
+        engine.setTree(generateRandomTree(7, 700, 'random-bst'));
+        engine.initialize('inorder');
+        const total = engine.getTotalSteps();
+        expect(total).toBeGreaterThan(CHECKPOINT_LIMIT * MIN_CHECKPOINT_INTERVAL);
+
+        while (engine.nextStep()) { /* advance */ }
+        const manager = engine.getStateManager();
+        expect(manager.getCheckpointCount()).toBeLessThanOrEqual(CHECKPOINT_LIMIT + 1);
+
+        // Jumps back and forth land where stepping would, keeping at most as many
+        // checkpoints again in the stretch last stepped back into
+        const middle = Math.floor(total / 2);
+        engine.seek(middle);
+        const outputLength = engine.getState().traversalOutput.length;
+        for (const index of [0, total - 1, middle, middle - 1]) {
+            engine.seek(index);
+            expect(manager.getCheckpointCount()).toBeLessThanOrEqual(2 * CHECKPOINT_LIMIT + 1);
+        }
+        engine.seek(middle);
+        expect(engine.getState().traversalOutput).toHaveLength(outputLength);
+
+        engine.reset();
+        expect(manager.getCheckpointCount()).toBe(1);
+    });
+
+    it('Property 39d: Stepping back replays a few steps each, once per stretch between checkpoints', () => {
+        const tree = generateRandomTree(11, 600, 'random-bst');
+        const engine = new ExecutionEngine();
+        engine.setTree(tree);
+        engine.initialize('inorder');
+        engine.seek(Infinity);
+        const total = engine.getTotalSteps();
+        expect(total).toBeGreaterThan(4 * CHECKPOINT_LIMIT * MIN_CHECKPOINT_INTERVAL);
+
+        // Back from the end and from part way in, only the first step back into each
+        // stretch replays all of it; the others start from a checkpoint close by
+        const replayed = vi.spyOn(engine, '_applyStep');
+        const manager = engine.getStateManager();
+        for (const start of [total - 1, Math.floor(total / 2)]) {
+            engine.seek(start);
+            let longReplays = 0;
+            for (let i = 0; i < start / 4; i++) {
+                replayed.mockClear();
+                expect(engine.previousStep()).toBe(true);
+                expect(engine.getCurrentStepIndex()).toBe(start - i - 1);
+                if (replayed.mock.calls.length >= MIN_CHECKPOINT_INTERVAL) longReplays++;
+                expect(manager.getCheckpointCount()).toBeLessThanOrEqual(2 * CHECKPOINT_LIMIT + 1);
+            }
+            expect(longReplays).toBeLessThanOrEqual(CHECKPOINT_LIMIT / 4 + 2);
+
+            // The finer checkpoints give the same state as stepping forward to it
+            const forward = new ExecutionEngine();
+            forward.setTree(tree);
+            forward.initialize('inorder');
+            forward.seek(engine.getCurrentStepIndex());
+            expect(statesEqual(engine.getState(), forward.getState())).toBe(true);
+        }
+    });
+});
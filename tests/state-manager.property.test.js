@@ -24,17 +24,36 @@ const arbStackFrame = fc.record({
 
 const arbCallStack = fc.array(arbStackFrame, { minLength: 0, maxLength: 10 });
 
+const arbQueue = fc.array(
+    fc.record({ nodeId: fc.integer({ min: 1, max: 100 }), nodeValue: fc.integer({ min: 1, max: 100 }) }),
+    { minLength: 0, maxLength: 10 }
+);
+
+const arbThreads = fc.array(
+    fc.record({ fromId: fc.integer({ min: 1, max: 100 }), toId: fc.integer({ min: 1, max: 100 }) }),
+    { minLength: 0, maxLength: 5 }
+);
+
 const arbNodeStates = fc.array(
     fc.tuple(fc.integer({ min: 1, max: 100 }), arbNodeState),
     { minLength: 0, maxLength: 15 }
 ).map(pairs => new Map(pairs));
 
+const arbNodeBadges = fc.array(
+    fc.tuple(fc.integer({ min: 1, max: 100 }), fc.integer({ min: -5, max: 20 })),
+    { minLength: 0, maxLength: 15 }
+).map(pairs => new Map(pairs));
+
 const arbTraversalOutput = fc.array(fc.integer({ min: 1, max: 100 }), { minLength: 0, maxLength: 15 });
 
 const arbAppState = fc.record({
     currentStepIndex: fc.integer({ min: -1, max: 100 }),
     callStack: arbCallStack,
+    queue: arbQueue,
+    dataStack: arbQueue,
+    threads: arbThreads,
     nodeStates: arbNodeStates,
+    nodeBadges: arbNodeBadges,
     highlightedLine: fc.integer({ min: 0, max: 6 }),
     traversalType: arbTraversalType,
     isPlaying: fc.boolean(),
@@ -52,73 +71,44 @@ describe('State Manager Properties', () => {
     // the final state SHALL be identical to the initial state.
     // **Validates: Requirements 8.1, 8.2**
 
-    it('Property 13: pushHistory then popHistory returns equivalent state', () => {
+    it('Property 13: saveCheckpoint then restoreCheckpoint returns equivalent state', () => {
         fc.assert(
             fc.property(arbAppState, (state) => {
                 const manager = new StateManager();
                 manager.setState(state);
                 
                 const stateBefore = manager.getState();
-                manager.pushHistory();
-                const stateAfter = manager.popHistory();
+                manager.saveCheckpoint();
+                manager.setState(createInitialState());
+                manager.restoreCheckpoint(manager.getCheckpointBefore(state.currentStepIndex));
 
-                expect(statesEqual(stateBefore, stateAfter)).toBe(true);
+                expect(statesEqual(stateBefore, manager.getState())).toBe(true);
                 return true;
             }),
             { numRuns: 100 }
         );
     });
 
-    it('Property 13b: Multiple push/pop operations preserve state order', () => {
+    it('Property 13b: Checkpoints restore the state saved at each step, in any order', () => {
         fc.assert(
             fc.property(
                 fc.array(arbAppState, { minLength: 1, maxLength: 10 }),
-                (states) => {
+                (stateSequence) => {
                     const manager = new StateManager();
+                    const states = stateSequence.map((state, i) => ({ ...state, currentStepIndex: i }));
                     
-                    // Push all states
+                    // Simulate N forward steps, checkpointing each
                     for (const state of states) {
                         manager.setState(state);
-                        manager.pushHistory();
-                    }
-
-                    // Pop all states in reverse order
-                    for (let i = states.length - 1; i >= 0; i--) {
-                        const popped = manager.popHistory();
-                        expect(statesEqual(popped, states[i])).toBe(true);
-                    }
-
-                    return true;
-                }
-            ),
-            { numRuns: 100 }
-        );
-    });
-
-    it('Property 13c: N forward steps then N backward steps returns to initial state', () => {
-        fc.assert(
-            fc.property(
-                fc.array(arbAppState, { minLength: 1, maxLength: 10 }),
-                (stateSequence) => {
-                    const manager = new StateManager();
-                    const initialState = manager.getState();
-
-                    // Simulate N forward steps
-                    for (const state of stateSequence) {
-                        manager.pushHistory();
-                        manager.setState(state);
+                        manager.saveCheckpoint();
                     }
 
                     // Simulate N backward steps
-                    for (let i = 0; i < stateSequence.length; i++) {
-                        const previousState = manager.popHistory();
-                        if (previousState) {
-                            manager.setState(previousState);
-                        }
+                    for (let i = states.length - 1; i >= 0; i--) {
+                        manager.restoreCheckpoint(manager.getCheckpointBefore(i));
+                        expect(statesEqual(manager.getState(), states[i])).toBe(true);
                     }
 
-                    const finalState = manager.getState();
-                    expect(statesEqual(initialState, finalState)).toBe(true);
                     return true;
                 }
             ),
@@ -126,45 +116,53 @@ describe('State Manager Properties', () => {
         );
     });
 
-    it('Property 13d: History length increases by 1 on each push', () => {
+    it('Property 13c: Changes after a restore leave the checkpoint as it was', () => {
         fc.assert(
-            fc.property(
-                fc.integer({ min: 1, max: 20 }),
-                (numPushes) => {
-                    const manager = new StateManager();
-                    
-                    for (let i = 0; i < numPushes; i++) {
-                        const lengthBefore = manager.getHistoryLength();
-                        manager.pushHistory();
-                        expect(manager.getHistoryLength()).toBe(lengthBefore + 1);
-                    }
-
-                    return true;
-                }
-            ),
+            fc.property(arbAppState, fc.boolean(), (state, inBatch) => {
+                const manager = new StateManager();
+                manager.setState(state);
+                manager.saveCheckpoint();
+                const saved = manager.getState();
+
+                const change = () => {
+                    manager.restoreCheckpoint(manager.getCheckpointBefore(state.currentStepIndex));
+                    manager.pushCallStack({ functionName: 'inOrder', nodeId: 1, nodeValue: 1 });
+                    manager.updateTopFrame({ locals: { x: 1 } });
+                    manager.enqueue({ nodeId: 1, nodeValue: 1 });
+                    manager.setNodeState(1, NodeState.FINISHED);
+                    manager.addToOutput(1);
+                };
+                if (inBatch) manager.batch(change);
+                else change();
+
+                manager.restoreCheckpoint(manager.getCheckpointBefore(state.currentStepIndex));
+                expect(statesEqual(manager.getState(), saved)).toBe(true);
+                return true;
+            }),
             { numRuns: 100 }
         );
     });
 
-    it('Property 13e: History length decreases by 1 on each pop', () => {
+    it('Property 13d: getCheckpointBefore finds the latest checkpoint at or before a step', () => {
         fc.assert(
             fc.property(
-                fc.integer({ min: 1, max: 20 }),
-                (numPushes) => {
+                fc.uniqueArray(fc.integer({ min: -1, max: 50 }), { minLength: 1, maxLength: 10 }),
+                fc.integer({ min: -1, max: 60 }),
+                (indices, query) => {
                     const manager = new StateManager();
-                    
-                    // Push some states
-                    for (let i = 0; i < numPushes; i++) {
-                        manager.pushHistory();
+                    for (const index of indices) {
+                        manager.setState({ currentStepIndex: index });
+                        manager.saveCheckpoint();
                     }
-
-                    // Pop and verify length decreases
-                    for (let i = numPushes; i > 0; i--) {
-                        expect(manager.getHistoryLength()).toBe(i);
-                        manager.popHistory();
-                        expect(manager.getHistoryLength()).toBe(i - 1);
+                    expect(manager.getCheckpointCount()).toBe(indices.length);
+
+                    const earlier = indices.filter(index => index <= query);
+                    const checkpoint = manager.getCheckpointBefore(query);
+                    if (earlier.length === 0) {
+                        expect(checkpoint).toBeNull();
+                    } else {
+                        expect(checkpoint.state.currentStepIndex).toBe(Math.max(...earlier));
                     }
-
                     return true;
                 }
             ),
@@ -172,16 +170,6 @@ describe('State Manager Properties', () => {
         );
     });
 
-    it('Property 13f: popHistory returns null when history is empty', () => {
-        const manager = new StateManager();
-        expect(manager.popHistory()).toBeNull();
-        
-        // Push and pop, then try again
-        manager.pushHistory();
-        manager.popHistory();
-        expect(manager.popHistory()).toBeNull();
-    });
-
     it('Property 13g: Cloned state is independent of original', () => {
         fc.assert(
             fc.property(arbAppState, (state) => {
@@ -207,30 +195,31 @@ describe('State Manager Properties', () => {
         );
     });
 
-    // **Feature: tree-traversal-visualizer, Property 14: Reset Clears History**
-    // *For any* application state with stored history snapshots, 
-    // invoking reset() SHALL clear all stored snapshots.
+    // **Feature: tree-traversal-visualizer, Property 14: Reset Clears Checkpoints**
+    // *For any* application state with saved checkpoints, 
+    // invoking reset() SHALL clear all of them.
     // **Validates: Requirements 8.3**
 
-    it('Property 14: reset() clears all history snapshots', () => {
+    it('Property 14: reset() clears all checkpoints', () => {
         fc.assert(
             fc.property(
                 fc.integer({ min: 1, max: 20 }),
-                (numPushes) => {
+                (numSaves) => {
                     const manager = new StateManager();
                     
-                    // Push some history
-                    for (let i = 0; i < numPushes; i++) {
-                        manager.pushHistory();
+                    // Save some checkpoints
+                    for (let i = 0; i < numSaves; i++) {
+                        manager.setState({ currentStepIndex: i });
+                        manager.saveCheckpoint();
                     }
                     
-                    expect(manager.getHistoryLength()).toBe(numPushes);
+                    expect(manager.getCheckpointCount()).toBe(numSaves);
                     
-                    // Reset should clear history
+                    // Reset should clear them
                     manager.reset();
                     
-                    expect(manager.getHistoryLength()).toBe(0);
-                    expect(manager.popHistory()).toBeNull();
+                    expect(manager.getCheckpointCount()).toBe(0);
+                    expect(manager.getCheckpointBefore(numSaves)).toBeNull();
 
                     return true;
                 }
@@ -247,7 +236,7 @@ describe('State Manager Properties', () => {
                 
                 // Set some non-initial state
                 manager.setState(state);
-                manager.pushHistory();
+                manager.saveCheckpoint();
                 
                 // Reset
                 manager.reset();
@@ -268,55 +257,20 @@ describe('State Manager Properties', () => {
         );
     });
 
-    it('Property 14c: reset() followed by operations works correctly', () => {
-        fc.assert(
-            fc.property(
-                fc.array(arbAppState, { minLength: 1, maxLength: 5 }),
-                (states) => {
-                    const manager = new StateManager();
-                    
-                    // Do some operations
-                    for (const state of states) {
-                        manager.setState(state);
-                        manager.pushHistory();
-                    }
-                    
-                    // Reset
-                    manager.reset();
-                    
-                    // Should be able to use normally after reset
-                    manager.pushHistory();
-                    expect(manager.getHistoryLength()).toBe(1);
-                    
-                    manager.setState(states[0]);
-                    manager.pushHistory();
-                    expect(manager.getHistoryLength()).toBe(2);
-                    
-                    const popped = manager.popHistory();
-                    expect(statesEqual(popped, states[0])).toBe(true);
-
-                    return true;
-                }
-            ),
-            { numRuns: 100 }
-        );
-    });
-
-    it('Property 14d: clearHistory() only clears history, not current state', () => {
+    it('Property 14c: clearCheckpoints() only clears checkpoints, not current state', () => {
         fc.assert(
             fc.property(arbAppState, (state) => {
                 const manager = new StateManager();
                 
                 manager.setState(state);
-                manager.pushHistory();
-                manager.pushHistory();
+                manager.saveCheckpoint();
                 
                 const stateBefore = manager.getState();
-                manager.clearHistory();
+                manager.clearCheckpoints();
                 const stateAfter = manager.getState();
                 
-                // History should be cleared
-                expect(manager.getHistoryLength()).toBe(0);
+                // Checkpoints should be cleared
+                expect(manager.getCheckpointCount()).toBe(0);
                 
                 // But current state should be unchanged
                 expect(statesEqual(stateBefore, stateAfter)).toBe(true);
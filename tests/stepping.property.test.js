@@ -0,0 +1,168 @@
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import { TreeNode, countNodes } from '../src/tree-model.js';
+import { StepType, StackAction } from '../src/execution-step.js';
+import { ExecutionEngine } from '../src/execution-engine.js';
+
+// ============================================================
+// Custom Generators
+// ============================================================
+
+const arbTreeNode = fc.letrec((tie) => ({
+    tree: fc.oneof(
+        { weight: 1, arbitrary: fc.constant(null) },
+        {
+            weight: 3,
+            arbitrary: fc.record({
+                value: fc.integer({ min: 1, max: 100 }),
+                left: tie('tree'),
+                right: tie('tree')
+            }).map(({ value, left, right }) => new TreeNode(value, left, right))
+        }
+    )
+})).tree.filter(tree => countNodes(tree) <= 15);
+
+const arbTraversalType = fc.constantFrom('inorder', 'preorder', 'postorder', 'height', 'iterative-inorder', 'levelorder');
+
+/**
+ * An engine advanced to a position in the trace (a fraction of the way through)
+ */
+function engineAt(tree, type, fraction) {
+    const engine = new ExecutionEngine();
+    engine.setTree(tree);
+    engine.initialize(type);
+    const target = Math.floor(fraction * engine.getTotalSteps()) - 1;
+    while (engine.getCurrentStepIndex() < target) engine.nextStep();
+    return engine;
+}
+
+/**
+ * Call stack depth after each step (index -1 is the start)
+ */
+function depthAfter(steps) {
+    const depths = new Map([[-1, 0]]);
+    let depth = 0;
+    steps.forEach((step, i) => {
+        if (step.stackAction === StackAction.PUSH) depth++;
+        if (step.stackAction === StackAction.POP) depth--;
+        depths.set(i, depth);
+    });
+    return depths;
+}
+
+const arbFraction = fc.double({ min: 0, max: 1, noNaN: true });
+
+// ============================================================
+// Property Tests
+// ============================================================
+
+describe('Debugger Stepping', () => {
+    // **Feature: tree-traversal-visualizer, Property 38: Stepping Follows the Call Stack**
+    // *For any* trace and position, step into SHALL advance one step, step over SHALL run
+    // a whole call and stop back in the current frame, step out SHALL stop on the return
+    // of the current frame, run to cursor SHALL stop on the next step of the line, and all
+    // of them SHALL stop early at a breakpoint.
+
+    it('Property 38a: Step over runs whole calls and never ends deeper than it started', () => {
+        fc.assert(
+            fc.property(arbTreeNode, arbTraversalType, arbFraction, (tree, type, fraction) => {
+                const engine = engineAt(tree, type, fraction);
+                const steps = engine.getSteps();
+                const depths = depthAfter(steps);
+                const start = engine.getCurrentStepIndex();
+                const depth = depths.get(start);
+
+                const advanced = engine.stepOver();
+                const end = engine.getCurrentStepIndex();
+                expect(advanced).toBe(start < steps.length - 1);
+                if (!advanced) return true;
+
+                // Every step in between ran inside a callee
+                for (let i = start + 1; i < end; i++) expect(depths.get(i) >= depth).toBe(true);
+                expect(depths.get(end)).toBeLessThanOrEqual(depth);
+                if (end > start + 1) {
+                    // Back in the current frame, not on the callee's return (unless the trace ended)
+                    expect(steps[end].stackAction !== StackAction.POP || depths.get(end) < depth || end === steps.length - 1).toBe(true);
+                }
+                return true;
+            }),
+            { numRuns: 200 }
+        );
+    });
+
+    it('Property 38b: Step out stops on the return of the current frame', () => {
+        fc.assert(
+            fc.property(arbTreeNode, arbTraversalType, arbFraction, (tree, type, fraction) => {
+                const engine = engineAt(tree, type, fraction);
+                const steps = engine.getSteps();
+                const depths = depthAfter(steps);
+                const start = engine.getCurrentStepIndex();
+                const depth = depths.get(start);
+                const frame = engine.getState().callStack[depth - 1];
+
+                engine.stepOut();
+                const end = engine.getCurrentStepIndex();
+                if (depth === 0) {
+                    expect(engine.isAtEnd()).toBe(true);
+                    return true;
+                }
+                for (let i = start + 1; i < end; i++) expect(depths.get(i)).toBeGreaterThanOrEqual(depth);
+                expect(depths.get(end)).toBe(depth - 1);
+                expect(steps[end].type).toBe(StepType.RETURN);
+                expect(steps[end].nodeId).toBe(frame.nodeId);
+                return true;
+            }),
+            { numRuns: 200 }
+        );
+    });
+
+    it('Property 38c: Step into is one step and run to cursor stops on the next step of the line', () => {
+        fc.assert(
+            fc.property(arbTreeNode, arbTraversalType, arbFraction, fc.integer({ min: 1, max: 8 }), (tree, type, fraction, line) => {
+                const engine = engineAt(tree, type, fraction);
+                const steps = engine.getSteps();
+                const start = engine.getCurrentStepIndex();
+                const twin = engineAt(tree, type, fraction);
+                expect(engine.stepInto()).toBe(twin.nextStep());
+                expect(engine.getCurrentStepIndex()).toBe(twin.getCurrentStepIndex());
+
+                const from = engine.getCurrentStepIndex();
+                const next = steps.findIndex((step, i) => i > from && step.codeLine === line);
+                expect(engine.runToLine(line)).toBe(next !== -1);
+                expect(engine.getCurrentStepIndex()).toBe(next !== -1 ? next : Math.max(from, steps.length - 1));
+                expect(start).toBeLessThanOrEqual(from);
+                return true;
+            }),
+            { numRuns: 200 }
+        );
+    });
+
+    it('Property 38d: Breakpoints stop stepping early', () => {
+        fc.assert(
+            fc.property(arbTreeNode.filter(tree => tree !== null), fc.constantFrom('inorder', 'preorder', 'postorder'), (tree, type) => {
+                const engine = engineAt(tree, type, 0);
+                engine.nextStep();
+                engine.getBreakpoints().addCondition('stack depth > 1');
+                const steps = engine.getSteps();
+                const firstDeeper = steps.findIndex(step => step.stackAction === StackAction.PUSH && step !== steps[0]);
+
+                engine.stepOut();
+                expect(engine.getCurrentStepIndex()).toBe(firstDeeper);
+                expect(engine.getBreakpointHit()).not.toBeNull();
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+
+        // Stepping over from the root's frame only ever stops in that frame on the default tree
+        const engine = new ExecutionEngine();
+        engine.initialize('inorder');
+        engine.nextStep();
+        const stops = [];
+        while (engine.stepOver()) stops.push(engine.getCurrentStep());
+        expect(stops.map(s => s.type)).toEqual([
+            StepType.CHECK_NULL, StepType.RECURSE_LEFT, StepType.PROCESS_NODE, StepType.RECURSE_RIGHT, StepType.RETURN
+        ]);
+        expect(stops.every(s => s.nodeValue === 4)).toBe(true);
+    });
+});
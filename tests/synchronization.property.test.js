@@ -124,9 +124,9 @@ describe('Synchronized Component State', () => {
                     const step = engine.getCurrentStep();
                     const state = engine.getState();
                     
-                    // If step has a nodeValue, verify its state matches
-                    if (step.nodeValue !== null) {
-                        const nodeState = state.nodeStates.get(step.nodeValue);
+                    // If step refers to a node, verify its state matches
+                    if (step.nodeId !== null) {
+                        const nodeState = state.nodeStates.get(step.nodeId);
                         expect(nodeState).toBe(step.nodeState);
                     }
                 }
@@ -166,7 +166,7 @@ describe('Synchronized Component State', () => {
                     // All nodes should be UNVISITED
                     const allNodes = getAllNodes(tree);
                     for (const node of allNodes) {
-                        expect(state.nodeStates.get(node.value)).toBe(NodeState.UNVISITED);
+                        expect(state.nodeStates.get(node.id)).toBe(NodeState.UNVISITED);
                     }
                     
                     return true;
@@ -278,7 +278,7 @@ describe('Traversal Type Switch Resets State', () => {
                     const state = engine.getState();
                     const allNodes = getAllNodes(tree);
                     for (const node of allNodes) {
-                        expect(state.nodeStates.get(node.value)).toBe(NodeState.UNVISITED);
+                        expect(state.nodeStates.get(node.id)).toBe(NodeState.UNVISITED);
                     }
                     
                     return true;
@@ -354,3 +354,90 @@ describe('Traversal Type Switch Resets State', () => {
         );
     });
 });
+
+// ============================================================
+// Property 16: Node Identity Independent of Value
+// ============================================================
+
+describe('Node Identity Independent of Value', () => {
+    // **Feature: tree-traversal-visualizer, Property 16: Node Identity Independent of Value**
+    // *For any* tree, including trees whose nodes share values, node states and
+    // stack frames SHALL be keyed by node id so no two nodes share a state.
+
+    const arbTraversalType = fc.constantFrom('inorder', 'preorder', 'postorder');
+
+    // Trees whose values come from a tiny range, so duplicates are the norm
+    const arbDuplicateTree = fc.letrec((tie) => ({
+        tree: fc.oneof(
+            { weight: 1, arbitrary: fc.constant(null) },
+            {
+                weight: 3,
+                arbitrary: fc.record({
+                    value: fc.integer({ min: 1, max: 2 }),
+                    left: tie('tree'),
+                    right: tie('tree')
+                }).map(({ value, left, right }) => new TreeNode(value, left, right))
+            }
+        )
+    })).tree.filter(tree => tree !== null && getAllNodes(tree).length <= 15);
+
+    it('Property 16a: Every node has a unique id', () => {
+        fc.assert(
+            fc.property(arbDuplicateTree, (tree) => {
+                const ids = getAllNodes(tree).map(n => n.id);
+                expect(new Set(ids).size).toBe(ids.length);
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 16b: Node states track every node separately', () => {
+        fc.assert(
+            fc.property(arbDuplicateTree, arbTraversalType, (tree, type) => {
+                const engine = new ExecutionEngine(tree);
+                engine.initialize(type);
+
+                const nodes = getAllNodes(tree);
+                expect(engine.getState().nodeStates.size).toBe(nodes.length);
+
+                while (engine.nextStep()) {}
+
+                const state = engine.getState();
+                expect(state.nodeStates.size).toBe(nodes.length);
+                for (const node of nodes) {
+                    expect(state.nodeStates.get(node.id)).toBe(NodeState.FINISHED);
+                }
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 16c: Stack frames carry the id of the node they were called with', () => {
+        fc.assert(
+            fc.property(arbDuplicateTree, arbTraversalType, (tree, type) => {
+                const engine = new ExecutionEngine(tree);
+                engine.initialize(type);
+
+                while (engine.nextStep()) {
+                    const step = engine.getCurrentStep();
+                    if (step.type === StepType.CALL) {
+                        const stack = engine.getState().callStack;
+                        expect(stack[stack.length - 1].nodeId).toBe(step.nodeId);
+                    }
+                }
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 16d: Output still lists node values', () => {
+        const tree = new TreeNode(1, new TreeNode(1), new TreeNode(1));
+        const engine = new ExecutionEngine(tree);
+        engine.initialize('inorder');
+        while (engine.nextStep()) {}
+        expect(engine.getState().traversalOutput).toEqual([1, 1, 1]);
+    });
+});
@@ -0,0 +1,195 @@
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import { TreeNode, countNodes, getTreeDepth } from '../src/tree-model.js';
+import { StepType } from '../src/execution-step.js';
+import { getTraversalGenerator } from '../src/traversal-generators.js';
+import { ExecutionEngine } from '../src/execution-engine.js';
+import {
+    TimelineRenderer, TimelineMarker, TIMELINE_BUCKETS, getStackDepths, getTimelineMarkers, getTickPosition, getStepAtPosition,
+    groupTimeline
+} from '../src/timeline-renderer.js';
+
+// ============================================================
+// Custom Generators
+// ============================================================
+
+const arbTreeNode = fc.letrec((tie) => ({
+    tree: fc.oneof(
+        { weight: 1, arbitrary: fc.constant(null) },
+        {
+            weight: 3,
+            arbitrary: fc.record({
+                value: fc.integer({ min: 1, max: 100 }),
+                left: tie('tree'),
+                right: tie('tree')
+            }).map(({ value, left, right }) => new TreeNode(value, left, right))
+        }
+    )
+})).tree.filter(tree => countNodes(tree) <= 15);
+
+const arbTraversalType = fc.constantFrom('inorder', 'preorder', 'postorder', 'height', 'iterative-inorder', 'levelorder');
+
+const LONG_CHAIN_SIZE = 40000;
+
+const of = (markers, kind) => markers.filter(marker => marker.kind === kind);
+
+// ============================================================
+// Property Tests
+// ============================================================
+
+describe('Timeline', () => {
+    // **Feature: tree-traversal-visualizer, Property 40: The Timeline Maps Steps and Events**
+    // *For any* trace, the timeline SHALL have one tick per step, its sparkline SHALL follow
+    // the call stack depth, its markers SHALL sit on the steps that print a value, reach the
+    // deepest call or return from a real node, and a point on it SHALL seek to the step
+    // whose tick is there.
+
+    it('Property 40a: The depth sparkline follows the call stack', () => {
+        fc.assert(
+            fc.property(arbTreeNode, arbTraversalType, (tree, type) => {
+                const engine = new ExecutionEngine();
+                engine.setTree(tree);
+                engine.initialize(type);
+                const depths = getStackDepths(engine.getSteps());
+                expect(depths).toHaveLength(engine.getTotalSteps());
+                while (engine.nextStep()) {
+                    expect(depths[engine.getCurrentStepIndex()]).toBe(engine.getState().callStack.length);
+                }
+
+                const renderer = new TimelineRenderer();
+                renderer.setSteps(engine.getSteps());
+                const points = renderer.getSparklinePoints().split(' ').filter(Boolean);
+                expect(points).toHaveLength(2 * depths.length);
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+
+        // A trace too long to spread into Math.max still finds its deepest call
+        let chain = null;
+        for (let value = LONG_CHAIN_SIZE; value > 0; value--) chain = new TreeNode(value, chain, null);
+        const steps = getTraversalGenerator('inorder').generateSteps(chain);
+        expect(steps.length).toBeGreaterThan(300000);
+        const renderer = new TimelineRenderer();
+        renderer.setSteps(steps);
+        expect(renderer.maxDepth).toBe(LONG_CHAIN_SIZE + 1);
+        // (the leaf's calls on its two null children)
+        expect(of(renderer.getMarkers(), TimelineMarker.MAX_DEPTH)).toHaveLength(2);
+        // It is drawn in groups, the deepest of which reaches the top
+        const longPoints = renderer.getSparklinePoints().split(' ');
+        expect(longPoints.length).toBeLessThanOrEqual(2 * TIMELINE_BUCKETS);
+        expect(longPoints.at(-1).startsWith(`${steps.length},`)).toBe(true);
+        expect(longPoints.some(point => point.endsWith(',1'))).toBe(true);
+    });
+
+    it('Property 40b: Markers sit on printed values, the deepest calls and real returns', () => {
+        fc.assert(
+            fc.property(arbTreeNode, fc.constantFrom('inorder', 'preorder', 'postorder'), (tree, type) => {
+                const steps = getTraversalGenerator(type).generateSteps(tree);
+                const markers = getTimelineMarkers(steps);
+                const depths = getStackDepths(steps);
+                const maxDepth = Math.max(0, ...depths);
+
+                // Markers come in step order and point at steps of their kind
+                expect(markers.map(m => m.index)).toEqual([...markers.map(m => m.index)].sort((a, b) => a - b));
+                const visits = of(markers, TimelineMarker.VISIT);
+                expect(visits.map(m => m.value)).toEqual(
+                    steps.filter(s => s.type === StepType.PROCESS_NODE).map(s => s.nodeValue));
+                expect(visits.every(m => steps[m.index].type === StepType.PROCESS_NODE)).toBe(true);
+
+                // Every real node returns once; calls on null do not count
+                const returns = of(markers, TimelineMarker.RETURN);
+                expect(returns).toHaveLength(countNodes(tree));
+                expect(returns.every(m => m.nodeId !== null && steps[m.index].type === StepType.RETURN)).toBe(true);
+
+                // The recursion bottoms out one call below the deepest node
+                const deepest = of(markers, TimelineMarker.MAX_DEPTH);
+                expect(maxDepth).toBe(getTreeDepth(tree) + 1);
+                expect(deepest.length).toBeGreaterThan(0);
+                expect(deepest.every(m => depths[m.index] === maxDepth && steps[m.index].type === StepType.CALL)).toBe(true);
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+
+        // Traversals that print on VISIT steps are marked too: one marker per value output
+        fc.assert(
+            fc.property(arbTreeNode, fc.constantFrom('levelorder', 'iterative-inorder', 'iterative-preorder', 'morris-inorder'),
+                (tree, type) => {
+                    const engine = new ExecutionEngine();
+                    engine.setTree(tree);
+                    engine.initialize(type);
+                    while (engine.nextStep()) { /* advance */ }
+                    const visits = of(getTimelineMarkers(engine.getSteps()), TimelineMarker.VISIT);
+                    expect(visits.map(m => m.value)).toEqual(engine.getState().traversalOutput);
+                    expect(visits).toHaveLength(countNodes(tree));
+                    return true;
+                }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 40d: A long trace is drawn in groups that cover it and keep every kind of marker', () => {
+        fc.assert(
+            fc.property(fc.array(fc.nat({ max: 50 }), { maxLength: 3000 }), fc.array(fc.nat(), { maxLength: 400 }),
+                (depths, picks) => {
+                    const kinds = Object.values(TimelineMarker);
+                    const markers = depths.length === 0 ? [] : picks
+                        .map(pick => ({ index: pick % depths.length, kind: kinds[pick % kinds.length] }))
+                        .sort((a, b) => a.index - b.index);
+                    const grouped = groupTimeline(depths, markers);
+
+                    // The groups run end to end over every step, each at its deepest
+                    expect(grouped.buckets.length).toBeLessThanOrEqual(TIMELINE_BUCKETS);
+                    let start = 0;
+                    for (const bucket of grouped.buckets) {
+                        expect(bucket.start).toBe(start);
+                        expect(bucket.end).toBeGreaterThan(bucket.start);
+                        expect(bucket.depth).toBe(Math.max(0, ...depths.slice(bucket.start, bucket.end)));
+                        start = bucket.end;
+                    }
+                    expect(start).toBe(depths.length);
+
+                    // Each marker is drawn, or counted by the drawn one of its kind in its group
+                    const groupOf = index => grouped.buckets.findIndex(b => index >= b.start && index < b.end);
+                    const counted = new Map(grouped.markers.map(m => [`${groupOf(m.marker.index)} ${m.marker.kind}`, m]));
+                    expect(counted.size).toBe(grouped.markers.length);
+                    expect(grouped.markers.every(m => markers[m.position] === m.marker)).toBe(true);
+                    expect(grouped.markers.reduce((sum, m) => sum + 1 + m.more, 0)).toBe(markers.length);
+                    expect(markers.every(m => counted.has(`${groupOf(m.index)} ${m.kind}`))).toBe(true);
+
+                    // A short trace is drawn step by step
+                    if (depths.length <= TIMELINE_BUCKETS) {
+                        expect(grouped.buckets.every(b => b.end === b.start + 1)).toBe(true);
+                        const firsts = markers.filter((m, i) =>
+                            markers.findIndex(o => o.index === m.index && o.kind === m.kind) === i);
+                        expect(grouped.markers.map(m => m.marker)).toEqual(firsts);
+                    }
+                    return true;
+                }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 40c: A point on the timeline seeks to the step whose tick is there', () => {
+        fc.assert(
+            fc.property(fc.integer({ min: 1, max: 5000 }), fc.integer({ min: 50, max: 2000 }), fc.nat(),
+                (stepCount, width, pick) => {
+                    const index = pick % stepCount;
+                    const x = getTickPosition(index, stepCount) * width;
+                    expect(getStepAtPosition(x, width, stepCount)).toBe(index);
+                    expect(getStepAtPosition(-10, width, stepCount)).toBe(0);
+                    expect(getStepAtPosition(width + 10, width, stepCount)).toBe(stepCount - 1);
+                    return true;
+                }),
+            { numRuns: 200 }
+        );
+        expect(getStepAtPosition(10, 100, 0)).toBe(-1);
+
+        const renderer = new TimelineRenderer();
+        renderer.setSteps([]);
+        expect(renderer.getMarkers()).toEqual([]);
+        expect(renderer.createMarkerHTML({ index: 0, kind: TimelineMarker.VISIT, nodeId: 1, value: '<5>' }))
+            .toContain('&lt;5&gt;');
+    });
+});
@@ -0,0 +1,195 @@
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+    TreeNode,
+    countNodes,
+    getAllNodes,
+    computeNodePositions,
+    serializeLevelOrder,
+    findNodeById
+} from '../src/tree-model.js';
+import {
+    addChild,
+    setNodeValue,
+    deleteSubtree,
+    swapSubtrees,
+    isAncestor,
+    hitTestNode,
+    getEmptySlots,
+    hitTestSlot
+} from '../src/tree-editor.js';
+import { StepType } from '../src/execution-step.js';
+import { ExecutionEngine } from '../src/execution-engine.js';
+
+// ============================================================
+// Custom Generators
+// ============================================================
+
+const arbTreeNode = fc.letrec((tie) => ({
+    tree: fc.oneof(
+        { weight: 1, arbitrary: fc.constant(null) },
+        {
+            weight: 3,
+            arbitrary: fc.record({
+                value: fc.integer({ min: 1, max: 100 }),
+                left: tie('tree'),
+                right: tie('tree')
+            }).map(({ value, left, right }) => new TreeNode(value, left, right))
+        }
+    )
+})).tree.filter(tree => tree !== null && countNodes(tree) <= 15);
+
+/**
+ * Picks a node of the tree from a random index
+ */
+function pick(tree, index) {
+    const nodes = getAllNodes(tree);
+    return nodes[index % nodes.length];
+}
+
+const sortedIds = (tree) => getAllNodes(tree).map(n => n.id).sort((a, b) => a - b);
+
+// ============================================================
+// Property Tests
+// ============================================================
+
+describe('Tree Editor', () => {
+    // **Feature: tree-traversal-visualizer, Property 24: Edits Keep the Tree Consistent**
+    // *For any* tree and edit, the edited tree SHALL contain exactly the expected
+    // nodes, keep node ids stable, and produce steps that match the edited tree.
+
+    it('Property 24a: addChild fills one empty slot with a fresh node', () => {
+        fc.assert(
+            fc.property(arbTreeNode, fc.nat(), fc.integer({ min: -50, max: 50 }), (tree, index, value) => {
+                const slots = getEmptySlots(tree, 100);
+                const slot = slots[index % slots.length];
+                const before = sortedIds(tree);
+
+                const added = addChild(tree, slot.parentId, slot.side, value);
+                expect(findNodeById(tree, slot.parentId)[slot.side]).toBe(added);
+                expect(added.value).toBe(value);
+                expect(before).not.toContain(added.id);
+                expect(countNodes(tree)).toBe(before.length + 1);
+                expect(() => addChild(tree, slot.parentId, slot.side, value)).toThrow(/already has/);
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 24b: A tree with n nodes has n + 1 empty slots', () => {
+        fc.assert(
+            fc.property(arbTreeNode, (tree) => {
+                expect(getEmptySlots(tree, 100).length).toBe(countNodes(tree) + 1);
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 24c: deleteSubtree removes exactly the subtree', () => {
+        fc.assert(
+            fc.property(arbTreeNode, fc.nat(), (tree, index) => {
+                const target = pick(tree, index);
+                const removed = new Set(getAllNodes(target).map(n => n.id));
+                const expected = sortedIds(tree).filter(id => !removed.has(id));
+
+                const result = deleteSubtree(tree, target.id);
+                if (target === tree) {
+                    expect(result).toBeNull();
+                } else {
+                    expect(sortedIds(result)).toEqual(expected);
+                }
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 24d: swapSubtrees keeps every node and is its own inverse', () => {
+        fc.assert(
+            fc.property(arbTreeNode, fc.nat(), fc.nat(), (tree, i, j) => {
+                const first = pick(tree, i);
+                const second = pick(tree, j);
+                const original = serializeLevelOrder(tree);
+                const ids = sortedIds(tree);
+
+                if (isAncestor(tree, first.id, second.id) || isAncestor(tree, second.id, first.id)) {
+                    expect(() => swapSubtrees(tree, first.id, second.id)).toThrow(/own subtree/);
+                    expect(serializeLevelOrder(tree)).toBe(original);
+                    return true;
+                }
+
+                swapSubtrees(tree, first.id, second.id);
+                expect(sortedIds(tree)).toEqual(ids);
+                swapSubtrees(tree, first.id, second.id);
+                expect(serializeLevelOrder(tree)).toBe(original);
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 24e: setNodeValue changes one value and keeps the id', () => {
+        fc.assert(
+            fc.property(arbTreeNode, fc.nat(), fc.integer({ min: -50, max: 50 }), (tree, index, value) => {
+                const target = pick(tree, index);
+                const others = getAllNodes(tree).filter(n => n !== target).map(n => [n.id, n.value]);
+
+                setNodeValue(tree, target.id, String(value));
+                expect(findNodeById(tree, target.id).value).toBe(value);
+                expect(getAllNodes(tree).filter(n => n !== target).map(n => [n.id, n.value])).toEqual(others);
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 24f: Invalid edits throw', () => {
+        const tree = new TreeNode(1, new TreeNode(2));
+        expect(() => setNodeValue(tree, tree.id, 'abc')).toThrow(/Invalid node value/);
+        expect(() => setNodeValue(tree, tree.id, '')).toThrow(/Invalid node value/);
+        expect(() => addChild(tree, tree.id, 'middle', 3)).toThrow(/Invalid side/);
+        expect(() => deleteSubtree(tree, -1)).toThrow(/not in the tree/);
+    });
+
+    it('Property 24g: Hit testing finds the node drawn under the point', () => {
+        fc.assert(
+            fc.property(arbTreeNode, fc.nat(), (tree, index) => {
+                computeNodePositions(tree, 650, 480);
+                const target = pick(tree, index);
+                // Node centres are distinct, so the centre hits its own node
+                expect(hitTestNode(tree, target.x, target.y, 1)).toBe(target);
+                expect(hitTestNode(tree, -100, -100, 25)).toBeNull();
+
+                const slots = getEmptySlots(tree, 120);
+                expect(hitTestSlot(slots, slots[0].x, slots[0].y, 1)).toBe(slots[0]);
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 24h: setTree re-initializes the engine for the edited tree', () => {
+        fc.assert(
+            fc.property(arbTreeNode, fc.nat(), (tree, index) => {
+                const engine = new ExecutionEngine(tree);
+                engine.initialize('preorder');
+                engine.nextStep();
+
+                const slot = getEmptySlots(tree, 100)[index % (countNodes(tree) + 1)];
+                const added = addChild(tree, slot.parentId, slot.side, 7);
+                engine.setTree(tree);
+
+                const state = engine.getState();
+                expect(state.currentStepIndex).toBe(-1);
+                expect(state.traversalType).toBe('preorder');
+                expect(state.nodeStates.has(added.id)).toBe(true);
+                const processed = engine.getSteps().filter(s => s.type === StepType.PROCESS_NODE);
+                expect(processed.length).toBe(countNodes(tree));
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+});
@@ -0,0 +1,238 @@
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import { TreeNode, countNodes, getAllNodes } from '../src/tree-model.js';
+import { StepType } from '../src/execution-step.js';
+import { InvertTreeGenerator, FlattenGenerator } from '../src/restructure-generators.js';
+import { getTraversalGenerator } from '../src/traversal-generators.js';
+import { ExecutionEngine } from '../src/execution-engine.js';
+import { getLineCount } from '../src/code-renderer.js';
+import {
+    MutationOp, indexNodes, applyMutations, copyWithIds, snapshotStructure, restoreStructure
+} from '../src/tree-mutations.js';
+
+// ============================================================
+// Custom Generators
+// ============================================================
+
+const arbTreeNode = fc.letrec((tie) => ({
+    tree: fc.oneof(
+        { weight: 1, arbitrary: fc.constant(null) },
+        {
+            weight: 3,
+            arbitrary: fc.record({
+                value: fc.integer({ min: 1, max: 100 }),
+                left: tie('tree'),
+                right: tie('tree')
+            }).map(({ value, left, right }) => new TreeNode(value, left, right))
+        }
+    )
+})).tree.filter(tree => tree !== null && countNodes(tree) <= 15);
+
+/**
+ * Shape, values and node identity of a tree as a string
+ */
+function serialize(node) {
+    return node === null ? '-' : `(${serialize(node.left)} ${node.id}:${node.value} ${serialize(node.right)})`;
+}
+
+/**
+ * Engines relink the tree they are given, so each one gets its own copy
+ * (fast-check shares subtrees between generated and shrunk values)
+ */
+function createEngine(tree) {
+    return new ExecutionEngine(copyWithIds(tree));
+}
+
+function mirror(node) {
+    return node === null ? '-' : `(${mirror(node.right)} ${node.id}:${node.value} ${mirror(node.left)})`;
+}
+
+function preorderIds(node, out = []) {
+    if (node === null) return out;
+    out.push(node.id);
+    preorderIds(node.left, out);
+    preorderIds(node.right, out);
+    return out;
+}
+
+/**
+ * Mutations that keep the tree a tree: overwrite a value, detach a child,
+ * swap two children, or promote a child of the root to be the new root
+ */
+function arbMutationsFor(tree) {
+    const nodes = getAllNodes(tree);
+    const arbNode = fc.constantFrom(...nodes);
+    return fc.array(fc.oneof(
+        fc.record({ node: arbNode, value: fc.integer({ min: 1, max: 100 }) })
+            .map(({ node, value }) => [{ op: MutationOp.SET_VALUE, nodeId: node.id, value }]),
+        fc.record({ node: arbNode, side: fc.constantFrom('left', 'right') })
+            .map(({ node, side }) => [{ op: MutationOp.LINK, parentId: node.id, side, childId: null }]),
+        arbNode.map(node => [
+            { op: MutationOp.LINK, parentId: node.id, side: 'left', childId: node.right ? node.right.id : null },
+            { op: MutationOp.LINK, parentId: node.id, side: 'right', childId: node.left ? node.left.id : null }
+        ]),
+        fc.constantFrom('left', 'right').map(side => [
+            { op: MutationOp.LINK, parentId: null, side: null, childId: tree[side] ? tree[side].id : tree.id }
+        ])
+    ), { maxLength: 6 });
+}
+
+// ============================================================
+// Property Tests
+// ============================================================
+
+describe('Tree Mutation in Execution Traces', () => {
+    // **Feature: tree-traversal-visualizer, Property 31: Structural Changes Step Backward Exactly**
+    // *For any* tree and any trace that adds, removes or relinks nodes, restoring the
+    // shape recorded before a step (as checkpoints do) SHALL give back the exact
+    // shape, values and node identities the tree had then.
+
+    it('Property 31a: Restoring a recorded shape undoes the mutations since', () => {
+        fc.assert(
+            fc.property(
+                arbTreeNode.chain(tree => fc.tuple(fc.constant(tree), arbMutationsFor(tree))),
+                ([original, batches]) => {
+                    const tree = copyWithIds(original);
+                    const nodes = indexNodes(tree);
+                    const before = serialize(tree);
+                    const snapshots = [];
+                    let root = tree;
+                    // Each batch is computed against the original tree, so it may
+                    // detach nodes already moved; that is still a valid relink
+                    for (const mutations of batches) {
+                        snapshots.push({ shape: snapshotStructure(root, nodes), text: serialize(root) });
+                        root = applyMutations(root, mutations, nodes);
+                    }
+                    while (snapshots.length > 0) {
+                        const { shape, text } = snapshots.pop();
+                        root = restoreStructure(shape, nodes);
+                        expect(serialize(root)).toBe(text);
+                    }
+
+                    expect(root).toBe(tree);
+                    expect(serialize(root)).toBe(before);
+                    return true;
+                }
+            ),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 31b: Invert mirrors the tree and flatten lists it in preorder', () => {
+        fc.assert(
+            fc.property(arbTreeNode, (tree) => {
+                const expectedMirror = mirror(tree);
+                const expectedOrder = preorderIds(tree);
+
+                const inverted = createEngine(tree);
+                inverted.initialize('invert');
+                while (inverted.nextStep()) { /* advance */ }
+                expect(serialize(inverted.getTree())).toBe(expectedMirror);
+
+                const flattened = createEngine(tree);
+                flattened.initialize('flatten');
+                while (flattened.nextStep()) { /* advance */ }
+                const ids = [];
+                for (let node = flattened.getTree(); node !== null; node = node.right) {
+                    expect(node.left).toBeNull();
+                    ids.push(node.id);
+                }
+                expect(ids).toEqual(expectedOrder);
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 31c: Stepping backward restores the shape of every step', () => {
+        const arbType = fc.constantFrom('invert', 'flatten');
+        fc.assert(
+            fc.property(arbTreeNode, arbType, (tree, type) => {
+                const engine = createEngine(tree);
+                const root = engine.getTree();
+                engine.initialize(type);
+
+                const shapes = [serialize(engine.getTree())];
+                while (engine.nextStep()) shapes.push(serialize(engine.getTree()));
+
+                for (let i = shapes.length - 2; i >= 0; i--) {
+                    engine.previousStep();
+                    expect(serialize(engine.getTree())).toBe(shapes[i]);
+                }
+                expect(engine.getTree()).toBe(root);
+
+                // Forward again from the start gives the same shapes
+                for (let i = 1; i < shapes.length; i++) {
+                    engine.nextStep();
+                    expect(serialize(engine.getTree())).toBe(shapes[i]);
+                }
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 31d: Reset and re-initializing start from the original tree', () => {
+        fc.assert(
+            fc.property(arbTreeNode, (tree) => {
+                const before = serialize(tree);
+                const engine = createEngine(tree);
+                engine.initialize('flatten');
+                for (let i = 0; i < engine.getTotalSteps() / 2; i++) engine.nextStep();
+
+                engine.reset();
+                expect(serialize(engine.getTree())).toBe(before);
+
+                for (let i = 0; i < engine.getTotalSteps() / 2; i++) engine.nextStep();
+                engine.initialize('invert');
+                expect(serialize(engine.getTree())).toBe(before);
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 31e: Generators record relinks without touching the input tree', () => {
+        fc.assert(
+            fc.property(arbTreeNode, (tree) => {
+                const before = serialize(tree);
+                for (const generator of [new InvertTreeGenerator(), new FlattenGenerator()]) {
+                    const steps = generator.generateSteps(tree);
+                    for (const step of steps.filter(s => s.mutations.length > 0)) {
+                        expect(step.type).toBe(StepType.RELINK);
+                        expect(step.mutations.every(m => m.op === MutationOp.LINK)).toBe(true);
+                    }
+                }
+                expect(serialize(tree)).toBe(before);
+                expect(serialize(copyWithIds(tree))).toBe(before);
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 31f: Code lines are valid for the invert and flatten templates', () => {
+        fc.assert(
+            fc.property(arbTreeNode, (tree) => {
+                for (const type of ['invert', 'flatten']) {
+                    const steps = getTraversalGenerator(type).generateSteps(tree);
+                    const lineCount = getLineCount(type);
+                    for (const step of steps) {
+                        expect(step.codeLine).toBeGreaterThanOrEqual(1);
+                        expect(step.codeLine).toBeLessThanOrEqual(lineCount);
+                    }
+                }
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 31g: Relink steps describe the pointer changes', () => {
+        const tree = new TreeNode(1, new TreeNode(2), new TreeNode(3));
+        const relinks = new InvertTreeGenerator().generateSteps(tree)
+            .filter(s => s.type === StepType.RELINK)
+            .map(s => s.description);
+        expect(relinks.slice(0, 2)).toEqual(['1.left = 3', '1.right = 2']);
+    });
+});
@@ -0,0 +1,119 @@
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import { Viewport } from '../src/viewport.js';
+import { computeNodePositions, generateRandomTree, TREE_SHAPES, getAllNodes } from '../src/tree-model.js';
+
+// ============================================================
+// Custom Generators
+// ============================================================
+
+const arbPoint = fc.record({
+    x: fc.double({ min: -1000, max: 1000, noNaN: true }),
+    y: fc.double({ min: -1000, max: 1000, noNaN: true })
+});
+
+const arbFactor = fc.double({ min: 0.2, max: 5, noNaN: true });
+
+/** Applies a random sequence of zooms and pans */
+const arbViewport = fc.array(
+    fc.oneof(
+        fc.tuple(fc.constant('zoom'), arbPoint, arbFactor),
+        fc.tuple(fc.constant('pan'), arbPoint)
+    ),
+    { maxLength: 10 }
+).map(ops => {
+    const viewport = new Viewport();
+    for (const [kind, point, factor] of ops) {
+        if (kind === 'zoom') viewport.zoomAt(point.x, point.y, factor);
+        else viewport.panBy(point.x, point.y);
+    }
+    return viewport;
+});
+
+// ============================================================
+// Property Tests
+// ============================================================
+
+describe('Viewport', () => {
+    // **Feature: tree-traversal-visualizer, Property 27: Viewport Transforms Are Consistent**
+    // *For any* sequence of zooms and pans, the viewport SHALL keep the zoom anchor
+    // fixed, stay within its scale limits, and convert points both ways losslessly.
+
+    it('Property 27a: Zooming keeps the anchor point fixed on screen', () => {
+        fc.assert(
+            fc.property(arbViewport, arbPoint, arbFactor, (viewport, anchor, factor) => {
+                const before = viewport.toLayoutPoint(anchor.x, anchor.y);
+                viewport.zoomAt(anchor.x, anchor.y, factor);
+                const after = viewport.toCanvasPoint(before.x, before.y);
+                expect(after.x).toBeCloseTo(anchor.x, 6);
+                expect(after.y).toBeCloseTo(anchor.y, 6);
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 27b: Scale stays within its limits', () => {
+        fc.assert(
+            fc.property(arbViewport, fc.array(arbFactor, { maxLength: 20 }), (viewport, factors) => {
+                factors.forEach(f => viewport.zoomAt(0, 0, f));
+                expect(viewport.scale).toBeGreaterThanOrEqual(viewport.minScale);
+                expect(viewport.scale).toBeLessThanOrEqual(viewport.maxScale);
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 27c: toLayoutPoint inverts toCanvasPoint', () => {
+        fc.assert(
+            fc.property(arbViewport, arbPoint, (viewport, point) => {
+                const canvasPoint = viewport.toCanvasPoint(point.x, point.y);
+                const back = viewport.toLayoutPoint(canvasPoint.x, canvasPoint.y);
+                expect(back.x).toBeCloseTo(point.x, 6);
+                expect(back.y).toBeCloseTo(point.y, 6);
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 27d: centerOn puts the point in the middle without zooming', () => {
+        fc.assert(
+            fc.property(arbViewport, arbPoint, (viewport, point) => {
+                const scale = viewport.scale;
+                viewport.centerOn(point.x, point.y, 650, 480);
+                const centered = viewport.toCanvasPoint(point.x, point.y);
+                expect(centered.x).toBeCloseTo(325, 6);
+                expect(centered.y).toBeCloseTo(240, 6);
+                expect(viewport.scale).toBe(scale);
+                return true;
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('Property 27e: fit brings every node of any tree on screen', () => {
+        fc.assert(
+            fc.property(
+                arbViewport,
+                fc.integer({ min: 0, max: 1000 }),
+                fc.integer({ min: 1, max: 40 }),
+                fc.constantFrom(...TREE_SHAPES),
+                (viewport, seed, count, shape) => {
+                    const tree = generateRandomTree(seed, count, shape);
+                    viewport.fit(computeNodePositions(tree, 650, 480), 650, 480);
+                    for (const node of getAllNodes(tree)) {
+                        const p = viewport.toCanvasPoint(node.x, node.y);
+                        expect(p.x).toBeGreaterThanOrEqual(0);
+                        expect(p.x).toBeLessThanOrEqual(650);
+                        expect(p.y).toBeGreaterThanOrEqual(0);
+                        expect(p.y).toBeLessThanOrEqual(480);
+                    }
+                    return true;
+                }
+            ),
+            { numRuns: 100 }
+        );
+    });
+});